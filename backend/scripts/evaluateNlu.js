@@ -0,0 +1,207 @@
+const path = require('path');
+const environmentConfig = require('../src/config/environment');
+const CONSTANTS = require('../src/config/constants');
+const nluEvaluationService = require('../src/services/nluEvaluationService');
+
+/**
+ * Evaluate NLU
+ * Runs the golden query set through scope detection, intent classification and entity
+ * extraction, prints per-class precision / recall / F1, the intent confusion matrix and
+ * regressions against the saved baseline, and exits non-zero below the accuracy thresholds
+ *
+ * Usage:
+ *   npm run nlu:eval -- [options]
+ *
+ * Options:
+ *   --golden <path>              Golden set (default NLU_GOLDEN_SET_PATH)
+ *   --baseline <path>            Baseline to compare with (default NLU_BASELINE_PATH)
+ *   --update-baseline            Save this run as the new baseline
+ *   --min-scope-accuracy <n>     Override CONSTANTS.NLU.EVAL_THRESHOLDS (0-1)
+ *   --min-intent-accuracy <n>
+ *   --min-entity-f1 <n>
+ *   --fail-on-regression         Also exit non-zero when anything regressed against the baseline
+ *   --llm                        Allow the LLM intent fallback (off by default for repeatable runs)
+ *
+ * Exit codes: 0 pass, 1 below a threshold or regressed (with --fail-on-regression), 2 bad usage
+ */
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {Object}
+ */
+const parseArgs = (args) => {
+  const options = {
+    goldenSetPath: environmentConfig.nlu.goldenSetPath,
+    baselinePath: environmentConfig.nlu.baselinePath,
+    updateBaseline: false,
+    failOnRegression: false,
+    llmFallback: false,
+    thresholds: {
+      scopeAccuracy: CONSTANTS.NLU.EVAL_THRESHOLDS.SCOPE_ACCURACY,
+      intentAccuracy: CONSTANTS.NLU.EVAL_THRESHOLDS.INTENT_ACCURACY,
+      entityF1: CONSTANTS.NLU.EVAL_THRESHOLDS.ENTITY_F1,
+    },
+  };
+
+  const thresholdFlags = {
+    '--min-scope-accuracy': 'scopeAccuracy',
+    '--min-intent-accuracy': 'intentAccuracy',
+    '--min-entity-f1': 'entityF1',
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--golden') options.goldenSetPath = path.resolve(args[++i]);
+    else if (arg === '--baseline') options.baselinePath = path.resolve(args[++i]);
+    else if (arg === '--update-baseline') options.updateBaseline = true;
+    else if (arg === '--fail-on-regression') options.failOnRegression = true;
+    else if (arg === '--llm') options.llmFallback = true;
+    else if (thresholdFlags[arg]) {
+      const value = parseFloat(args[++i]);
+      if (!(value >= 0 && value <= 1)) throw new Error(`${arg} must be a number between 0 and 1`);
+      options.thresholds[thresholdFlags[arg]] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Format a 0-1 metric as a percentage
+ * @param {number} value - Metric value
+ * @returns {string}
+ */
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Print a per-class precision / recall / F1 table
+ * @param {string} title - Table title
+ * @param {Object} report - classificationReport result
+ */
+const printReport = (title, report) => {
+  console.log(`\n${title}: accuracy ${percent(report.accuracy)} (${report.correct}/${report.total}), macro F1 ${report.macroF1.toFixed(3)}`);
+  console.log(`  ${'class'.padEnd(22)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'f1'.padStart(10)}${'support'.padStart(10)}`);
+  Object.entries(report.perClass).forEach(([label, metrics]) => {
+    console.log(
+      `  ${label.padEnd(22)}${metrics.precision.toFixed(3).padStart(10)}${metrics.recall.toFixed(3).padStart(10)}${metrics.f1.toFixed(3).padStart(10)}${String(metrics.support).padStart(10)}`
+    );
+  });
+};
+
+/**
+ * Print a confusion matrix (rows: expected, columns: predicted)
+ * @param {Object} report - classificationReport result
+ */
+const printConfusionMatrix = (report) => {
+  const short = (label) => label.split('_').map((word) => word.slice(0, 4)).join('_').slice(0, 10);
+  console.log('\nIntent confusion matrix (rows: expected, columns: predicted)');
+  console.log(`  ${''.padEnd(22)}${report.labels.map((label) => short(label).padStart(11)).join('')}`);
+  report.labels.forEach((expected) => {
+    const row = report.labels.map((predicted) => String(report.confusionMatrix[expected][predicted]).padStart(11)).join('');
+    console.log(`  ${expected.padEnd(22)}${row}`);
+  });
+};
+
+/**
+ * Print entity extraction metrics
+ * @param {Object} entities - Entity metrics by type
+ */
+const printEntities = (entities) => {
+  console.log('\nEntity extraction');
+  console.log(`  ${'type'.padEnd(26)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'f1'.padStart(10)}${'tp/fp/fn'.padStart(12)}`);
+  Object.entries(entities).forEach(([type, metrics]) => {
+    const counts = `${metrics.truePositives}/${metrics.falsePositives}/${metrics.falseNegatives}`;
+    console.log(
+      `  ${type.padEnd(26)}${metrics.precision.toFixed(3).padStart(10)}${metrics.recall.toFixed(3).padStart(10)}${metrics.f1.toFixed(3).padStart(10)}${counts.padStart(12)}`
+    );
+  });
+};
+
+/**
+ * Print misclassified examples
+ * @param {Array<Object>} examples - Scored examples
+ */
+const printErrors = (examples) => {
+  const errors = examples.filter((entry) => !entry.correct.scope || entry.correct.intent === false || !entry.correct.entities);
+  if (errors.length === 0) return;
+
+  console.log(`\nErrors (${errors.length})`);
+  errors.forEach((entry) => {
+    const problems = [];
+    if (!entry.correct.scope) problems.push(`scope ${entry.expected.scope} -> ${entry.predicted.scope}`);
+    if (entry.correct.intent === false) {
+      problems.push(`intent ${entry.expected.intent} -> ${entry.predicted.intent} (${entry.predicted.intentClassifier})`);
+    }
+    if (!entry.correct.entities) problems.push(`entities ${JSON.stringify(entry.predicted.entities)}`);
+    console.log(`  "${entry.text}": ${problems.join('; ')}`);
+  });
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const results = await nluEvaluationService.evaluate({
+    goldenSetPath: options.goldenSetPath,
+    llmFallback: options.llmFallback,
+  });
+
+  console.log(`Evaluated ${results.summary.exampleCount} examples from ${options.goldenSetPath}`);
+  printReport('Scope', results.scope);
+  printReport('Intent', results.intent);
+  printConfusionMatrix(results.intent);
+  printEntities(results.entities);
+  printErrors(results.examples);
+
+  let regressed = false;
+  const baseline = nluEvaluationService.readBaseline(options.baselinePath);
+  if (baseline) {
+    const { metricDrops, exampleRegressions } = nluEvaluationService.compareToBaseline(results, baseline);
+    regressed = metricDrops.length > 0 || exampleRegressions.length > 0;
+
+    console.log(`\nBaseline (${baseline.createdAt}): ${regressed ? 'REGRESSED' : 'no regressions'}`);
+    metricDrops.forEach((drop) => {
+      console.log(`  ${drop.metric}: ${drop.baseline} -> ${drop.current}`);
+    });
+    exampleRegressions.forEach((entry) => {
+      console.log(
+        `  "${entry.text}" ${entry.field}: expected ${JSON.stringify(entry.expected)}, now ${JSON.stringify(entry.predicted)}`
+      );
+    });
+  } else {
+    console.log(`\nNo baseline at ${options.baselinePath} (save one with --update-baseline)`);
+  }
+
+  if (options.updateBaseline) {
+    nluEvaluationService.saveBaseline(results, options.baselinePath);
+    console.log(`Baseline saved to ${options.baselinePath}`);
+  }
+
+  const failures = nluEvaluationService.checkThresholds(results.summary, options.thresholds);
+  console.log('\nThresholds');
+  Object.entries(options.thresholds).forEach(([metric, threshold]) => {
+    const failed = failures.some((failure) => failure.metric === metric);
+    console.log(`  ${failed ? 'FAIL' : 'pass'} ${metric} ${percent(results.summary[metric])} (min ${percent(threshold)})`);
+  });
+
+  if (failures.length > 0) return 1;
+  if (regressed && options.failOnRegression) return 1;
+  return 0;
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  });
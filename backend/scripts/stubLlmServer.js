@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Stub LLM Server
+ * Serves an OpenAI-compatible POST /chat/completions endpoint and an Ollama-style POST /api/chat
+ * endpoint that replay scripted completions in order, so the function-calling loop can be
+ * exercised without a real LLM
+ *
+ * Usage:
+ *   node scripts/stubLlmServer.js [scriptPath] [port]
+ *   DEEPSEEK_API_KEY=stub DEEPSEEK_BASE_URL=http://localhost:5055 npm start
+ *   LLM_PROVIDER=ollama OLLAMA_BASE_URL=http://localhost:5055 npm start
+ *
+ * Script format (see scripts/llmStubScript.example.json):
+ *   { "completions": [
+ *       { "toolCalls": [{ "name": "productSearchTool", "arguments": { "query": "door bin" } }] },
+ *       { "content": "The door bin PS11752778 costs $44.95." }
+ *     ],
+ *     "jsonCompletions": [
+ *       { "content": "{\"intent\":\"general_inquiry\",\"confidence\":0.8,\"entities\":{...}}" }
+ *   ] }
+ *
+ * Requests for structured output (response_format, or Ollama's format: the intent classifier's
+ * LLM fallback) are answered from jsonCompletions, so they never use up the tool loop's script.
+ * With no jsonCompletions left they get a 500 and the classifier keeps its rule result.
+ *
+ * Streaming requests (stream: true) get the same entry as Server-Sent Events chunks (OpenAI) or
+ * newline-delimited JSON (Ollama): content one word per chunk, tool call arguments in two halves.
+ *
+ * GET /requests returns every request received; POST /reset rewinds both scripts.
+ * Tests can require createStubLlmServer(script) and listen on a free port.
+ */
+
+/**
+ * Build an OpenAI-style completion body from one script entry
+ * @param {Object} entry - { content } or { toolCalls: [{ name, arguments }] }
+ * @param {number} index - Position in the script (used for tool call IDs)
+ * @returns {Object}
+ */
+const toCompletion = (entry, index) => {
+  const toolCalls = (entry.toolCalls || []).map((call, callIndex) => ({
+    id: `call_${index}_${callIndex}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {}),
+    },
+  }));
+
+  return {
+    id: `stub-${index}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'stub',
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: entry.content || null,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+        },
+        finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+      },
+    ],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+};
+
+/**
+ * Build OpenAI-style streaming chunks (chat.completion.chunk) from one script entry
+ * @param {Object} entry - { content } or { toolCalls: [{ name, arguments }] }
+ * @param {number} index - Position in the script (used for tool call IDs)
+ * @returns {Array<Object>}
+ */
+const toCompletionChunks = (entry, index) => {
+  const completion = toCompletion(entry, index);
+  const { message, finish_reason: finishReason } = completion.choices[0];
+  const chunk = (delta, reason = null) => ({
+    id: `stub-${index}`,
+    object: 'chat.completion.chunk',
+    model: 'stub',
+    choices: [{ index: 0, delta, finish_reason: reason }],
+  });
+
+  const chunks = [chunk({ role: 'assistant', content: '' })];
+  (message.content || '').match(/\S+\s*/g)?.forEach((text) => chunks.push(chunk({ content: text })));
+
+  // Send each call's name first, then its arguments in two fragments, as real APIs split them
+  (message.tool_calls || []).forEach((call, callIndex) => {
+    const args = call.function.arguments;
+    const half = Math.ceil(args.length / 2);
+    const opening = {
+      index: callIndex,
+      id: call.id,
+      type: 'function',
+      function: { name: call.function.name, arguments: '' },
+    };
+    chunks.push(chunk({ tool_calls: [opening] }));
+    chunks.push(chunk({ tool_calls: [{ index: callIndex, function: { arguments: args.slice(0, half) } }] }));
+    chunks.push(chunk({ tool_calls: [{ index: callIndex, function: { arguments: args.slice(half) } }] }));
+  });
+
+  chunks.push(chunk({}, finishReason));
+  // Usage arrives in a last chunk without choices (stream_options.include_usage)
+  chunks.push({ ...chunk({}), choices: [], usage: completion.usage });
+  return chunks;
+};
+
+/**
+ * Build an Ollama /api/chat response body from one script entry
+ * Ollama sends tool call arguments as objects and no call IDs
+ * @param {Object} entry - { content } or { toolCalls: [{ name, arguments }] }
+ * @returns {Object}
+ */
+const toOllamaResponse = (entry) => {
+  const toolCalls = (entry.toolCalls || []).map((call) => ({
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? JSON.parse(call.arguments) : call.arguments || {},
+    },
+  }));
+
+  return {
+    model: 'stub',
+    created_at: new Date().toISOString(),
+    message: {
+      role: 'assistant',
+      content: entry.content || '',
+      ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+    },
+    done: true,
+    done_reason: 'stop',
+    prompt_eval_count: 0,
+    eval_count: 0,
+  };
+};
+
+/**
+ * Build Ollama streaming chunks from one script entry
+ * Content comes one word per chunk; tool calls come whole in the final chunk
+ * @param {Object} entry - { content } or { toolCalls: [{ name, arguments }] }
+ * @returns {Array<Object>}
+ */
+const toOllamaChunks = (entry) => {
+  const response = toOllamaResponse(entry);
+  const words = response.message.content.match(/\S+\s*/g) || [];
+
+  return [
+    ...words.map((text) => ({
+      model: 'stub',
+      created_at: response.created_at,
+      message: { role: 'assistant', content: text },
+      done: false,
+    })),
+    { ...response, message: { ...response.message, content: '' } },
+  ];
+};
+
+/**
+ * Create the stub server app for a script
+ * @param {Object} script - { completions, jsonCompletions }
+ * @returns {Express.Application}
+ * @throws {Error} - If the script has no completions array
+ */
+const createStubLlmServer = ({ completions, jsonCompletions = [] }) => {
+  if (!Array.isArray(completions) || !Array.isArray(jsonCompletions)) {
+    throw new Error('Stub script must contain a "completions" array (and "jsonCompletions", if any, must be an array)');
+  }
+
+  const scripts = {
+    completions: { entries: completions, cursor: 0 },
+    jsonCompletions: { entries: jsonCompletions, cursor: 0 },
+  };
+  const requests = [];
+
+  /**
+   * Create a handler that replays the next script entry in a given response format
+   * @param {Object} formats - { body, chunks, encodeChunk, end, contentType } (all but body are for stream: true)
+   * @returns {Function} - Express handler
+   */
+  const replay = (formats) => (req, res) => {
+    requests.push(req.body);
+
+    const structured = Boolean(req.body.response_format || req.body.format);
+    const script = structured ? scripts.jsonCompletions : scripts.completions;
+
+    if (script.cursor >= script.entries.length) {
+      const message = structured ? 'No JSON completions scripted' : 'Stub script exhausted';
+      return res.status(500).json({ error: { message } });
+    }
+
+    const entry = script.entries[script.cursor];
+    const index = script.cursor;
+    script.cursor += 1;
+
+    if (entry.status) {
+      return res.status(entry.status).json({ error: { message: entry.error || 'Scripted error' } });
+    }
+
+    if (!req.body.stream) {
+      return res.json(formats.body(entry, index));
+    }
+
+    res.set('Content-Type', formats.contentType);
+    formats.chunks(entry, index).forEach((chunk) => res.write(formats.encodeChunk(chunk)));
+    res.end(formats.end || '');
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post(
+    ['/chat/completions', '/v1/chat/completions'],
+    replay({
+      body: toCompletion,
+      chunks: toCompletionChunks,
+      encodeChunk: (chunk) => `data: ${JSON.stringify(chunk)}\n\n`,
+      end: 'data: [DONE]\n\n',
+      contentType: 'text/event-stream',
+    })
+  );
+
+  app.post(
+    '/api/chat',
+    replay({
+      body: toOllamaResponse,
+      chunks: toOllamaChunks,
+      encodeChunk: (chunk) => `${JSON.stringify(chunk)}\n`,
+      contentType: 'application/x-ndjson',
+    })
+  );
+
+  app.get('/requests', (req, res) => res.json(requests));
+
+  app.post('/reset', (req, res) => {
+    scripts.completions.cursor = 0;
+    scripts.jsonCompletions.cursor = 0;
+    requests.length = 0;
+    res.json({ success: true });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const scriptPath = path.resolve(process.argv[2] || path.join(__dirname, 'llmStubScript.example.json'));
+  const port = parseInt(process.argv[3] || process.env.STUB_LLM_PORT || '5055', 10);
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+
+  createStubLlmServer(script).listen(port, () => {
+    console.log(
+      `Stub LLM server replaying ${script.completions.length} completions ` +
+        `(${(script.jsonCompletions || []).length} JSON) from ${scriptPath} on port ${port}`
+    );
+  });
+}
+
+module.exports = {
+  createStubLlmServer,
+};
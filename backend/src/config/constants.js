@@ -26,7 +26,15 @@ const CONSTANTS = {
     PRODUCT_RESULTS: 'product_results',
     INSTALLATION_GUIDE: 'installation_guide',
     TROUBLESHOOTING: 'troubleshooting',
+    COMPATIBILITY_RESULT: 'compatibility_result',
+    ORDER_STATUS: 'order_status',
+    CART: 'cart',
+    APPLIANCES: 'appliances',
+    COMPOSITE: 'composite',
     OUT_OF_SCOPE: 'out_of_scope',
+    UNSUPPORTED_APPLIANCE: 'unsupported_appliance',
+    REFUSAL: 'refusal',
+    HANDOFF: 'handoff',
     ERROR: 'error',
   },
 
@@ -37,6 +45,10 @@ const CONSTANTS = {
     MESSAGE_TOO_LONG: 'MESSAGE_TOO_LONG',
     MESSAGE_INVALID_FORMAT: 'MESSAGE_INVALID_FORMAT',
     SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    HANDOFF_NOT_FOUND: 'HANDOFF_NOT_FOUND',
+    HANDOFF_CONFLICT: 'HANDOFF_CONFLICT',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    AGENT_ENDPOINTS_DISABLED: 'AGENT_ENDPOINTS_DISABLED',
     TOOL_NOT_FOUND: 'TOOL_NOT_FOUND',
     TOOL_EXECUTION_FAILED: 'TOOL_EXECUTION_FAILED',
     LLM_SERVICE_UNAVAILABLE: 'LLM_SERVICE_UNAVAILABLE',
@@ -47,7 +59,9 @@ const CONSTANTS = {
   HTTP_STATUS: {
     OK: 200,
     BAD_REQUEST: 400,
+    UNAUTHORIZED: 401,
     NOT_FOUND: 404,
+    CONFLICT: 409,
     INTERNAL_SERVER_ERROR: 500,
     SERVICE_UNAVAILABLE: 503,
   },
@@ -56,6 +70,7 @@ const CONSTANTS = {
   SCOPE: {
     IN_SCOPE: 'in_scope',
     OUT_OF_SCOPE: 'out_of_scope',
+    RELATED_UNSUPPORTED: 'related_unsupported', // A neighbouring appliance we do not cover (washer, dryer, ...)
   },
 
   // Appliance Types
@@ -64,9 +79,654 @@ const CONSTANTS = {
     DISHWASHER: 'dishwasher',
   },
 
+  // Appliances next to our domain that this assistant does not cover
+  // Their questions get a redirect to the PartSelect category page (environment partselect.baseUrl + path)
+  ADJACENT_APPLIANCES: {
+    APPLIANCES: [
+      {
+        id: 'washer',
+        name: 'washer',
+        label: 'Washer Parts',
+        path: '/Washer-Parts.htm',
+        // Not the hardware: "rubber washer", "hose washer"
+        pattern:
+          /\b(?:washing machines?|(?:clothes |laundry )?(?<!(?:rubber|flat|lock|spring|sealing|nylon|fiber|hose|thrust|metal|plastic|inlet) )washers?)\b/i,
+      },
+      {
+        id: 'dryer',
+        name: 'dryer',
+        label: 'Dryer Parts',
+        path: '/Dryer-Parts.htm',
+        pattern: /\b(?:(?:clothes |tumble )?dryers?|drying machines?)\b/i,
+      },
+      {
+        id: 'oven',
+        name: 'oven and range',
+        label: 'Oven & Range Parts',
+        path: '/Range-Parts.htm',
+        // "range" alone is too common a word ("price range")
+        pattern: /\b(?:ovens?|stoves?|stovetops?|cooktops?|(?:my|our|the|gas|electric|dual fuel) ranges?|range hoods?)\b/i,
+      },
+      {
+        id: 'microwave',
+        name: 'microwave',
+        label: 'Microwave Parts',
+        path: '/Microwave-Parts.htm',
+        pattern: /\bmicrowaves?\b/i,
+      },
+    ],
+    CONFIDENCE: 0.9,
+    SUGGESTION: 'Ask me about refrigerator or dishwasher parts, installation, compatibility, troubleshooting, or orders.',
+  },
+
+  // Compatibility Check Outcomes
+  COMPATIBILITY_STATUS: {
+    COMPATIBLE: 'compatible',
+    INCOMPATIBLE: 'incompatible',
+    UNKNOWN: 'unknown',
+  },
+
+  // How a part number the user typed relates to the current PartSelect part
+  PART_REFERENCE_TYPE: {
+    PARTSELECT: 'partselect',
+    MANUFACTURER: 'manufacturer',
+    LEGACY: 'legacy',
+    SUPERSEDED: 'superseded',
+  },
+
+  // Troubleshooting Decision Trees
+  TROUBLESHOOTING: {
+    STATUS: {
+      IN_PROGRESS: 'in_progress', // Follow-up question pending
+      COMPLETE: 'complete',
+      NO_MATCH: 'no_match', // No tree for the described symptom
+      NEEDS_APPLIANCE: 'needs_appliance', // Symptom matches trees for more than one appliance
+    },
+    CONFIDENT_PROBABILITY: 0.6, // Stop asking once the top cause reaches this
+    MAX_QUESTIONS: 3,
+    RULED_OUT_PROBABILITY: 0.05,
+    HIGH_PROBABILITY: 0.4,
+    MEDIUM_PROBABILITY: 0.2,
+    UNSURE_ANSWER: 'unsure',
+    ANSWER_MAX_WORDS: 8, // Longer messages are new requests, not replies to a follow-up question
+    NEW_INTENT_MIN_CONFIDENCE: 0.6, // Another intent this confident ends the wait for an answer
+    ANSWER_KEYWORDS: {
+      yes: ['yes', 'yeah', 'yep', 'yup', 'correct', 'it does', 'it is', 'i do', 'i have', 'sure does', 'definitely'],
+      no: ['no', 'nope', 'nah', 'not really', 'it does not', 'it doesn\'t', 'it isn\'t', 'i don\'t', 'i haven\'t', 'never'],
+      unsure: ['not sure', 'unsure', 'no idea', 'don\'t know', 'dont know', 'can\'t tell', 'cannot tell'],
+    },
+  },
+
+  // Order Lookup
+  ORDER: {
+    STATUS: {
+      PROCESSING: 'processing',
+      SHIPPED: 'shipped',
+      IN_TRANSIT: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      CANCELLED: 'cancelled',
+    },
+    STATUS_LABELS: {
+      processing: 'being prepared for shipment',
+      shipped: 'shipped',
+      in_transit: 'in transit',
+      out_for_delivery: 'out for delivery',
+      delivered: 'delivered',
+      cancelled: 'cancelled',
+    },
+    // Carrier tracking pages; the tracking number is appended
+    TRACKING_URLS: {
+      UPS: 'https://www.ups.com/track?tracknum=',
+      FedEx: 'https://www.fedex.com/fedextrack/?trknbr=',
+      USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+    },
+    MAX_VERIFICATION_ATTEMPTS: 3, // Failed email/ZIP checks before the pending lookup is dropped
+  },
+
+  // Conversational Cart
+  CART: {
+    ACTION: {
+      ADD: 'add',
+      REMOVE: 'remove',
+      UPDATE_QUANTITY: 'update_quantity',
+      VIEW: 'view',
+      CLEAR: 'clear',
+    },
+    MAX_QUANTITY: 99,
+    CURRENCY: 'USD',
+    QUANTITY_WORDS: {
+      a: 1, an: 1, one: 1, single: 1, two: 2, pair: 2, couple: 2, three: 3, four: 4, five: 5,
+      six: 6, seven: 7, eight: 8, nine: 9, ten: 10, dozen: 12,
+    },
+    // Words that point back at a part shown earlier ("add that", "I'll take it")
+    REFERENCE_WORDS: ['that', 'this', 'it', 'them', 'those', 'these', 'one'],
+  },
+
+  // Appliance Memory (the customer's appliances, remembered for the session)
+  APPLIANCE_MEMORY: {
+    BRANDS: ['Whirlpool', 'KitchenAid', 'Maytag', 'GE', 'Samsung', 'LG', 'Frigidaire', 'Bosch', 'Kenmore', 'Amana', 'Electrolux'],
+    MAX_APPLIANCES: 10,
+    COMMAND: {
+      DECLARE: 'declare',
+      LIST: 'list',
+      FORGET: 'forget',
+    },
+    // "I also have a Whirlpool fridge WRS325SDHZ", "my dishwasher is a WDT780SAEM1"
+    DECLARE_PATTERN: /\b(i (also )?(have|own)|i've got|i got|we (also )?have|my (\w+ )?(refrigerator|fridge|dishwasher|model) is)\b/i,
+    // "what appliances do I have?", "list my appliances", "which models did I give you"
+    LIST_PATTERN: /\b(my appliances|my models|which (appliances|models)|what (appliances|models))\b/i,
+    // "forget my fridge", "remove WDT780SAEM1 from my appliances" (with a remembered model or "my <appliance>")
+    FORGET_PATTERN: /\b(forget|remove|delete)\b/i,
+    // "my dishwasher", "our Whirlpool fridge", "my model"
+    OWNED_APPLIANCE_PATTERN: /\b(my|our) (\w+ )?(refrigerator|fridge|freezer|dishwasher|appliance|model|unit)s?\b/i,
+  },
+
+  // Coreference ("it", "that one", "the second one") resolved to concrete part and model numbers
+  COREFERENCE: {
+    ORDINALS: {
+      first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, fifth: 5, '5th': 5,
+      sixth: 6, '6th': 6, seventh: 7, '7th': 7, eighth: 8, '8th': 8, ninth: 9, '9th': 9, tenth: 10, '10th': 10,
+      last: -1,
+    },
+    REFERENCE_NOUNS: ['one', 'part', 'item', 'option', 'result', 'listing'],
+    // "this part", "that one", "it" (not as the subject of a symptom: "it won't drain", "it's leaking"),
+    // bare "this" / "that" before a question about the part ("is that in stock?")
+    PART_PRONOUN_PATTERN:
+      /\b(?:this|that|the same) (?:part|one|item)\b|\bit\b(?!'s|\s+(?:is|was|keeps|won't|wont|will|doesn't|does|isn't|stopped|started|has|makes|leaks|leaked))|\b(?:this|that)\b(?=\s*(?:$|[?.!,]|\s(?:in stock|fit|fits|work|works|compatible|cost|costs|available)\b))/i,
+    MODEL_PRONOUN_PATTERN: /\b(?:this|that|the same) model\b/i,
+    // "I need a new door gasket, how hard is it to install?": "it" is the part asked for in the same message
+    NEW_PART_REQUEST_PATTERN: /\b(?:need|want|looking for|find|do you (?:have|sell|carry)|get|buy)\s+(?:me\s+)?(?:a|an|another|some|new)\b/i,
+  },
+
+  // Brand-aware model number extraction (modelNumberService)
+  MODEL_NUMBERS: {
+    MIN_CONFIDENCE: 0.5, // Candidates below this are not treated as model numbers
+    CONFIDENCE: {
+      REGISTRY: 1, // In the model registry (src/data/applianceModels.json)
+      BRAND_FORMAT_MENTIONED: 0.9, // Fits the format of a brand named in the message
+      BRAND_FORMAT: 0.75, // Fits one brand's format, no brand named
+      BRAND_FORMAT_CONFLICT: 0.6, // Fits a brand's format, but the message names another brand
+      PATTERN_WITH_CUE: 0.5, // Only the generic (or, with a brand named, the branded) pattern, next to "model", "my", an appliance or a brand
+      PATTERN: 0.2, // Only the generic pattern ("ABC1234" in random text)
+    },
+    SOURCE: {
+      REGISTRY: 'registry',
+      BRAND_FORMAT: 'brand_format',
+      PATTERN: 'pattern',
+    },
+    // A code right after these words is an appliance model ("model # ABC1234", "my ABC1234")
+    CUE_BEFORE_PATTERN: /(?:\b(?:model|my|our|refrigerator|fridge|freezer|dishwasher|appliance|unit)(?:\s+(?:number|no\.?|is))*|#)\s*#?\s*$/i,
+    // So is any code in a message about a refrigerator or dishwasher
+    APPLIANCE_CUE_PATTERN: /\b(?:refrigerators?|fridges?|freezers?|dishwashers?|ice maker)\b/i,
+    // Looser shape trusted when the message names a brand ("my Samsung RF28R7351SR"): letters and
+    // digits, at least two of each
+    BRANDED_MODEL_PATTERN: /^(?=(?:[^A-Z]*[A-Z]){2})(?=(?:\D*\d){2})[A-Z0-9][A-Z0-9.-]{4,14}[A-Z0-9]$/,
+    // Other names customers use for a brand
+    BRAND_ALIASES: {
+      'general electric': 'GE',
+      'ge profile': 'GE',
+      'kitchen aid': 'KitchenAid',
+      sears: 'Kenmore',
+    },
+    // Model number formats by brand, with the appliance type each one implies
+    BRAND_FORMATS: {
+      Whirlpool: [
+        { pattern: /^WR[A-Z]\d{3}[A-Z]{3,4}\d{0,2}$/, applianceType: 'refrigerator' },
+        { pattern: /^WD[A-Z]\d{3}[A-Z]{3,4}\d{0,2}$/, applianceType: 'dishwasher' },
+      ],
+      KitchenAid: [
+        { pattern: /^KR[A-Z]{2}\d{3}[A-Z]{3}\d{0,2}$/, applianceType: 'refrigerator' },
+        { pattern: /^KD[A-Z]{2}\d{3}[A-Z]{3}\d{0,2}$/, applianceType: 'dishwasher' },
+      ],
+      Maytag: [
+        { pattern: /^M[FRS][A-Z]\d{4}[A-Z]{2,3}\d{0,2}$/, applianceType: 'refrigerator' },
+        { pattern: /^MD[A-Z]\d{4}[A-Z]{2,3}\d{0,2}$/, applianceType: 'dishwasher' },
+      ],
+      GE: [
+        { pattern: /^[GP][DU][A-Z]\d{3}[A-Z]{3,6}$/, applianceType: 'dishwasher' },
+        { pattern: /^[GP][FNSTY][A-Z]\d{2}[A-Z]{4,8}$/, applianceType: 'refrigerator' },
+      ],
+      Samsung: [
+        // RF28HMEDBSR, RF28R7351SR
+        { pattern: /^R[FSHT]\d{2}[A-Z](?:\d?[A-Z]{3,6}|\d{4}[A-Z]{2})\d{0,2}$/, applianceType: 'refrigerator' },
+        { pattern: /^DW\d{2}[A-Z]\d{4}[A-Z]{2}$/, applianceType: 'dishwasher' },
+      ],
+      LG: [
+        { pattern: /^LD[A-Z]\d{4}[A-Z]{1,3}$/, applianceType: 'dishwasher' },
+        { pattern: /^L[FRST][A-Z]{1,3}\d{4,5}[A-Z]{1,2}$/, applianceType: 'refrigerator' },
+      ],
+      Frigidaire: [
+        // Trailing digit is the revision (FFSS2615TS0)
+        { pattern: /^F[FGP][BC]D\d{4}[A-Z]{2}\d?$/, applianceType: 'dishwasher' },
+        { pattern: /^F[FGP][A-Z]{2}\d{4}[A-Z]{2}\d?$/, applianceType: 'refrigerator' },
+      ],
+      Bosch: [
+        // SHE3AR75UC, SHXM78W55N
+        { pattern: /^SH[A-Z]{1,2}\d[A-Z0-9]{4,7}$/, applianceType: 'dishwasher' },
+        { pattern: /^B\d{2}[A-Z]{2}\d{2}[A-Z]{2,4}$/, applianceType: 'refrigerator' },
+      ],
+      // Kenmore (Sears) models are a three-digit source code, a dot and a serial, sometimes with a
+      // letter-and-digits suffix (665.13223K900)
+      Kenmore: [
+        { pattern: /^665\.\d{5,8}(?:[A-Z]\d{2,3})?$/, applianceType: 'dishwasher' },
+        { pattern: /^(?:106|253|795|596)\.\d{5,8}(?:[A-Z]\d{2,3})?$/, applianceType: 'refrigerator' },
+      ],
+      Amana: [
+        { pattern: /^AD[A-Z]\d{4}[A-Z]{3}$/, applianceType: 'dishwasher' },
+        { pattern: /^A[BFRS][A-Z]\d{4}[A-Z]{3}$/, applianceType: 'refrigerator' },
+      ],
+      Electrolux: [
+        { pattern: /^EIDW\d{4}[A-Z]{2}$/, applianceType: 'dishwasher' },
+        { pattern: /^E[IW]\d{2}[A-Z]{2}\d{2}[A-Z]{2,4}$/, applianceType: 'refrigerator' },
+      ],
+    },
+  },
+
+  // Appliance error codes and blink patterns (errorCodeService, src/data/errorCodes.json)
+  APPLIANCE_ERROR_CODES: {
+    STATUS: {
+      FOUND: 'found',
+      AMBIGUOUS: 'ambiguous', // The code means different things on different brands or appliances
+      NOT_FOUND: 'not_found',
+    },
+    // Display codes: "F2 E1", "Er IF", "E15", "i20", "5E"; F-E pairs first so "F2 E1" is one code
+    DISPLAY_PATTERN: /\b(?:F\d{1,2}[\s-]?E\d{1,2}|(?:ER|SY)[\s-]?[A-Z]{2}|[A-Z]{1,2}-?\d{1,2}|\d{1,2}[A-Z]|[A-Z]{2})\b/gi,
+    // "blinking 7 times", "flashes seven times", "7 blinks"
+    BLINK_PATTERNS: [
+      /\b(?:blink|flash)(?:s|es|ed|ing)?\s+(\d{1,2}|[a-z]+)\s+times\b/gi,
+      /\b(\d{1,2}|[a-z]+)\s+(?:blinks|flashes)\b/gi,
+    ],
+    NUMBER_WORDS: {
+      one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    },
+    // Codes not in the table are only taken from a message that calls them an error or a display
+    CUE_PATTERN: /\b(?:errors?|err|codes?|fault|display(?:s|ed|ing)?|show(?:s|ing)?|flash\w*|blink\w*|reads?|says)\b/i,
+    INTENT_SCORE: 90, // Rule score for troubleshooting when a message contains an error code
+    LIKELIHOOD_ORDER: ['high', 'medium', 'low'],
+  },
+
+  // Slot Filling (details an intent needs before it can be answered)
+  SLOT: {
+    PART_NUMBER: 'partNumber',
+    MODEL_NUMBER: 'modelNumber',
+    APPLIANCE_TYPE: 'applianceType',
+    ORDER_NUMBER: 'orderNumber',
+  },
+  SLOT_FILLING: {
+    // Required slots per intent, asked for in this order
+    REQUIRED_SLOTS: {
+      compatibility_check: ['partNumber', 'modelNumber'],
+      installation_guide: ['partNumber'],
+      troubleshooting: ['applianceType'],
+      order_support: ['orderNumber'],
+    },
+    QUESTIONS: {
+      partNumber: 'the part number (e.g., PS11752778)',
+      modelNumber: 'your appliance model number (on the rating plate, e.g., WDT780SAEM1)',
+      applianceType: 'whether this is your refrigerator or your dishwasher',
+      // The order lookup also needs the order email or ZIP code, so ask for both at once
+      orderNumber: 'your order number (8 digits, from your confirmation email) and the email address or shipping ZIP code used for the order',
+    },
+    // Lead-ins for the clarifying question, by intent
+    PROMPTS: {
+      compatibility_check: 'I can check that for you.',
+      installation_guide: 'I can walk you through the installation.',
+      troubleshooting: 'I can help with that.',
+      order_support: 'I can check on your order.',
+    },
+    MAX_ATTEMPTS: 2, // Times a slot is asked for when the reply does not answer it
+  },
+
+  // Spelling and vocabulary normalization (messageService.preprocessMessage)
+  NORMALIZATION: {
+    // Informal forms, variants and common misspellings too short to correct by edit distance
+    LEXICON: {
+      frig: 'fridge',
+      frige: 'fridge',
+      fridgerator: 'refrigerator',
+      icemaker: 'ice maker',
+      'ice-maker': 'ice maker',
+      'dish-washer': 'dishwasher',
+      sprayarm: 'spray arm',
+      waterfilter: 'water filter',
+      wont: "won't",
+      doesnt: "doesn't",
+      isnt: "isn't",
+      didnt: "didn't",
+      dont: "don't",
+      whats: "what's",
+    },
+    // Words misspellings are corrected to (also joined when written as two words, e.g. "dish washer");
+    // appliance brands from APPLIANCE_MEMORY.BRANDS are added
+    VOCABULARY: [
+      'refrigerator', 'fridge', 'freezer', 'dishwasher', 'appliance',
+      'gasket', 'compressor', 'thermostat', 'evaporator', 'condenser', 'defrost', 'timer', 'heater', 'heating',
+      'element', 'filter', 'valve', 'inlet', 'dispenser', 'motor', 'pump', 'drain', 'latch', 'hinge', 'handle',
+      'shelf', 'drawer', 'crisper', 'spray', 'dishrack', 'wheel', 'assembly', 'relay', 'circulation', 'detergent',
+      'leaking', 'leaks', 'clogged', 'noise', 'noisy', 'frozen', 'freezing', 'cooling', 'draining', 'broken',
+      'replace', 'replacement', 'install', 'installation', 'compatible', 'compatibility', 'warranty', 'delivery',
+      'tracking', 'shipping',
+    ],
+    // Real words close to a vocabulary word that must never be corrected
+    KNOWN_WORDS: [
+      'leaning', 'leaving', 'cooking', 'cooling', 'filler', 'fitter', 'dinner', 'drawn', 'drink', 'shell',
+      'heated', 'hinges', 'handles', 'timed', 'timing', 'defend', 'deliver', 'relax', 'replay', 'really',
+      'wheels', 'where', 'there', 'these', 'those', 'three', 'their', 'think', 'thanks', 'please', 'water',
+      'about', 'after', 'again', 'could', 'would', 'should', 'which', 'while', 'other', 'order', 'price', 'times',
+    ],
+    MIN_CORRECTION_LENGTH: 5, // Shorter words are only normalized through the lexicon
+    LONG_WORD_LENGTH: 8, // Words this long may be two edits away from the vocabulary word
+  },
+
+  // Messages with several requests ("I need a door gasket for WDT780SAEM1, how hard is it to install?")
+  MULTI_INTENT: {
+    SECONDARY_MIN_SCORE: 30, // Rule score another intent needs to be answered too (about two keyword hits)
+    MAX_INTENTS: 3,
+    // Sections are answered in this order so earlier ones feed later ones: the search finds the part
+    // that the compatibility check and installation guide are about
+    SECTION_ORDER: ['product_search', 'compatibility_check', 'installation_guide', 'troubleshooting', 'order_support'],
+    // Where one request ends and the next begins ("..., how hard is it to install?")
+    CLAUSE_SEPARATOR: /[,;?!]|\.(?:\s|$)|\b(?:and|also|then|plus)\b/i,
+    SECTION_TITLES: {
+      product_search: 'Parts',
+      compatibility_check: 'Compatibility',
+      installation_guide: 'Installation',
+      troubleshooting: 'Troubleshooting',
+      order_support: 'Order',
+    },
+  },
+
+  // LLM (function calling over the tool registry)
+  LLM: {
+    MAX_TOOL_ITERATIONS: 5, // Model round trips before giving up on a final answer
+    HISTORY_MESSAGES: 10, // Recent conversation turns sent with each request
+    MAX_TOOL_RESULT_CHARS: 8000, // Tool output is truncated past this to keep prompts small
+    TEMPERATURE: 0.2,
+    SYSTEM_PROMPT: [
+      'You are the PartSelect parts assistant. You only help with refrigerator and dishwasher parts:',
+      'finding parts, checking compatibility, installation, troubleshooting, orders and the cart.',
+      'Use the tools for every fact about parts, prices, stock, compatibility and orders; never invent part numbers.',
+      'If a tool returns no answer, say so plainly. Politely decline anything unrelated to refrigerator or dishwasher parts.',
+      'Keep answers short and conversational.',
+    ].join(' '),
+  },
+
+  // Streaming chat (Server-Sent Events), in the order they are sent
+  STREAM_EVENT: {
+    SCOPE: 'scope',
+    INTENT: 'intent',
+    TOOL_START: 'tool_start',
+    TOOL_END: 'tool_end',
+    TOKEN: 'token',
+    FINAL: 'final',
+    ERROR: 'error',
+  },
+
+  // Hybrid intent classification (rules first, LLM fallback when the rules are unsure)
+  INTENT_CLASSIFIER: {
+    CLASSIFIER: {
+      RULES: 'rules',
+      MODEL: 'model',
+      LLM: 'llm',
+    },
+    RULE_CONFIDENCE_THRESHOLD: 0.3, // Rule confidence needed to skip the fallback
+    RULE_MIN_MARGIN: 0.1, // Lead over the runner-up intent needed to skip the fallback
+    PRICE_QUESTION_SCORE: 60, // Rule score for order_support when a message asks a price
+    SYSTEM_PROMPT:
+      'You classify messages sent to the PartSelect chat assistant for refrigerator and dishwasher parts. ' +
+      'Intents: product_search (finding or asking about a part), compatibility_check (whether a part fits a model), ' +
+      'installation_guide (how to install or replace a part), troubleshooting (an appliance symptom or malfunction), ' +
+      'order_support (order status, tracking, buying, cart, price), general_inquiry (greetings or anything else). ' +
+      'Extract the PartSelect part number (PS followed by digits), the appliance model number and the appliance type ' +
+      'only if they appear in the message, otherwise null. Confidence is your probability (0-1) that the intent is right. ' +
+      'Reply with JSON only.',
+  },
+
+  // Trained NLU model (naive Bayes intent and scope classifiers)
+  NLU: {
+    MODEL_VERSION: 1,
+    NGRAM_RANGE: [1, 2],
+    SMOOTHING: 1, // Laplace smoothing (alpha)
+    INTENT_MIN_CONFIDENCE: 0.6, // Model intent is used at or above this probability
+    INTENT_OVERRULE_CONFIDENCE: 0.95, // Model intent overrules keyword hits for another intent at or above this
+    SCOPE_MIN_CONFIDENCE: 0.8, // Model scope verdict is used at or above this probability
+    SCOPE_LABEL: {
+      IN_SCOPE: 'in_scope',
+      OUT_OF_SCOPE: 'out_of_scope',
+    },
+    ENTITY_TYPES: ['partNumbers', 'modelNumbers', 'manufacturerPartNumbers', 'errorCodes'],
+    // Offline evaluation (npm run nlu:eval) fails below these
+    EVAL_THRESHOLDS: {
+      SCOPE_ACCURACY: 0.85,
+      INTENT_ACCURACY: 0.8,
+      ENTITY_F1: 0.6,
+    },
+    EVAL_METRIC_TOLERANCE: 0.005, // Drops smaller than this are not reported as regressions
+  },
+
+  // Prompt-injection and jailbreak guard (promptGuardService), run before scope detection
+  PROMPT_GUARD: {
+    VERDICT: {
+      ALLOW: 'allow',
+      BLOCK: 'block',
+    },
+    CATEGORY: {
+      INSTRUCTION_OVERRIDE: 'instruction_override',
+      PROMPT_EXTRACTION: 'prompt_extraction',
+      ROLE_PLAY: 'role_play',
+      ENCODED_PAYLOAD: 'encoded_payload',
+      INSTRUCTION_SMUGGLING: 'instruction_smuggling',
+    },
+    BLOCK_SCORE: 0.8, // Summed weights of the matched rules at which a message is refused
+    // Weights: 0.9+ blocks on its own; 0.4-0.6 are ordinary phrasing too ("can this act as a replacement?")
+    // and only block together with another signal
+    RULES: [
+      {
+        id: 'ignore_instructions',
+        category: 'instruction_override',
+        weight: 1,
+        description: 'asks to ignore or override earlier instructions',
+        pattern: /\b(?:ignore|disregard|forget|override|bypass)\b[\w\s,']{0,30}?\b(?:previous|prior|above|earlier|preceding|original|system|your|all|any)\b[\w\s']{0,20}?\b(?:instructions?|prompts?|rules|directions|guidelines|directives|programming|constraints)\b/i,
+      },
+      {
+        id: 'stop_following_rules',
+        category: 'instruction_override',
+        weight: 0.9,
+        description: 'asks the assistant to stop following its rules',
+        pattern: /\b(?:do not|don't|stop|quit) (?:follow(?:ing)?|obey(?:ing)?) (?:your|the|any) (?:rules|instructions|guidelines|programming)\b/i,
+      },
+      {
+        id: 'new_instructions',
+        category: 'instruction_override',
+        weight: 0.6,
+        description: 'supplies new instructions for the assistant',
+        pattern: /\b(?:new|updated|real|actual) (?:instructions|rules|task|system prompt)\s*:|\bfrom now on,? you (?:will|must|should|are|shall)\b/i,
+      },
+      {
+        id: 'system_prompt',
+        category: 'prompt_extraction',
+        weight: 0.9,
+        description: 'asks about the system prompt',
+        pattern: /\b(?:system|initial|hidden|secret|developer) (?:prompt|instructions)\b/i,
+      },
+      {
+        id: 'reveal_instructions',
+        category: 'prompt_extraction',
+        weight: 0.9,
+        description: 'asks the assistant to reveal its prompt or earlier text',
+        // Only the assistant's own prompt: "show me the instructions" after an installation guide is fine
+        pattern: /\b(?:reveal|print|show|dump|leak|output|repeat|echo)\b(?: me)? (?:your|the) (?:(?:system|hidden|initial|original|secret|developer) (?:prompt|instructions|configuration|directives)|prompt)\b|\b(?:reveal|print|show|dump|leak|output|repeat|echo)\b(?: me)? your (?:configuration|directives)\b|\b(?:repeat|print|output|reveal|echo)\b[\w\s]{0,20}?\b(?:everything|all|the text|the words)\s+(?:above|before this|you were told)\b/i,
+      },
+      {
+        id: 'ask_instructions',
+        category: 'prompt_extraction',
+        weight: 0.6,
+        description: 'asks what the assistant\'s instructions are',
+        pattern: /\bwhat (?:are|were) your (?:instructions|rules|guidelines|directives)\b|\bhow (?:were|are) you (?:programmed|instructed|configured)\b/i,
+      },
+      {
+        id: 'jailbreak_persona',
+        category: 'role_play',
+        weight: 1,
+        description: 'invokes a known jailbreak persona',
+        // Case-sensitive: "DAN" only as the persona ("you are DAN", "DAN mode"), never the name Dan
+        pattern: /\b(?:[Yy]ou(?:'re| are)|[Aa]ct as|[Bb]ecome|[Pp]lay|[Pp]retend to be)(?: now)? DAN\b|\bDAN (?:mode|prompt|jailbreak)\b/,
+      },
+      {
+        id: 'jailbreak_phrase',
+        category: 'role_play',
+        weight: 1,
+        description: 'names a jailbreak',
+        pattern: /\b(?:do anything now|jailbreak|jailbroken|evil (?:mode|twin|assistant))\b/i,
+      },
+      {
+        id: 'special_mode',
+        category: 'role_play',
+        weight: 0.5,
+        description: 'mentions a developer or god mode',
+        // Appliances have service and demo modes too: "the dryer is in dev mode" is not a jailbreak on its own
+        pattern: /\b(?:developer|dev|god) mode\b/i,
+      },
+      {
+        id: 'persona_switch',
+        category: 'role_play',
+        weight: 0.6,
+        description: 'asks the assistant to play a different role',
+        pattern: /\b(?:pretend|imagine|roleplay|role-play|role play)\b[\w\s']{0,20}?\b(?:you(?:'re| are)|to be|as)\b|\byou are (?:now|no longer)\b|\bact as (?:an?|my|the|if)\b/i,
+      },
+      {
+        id: 'no_restrictions',
+        category: 'role_play',
+        weight: 0.6,
+        description: 'asks the assistant to drop its restrictions',
+        pattern: /\b(?:without|no|free (?:of|from)|remove|bypass) (?:all |any |your |the )?(?:restrictions|limitations|filters|censorship|safety|ethics|content polic(?:y|ies))\b|\b(?:unfiltered|uncensored|unrestricted)\b/i,
+      },
+      {
+        id: 'decode_and_follow',
+        category: 'encoded_payload',
+        weight: 0.9,
+        description: 'asks the assistant to decode a payload and act on it',
+        pattern: /\b(?:decode|decrypt|deobfuscate|unscramble)\b[\w\s]{0,30}?\b(?:and|then)\b[\w\s]{0,10}?\b(?:follow|execute|run|do|obey|answer|respond to)\b/i,
+      },
+      {
+        id: 'chat_template_tokens',
+        category: 'instruction_smuggling',
+        weight: 1,
+        description: 'contains chat template or role tokens',
+        pattern: /<\|(?:im_start|im_end|system|user|assistant|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|<\/?(?:system|assistant|instructions?)>/i,
+      },
+      {
+        id: 'fake_role_header',
+        category: 'instruction_smuggling',
+        weight: 0.9,
+        description: 'starts a line as a system, assistant or instruction message',
+        // Only a header followed by instructions: "system: my fridge model is WRS325SDHZ" is not one
+        pattern: /^[ \t]*(?:#{1,6}[ \t]*)?(?:system|assistant|developer|admin)(?: message| prompt)?[ \t]*:\s*(?:you\b|your\b|ignore|disregard|forget|override|always|never|do not|don't|from now on|respond|reply|answer|act|pretend|reveal|print|output|follow|obey|comply|the (?:user|assistant)\b|new (?:instructions|rules))|^[ \t]*#{2,6}[ \t]*(?:new )?(?:instructions?|task)\b/im,
+      },
+      {
+        id: 'html_comment',
+        category: 'instruction_smuggling',
+        weight: 0.5,
+        description: 'hides text in an HTML comment',
+        pattern: /<!--[\s\S]*?-->/,
+      },
+    ],
+    // Zero-width and bidirectional control characters: stripped before the rules run ("ig\u200Bnore")
+    HIDDEN_CHARACTERS: /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g,
+    HIDDEN_CHARACTERS_WEIGHT: 0.4,
+    // Encoded text is decoded and checked with the same rules
+    ENCODINGS: {
+      base64: /[A-Za-z0-9+/]{24,}={0,2}/g,
+      hex: /\b(?:[0-9a-f]{2}){12,}\b|(?:\\x[0-9a-f]{2}){6,}/gi,
+      unicode_escape: /(?:\\u[0-9a-f]{4}){6,}/gi,
+      url_encoding: /(?:%[0-9a-f]{2}){6,}/gi,
+    },
+    ENCODED_TEXT_WEIGHT: 0.4, // Readable text hidden in an encoding, even without a matched rule
+    MAX_DECODE_DEPTH: 2, // Base64 inside base64 is decoded once more
+    MIN_PRINTABLE_RATIO: 0.9, // Decoded bytes must be this printable to count as text
+    REFUSAL_MESSAGE:
+      "I can't help with that. I'm the PartSelect assistant for refrigerator and dishwasher parts: I can find parts, check compatibility, walk you through installation and troubleshooting, and look up orders. What can I help you with?",
+    // Stored in the conversation history instead of a refused message, so it never reaches the LLM
+    REFUSED_MESSAGE_PLACEHOLDER: '[message refused by the prompt guard]',
+  },
+
+  // Frustration scoring over the conversation history
+  FRUSTRATION: {
+    LEVEL: {
+      CALM: 'calm',
+      ANNOYED: 'annoyed',
+      FRUSTRATED: 'frustrated',
+    },
+    ANNOYED_SCORE: 0.3,
+    HANDOFF_SCORE: 0.7, // At or above this the conversation goes to a human agent...
+    HANDOFF_MIN_TURNS: 2, // ...once this many customer turns had signals (one angry opener is not enough)
+    TURNS: 5, // Latest user turns scored
+    DECAY: 0.6, // Each earlier turn counts this much less than the one after it
+    // Signals in one message; a message scores the sum of its signal weights (at most 1)
+    SIGNALS: [
+      {
+        id: 'profanity',
+        weight: 0.5,
+        pattern: /\b(?:damn(?:it)?|dammit|hell|crap|crappy|shit\w*|fuck\w*|wtf|bs|bullshit|pissed)\b/i,
+      },
+      {
+        id: 'negative',
+        weight: 0.3,
+        pattern:
+          /\b(?:useless|terrible|awful|horrible|ridiculous|stupid|dumb|worst|hate|annoying|annoyed|frustrat\w*|pathetic|waste of (?:my )?time|not helpful|unhelpful|(?:doesn't|does not|didn't) help|not listening|makes no sense|fed up|sick of)\b/i,
+      },
+      {
+        id: 'already_said',
+        weight: 0.3,
+        pattern:
+          /\b(?:i (?:already|just) (?:told|said|asked|gave)|like i said|as i said|i said|for the (?:second|third|last|\w+th) time|how many times)\b/i,
+      },
+      {
+        id: 'punctuation',
+        weight: 0.15,
+        pattern: /[!?]{3,}/,
+      },
+    ],
+    SHOUTING_WEIGHT: 0.2, // Mostly capitals ("WHERE IS MY ORDER")
+    SHOUTING_MIN_WORDS: 3,
+    REPEAT_WEIGHT: 0.4, // The customer sends (nearly) the same message again
+    REPEAT_SIMILARITY: 0.8, // Word overlap (Jaccard) that counts as a repeat
+    REPEAT_MIN_WORDS: 3, // "yes" twice is not repeating yourself
+    BOT_REPEAT_WEIGHT: 0.3, // The assistant's last two replies were the same
+    POSITIVE_PATTERN: /\b(?:thanks?|thank you|great|perfect|awesome|helpful|appreciate\w*|excellent|got it)\b/gi,
+  },
+
+  // Human-agent handoff
+  HANDOFF: {
+    STATUS: {
+      QUEUED: 'queued',
+      CLAIMED: 'claimed',
+      RESOLVED: 'resolved',
+    },
+    TRIGGER: {
+      CUSTOMER_REQUEST: 'customer_request',
+      FRUSTRATION: 'frustration',
+    },
+    // History role of messages written by a human agent
+    AGENT_ROLE: 'agent',
+    // "let me talk to a person", "can I speak with a real human", "get me a representative"
+    HUMAN_REQUEST_PATTERN:
+      /\b(?:(?:talk|speak|chat) (?:to|with) (?:a |an |some |your )?(?:real |live |actual )?(?:person|human|agent|representative|rep|someone|somebody|operator|manager|supervisor)|(?:real|live|actual) (?:person|human|agent)|human (?:agent|being)|(?:get|transfer|connect) me (?:to |with )?(?:a |an )?(?:person|human|agent|representative|manager|supervisor)|customer (?:service|support) (?:agent|rep\w*))\b/i,
+    AGENT_ID_PATTERN: /^[A-Za-z0-9._@-]{1,64}$/,
+    AGENT_KEY_HEADER: 'x-agent-key',
+  },
+
   // Session Configuration
   SESSION: {
     DEFAULT_EXPIRY_MINUTES: 30,
+    STORE: {
+      MEMORY: 'memory',
+      REDIS: 'redis',
+    },
+    UPDATE_MAX_RETRIES: 10, // Redis updates that lost a race to another write are retried this often
+    UPDATE_RETRY_DELAY_MS: 20, // ... after a random wait of up to this times the attempt number
+    REDIS_CONNECT_TIMEOUT_MS: 5000, // How long the first request waits for Redis to connect
   },
 
   // In-scope Keywords
@@ -116,6 +776,7 @@ const CONSTANTS = {
     'shelf',
     'drawer',
     'ice maker',
+    'defrost timer',
     'dispenser',
     'heating element',
     'pump',
@@ -181,11 +842,48 @@ const CONSTANTS = {
     'funny',
   ],
 
+  // Product Search Configuration
+  SEARCH: {
+    DEFAULT_LIMIT: 5,
+    MAX_LIMIT: 20,
+    MIN_RELEVANCE: 0.35, // Results below this relevance (0-1) are dropped
+    FIELD_WEIGHTS: {
+      name: 3,
+      keywords: 2,
+      applianceTerms: 1,
+      description: 1,
+    },
+    // Extra terms indexed per appliance type so "fridge" finds refrigerator parts
+    APPLIANCE_TERMS: {
+      refrigerator: ['refrigerator', 'fridge', 'freezer'],
+      dishwasher: ['dishwasher'],
+    },
+    STOP_WORDS: [
+      'a', 'an', 'the', 'i', 'me', 'my', 'we', 'you', 'your', 'it', 'is', 'are', 'for', 'of', 'to', 'in',
+      'on', 'and', 'or', 'with', 'do', 'does', 'have', 'has', 'need', 'needs', 'want', 'looking', 'find',
+      'show', 'get', 'can', 'where', 'what', 'which', 'any', 'some', 'new', 'part', 'parts', 'replacement',
+      'please', 'buy', 'order', 'that', 'this', 'one',
+    ],
+  },
+
   // Part number patterns
   PATTERNS: {
     PART_NUMBER: /PS\d{6,}/i,
     MODEL_NUMBER: /([A-Z]{1,3}\d{3,4}[A-Z]{0,2}\d+[A-Z]?\d*)/i,
     SKU_PATTERN: /\d{6,}/,
+    ORDER_NUMBER: /\b[1-9]\d{7}\b/,
+    EMAIL: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i,
+    ZIP_CODE: /\b\d{5}(?:-\d{4})?\b/,
+    // Order status questions (as opposed to price, purchase or cart questions)
+    ORDER_QUESTION: /\b(order|track|tracking|shipp\w*|deliver\w*|package|arrive)\b/i,
+    // Price questions ("how much is PS11752778", "what's the price of the ice maker")
+    PRICE_QUESTION: /\bhow much (?:is|are|does|do|would|will|for)\b|\b(?:price|cost)s? (?:of|for|on)\b/i,
+    // Manufacturer (OEM) part numbers: Whirlpool W10321304 / WPW10321304 / WP2188656,
+    // GE WR9X489, Samsung DA97-07365G, LG 4930DD3002A, Bosch 00620774, Frigidaire 242193275
+    MANUFACTURER_PART_NUMBER: /\b(?:WPW\d{8}|W\d{8}|WP\d{6,8}|W[RD]\d{1,2}X\d{3,5}|D[AD]\d{2}-\d{5}[A-Z]?|\d{4}[A-Z]{2}\d{4}[A-Z]|00\d{6}|24\d{7}|EDR\d[A-Z]{3}\d[A-Z]?|LT\d{3}P)\b/i,
+    // 7-digit Whirlpool legacy numbers only after a part cue ("part 2198597", "#2198597", "Kenmore 2198597"),
+    // so a phone number or a quantity is not taken for one; the number is the first group
+    LEGACY_PART_NUMBER: /(?:\b(?:part|oem|whirlpool|kenmore|maytag|kitchenaid|amana)(?: (?:number|no\.?))?:? ?#? ?|#)(\d{7})\b/i,
   },
 
   // Intent Keywords Mapping
@@ -194,7 +892,7 @@ const CONSTANTS = {
     compatibility_check: ['compatible', 'compatible with', 'fit', 'work with', 'support', 'fit my', 'for my', 'match'],
     installation_guide: ['install', 'how to', 'setup', 'assemble', 'attach', 'how do i', 'help me install', 'steps'],
     troubleshooting: ['broken', 'not working', 'fix', 'repair', 'problem', 'issue', 'what\'s wrong', 'stopped', 'leaking', 'won\'t'],
-    order_support: ['order', 'price', 'cost', 'buy', 'cart', 'checkout', 'where\'s my', 'tracking'],
+    order_support: ['order', 'price', 'cost', 'how much', 'buy', 'cart', 'checkout', 'where\'s my', 'tracking', 'track', 'shipped', 'delivery'],
   },
 };
 
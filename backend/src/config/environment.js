@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 /**
  * Environment Configuration
@@ -21,10 +22,102 @@ const environmentConfig = {
   sessionExpiryMinutes: parseInt(process.env.SESSION_EXPIRY_MINUTES || '30', 10),
   sessionSecret: process.env.SESSION_SECRET || 'default-dev-secret-change-in-production',
 
-  // LLM Configuration (Deepseek)
+  // Session store: memory (default) or redis (needs REDIS_URL)
+  session: {
+    store: (process.env.SESSION_STORE || 'memory').toLowerCase(),
+    keyPrefix: process.env.SESSION_KEY_PREFIX || 'partselect:session:',
+  },
+
+  // LLM Configuration (provider: deepseek, openai, ollama or llamacpp)
+  llm: {
+    provider: (process.env.LLM_PROVIDER || 'deepseek').toLowerCase(),
+  },
+
+  // Intent Classification (ask the LLM when keyword rules are not confident)
+  intentClassifier: {
+    llmFallback: process.env.INTENT_LLM_FALLBACK !== 'false',
+  },
+
+  // Trained NLU model (intent and scope classifiers)
+  nlu: {
+    modelPath: process.env.NLU_MODEL_PATH || path.join(__dirname, '../data/nlu/model.json'),
+    trainingDataPath: process.env.NLU_TRAINING_DATA_PATH || path.join(__dirname, '../data/nlu/training.jsonl'),
+    goldenSetPath: process.env.NLU_GOLDEN_SET_PATH || path.join(__dirname, '../data/nlu/golden.jsonl'),
+    baselinePath: process.env.NLU_BASELINE_PATH || path.join(__dirname, '../data/nlu/baseline.json'),
+  },
+
+  // Deepseek API (OpenAI-compatible)
   deepseek: {
     apiKey: process.env.DEEPSEEK_API_KEY || null,
     model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+    baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+    timeoutMs: parseInt(process.env.DEEPSEEK_TIMEOUT_MS || '30000', 10),
+  },
+
+  // OpenAI or any hosted OpenAI-compatible API
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS || '30000', 10),
+  },
+
+  // Local Ollama server (native API, no key)
+  ollama: {
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    timeoutMs: parseInt(process.env.OLLAMA_TIMEOUT_MS || '120000', 10),
+  },
+
+  // Local llama.cpp server (llama-server, OpenAI-compatible, no key)
+  llamacpp: {
+    model: process.env.LLAMACPP_MODEL || 'local',
+    baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    timeoutMs: parseInt(process.env.LLAMACPP_TIMEOUT_MS || '120000', 10),
+  },
+
+  // Parts Catalog
+  catalog: {
+    path: process.env.PARTS_CATALOG_PATH || path.join(__dirname, '../data/partsCatalog.json'),
+  },
+
+  // Appliance Model Registry (compatibility data)
+  applianceModels: {
+    path: process.env.APPLIANCE_MODELS_PATH || path.join(__dirname, '../data/applianceModels.json'),
+  },
+
+  // Part Cross-References (manufacturer, legacy and superseded numbers)
+  crossReference: {
+    path: process.env.CROSS_REFERENCE_PATH || path.join(__dirname, '../data/crossReference.json'),
+  },
+
+  // Appliance Error Codes (brand-by-appliance display and blink codes)
+  errorCodes: {
+    path: process.env.ERROR_CODES_PATH || path.join(__dirname, '../data/errorCodes.json'),
+  },
+
+  // Order Store (local JSON fake until an order system is connected)
+  orders: {
+    path: process.env.ORDERS_PATH || path.join(__dirname, '../data/orders.json'),
+  },
+
+  // Human agents (handoff queue endpoints are disabled until a key is set)
+  agent: {
+    apiKey: process.env.AGENT_API_KEY || null,
+  },
+
+  // PartSelect storefront (cart export, category pages for appliances we do not cover)
+  partselect: {
+    baseUrl: process.env.PARTSELECT_BASE_URL || 'https://www.partselect.com',
+    addToCartUrl: process.env.PARTSELECT_ADD_TO_CART_URL || 'https://www.partselect.com/shopping-cart/add',
+  },
+
+  // Content Directories (YAML/Markdown)
+  content: {
+    installationGuidesPath:
+      process.env.INSTALLATION_GUIDES_PATH || path.join(__dirname, '../content/installation'),
+    troubleshootingTreesPath:
+      process.env.TROUBLESHOOTING_TREES_PATH || path.join(__dirname, '../content/troubleshooting'),
   },
 
   // Database Configuration
@@ -68,6 +161,16 @@ const validateEnvironment = () => {
     }
   }
 
+  if (!['memory', 'redis'].includes(environmentConfig.session.store)) {
+    errors.push(`❌ SESSION_STORE "${environmentConfig.session.store}" is not supported (memory, redis)`);
+  } else if (environmentConfig.session.store === 'redis' && !environmentConfig.redis.url) {
+    errors.push('❌ REDIS_URL must be set when SESSION_STORE is redis');
+  }
+
+  if (!['deepseek', 'openai', 'ollama', 'llamacpp'].includes(environmentConfig.llm.provider)) {
+    errors.push(`❌ LLM_PROVIDER "${environmentConfig.llm.provider}" is not supported (deepseek, openai, ollama, llamacpp)`);
+  }
+
   // Log warnings
   warnings.forEach((warning) => console.warn(warning));
 
@@ -0,0 +1,93 @@
+const logger = require('../config/logger');
+const { validateSessionId } = require('../utils/validators');
+const { AppError } = require('../middleware/errorHandler');
+const CONSTANTS = require('../config/constants');
+const sessionService = require('../services/sessionService');
+const cartService = require('../services/cartService');
+
+/**
+ * Cart Controller
+ * Exposes the cart built in chat so the frontend can show it and hand it off to PartSelect checkout
+ */
+
+/**
+ * Load the session named in the route, rejecting invalid or unknown IDs
+ * @param {string} sessionId - Session ID from the route
+ * @returns {Promise<Object>} - The session
+ * @throws {AppError} - 400 for an invalid ID, 404 for an unknown session
+ */
+const loadSession = async (sessionId) => {
+  const validation = validateSessionId(sessionId);
+  if (!sessionId || !validation.valid) {
+    throw new AppError(
+      validation.error || 'Session ID is required',
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      CONSTANTS.ERROR_CODE.VALIDATION_ERROR
+    );
+  }
+
+  const session = await sessionService.getSession(sessionId);
+  if (!session) {
+    throw new AppError(
+      `Session ${sessionId} not found`,
+      CONSTANTS.HTTP_STATUS.NOT_FOUND,
+      CONSTANTS.ERROR_CODE.SESSION_NOT_FOUND
+    );
+  }
+
+  return session;
+};
+
+/**
+ * Get the cart for a session
+ * GET /api/cart/:sessionId
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const getCart = async (req, res, next) => {
+  try {
+    const session = await loadSession(req.params.sessionId);
+    const cart = cartService.summarizeCart(cartService.getCart(session));
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      sessionId: session.sessionId,
+      cart,
+    });
+  } catch (error) {
+    logger.error('Error getting cart', { error: error.message, sessionId: req.params.sessionId });
+    next(error);
+  }
+};
+
+/**
+ * Export the cart as a PartSelect add-to-cart payload and deep link
+ * GET /api/cart/:sessionId/export
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const exportCart = async (req, res, next) => {
+  try {
+    const session = await loadSession(req.params.sessionId);
+    const cart = cartService.getCart(session);
+
+    logger.info('Cart exported', { sessionId: session.sessionId, itemCount: cart.items.length });
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      sessionId: session.sessionId,
+      payload: cartService.buildAddToCartPayload(cart, session.sessionId),
+      deepLink: cartService.buildDeepLink(cart),
+    });
+  } catch (error) {
+    logger.error('Error exporting cart', { error: error.message, sessionId: req.params.sessionId });
+    next(error);
+  }
+};
+
+module.exports = {
+  getCart,
+  exportCart,
+};
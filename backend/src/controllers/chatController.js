@@ -16,7 +16,11 @@ const {
 const { AppError } = require('../middleware/errorHandler');
 const CONSTANTS = require('../config/constants');
 const messageService = require('../services/messageService');
+const coreferenceService = require('../services/coreferenceService');
 const sessionService = require('../services/sessionService');
+const promptGuardService = require('../services/promptGuardService');
+const frustrationService = require('../services/frustrationService');
+const handoffService = require('../services/handoffService');
 const scopeDetectionService = require('../services/scopeDetectionService');
 const intentClassificationService = require('../services/intentClassificationService');
 const agentOrchestrator = require('../services/agentOrchestrator');
@@ -27,80 +31,231 @@ const agentOrchestrator = require('../services/agentOrchestrator');
  */
 
 /**
- * Handle incoming chat message
- * @param {Express.Request} req
- * @param {Express.Response} res
- * @param {Express.NextFunction} next
+ * Tell the customer where their handoff stands
+ * @param {Object} handoff - The session's handoff
+ * @param {boolean} justQueued - Whether this message queued it
+ * @param {string|null} trigger - What queued it (customer request or frustration)
+ * @returns {string}
  */
-const handleChatMessage = async (req, res, next) => {
-  const startTime = Date.now();
-  let sessionId;
-  let messageId;
+const describeHandoff = (handoff, justQueued, trigger = null) => {
+  const waiting =
+    handoff.status === CONSTANTS.HANDOFF.STATUS.CLAIMED
+      ? 'An agent has your conversation and will reply here.'
+      : `You're number ${handoff.queuePosition} in the queue for a PartSelect agent, who will reply here and can see our conversation so far.`;
+
+  if (!justQueued) {
+    return `Thanks, I've passed that on. ${waiting}`;
+  }
+  return trigger === CONSTANTS.HANDOFF.TRIGGER.FRUSTRATION
+    ? `I'm sorry this hasn't been working for you. I'm handing you over to a person. ${waiting}`
+    : `Sure, I'm handing you over to a person. ${waiting}`;
+};
+
+/**
+ * Run one chat turn through the message processing pipeline
+ * Shared by the JSON route and the streaming route
+ * @param {Object} params - { message, providedSessionId, startTime }
+ * @param {Object} hooks - { onEvent(event, data), signal } for streaming; signal is aborted when the
+ *   client disconnects
+ * @returns {Promise<Object|null>} - Formatted chat response, or null if the client disconnected
+ *   before orchestration started (nothing is recorded for that turn)
+ */
+const processChatTurn = async ({ message, providedSessionId, startTime }, hooks = {}) => {
+  const { onEvent = null, signal = null } = hooks;
+  const emit = (event, data) => {
+    if (onEvent) onEvent(event, data);
+  };
+
+  // ===== STEP 2: SESSION MANAGEMENT =====
+  const sessionId = providedSessionId || uuidv4();
+  let session = await sessionService.getSession(sessionId);
+
+  if (!session) {
+    session = await sessionService.createSession(sessionId);
+    logger.info('New session created', { sessionId });
+  } else {
+    logger.debug('Existing session retrieved', { sessionId });
+  }
+
+  // ===== STEP 3: PROMPT GUARD & MESSAGE PREPROCESSING =====
+  const messageId = generateMessageId();
 
   try {
-    logger.debug('Incoming chat request', {
-      method: req.method,
-      path: req.path,
-      body: req.body,
-    });
+    // Injection and jailbreak attempts never reach scope detection, the orchestrator or the LLM
+    const guardResult = promptGuardService.inspectMessage(message, { sessionId, messageId });
 
-    // ===== STEP 1: VALIDATE INPUT =====
-    const validation = validateChatMessage(req.body);
-    if (!validation.valid) {
-      logger.warn('Chat message validation failed', { error: validation.error });
-      const error = new AppError(
-        validation.error,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        CONSTANTS.ERROR_CODE.VALIDATION_ERROR
-      );
-      return next(error);
+    if (guardResult.flagged) {
+      emit(CONSTANTS.STREAM_EVENT.SCOPE, {
+        sessionId,
+        messageId,
+        inScope: false,
+        confidence: 1,
+        category: 'prompt_injection',
+        classifier: 'prompt_guard',
+        guard: { verdict: guardResult.verdict, category: guardResult.category, reason: guardResult.reason },
+      });
+
+      const response = formatChatResponse({
+        sessionId,
+        messageId,
+        responseType: CONSTANTS.RESPONSE_TYPE.REFUSAL,
+        content: CONSTANTS.PROMPT_GUARD.REFUSAL_MESSAGE,
+        data: {
+          suggestion: 'Try asking about parts, installation, compatibility, troubleshooting, or orders.',
+        },
+        metadata: {
+          processingTime: calculateProcessingTime(startTime),
+          intent: 'refused',
+          inScope: false,
+          toolsUsed: [],
+          guard: {
+            verdict: guardResult.verdict,
+            category: guardResult.category,
+            reason: guardResult.reason,
+            score: guardResult.score,
+          },
+        },
+      });
+
+      // The refused text is not kept: history is replayed to the LLM on later turns
+      await sessionService.addMessageToHistory(sessionId, {
+        role: 'user',
+        message: CONSTANTS.PROMPT_GUARD.REFUSED_MESSAGE_PLACEHOLDER,
+        messageId,
+        metadata: {
+          guard: { verdict: guardResult.verdict, category: guardResult.category, score: guardResult.score },
+        },
+      });
+
+      await sessionService.addMessageToHistory(sessionId, {
+        role: 'assistant',
+        message: response.response.content,
+        messageId,
+        metadata: {
+          type: response.response.type,
+        },
+      });
+
+      return response;
     }
 
-    const { message, sessionId: providedSessionId } = validation.value;
+    // ===== HUMAN HANDOFF =====
+    // In human mode an agent answers; otherwise hand over when the customer asks for a person or is fed up
+    const humanMode = handoffService.isHumanMode(session);
+    const frustration = humanMode ? null : frustrationService.assessConversation(session.conversationHistory, message);
 
-    // ===== STEP 2: SESSION MANAGEMENT =====
-    sessionId = providedSessionId || uuidv4();
-    let session = await sessionService.getSession(sessionId);
+    if (humanMode || frustration.shouldHandoff) {
+      const trigger = frustration?.humanRequested
+        ? CONSTANTS.HANDOFF.TRIGGER.CUSTOMER_REQUEST
+        : CONSTANTS.HANDOFF.TRIGGER.FRUSTRATION;
+      const { handoff } = humanMode
+        ? { handoff: await handoffService.getSessionHandoff(session) }
+        : await handoffService.requestHandoff(session, { trigger, frustration });
 
-    if (!session) {
-      session = await sessionService.createSession(sessionId);
-      logger.info('New session created', { sessionId });
-    } else {
-      logger.debug('Existing session retrieved', { sessionId });
+      const response = formatChatResponse({
+        sessionId,
+        messageId,
+        responseType: CONSTANTS.RESPONSE_TYPE.HANDOFF,
+        content: describeHandoff(handoff, !humanMode, trigger),
+        data: {
+          handoff: {
+            handoffId: handoff.handoffId,
+            status: handoff.status,
+            queuePosition: handoff.queuePosition,
+          },
+        },
+        metadata: {
+          processingTime: calculateProcessingTime(startTime),
+          intent: 'handoff',
+          inScope: true,
+          toolsUsed: [],
+          frustration: frustration
+            ? { score: frustration.score, level: frustration.level, sentiment: frustration.sentiment }
+            : null,
+        },
+      });
+
+      await sessionService.addMessageToHistory(sessionId, {
+        role: 'user',
+        message,
+        messageId,
+        metadata: {
+          handoffId: handoff.handoffId,
+          frustration: response.metadata.frustration,
+        },
+      });
+
+      // The agent reads the history: only the handover itself is recorded, not the waiting notes
+      if (!humanMode) {
+        await sessionService.addMessageToHistory(sessionId, {
+          role: 'assistant',
+          message: response.response.content,
+          messageId,
+          metadata: {
+            type: response.response.type,
+          },
+        });
+      }
+
+      return response;
     }
 
-    // ===== STEP 3: MESSAGE PREPROCESSING =====
-    messageId = generateMessageId();
-    
-    const preprocessResult = await messageService.preprocessMessage(message);
+    // "how do I install it?" / "the second one" become concrete part and model numbers
+    const preprocessResult = await coreferenceService.resolveMessage(
+      await messageService.preprocessMessage(message),
+      session
+    );
     logger.debug('Message preprocessed', {
       messageId,
       originalLength: message.length,
       cleanedLength: preprocessResult.cleaned.length,
+      corrections: preprocessResult.corrections.length,
+      references: preprocessResult.references.length,
     });
 
     // ===== STEP 4: SCOPE DETECTION =====
-    const scopeResult = await scopeDetectionService.detectScope(preprocessResult.cleaned);
+    const scopeResult = await scopeDetectionService.detectScope(preprocessResult.normalized);
     logger.debug('Scope detection completed', {
       messageId,
       inScope: scopeResult.inScope,
       confidence: scopeResult.confidence,
     });
 
-    // If out of scope, return friendly message
+    emit(CONSTANTS.STREAM_EVENT.SCOPE, {
+      sessionId,
+      messageId,
+      inScope: scopeResult.inScope,
+      confidence: scopeResult.confidence,
+      category: scopeResult.category,
+      classifier: scopeResult.classifier,
+    });
+
+    // If out of scope, return friendly message (washers, dryers, ... get a link to their PartSelect category)
     if (!scopeResult.inScope) {
+      const unsupportedAppliance = scopeResult.category === CONSTANTS.SCOPE.RELATED_UNSUPPORTED;
       const response = formatChatResponse({
         sessionId,
         messageId,
-        responseType: CONSTANTS.RESPONSE_TYPE.OUT_OF_SCOPE,
-        content: "I'm specifically designed to help with Refrigerator and Dishwasher parts from PartSelect. Your question seems to be outside my area of expertise. How can I help you with refrigerator or dishwasher parts instead?",
-        data: {
-          suggestion: 'Try asking about parts, installation, compatibility, troubleshooting, or orders.',
-        },
+        responseType: unsupportedAppliance
+          ? CONSTANTS.RESPONSE_TYPE.UNSUPPORTED_APPLIANCE
+          : CONSTANTS.RESPONSE_TYPE.OUT_OF_SCOPE,
+        content: unsupportedAppliance
+          ? scopeResult.reply.content
+          : "I'm specifically designed to help with Refrigerator and Dishwasher parts from PartSelect. Your question seems to be outside my area of expertise. How can I help you with refrigerator or dishwasher parts instead?",
+        data: unsupportedAppliance
+          ? {
+              appliances: scopeResult.appliances.map((appliance) => appliance.id),
+              redirects: scopeResult.reply.redirects,
+              suggestion: scopeResult.reply.suggestion,
+            }
+          : {
+              suggestion: 'Try asking about parts, installation, compatibility, troubleshooting, or orders.',
+            },
         metadata: {
           processingTime: calculateProcessingTime(startTime),
           intent: 'out_of_scope',
           inScope: false,
+          scopeCategory: scopeResult.category,
           toolsUsed: [],
           confidence: scopeResult.confidence,
         },
@@ -119,17 +274,32 @@ const handleChatMessage = async (req, res, next) => {
         messageId,
       });
 
-      return res.status(CONSTANTS.HTTP_STATUS.OK).json(response);
+      return response;
     }
 
     // ===== STEP 5: INTENT CLASSIFICATION =====
-    const intentResult = await intentClassificationService.classifyIntent(preprocessResult.cleaned);
+    const intentResult = await intentClassificationService.classifyIntent(preprocessResult.normalized);
     logger.debug('Intent classification completed', {
       messageId,
       intent: intentResult.intent,
       confidence: intentResult.confidence,
+      classifier: intentResult.classifier,
     });
 
+    emit(CONSTANTS.STREAM_EVENT.INTENT, {
+      intent: intentResult.intent,
+      intents: intentResult.intents,
+      confidence: intentResult.confidence,
+      classifier: intentResult.classifier,
+      context: intentResult.context,
+    });
+
+    // Nobody is listening any more; skip the expensive part
+    if (signal?.aborted) {
+      logger.info('Client disconnected before orchestration, turn dropped', { messageId, sessionId });
+      return null;
+    }
+
     // ===== STEP 6: AGENT ORCHESTRATION =====
     // Pass all information to agent orchestrator
     const orchestratorInput = {
@@ -140,6 +310,8 @@ const handleChatMessage = async (req, res, next) => {
       session,
       messageId,
       sessionId,
+      onEvent,
+      signal,
     };
 
     const orchestratorResult = await agentOrchestrator.processMessage(orchestratorInput);
@@ -158,13 +330,17 @@ const handleChatMessage = async (req, res, next) => {
       metadata: {
         processingTime: calculateProcessingTime(startTime),
         intent: intentResult.intent,
+        intents: intentResult.intents,
         inScope: true,
         toolsUsed: orchestratorResult.toolsUsed || [],
         confidence: intentResult.confidence,
+        references: preprocessResult.references,
+        frustration: { score: frustration.score, level: frustration.level, sentiment: frustration.sentiment },
       },
     });
 
     // ===== STEP 8: UPDATE CONVERSATION HISTORY =====
+    // Recorded even if a streaming client has gone: the handlers may already have changed the session
     await sessionService.addMessageToHistory(sessionId, {
       role: 'user',
       message,
@@ -172,6 +348,7 @@ const handleChatMessage = async (req, res, next) => {
       metadata: {
         intent: intentResult.intent,
         scope: scopeResult,
+        frustration: response.metadata.frustration,
       },
     });
 
@@ -191,31 +368,155 @@ const handleChatMessage = async (req, res, next) => {
       processingTime: calculateProcessingTime(startTime),
     });
 
-    // ===== STEP 9: SEND RESPONSE =====
-    res.status(CONSTANTS.HTTP_STATUS.OK).json(response);
+    return response;
   } catch (error) {
-    logger.error('Error in handleChatMessage', {
+    logger.error('Error processing chat turn', {
       error: error.message,
       stack: error.stack,
       messageId,
       sessionId,
     });
+    throw error;
+  }
+};
 
-    // If it's an AppError, pass to error handler
-    if (error instanceof AppError) {
-      return next(error);
+/**
+ * Convert an unexpected error to an AppError
+ * @param {Error} error - The error
+ * @returns {AppError}
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  return new AppError(
+    'An unexpected error occurred processing your message',
+    CONSTANTS.HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    CONSTANTS.ERROR_CODE.INTERNAL_SERVER_ERROR
+  );
+};
+
+/**
+ * Validate the chat request body
+ * @param {Object} body - Request body
+ * @returns {Object} - { message, sessionId }
+ * @throws {AppError} - If validation fails
+ */
+const validateChatRequest = (body) => {
+  const validation = validateChatMessage(body);
+  if (!validation.valid) {
+    logger.warn('Chat message validation failed', { error: validation.error });
+    throw new AppError(validation.error, CONSTANTS.HTTP_STATUS.BAD_REQUEST, CONSTANTS.ERROR_CODE.VALIDATION_ERROR);
+  }
+  return validation.value;
+};
+
+/**
+ * Handle incoming chat message
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const handleChatMessage = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    logger.debug('Incoming chat request', {
+      method: req.method,
+      path: req.path,
+      body: req.body,
+    });
+
+    // ===== STEP 1: VALIDATE INPUT =====
+    const { message, sessionId: providedSessionId } = validateChatRequest(req.body);
+
+    // ===== STEPS 2-8: PIPELINE =====
+    const response = await processChatTurn({ message, providedSessionId, startTime });
+
+    // ===== STEP 9: SEND RESPONSE =====
+    res.status(CONSTANTS.HTTP_STATUS.OK).json(response);
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Handle incoming chat message as a Server-Sent Events stream
+ * Events, in order: scope, intent, tool_start / tool_end (per tool), token (content chunks),
+ * then final with the same payload POST /api/chat returns. Failures send an error event.
+ * LLM answers send their tokens as the model writes them; final carries the authoritative content.
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const handleChatStream = async (req, res, next) => {
+  const startTime = Date.now();
+  let request;
+
+  // Validation errors are plain JSON responses; the stream only opens for valid requests
+  try {
+    request = validateChatRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.status(CONSTANTS.HTTP_STATUS.OK);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Aborted when the client goes away, cancelling the LLM requests still running for it
+  const disconnect = new AbortController();
+  const clientGone = () => disconnect.signal.aborted;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnect.abort();
+      logger.info('Streaming client disconnected', { path: req.path });
     }
+  });
+
+  // Set once the LLM has streamed its answer; other replies are split into tokens at the end
+  let streamedTokens = false;
+  const send = (event, data) => {
+    if (clientGone()) return;
+    if (event === CONSTANTS.STREAM_EVENT.TOKEN) streamedTokens = true;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // Convert unexpected error to AppError
-    const appError = new AppError(
-      'An unexpected error occurred processing your message',
-      CONSTANTS.HTTP_STATUS.INTERNAL_SERVER_ERROR,
-      CONSTANTS.ERROR_CODE.INTERNAL_SERVER_ERROR
+  try {
+    const response = await processChatTurn(
+      { message: request.message, providedSessionId: request.sessionId, startTime },
+      { onEvent: send, signal: disconnect.signal }
     );
-    next(appError);
+
+    if (response && !clientGone()) {
+      // Replies built without the LLM are streamed word by word, then the full structured payload
+      if (!streamedTokens) {
+        (response.response.content.match(/\S+\s*/g) || []).forEach((text) => {
+          send(CONSTANTS.STREAM_EVENT.TOKEN, { text });
+        });
+      }
+      send(CONSTANTS.STREAM_EVENT.FINAL, response);
+    }
+  } catch (error) {
+    const appError = toAppError(error);
+    send(CONSTANTS.STREAM_EVENT.ERROR, {
+      success: false,
+      error: { code: appError.errorCode, message: appError.message },
+    });
+  }
+
+  if (!clientGone()) {
+    res.end();
   }
 };
 
 module.exports = {
   handleChatMessage,
+  handleChatStream,
 };
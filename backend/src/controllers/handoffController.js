@@ -0,0 +1,226 @@
+const logger = require('../config/logger');
+const { validateSessionId, validateAgentRequest } = require('../utils/validators');
+const { AppError } = require('../middleware/errorHandler');
+const CONSTANTS = require('../config/constants');
+const sessionService = require('../services/sessionService');
+const handoffService = require('../services/handoffService');
+
+/**
+ * Handoff Controller
+ * Customer side: where the session's handoff stands and the agent's replies.
+ * Agent side: the handoff queue, claiming a handoff, reading its history, replying and resolving.
+ */
+
+/**
+ * Turn a handoff service result into the handoff, or throw the matching HTTP error
+ * @param {Object} outcome - { status, handoff, reason } from handoffService
+ * @param {string} handoffId - Handoff ID from the route
+ * @returns {Object} - The handoff
+ * @throws {AppError} - 404 for an unknown handoff, 409 for a conflicting one
+ */
+const unwrap = (outcome, handoffId) => {
+  if (outcome.status === 'not_found') {
+    throw new AppError(
+      `Handoff ${handoffId} not found`,
+      CONSTANTS.HTTP_STATUS.NOT_FOUND,
+      CONSTANTS.ERROR_CODE.HANDOFF_NOT_FOUND
+    );
+  }
+  if (outcome.status === 'conflict') {
+    throw new AppError(outcome.reason, CONSTANTS.HTTP_STATUS.CONFLICT, CONSTANTS.ERROR_CODE.HANDOFF_CONFLICT);
+  }
+  return outcome.handoff;
+};
+
+/**
+ * Validate an agent request body
+ * @param {Object} body - Request body
+ * @param {Object} options - { requireMessage }
+ * @returns {Object} - { agentId, message }
+ * @throws {AppError} - If validation fails
+ */
+const validateAgentBody = (body, options = {}) => {
+  const validation = validateAgentRequest(body, options);
+  if (!validation.valid) {
+    throw new AppError(validation.error, CONSTANTS.HTTP_STATUS.BAD_REQUEST, CONSTANTS.ERROR_CODE.VALIDATION_ERROR);
+  }
+  return validation.value;
+};
+
+/**
+ * Get the session's handoff and the agent's replies
+ * GET /api/chat/:sessionId/handoff?since=<ISO timestamp>
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const getSessionHandoff = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const validation = validateSessionId(sessionId);
+    if (!validation.valid) {
+      throw new AppError(validation.error, CONSTANTS.HTTP_STATUS.BAD_REQUEST, CONSTANTS.ERROR_CODE.VALIDATION_ERROR);
+    }
+
+    const session = await sessionService.getSession(sessionId);
+    if (!session) {
+      throw new AppError(
+        `Session ${sessionId} not found`,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        CONSTANTS.ERROR_CODE.SESSION_NOT_FOUND
+      );
+    }
+
+    const since = typeof req.query.since === 'string' ? req.query.since : '';
+    const messages = session.conversationHistory.filter(
+      (entry) => entry.role === CONSTANTS.HANDOFF.AGENT_ROLE && entry.timestamp > since
+    );
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      sessionId,
+      humanMode: handoffService.isHumanMode(session),
+      handoff: await handoffService.getSessionHandoff(session),
+      messages,
+    });
+  } catch (error) {
+    logger.error('Error getting session handoff', { error: error.message, sessionId: req.params.sessionId });
+    next(error);
+  }
+};
+
+/**
+ * List the handoff queue
+ * GET /api/agent/handoffs?status=queued
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const listHandoffs = async (req, res, next) => {
+  try {
+    const { status = null } = req.query;
+    if (status && !Object.values(CONSTANTS.HANDOFF.STATUS).includes(status)) {
+      throw new AppError(
+        `status must be one of: ${Object.values(CONSTANTS.HANDOFF.STATUS).join(', ')}`,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        CONSTANTS.ERROR_CODE.VALIDATION_ERROR
+      );
+    }
+
+    const handoffs = await handoffService.listHandoffs(status);
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      count: handoffs.length,
+      handoffs,
+    });
+  } catch (error) {
+    logger.error('Error listing handoffs', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Claim a handoff
+ * POST /api/agent/handoffs/:handoffId/claim { agentId }
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const claimHandoff = async (req, res, next) => {
+  try {
+    const { handoffId } = req.params;
+    const { agentId } = validateAgentBody(req.body);
+    const handoff = unwrap(await handoffService.claimHandoff(handoffId, agentId), handoffId);
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      handoff,
+    });
+  } catch (error) {
+    logger.error('Error claiming handoff', { error: error.message, handoffId: req.params.handoffId });
+    next(error);
+  }
+};
+
+/**
+ * Read the conversation of a handoff
+ * GET /api/agent/handoffs/:handoffId/history
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const getHandoffHistory = async (req, res, next) => {
+  try {
+    const { handoffId } = req.params;
+    const found = await handoffService.getHandoff(handoffId);
+    const handoff = unwrap({ status: found ? 'ok' : 'not_found', handoff: found }, handoffId);
+    const history = await sessionService.getConversationHistory(handoff.sessionId);
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      handoff,
+      history,
+    });
+  } catch (error) {
+    logger.error('Error getting handoff history', { error: error.message, handoffId: req.params.handoffId });
+    next(error);
+  }
+};
+
+/**
+ * Reply into the customer's session
+ * POST /api/agent/handoffs/:handoffId/reply { agentId, message }
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const replyToHandoff = async (req, res, next) => {
+  try {
+    const { handoffId } = req.params;
+    const { agentId, message } = validateAgentBody(req.body, { requireMessage: true });
+    const outcome = await handoffService.postAgentReply(handoffId, agentId, message);
+    const handoff = unwrap(outcome, handoffId);
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      handoff,
+      message: outcome.message,
+    });
+  } catch (error) {
+    logger.error('Error replying to handoff', { error: error.message, handoffId: req.params.handoffId });
+    next(error);
+  }
+};
+
+/**
+ * Resolve a handoff: the assistant answers the session again
+ * POST /api/agent/handoffs/:handoffId/resolve { agentId }
+ * @param {Express.Request} req
+ * @param {Express.Response} res
+ * @param {Express.NextFunction} next
+ */
+const resolveHandoff = async (req, res, next) => {
+  try {
+    const { handoffId } = req.params;
+    const { agentId } = validateAgentBody(req.body);
+    const handoff = unwrap(await handoffService.resolveHandoff(handoffId, agentId), handoffId);
+
+    res.status(CONSTANTS.HTTP_STATUS.OK).json({
+      success: true,
+      handoff,
+    });
+  } catch (error) {
+    logger.error('Error resolving handoff', { error: error.message, handoffId: req.params.handoffId });
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessionHandoff,
+  listHandoffs,
+  claimHandoff,
+  getHandoffHistory,
+  replyToHandoff,
+  resolveHandoff,
+};
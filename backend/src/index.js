@@ -6,7 +6,10 @@ const { corsMiddleware, corsErrorHandler } = require('./middleware/corsHandler')
 const { morganMiddleware, customRequestLogger } = require('./middleware/requestLogger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const chatRoutes = require('./routes/chat.routes');
+const cartRoutes = require('./routes/cart.routes');
+const handoffRoutes = require('./routes/handoff.routes');
 const sessionService = require('./services/sessionService');
+const nluModelService = require('./services/nluModelService');
 
 /**
  * Express Server Initialization
@@ -36,6 +39,10 @@ app.use(customRequestLogger);
 // ===== ROUTES =====
 // Chat API routes
 app.use('/api', chatRoutes);
+// Cart API routes
+app.use('/api', cartRoutes);
+// Human handoff routes (customer status, agent queue)
+app.use('/api', handoffRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -55,6 +62,9 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // ===== SERVER STARTUP =====
+// Load the trained intent/scope model now rather than on the first message
+nluModelService.loadModel();
+
 const PORT = environmentConfig.port;
 const server = app.listen(PORT, () => {
   logger.info(`✅ Backend server started`, {
@@ -76,9 +86,9 @@ const gracefulShutdown = async () => {
 
   // Clean up resources
   try {
-    // Clear expired sessions
-    await sessionService.clearExpiredSessions(0); // Clear all
-    logger.info('✅ Sessions cleaned up');
+    // Close the session store (sessions in Redis stay for other instances and the next start)
+    await sessionService.closeSessionStore();
+    logger.info('✅ Session store closed');
   } catch (error) {
     logger.error('Error during shutdown', { error: error.message });
   }
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const CONSTANTS = require('../config/constants');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Agent Authentication Middleware
+ * Agent endpoints read and write customer conversations, so they need the shared agent key
+ * (AGENT_API_KEY) in the X-Agent-Key header. Without a configured key they are disabled.
+ */
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Key sent by the client
+ * @param {string} expected - Configured key
+ * @returns {boolean}
+ */
+const keysMatch = (provided, expected) => {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Require the agent key
+ */
+const requireAgentKey = (req, res, next) => {
+  const { apiKey } = environmentConfig.agent;
+
+  if (!apiKey) {
+    return next(
+      new AppError(
+        'Agent endpoints are disabled: AGENT_API_KEY is not set',
+        CONSTANTS.HTTP_STATUS.SERVICE_UNAVAILABLE,
+        CONSTANTS.ERROR_CODE.AGENT_ENDPOINTS_DISABLED
+      )
+    );
+  }
+
+  if (!keysMatch(req.get(CONSTANTS.HANDOFF.AGENT_KEY_HEADER) || '', apiKey)) {
+    logger.warn('Agent request with a missing or wrong key', { path: req.path, ip: req.ip });
+    return next(
+      new AppError('A valid agent key is required', CONSTANTS.HTTP_STATUS.UNAUTHORIZED, CONSTANTS.ERROR_CODE.UNAUTHORIZED)
+    );
+  }
+
+  return next();
+};
+
+module.exports = {
+  requireAgentKey,
+};
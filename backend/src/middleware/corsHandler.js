@@ -10,7 +10,7 @@ const logger = require('../config/logger');
 const corsOptions = {
   origin: environmentConfig.frontendUrl,
   methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Agent-Key'],
   credentials: true,
   maxAge: 86400, // 24 hours
 };
@@ -0,0 +1,23 @@
+const express = require('express');
+const cartController = require('../controllers/cartController');
+
+/**
+ * Cart Routes
+ * Read and export the cart built during a chat session
+ */
+
+const router = express.Router();
+
+/**
+ * GET /api/cart/:sessionId
+ * Get the session's cart with line totals and subtotal
+ */
+router.get('/cart/:sessionId', cartController.getCart);
+
+/**
+ * GET /api/cart/:sessionId/export
+ * Export the cart as a PartSelect add-to-cart payload and deep link
+ */
+router.get('/cart/:sessionId/export', cartController.exportCart);
+
+module.exports = router;
@@ -14,6 +14,12 @@ const router = express.Router();
  */
 router.post('/chat', chatController.handleChatMessage);
 
+/**
+ * POST /api/chat/stream
+ * Handle incoming chat messages, streaming pipeline events over Server-Sent Events
+ */
+router.post('/chat/stream', chatController.handleChatStream);
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -0,0 +1,48 @@
+const express = require('express');
+const handoffController = require('../controllers/handoffController');
+const { requireAgentKey } = require('../middleware/agentAuth');
+
+/**
+ * Handoff Routes
+ * Customer status of a human handoff, and the agent endpoints for the handoff queue
+ */
+
+const router = express.Router();
+
+/**
+ * GET /api/chat/:sessionId/handoff
+ * Get the session's handoff and the agent's replies (optionally only those after ?since=)
+ */
+router.get('/chat/:sessionId/handoff', handoffController.getSessionHandoff);
+
+/**
+ * GET /api/agent/handoffs
+ * List open handoffs, oldest first (optionally ?status=queued|claimed)
+ */
+router.get('/agent/handoffs', requireAgentKey, handoffController.listHandoffs);
+
+/**
+ * POST /api/agent/handoffs/:handoffId/claim
+ * Claim a queued handoff
+ */
+router.post('/agent/handoffs/:handoffId/claim', requireAgentKey, handoffController.claimHandoff);
+
+/**
+ * GET /api/agent/handoffs/:handoffId/history
+ * Read the conversation history of a handoff
+ */
+router.get('/agent/handoffs/:handoffId/history', requireAgentKey, handoffController.getHandoffHistory);
+
+/**
+ * POST /api/agent/handoffs/:handoffId/reply
+ * Reply into the customer's session
+ */
+router.post('/agent/handoffs/:handoffId/reply', requireAgentKey, handoffController.replyToHandoff);
+
+/**
+ * POST /api/agent/handoffs/:handoffId/resolve
+ * Resolve the handoff and hand the session back to the assistant
+ */
+router.post('/agent/handoffs/:handoffId/resolve', requireAgentKey, handoffController.resolveHandoff);
+
+module.exports = router;
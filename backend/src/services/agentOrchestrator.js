@@ -1,13 +1,39 @@
 const logger = require('../config/logger');
-const { formatTextResponse } = require('../utils/responseFormatter');
+const {
+  formatTextResponse,
+  formatProductResultsResponse,
+  formatCompatibilityResponse,
+  formatInstallationGuideResponse,
+  formatTroubleshootingResponse,
+  formatOrderStatusResponse,
+  formatCartResponse,
+  formatAppliancesResponse,
+  formatCompositeResponse,
+} = require('../utils/responseFormatter');
+const { extractOrderDetails } = require('../utils/sanitizers');
+const { formatDisplayDate } = require('../utils/helpers');
+const { toolRegistry } = require('../tools');
+const compatibilityService = require('./compatibilityService');
+const crossReferenceService = require('./crossReferenceService');
+const troubleshootingService = require('./troubleshootingService');
+const catalogService = require('./catalogService');
+const cartService = require('./cartService');
+const llmService = require('./llmService');
+const sessionService = require('./sessionService');
+const slotFillingService = require('./slotFillingService');
+const applianceMemoryService = require('./applianceMemoryService');
+const coreferenceService = require('./coreferenceService');
+const errorCodeService = require('./errorCodeService');
+const modelNumberService = require('./modelNumberService');
+const { classifyWithRules } = require('./intentClassificationService');
 const CONSTANTS = require('../config/constants');
 
 /**
  * Agent Orchestrator
  * Coordinates the message processing pipeline
  * Routes to appropriate tools based on intent
- * This is a Phase 1 implementation with mock responses
- * Will be enhanced with real tool integration in later phases
+ * Every handler answers from the tool registry (catalog, compatibility, installation, troubleshooting,
+ * error codes, orders) and the session; general questions go through the LLM tool loop
  */
 
 /**
@@ -16,17 +42,38 @@ const CONSTANTS = require('../config/constants');
  * @returns {Promise<Object>} - Orchestrated response
  */
 const processMessage = async (input) => {
-  const {
-    originalMessage,
-    preprocessedMessage,
-    scope,
-    intent,
-    session,
-    messageId,
-    sessionId,
-  } = input;
+  const { originalMessage, scope, session, messageId, sessionId, onEvent = null, signal = null } = input;
+  let { preprocessedMessage, intent } = input;
 
   try {
+    // ===== RESOLVE MANUFACTURER / SUPERSEDED PART NUMBERS =====
+    const partReferences = resolvePartReferences(preprocessedMessage, intent);
+    ({ preprocessedMessage, intent } = partReferences);
+
+    // ===== REMEMBER THE CUSTOMER'S APPLIANCES =====
+    // The normalized text spells brands and appliances the way they are matched ("whirpool frig")
+    const detectedAppliances = applianceMemoryService.detectAppliances(
+      preprocessedMessage.normalized,
+      preprocessedMessage.entities
+    );
+    const appliances = await applianceMemoryService.recordAppliances(session, sessionId, detectedAppliances);
+
+    // "my dishwasher" means the dishwasher model the customer gave earlier
+    const namesModel = detectedAppliances.some((appliance) => appliance.modelNumber);
+    const rememberedAppliance = namesModel
+      ? null
+      : applianceMemoryService.resolveAppliance(appliances, preprocessedMessage.normalized);
+    if (rememberedAppliance) {
+      intent = {
+        ...intent,
+        context: {
+          ...intent.context,
+          modelNumber: rememberedAppliance.modelNumber,
+          applianceType: rememberedAppliance.applianceType || intent.context.applianceType,
+        },
+      };
+    }
+
     logger.debug('Agent orchestrator processing', {
       messageId,
       intent: intent.intent,
@@ -34,33 +81,142 @@ const processMessage = async (input) => {
     });
 
     // ===== ROUTE TO APPROPRIATE HANDLER BASED ON INTENT =====
+    // Cart commands ("add that to my cart", "I'll take two") are handled as order support
+    const cartCommand = cartService.parseCartCommand(preprocessedMessage.cleaned, preprocessedMessage.entities);
+    // A short reply to a pending troubleshooting question ("yes", "underneath") continues that diagnosis,
+    // unless the message clearly asks for something else
+    const continuesDiagnosis =
+      !startsNewRequest(preprocessedMessage, intent, cartCommand) &&
+      troubleshootingService.isAnswerToPendingQuestion(
+        session?.userContext?.troubleshooting,
+        preprocessedMessage.cleaned
+      );
+    // An order number, email or ZIP code after we asked for one continues that order lookup
+    const continuesOrderLookup = isAnswerToPendingOrderLookup(
+      session?.userContext?.orderLookup,
+      preprocessedMessage.cleaned
+    );
+    // "the second one" after fewer results is asked about, never guessed from the last result
+    const asksWhichPart =
+      Boolean(preprocessedMessage.unresolvedOrdinal) && !continuesDiagnosis && !continuesOrderLookup;
+    let routedIntent = intent.intent;
+    if (continuesDiagnosis) {
+      routedIntent = CONSTANTS.INTENT.TROUBLESHOOTING;
+    } else if (cartCommand || continuesOrderLookup) {
+      routedIntent = CONSTANTS.INTENT.ORDER_SUPPORT;
+    }
+    const conversation = { session, sessionId, onEvent, signal };
     let response;
 
-    switch (intent.intent) {
-      case CONSTANTS.INTENT.PRODUCT_SEARCH:
-        response = await handleProductSearch(preprocessedMessage, intent, messageId);
-        break;
+    // ===== FILL REQUIRED SLOTS =====
+    // Ask for a missing part number, model number, appliance or order number instead of guessing,
+    // and finish the pending request once the reply supplies it
+    const pendingIntent = session?.userContext?.pendingIntent || null;
+    let slotFilling = null;
+    if (session && sessionId && !continuesDiagnosis && !cartCommand && !continuesOrderLookup && !asksWhichPart) {
+      slotFilling = slotFillingService.fillSlots({ routedIntent, intent, preprocessedMessage, pendingIntent });
+    }
+
+    // Listing or forgetting appliances always wins (except over cart commands and replies that fill a
+    // missing slot); a declaration ("I also have a Whirlpool fridge WRS325SDHZ") only when the message
+    // does not continue another conversation
+    const applianceCommand = applianceMemoryService.parseApplianceCommand(preprocessedMessage.normalized, {
+      appliances,
+      detected: detectedAppliances,
+      intentName: routedIntent,
+      partNumbers: preprocessedMessage.entities?.partNumbers || [],
+    });
+    const answersApplianceCommand =
+      Boolean(applianceCommand) &&
+      !cartCommand &&
+      !slotFilling?.answered &&
+      (applianceCommand !== CONSTANTS.APPLIANCE_MEMORY.COMMAND.DECLARE || Boolean(slotFilling));
+
+    // Several requests in one message ("I need a door gasket for WDT780SAEM1, how hard is it to install?")
+    // are answered in one composite response; a reply to a question we asked never is
+    const intentPlan =
+      asksWhichPart ||
+      answersApplianceCommand ||
+      slotFilling?.resumed ||
+      continuesDiagnosis ||
+      cartCommand ||
+      continuesOrderLookup
+        ? []
+        : planIntents(intent, preprocessedMessage);
+
+    if (asksWhichPart) {
+      response = askWhichPart(preprocessedMessage.unresolvedOrdinal, session);
+    } else if (answersApplianceCommand) {
+      if (pendingIntent && sessionId) {
+        await sessionService.updateUserContext(sessionId, { pendingIntent: null });
+      }
+      response = await handleApplianceCommand(
+        applianceCommand,
+        { appliances, detected: detectedAppliances },
+        preprocessedMessage,
+        messageId,
+        conversation
+      );
+    } else if (intentPlan.length > 1) {
+      if (pendingIntent && sessionId) {
+        await sessionService.updateUserContext(sessionId, { pendingIntent: null });
+      }
+      response = await handleMultipleIntents(intentPlan, preprocessedMessage, intent, messageId, conversation);
+    } else if (slotFilling) {
+      routedIntent = slotFilling.intentName;
+      await sessionService.updateUserContext(sessionId, { pendingIntent: slotFilling.pendingIntent });
 
-      case CONSTANTS.INTENT.COMPATIBILITY_CHECK:
-        response = await handleCompatibilityCheck(preprocessedMessage, intent, messageId);
-        break;
+      if (slotFilling.missing.length > 0) {
+        response = {
+          ...formatTextResponse(slotFillingService.buildQuestion(routedIntent, slotFilling.missing)),
+          toolsUsed: [],
+        };
+      }
 
-      case CONSTANTS.INTENT.INSTALLATION_GUIDE:
-        response = await handleInstallationGuide(preprocessedMessage, intent, messageId);
-        break;
+      intent = { ...intent, intent: routedIntent, context: { ...intent.context, ...slotFilling.slots } };
+      if (slotFilling.resumed) {
+        // Answer the original request together with the reply that completed it
+        const partNumbers = [slotFilling.slots.partNumber, ...(preprocessedMessage.entities?.partNumbers || [])];
+        preprocessedMessage = {
+          ...preprocessedMessage,
+          cleaned: slotFilling.message,
+          entities: { ...preprocessedMessage.entities, partNumbers: [...new Set(partNumbers.filter(Boolean))] },
+        };
+      }
+    } else if (pendingIntent && session && sessionId) {
+      await sessionService.updateUserContext(sessionId, { pendingIntent: null });
+    }
 
-      case CONSTANTS.INTENT.TROUBLESHOOTING:
-        response = await handleTroubleshooting(preprocessedMessage, intent, messageId);
-        break;
+    if (!response) {
+      response = await runIntentHandler(routedIntent, preprocessedMessage, intent, messageId, conversation);
+    }
 
-      case CONSTANTS.INTENT.ORDER_SUPPORT:
-        response = await handleOrderSupport(preprocessedMessage, intent, messageId);
-        break;
+    // Remember which parts were just shown ("add that to my cart", "the second one") and which part
+    // and model the conversation is about now ("how do I install it?")
+    const shownParts = collectShownParts(response);
+    if (session && sessionId) {
+      const recentEntities = coreferenceService.updateRecentEntities(session.userContext?.recentEntities, {
+        mentionedParts: preprocessedMessage.entities?.partNumbers || [],
+        shownParts,
+        modelNumber:
+          detectedAppliances.find((appliance) => appliance.modelNumber)?.modelNumber ||
+          rememberedAppliance?.modelNumber ||
+          slotFilling?.slots?.modelNumber ||
+          null,
+        references: preprocessedMessage.references || [],
+      });
+      await sessionService.updateUserContext(sessionId, {
+        recentEntities,
+        ...(shownParts.length > 0 && { lastShownParts: shownParts }),
+      });
+    }
 
-      case CONSTANTS.INTENT.GENERAL_INQUIRY:
-      default:
-        response = await handleGeneralInquiry(preprocessedMessage, intent, messageId);
-        break;
+    // Tell the user when the number they quoted maps to a different or newer part
+    if (partReferences.notices.length > 0) {
+      response = {
+        ...response,
+        content: `${partReferences.notices.join(' ')}\n\n${response.content}`,
+      };
     }
 
     return response;
@@ -80,49 +236,344 @@ const processMessage = async (input) => {
   }
 };
 
+/**
+ * Run the handler for an intent
+ * @param {string} intentName - Intent to answer
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
+ * @returns {Promise<Object>} - Response
+ */
+const runIntentHandler = async (intentName, preprocessedMessage, intent, messageId, conversation) => {
+  switch (intentName) {
+    case CONSTANTS.INTENT.PRODUCT_SEARCH:
+      return handleProductSearch(preprocessedMessage, intent, messageId, conversation);
+
+    case CONSTANTS.INTENT.COMPATIBILITY_CHECK:
+      return handleCompatibilityCheck(preprocessedMessage, intent, messageId, conversation);
+
+    case CONSTANTS.INTENT.INSTALLATION_GUIDE:
+      return handleInstallationGuide(preprocessedMessage, intent, messageId, conversation);
+
+    case CONSTANTS.INTENT.TROUBLESHOOTING:
+      return handleTroubleshooting(preprocessedMessage, intent, messageId, conversation);
+
+    case CONSTANTS.INTENT.ORDER_SUPPORT:
+      return handleOrderSupport(preprocessedMessage, intent, messageId, conversation);
+
+    case CONSTANTS.INTENT.GENERAL_INQUIRY:
+    default:
+      return handleGeneralInquiry(preprocessedMessage, intent, messageId, conversation);
+  }
+};
+
+/**
+ * Get the slots a message fills, without the empty ones
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @returns {Object}
+ */
+const getFilledSlots = (preprocessedMessage, intent) => {
+  return Object.fromEntries(
+    Object.entries(slotFillingService.extractSlots(preprocessedMessage, intent)).filter(([, value]) => value)
+  );
+};
+
+/**
+ * Decide which of the requests in a message can be answered together
+ * Intents are answered in MULTI_INTENT.SECTION_ORDER. A part the message does not name can come from
+ * the product search section; any other missing slot drops that intent (it is asked for on its own).
+ * A search on a named model also gets a compatibility section for the part it finds.
+ * @param {Object} intent - Intent classification result (intents lists every request)
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @returns {Array<string>} - Intents to answer, or [] when fewer than two can be answered
+ */
+const planIntents = (intent, preprocessedMessage) => {
+  const { SECTION_ORDER } = CONSTANTS.MULTI_INTENT;
+  const requested = (intent.intents || [intent.intent]).filter((intentName) => SECTION_ORDER.includes(intentName));
+  if (requested.length < 2) return [];
+
+  const slots = getFilledSlots(preprocessedMessage, intent);
+  const searchesForPart = requested.includes(CONSTANTS.INTENT.PRODUCT_SEARCH) && !slots.partNumber;
+  if (searchesForPart && slots.modelNumber) {
+    requested.push(CONSTANTS.INTENT.COMPATIBILITY_CHECK);
+  }
+
+  const plan = SECTION_ORDER.filter((intentName) => requested.includes(intentName)).filter((intentName) =>
+    slotFillingService
+      .getRequiredSlots(intentName, preprocessedMessage.cleaned)
+      .every(
+        (slot) =>
+          slots[slot] ||
+          (slot === CONSTANTS.SLOT.PART_NUMBER && searchesForPart && intentName !== CONSTANTS.INTENT.PRODUCT_SEARCH)
+      )
+  );
+
+  return plan.length > 1 ? plan : [];
+};
+
+/**
+ * Split a message into the clauses each planned intent asks about
+ * A clause goes to the planned intent with the highest rule score; a clause with no keywords continues
+ * the one before it ("a door gasket for WDT780SAEM1")
+ * @param {string} message - Cleaned message
+ * @param {Array<string>} plan - Result of planIntents
+ * @returns {Object} - Message text per intent (intents without a clause of their own are absent)
+ */
+const splitIntentClauses = (message, plan) => {
+  const clauses = message
+    .split(CONSTANTS.MULTI_INTENT.CLAUSE_SEPARATOR)
+    .map((clause) => (clause || '').trim())
+    .filter(Boolean);
+
+  const texts = {};
+  let current = plan[0];
+  clauses.forEach((clause) => {
+    const { scores } = classifyWithRules(clause);
+    const best = plan.reduce(
+      (top, intentName) => ((scores[intentName] || 0) > (scores[top] || 0) ? intentName : top),
+      current
+    );
+    if ((scores[best] || 0) > 0) current = best;
+    texts[current] = texts[current] ? `${texts[current]} ${clause}` : clause;
+  });
+
+  return texts;
+};
+
+/**
+ * Handle a message with several requests, one section per intent
+ * Sections run in plan order and share what they find: the top part from the search is the part the
+ * compatibility and installation sections answer about
+ * @param {Array<string>} plan - Result of planIntents
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
+ * @returns {Promise<Object>} - Composite response (or the only section's response when one was answered)
+ */
+const handleMultipleIntents = async (plan, preprocessedMessage, intent, messageId, conversation = {}) => {
+  logger.debug('Handling multiple intents', { messageId, intents: plan });
+
+  const context = { ...intent.context, ...getFilledSlots(preprocessedMessage, intent) };
+  // Each section sees its own clause, so the search is not diluted by "how hard is it to install?"
+  const clauses = splitIntentClauses(preprocessedMessage.cleaned, plan);
+  const sections = [];
+
+  for (const intentName of plan) {
+    const missing = slotFillingService
+      .getRequiredSlots(intentName, preprocessedMessage.cleaned)
+      .filter((slot) => !context[slot]);
+
+    // The search found nothing to check or install
+    if (missing.length > 0) {
+      logger.debug('Section skipped, slots missing', { messageId, intent: intentName, missing });
+      continue;
+    }
+
+    const section = await runIntentHandler(
+      intentName,
+      { ...preprocessedMessage, cleaned: clauses[intentName] || preprocessedMessage.cleaned },
+      { ...intent, intent: intentName, context },
+      messageId,
+      conversation
+    );
+    sections.push({ intent: intentName, response: section });
+
+    context.partNumber = context.partNumber || collectShownParts(section)[0] || null;
+  }
+
+  if (sections.length === 1) {
+    return sections[0].response;
+  }
+
+  return {
+    ...formatCompositeResponse(
+      sections.map(({ response }) => response.content).join('\n\n'),
+      sections.map(({ intent: intentName, response }) => ({ ...response, intent: intentName }))
+    ),
+    toolsUsed: [...new Set(sections.flatMap(({ response }) => response.toolsUsed || []))],
+  };
+};
+
+/**
+ * Run a registered tool, reporting its start and finish to the pipeline event listener
+ * (the streaming chat route forwards these to the client)
+ * @param {string} toolName - Registered tool name
+ * @param {Object} inputs - Tool inputs
+ * @param {Object} conversation - { onEvent } pipeline event listener, if any
+ * @returns {Promise<Object>} - Tool result (see BaseTool.run)
+ */
+const runTool = async (toolName, inputs, conversation = {}) => {
+  const { onEvent = null } = conversation;
+
+  if (onEvent) {
+    onEvent(CONSTANTS.STREAM_EVENT.TOOL_START, { tool: toolName });
+  }
+
+  const toolResult = await toolRegistry.getTool(toolName).run(inputs);
+
+  if (onEvent) {
+    onEvent(CONSTANTS.STREAM_EVENT.TOOL_END, {
+      tool: toolName,
+      success: toolResult.success,
+      executionTime: toolResult.executionTime,
+      error: toolResult.error,
+    });
+  }
+
+  return toolResult;
+};
+
+/**
+ * Collect the part numbers a response showed to the user
+ * @param {Object} response - Handler response
+ * @returns {Array<string>} - Part numbers in display order
+ */
+const collectShownParts = (response) => {
+  const data = response?.data;
+  if (!data) return [];
+
+  if (response.type === CONSTANTS.RESPONSE_TYPE.COMPOSITE) {
+    return [...new Set(data.sections.flatMap(collectShownParts))];
+  }
+
+  if (response.type === CONSTANTS.RESPONSE_TYPE.PRODUCT_RESULTS) {
+    return data.products.map((product) => product.id).filter(Boolean);
+  }
+  if (response.type === CONSTANTS.RESPONSE_TYPE.COMPATIBILITY_RESULT && data.part) {
+    return [data.part.id];
+  }
+  if (response.type === CONSTANTS.RESPONSE_TYPE.INSTALLATION_GUIDE && data.partNumber) {
+    return [data.partNumber];
+  }
+
+  return [];
+};
+
+/**
+ * Ask which part was meant when an ordinal points past the last result list
+ * ("add the second one to my cart" after a single result)
+ * @param {Object} unresolvedOrdinal - { phrase, position } from coreferenceService.resolveMessage
+ * @param {Object|null} session - The session
+ * @returns {Object} - Response
+ */
+const askWhichPart = (unresolvedOrdinal, session) => {
+  const shownParts = coreferenceService
+    .getFocus(session)
+    .resultList.map((partNumber) => catalogService.getPartById(partNumber))
+    .filter(Boolean);
+
+  if (shownParts.length === 0) {
+    return {
+      ...formatTextResponse(
+        `I'm not sure which part you mean by "${unresolvedOrdinal.phrase}". ` +
+          'Share the part number (e.g., PS11752778) or search for the part first.'
+      ),
+      toolsUsed: [],
+    };
+  }
+
+  const options = shownParts.map((part) => `- ${part.id}: ${part.name} ($${part.price.toFixed(2)})`).join('\n');
+  const count = shownParts.length === 1 ? '1 part' : `${shownParts.length} parts`;
+  return {
+    ...formatTextResponse(
+      `I only showed ${count}, so I'm not sure which one "${unresolvedOrdinal.phrase}" is. ` +
+        `Which part did you mean? Reply with the part number.\n${options}`
+    ),
+    toolsUsed: [],
+  };
+};
+
+/**
+ * Resolve manufacturer, legacy and superseded part numbers to current PartSelect parts
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @returns {Object} - { preprocessedMessage, intent, resolutions, notices } with part numbers rewritten
+ */
+const resolvePartReferences = (preprocessedMessage, intent) => {
+  const { partNumbers = [], manufacturerPartNumbers = [] } = preprocessedMessage.entities || {};
+
+  const resolutions = [...partNumbers, ...manufacturerPartNumbers]
+    .map((number) => crossReferenceService.resolvePartNumber(number))
+    .filter(Boolean);
+
+  if (resolutions.length === 0) {
+    return { preprocessedMessage, intent, resolutions, notices: [] };
+  }
+
+  // Unresolved PS numbers are kept so handlers can report them as unknown
+  const resolvedInputs = resolutions.map((resolution) => resolution.input);
+  const resolvedPartNumbers = [
+    ...new Set([
+      ...resolutions.map((resolution) => resolution.partNumber),
+      ...partNumbers.filter((partNumber) => !resolvedInputs.includes(partNumber)),
+    ]),
+  ];
+
+  return {
+    preprocessedMessage: {
+      ...preprocessedMessage,
+      entities: { ...preprocessedMessage.entities, partNumbers: resolvedPartNumbers },
+    },
+    intent: {
+      ...intent,
+      context: { ...intent.context, partNumber: resolvedPartNumbers[0] },
+    },
+    resolutions,
+    notices: resolutions.map(crossReferenceService.describeResolution).filter(Boolean),
+  };
+};
+
 /**
  * Handle product search intent
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
  * @returns {Promise<Object>} - Response
  */
-const handleProductSearch = async (preprocessedMessage, intent, messageId) => {
+const handleProductSearch = async (preprocessedMessage, intent, messageId, conversation = {}) => {
   logger.debug('Handling product search', { messageId });
 
-  // Phase 1: Mock response
-  // This will be replaced with real productSearchTool call in Phase 6
-  const mockProducts = [
+  const toolResult = await runTool(
+    'productSearchTool',
     {
-      id: 'PS11752778',
-      name: 'Water Inlet Valve Assembly',
-      price: 45.99,
-      description: 'Replacement water inlet valve for refrigerators',
-      imageUrl: 'https://via.placeholder.com/200',
-      compatibility: ['WDT780SAEM1', 'WDE3100DW01'],
-      inStock: true,
+      query: preprocessedMessage.cleaned,
+      partNumbers: preprocessedMessage.entities.partNumbers || [],
+      applianceType: intent.context.applianceType || null,
+      modelNumber: intent.context.modelNumber || null,
     },
-    {
-      id: 'PS12345678',
-      name: 'Refrigerator Water Filter',
-      price: 28.50,
-      description: 'Standard water filter for most refrigerator models',
-      imageUrl: 'https://via.placeholder.com/200',
-      compatibility: ['Various models'],
-      inStock: true,
-    },
-  ];
+    conversation
+  );
+
+  if (!toolResult.success) {
+    throw new Error(`productSearchTool failed: ${toolResult.error}`);
+  }
+
+  // Results arrive best first; drop weak matches so typos don't surface unrelated parts
+  const products = toolResult.result.data.products.filter(
+    (product) => product.relevanceScore >= CONSTANTS.SEARCH.MIN_RELEVANCE
+  );
+
+  if (products.length === 0) {
+    return {
+      ...formatTextResponse(
+        `I couldn't find any parts matching your search. Could you describe the part differently, or share the part number or your appliance model number?`
+      ),
+      toolsUsed: ['productSearchTool'],
+    };
+  }
 
-  const content = `I found some products that might help. Here are the results for your search:`;
+  const content =
+    products.length === 1
+      ? `I found a part that matches your search:`
+      : `I found ${products.length} parts that match your search:`;
 
   return {
-    type: CONSTANTS.RESPONSE_TYPE.PRODUCT_RESULTS,
-    content,
-    data: {
-      products: mockProducts,
-      count: mockProducts.length,
-    },
-    toolsUsed: ['productSearchTool (mock)'],
+    ...formatProductResultsResponse(content, products),
+    toolsUsed: ['productSearchTool'],
   };
 };
 
@@ -131,36 +582,56 @@ const handleProductSearch = async (preprocessedMessage, intent, messageId) => {
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
  * @returns {Promise<Object>} - Response
  */
-const handleCompatibilityCheck = async (preprocessedMessage, intent, messageId) => {
-  logger.debug('Handling compatibility check', {
-    messageId,
-    modelNumber: intent.context.modelNumber,
-    partNumber: intent.context.partNumber,
-  });
+const handleCompatibilityCheck = async (preprocessedMessage, intent, messageId, conversation = {}) => {
+  const partNumber = intent.context.partNumber;
+  // Prefer a model we have fitment data for over the generic model number pattern
+  const modelNumber =
+    compatibilityService.findKnownModels(preprocessedMessage.cleaned)[0] || intent.context.modelNumber || null;
+
+  logger.debug('Handling compatibility check', { messageId, modelNumber, partNumber });
 
-  // Phase 1: Mock response
-  // Will be replaced with real compatibilityTool call
-  const modelNumber = intent.context.modelNumber || 'WDT780SAEM1';
-  const partNumber = intent.context.partNumber || 'PS11752778';
+  // Never guess: a compatibility answer needs both the part and the model
+  if (!partNumber || !modelNumber) {
+    const missing = [!partNumber && CONSTANTS.SLOT.PART_NUMBER, !modelNumber && CONSTANTS.SLOT.MODEL_NUMBER].filter(Boolean);
 
-  const content = `Great question! I can help you check compatibility.
+    return {
+      ...formatTextResponse(slotFillingService.buildQuestion(CONSTANTS.INTENT.COMPATIBILITY_CHECK, missing)),
+      toolsUsed: [],
+    };
+  }
+
+  const toolResult = await runTool('compatibilityTool', { partNumber, modelNumber }, conversation);
 
-Part ${partNumber} is compatible with your ${modelNumber} model.
+  if (!toolResult.success) {
+    throw new Error(`compatibilityTool failed: ${toolResult.error}`);
+  }
 
-This is a common replacement part for this model and should work perfectly. The installation should take about 15-20 minutes.
+  const result = toolResult.result.data;
+  let content;
 
-Would you like:
-1. Installation instructions for this part?
-2. Information about the part price and availability?
-3. Alternative compatible parts?`;
+  switch (result.status) {
+    case CONSTANTS.COMPATIBILITY_STATUS.COMPATIBLE:
+      content = `Yes, part ${result.partNumber} (${result.part.name}) fits your ${result.modelNumber}.`;
+      break;
+
+    case CONSTANTS.COMPATIBILITY_STATUS.INCOMPATIBLE:
+      content = `No, part ${result.partNumber} (${result.part.name}) does not fit your ${result.modelNumber}.`;
+      if (result.alternatives.length > 0) {
+        content += ` Here ${result.alternatives.length === 1 ? 'is a part' : 'are parts'} of the same type that do fit.`;
+      }
+      break;
+
+    default:
+      content = `I can't confirm whether part ${result.partNumber} fits model ${result.modelNumber}. ${result.evidence.join(' ')} Please double-check the model number on your appliance's rating plate.`;
+      break;
+  }
 
   return {
-    type: CONSTANTS.RESPONSE_TYPE.TEXT,
-    content,
-    data: null,
-    toolsUsed: ['compatibilityTool (mock)'],
+    ...formatCompatibilityResponse(content, result),
+    toolsUsed: ['compatibilityTool'],
   };
 };
 
@@ -169,74 +640,60 @@ Would you like:
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
  * @returns {Promise<Object>} - Response
  */
-const handleInstallationGuide = async (preprocessedMessage, intent, messageId) => {
-  logger.debug('Handling installation guide', {
-    messageId,
-    partNumber: intent.context.partNumber,
-  });
+const handleInstallationGuide = async (preprocessedMessage, intent, messageId, conversation = {}) => {
+  const partNumber = intent.context.partNumber;
 
-  // Phase 1: Mock response
-  // Will be replaced with real installationTool call
-  const partNumber = intent.context.partNumber || 'PS11752778';
+  logger.debug('Handling installation guide', { messageId, partNumber });
 
-  const mockSteps = [
-    {
-      step: 1,
-      instruction: 'Turn off the power to your appliance at the breaker',
-      tips: ['Wait 5 minutes after power is off before proceeding'],
-      warnings: ['Ensure power is completely off for safety'],
-      tools: [],
-    },
-    {
-      step: 2,
-      instruction: 'Locate the water inlet valve (usually at the bottom rear)',
-      tips: ['Consult your user manual for exact location'],
-      warnings: [],
-      tools: ['Flashlight'],
-    },
-    {
-      step: 3,
-      instruction: 'Disconnect the inlet hoses from the old valve',
-      tips: ['Have a towel ready to catch any remaining water'],
-      warnings: ['Water may still be present in hoses'],
-      tools: ['Wrench', 'Towel'],
-    },
-    {
-      step: 4,
-      instruction: 'Install the new valve in the same position',
-      tips: ['Ensure rubber seals are properly positioned'],
-      warnings: [],
-      tools: ['Wrench'],
-    },
-    {
-      step: 5,
-      instruction: 'Reconnect the inlet hoses',
-      tips: ['Hand-tighten first, then use wrench to secure'],
-      warnings: ['Do not overtighten - this can damage the valve'],
-      tools: ['Wrench'],
-    },
-    {
-      step: 6,
-      instruction: 'Turn the power back on and test for leaks',
-      tips: ['Run a short test cycle to ensure proper operation'],
-      warnings: [],
-      tools: [],
-    },
-  ];
+  if (!partNumber) {
+    return {
+      ...formatTextResponse(
+        slotFillingService.buildQuestion(CONSTANTS.INTENT.INSTALLATION_GUIDE, [CONSTANTS.SLOT.PART_NUMBER])
+      ),
+      toolsUsed: [],
+    };
+  }
+
+  const toolResult = await runTool('installationTool', { partNumber }, conversation);
+
+  if (!toolResult.success) {
+    throw new Error(`installationTool failed: ${toolResult.error}`);
+  }
+
+  const { found, part, matchedBy, guide } = toolResult.result.data;
+
+  // Say so plainly rather than making up steps
+  if (!found) {
+    const partLabel = part ? `part ${partNumber} (${part.name})` : `part ${partNumber}`;
+    return {
+      ...formatTextResponse(
+        `I don't have an installation guide for ${partLabel} yet. The installation instructions and videos on the part's PartSelect page are the best place to look.`
+      ),
+      toolsUsed: ['installationTool'],
+    };
+  }
 
-  const content = `Here are the installation instructions for part ${partNumber}:`;
+  const content =
+    matchedBy === 'part'
+      ? `Here are the installation instructions for part ${partNumber}${part ? ` (${part.name})` : ''}:`
+      : `I don't have instructions written for part ${partNumber} specifically, but here is our general guide for this type of part. Your model may differ slightly:`;
 
   return {
-    type: CONSTANTS.RESPONSE_TYPE.INSTALLATION_GUIDE,
-    content,
-    data: {
-      steps: mockSteps,
-      estimatedTime: 30,
-      difficulty: 'medium',
-    },
-    toolsUsed: ['installationTool (mock)'],
+    ...formatInstallationGuideResponse(content, guide.steps, {
+      title: guide.title,
+      summary: guide.summary,
+      partNumber,
+      estimatedTime: guide.estimatedTime,
+      difficulty: guide.difficulty,
+      requiredTools: guide.requiredTools,
+      tips: guide.tips,
+      warnings: guide.warnings,
+      guideSource: matchedBy,
+    }),
+    toolsUsed: ['installationTool'],
   };
 };
 
@@ -245,107 +702,733 @@ const handleInstallationGuide = async (preprocessedMessage, intent, messageId) =
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
  * @returns {Promise<Object>} - Response
  */
-const handleTroubleshooting = async (preprocessedMessage, intent, messageId) => {
-  logger.debug('Handling troubleshooting', { messageId });
+const handleTroubleshooting = async (preprocessedMessage, intent, messageId, conversation = {}) => {
+  const { session = null, sessionId = null } = conversation;
+  const savedState = session?.userContext?.troubleshooting || null;
 
-  // Phase 1: Mock response
-  // Will be replaced with real troubleshootingTool call
+  // A code read off the display ("E15", "blinking 7 times") is looked up instead of diagnosed;
+  // the cleaned text also covers a reply that completed the request ("F21" ... "my dishwasher")
+  const errorCodes = errorCodeService.extractErrorCodes(preprocessedMessage.cleaned);
+  if (errorCodes.length > 0) {
+    return handleErrorCode(errorCodes, preprocessedMessage, intent, messageId, conversation);
+  }
 
-  const mockCauses = [
-    {
-      cause: 'Frozen water line',
-      probability: 'high',
-      description: 'The water inlet line is frozen due to cold temperatures',
-      fix: 'Thaw the line using warm water or wait for warmer conditions',
-    },
-    {
-      cause: 'Faulty water inlet valve',
-      probability: 'medium',
-      description: 'The valve may be stuck or defective',
-      fix: 'Replace the water inlet valve',
-    },
-    {
-      cause: 'Clogged filter',
-      probability: 'medium',
-      description: 'The water filter may be blocked',
-      fix: 'Replace the water filter',
-    },
+  logger.debug('Handling troubleshooting', {
+    messageId,
+    applianceType: intent.context.applianceType,
+    continuing: Boolean(savedState),
+  });
+
+  const toolResult = await runTool(
+    'troubleshootingTool',
     {
-      cause: 'Low water pressure',
-      probability: 'low',
-      description: 'Your home may have low water pressure',
-      fix: 'Check your home water pressure and contact a plumber if needed',
+      message: preprocessedMessage.cleaned,
+      applianceType: intent.context.applianceType || null,
+      modelNumber: intent.context.modelNumber || null,
+      state: savedState,
     },
-  ];
+    conversation
+  );
 
-  const content = `I can help you troubleshoot this issue. Here are the most likely causes based on your symptoms:`;
+  if (!toolResult.success) {
+    throw new Error(`troubleshootingTool failed: ${toolResult.error}`);
+  }
+
+  const result = toolResult.result.data;
+
+  // Keep the diagnosis in the session so the next turn can answer the follow-up question, unless a
+  // concurrent turn changed or ended it meanwhile (its change wins over this stale one)
+  if (session && sessionId) {
+    await sessionService.updateUserContext(sessionId, (userContext) => {
+      if (JSON.stringify(userContext.troubleshooting || null) === JSON.stringify(savedState)) {
+        userContext.troubleshooting = result.state;
+      }
+    });
+  }
+
+  if (result.status === CONSTANTS.TROUBLESHOOTING.STATUS.NEEDS_APPLIANCE) {
+    return {
+      ...formatTextResponse(
+        slotFillingService.buildQuestion(CONSTANTS.INTENT.TROUBLESHOOTING, [CONSTANTS.SLOT.APPLIANCE_TYPE])
+      ),
+      toolsUsed: ['troubleshootingTool'],
+    };
+  }
+
+  if (result.status === CONSTANTS.TROUBLESHOOTING.STATUS.NO_MATCH) {
+    const symptoms = result.availableSymptoms.map((symptom) => `- ${symptom.title}`).join('\n');
+    return {
+      ...formatTextResponse(
+        `I can help you troubleshoot. Could you describe what's happening? I can currently diagnose:\n${symptoms}`
+      ),
+      toolsUsed: ['troubleshootingTool'],
+    };
+  }
+
+  const causes = result.causes.filter(
+    (cause) => cause.probability >= CONSTANTS.TROUBLESHOOTING.RULED_OUT_PROBABILITY
+  );
+  const topCause = causes[0];
+
+  const solutions = causes.map((cause) => ({
+    title: cause.recommendedParts.length > 0 ? `Replace: ${cause.cause}` : `Check: ${cause.cause}`,
+    steps: cause.steps,
+    estimatedTime: cause.estimatedTime,
+    recommendedParts: cause.recommendedParts,
+  }));
+
+  const content = result.nextQuestion
+    ? `${result.lastAnswer ? 'Thanks, that helps. ' : ''}Here are the most likely causes for your ${result.tree.title.toLowerCase()}. To narrow it down: ${result.nextQuestion.text}`
+    : `Based on what you've told me, the most likely cause is: ${topCause.cause} (${Math.round(topCause.probability * 100)}% likely). ${topCause.fix}`;
 
   return {
-    type: CONSTANTS.RESPONSE_TYPE.TROUBLESHOOTING,
-    content,
-    data: {
-      possibleCauses: mockCauses,
-      suggestedSolutions: [
-        {
-          title: 'Quick Fix: Check for Frozen Lines',
-          steps: ['Inspect the water inlet lines', 'If frozen, apply warm water', 'Test ice maker after thawing'],
-          estimatedTime: 15,
-          recommendedParts: [],
+    ...formatTroubleshootingResponse(
+      content,
+      causes.map((cause) => ({ ...cause, probability: cause.likelihood })),
+      solutions,
+      {
+        diagnosis: {
+          treeId: result.tree.id,
+          applianceType: result.tree.applianceType,
+          symptom: result.tree.symptom,
+          status: result.status,
+          answers: result.state ? result.state.answers : null,
         },
+        followUpQuestion: result.nextQuestion,
+      }
+    ),
+    toolsUsed: ['troubleshootingTool'],
+  };
+};
+
+/**
+ * Work out the brand and appliance an error code was read from
+ * The brand named in the message wins ("E15 on my Bosch"), then the model number, then the
+ * remembered appliance of that type (or the only one remembered)
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @param {Object|null} session - The session
+ * @returns {Object} - { brand, applianceType } (null when unknown)
+ */
+const resolveErrorCodeAppliance = (preprocessedMessage, intent, session) => {
+  const { modelNumber = null, applianceType = null } = intent.context;
+  const appliances = applianceMemoryService.getAppliances(session);
+  const model =
+    compatibilityService.getModel(modelNumber) ||
+    (preprocessedMessage.entities?.models || []).find((entry) => entry.modelNumber === modelNumber) ||
+    appliances.find((appliance) => modelNumber && appliance.modelNumber === modelNumber) ||
+    null;
+  const remembered = appliances.filter(
+    (appliance) => appliance.brand && (!applianceType || appliance.applianceType === applianceType)
+  );
+  const fallback = remembered.length === 1 ? remembered[0] : null;
+
+  const [named] = [
+    ...modelNumberService.detectBrands(preprocessedMessage.normalized),
+    ...modelNumberService.detectBrands(preprocessedMessage.cleaned),
+  ];
+
+  return {
+    brand: named || model?.brand || fallback?.brand || null,
+    applianceType: applianceType || model?.applianceType || (named ? null : fallback?.applianceType) || null,
+  };
+};
+
+/**
+ * Handle an error code or blink pattern read off the appliance
+ * Answers with the code's meaning, the likely failed components with their catalog parts and
+ * the next steps, as a troubleshooting response
+ * @param {Array<string>} errorCodes - Codes in the message (the first one is answered)
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
+ * @returns {Promise<Object>} - Response
+ */
+const handleErrorCode = async (errorCodes, preprocessedMessage, intent, messageId, conversation = {}) => {
+  const { session = null, sessionId = null } = conversation;
+  const { STATUS } = CONSTANTS.APPLIANCE_ERROR_CODES;
+  const [code] = errorCodes;
+  const { brand, applianceType } = resolveErrorCodeAppliance(preprocessedMessage, intent, session);
+
+  logger.debug('Handling error code', { messageId, code, brand, applianceType });
+
+  const toolResult = await runTool('errorCodeTool', { code, brand, applianceType }, conversation);
+
+  if (!toolResult.success) {
+    throw new Error(`errorCodeTool failed: ${toolResult.error}`);
+  }
+
+  const result = toolResult.result.data;
+
+  // A new code replaces any diagnosis in progress
+  if (session?.userContext?.troubleshooting && sessionId) {
+    await sessionService.updateUserContext(sessionId, { troubleshooting: null });
+  }
+
+  const describeCandidate = (candidate) => `- ${candidate.brand} ${candidate.applianceType}: ${candidate.meaning}`;
+
+  if (result.status === STATUS.AMBIGUOUS) {
+    return {
+      ...formatTextResponse(
+        `${code} means different things on different appliances. Which brand is showing it?\n${result.candidates.map(describeCandidate).join('\n')}`
+      ),
+      toolsUsed: ['errorCodeTool'],
+    };
+  }
+
+  if (result.status === STATUS.NOT_FOUND) {
+    const appliance = [brand, applianceType].filter(Boolean).join(' ');
+    const listed =
+      result.candidates.length > 0
+        ? ` I only have ${code} listed for:\n${result.candidates.map(describeCandidate).join('\n')}`
+        : '';
+    return {
+      ...formatTextResponse(
+        `I don't have ${code} in my error code list${appliance ? ` for a ${appliance}` : ''}.${listed}\n\nDescribe what the appliance is doing (e.g., "not draining" or "leaking") and I'll help you troubleshoot.`
+      ),
+      toolsUsed: ['errorCodeTool'],
+    };
+  }
+
+  const { match } = result;
+  const causes = match.components.map((component) => ({
+    cause: component.name,
+    probability: component.likelihood,
+    description: component.description,
+    fix: component.parts.length > 0 ? `Replace the ${component.parts[0].name} (${component.parts[0].id}).` : '',
+    recommendedParts: component.parts.map((part) => part.id),
+  }));
+  const [topCause] = causes;
+
+  const reading = code === match.code ? code : `${code} (code ${match.code})`;
+  const content = `On ${match.brand} ${match.applianceType}s, ${reading} means: ${match.meaning} The most likely cause is: ${topCause.cause}. Start here: ${match.steps[0]}`;
+
+  return {
+    ...formatTroubleshootingResponse(
+      content,
+      causes,
+      [
         {
-          title: 'Replacement Solution: Replace Water Inlet Valve',
-          steps: ['Purchase replacement valve PS11752778', 'Follow installation guide', 'Test the ice maker'],
-          estimatedTime: 30,
-          recommendedParts: ['PS11752778'],
+          title: `Clear ${match.code}`,
+          steps: match.steps,
+          estimatedTime: match.estimatedTime,
+          recommendedParts: [...new Set(causes.flatMap((cause) => cause.recommendedParts))],
         },
       ],
-    },
-    toolsUsed: ['troubleshootingTool (mock)'],
+      {
+        diagnosis: {
+          errorCode: match.code,
+          brand: match.brand,
+          applianceType: match.applianceType,
+          meaning: match.meaning,
+          severity: match.severity,
+          status: CONSTANTS.TROUBLESHOOTING.STATUS.COMPLETE,
+        },
+        followUpQuestion: null,
+      }
+    ),
+    toolsUsed: ['errorCodeTool'],
   };
 };
 
+/**
+ * Check whether a message supplies details for a pending order lookup
+ * @param {Object|null} pendingLookup - session.userContext.orderLookup
+ * @param {string} message - Cleaned message
+ * @returns {boolean}
+ */
+const isAnswerToPendingOrderLookup = (pendingLookup, message) => {
+  if (!pendingLookup) return false;
+  const details = extractOrderDetails(message);
+  return Boolean(details.orderNumber || details.email || details.zipCode);
+};
+
+/**
+ * Whether a message makes a new request instead of answering a pending follow-up question
+ * Cart commands, part/model numbers, error codes, order details and a confident other intent all do
+ * @param {Object} preprocessedMessage - Preprocessed message
+ * @param {Object} intent - Intent classification
+ * @param {Object|null} cartCommand - Parsed cart command
+ * @returns {boolean}
+ */
+const startsNewRequest = (preprocessedMessage, intent, cartCommand) => {
+  if (cartCommand) return true;
+
+  const { partNumbers = [], modelNumbers = [], manufacturerPartNumbers = [], errorCodes = [] } =
+    preprocessedMessage.entities || {};
+  if (partNumbers.length + modelNumbers.length + manufacturerPartNumbers.length + errorCodes.length > 0) {
+    return true;
+  }
+
+  const orderDetails = extractOrderDetails(preprocessedMessage.cleaned);
+  if (orderDetails.orderNumber || orderDetails.email) return true;
+
+  return (
+    ![CONSTANTS.INTENT.TROUBLESHOOTING, CONSTANTS.INTENT.GENERAL_INQUIRY].includes(intent.intent) &&
+    intent.confidence >= CONSTANTS.TROUBLESHOOTING.NEW_INTENT_MIN_CONFIDENCE
+  );
+};
+
+/**
+ * Describe a verified order for the user
+ * @param {Object} order - Order status from orderSupportTool
+ * @returns {string}
+ */
+const describeOrderStatus = (order) => {
+  const { STATUS } = CONSTANTS.ORDER;
+  const sentences = [];
+
+  if (order.status === STATUS.DELIVERED && order.deliveredAt) {
+    sentences.push(`Order ${order.orderNumber} was delivered on ${formatDisplayDate(order.deliveredAt)}.`);
+  } else if (order.status === STATUS.CANCELLED) {
+    sentences.push(
+      order.cancelledAt
+        ? `Order ${order.orderNumber} was cancelled on ${formatDisplayDate(order.cancelledAt)}.`
+        : `Order ${order.orderNumber} has been cancelled.`
+    );
+  } else {
+    sentences.push(`Order ${order.orderNumber} is ${order.statusLabel}.`);
+    if (order.expectedDelivery) {
+      sentences.push(`Expected delivery: ${formatDisplayDate(order.expectedDelivery)}.`);
+    }
+  }
+
+  order.shipments.forEach((shipment) => {
+    const latest = shipment.events[0];
+    if (latest) {
+      sentences.push(
+        `Latest ${shipment.carrier} update (${shipment.trackingNumber}): ${latest.description}${latest.location ? ` in ${latest.location}` : ''} on ${formatDisplayDate(latest.timestamp)}.`
+      );
+    }
+  });
+
+  const itemCount = order.items.reduce((count, item) => count + item.quantity, 0);
+  sentences.push(`The order contains ${itemCount} item${itemCount === 1 ? '' : 's'}.`);
+
+  return sentences.join(' ');
+};
+
 /**
  * Handle order support intent
+ * Looks up an order once we have the order number plus the order email or ZIP code,
+ * asking for whichever is missing and keeping the partial lookup in the session
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent } for multi-turn lookups
  * @returns {Promise<Object>} - Response
  */
-const handleOrderSupport = async (preprocessedMessage, intent, messageId) => {
-  logger.debug('Handling order support', { messageId });
+const handleOrderSupport = async (preprocessedMessage, intent, messageId, conversation = {}) => {
+  const { session = null, sessionId = null } = conversation;
+  const pendingLookup = session?.userContext?.orderLookup || null;
+  const details = extractOrderDetails(preprocessedMessage.cleaned);
 
-  // Phase 1: Mock response
-  const content = `I can help with order-related questions! 
+  logger.debug('Handling order support', {
+    messageId,
+    hasOrderNumber: Boolean(details.orderNumber),
+    continuing: Boolean(pendingLookup),
+  });
 
-Unfortunately, I don't yet have access to your order history or pricing database. However, I can help you:
+  const cartCommand = cartService.parseCartCommand(preprocessedMessage.cleaned, preprocessedMessage.entities);
+  if (cartCommand) {
+    return handleCart(cartCommand, preprocessedMessage, messageId, conversation);
+  }
 
-1. Find the right parts for your appliance
-2. Get installation instructions
-3. Troubleshoot issues
+  // Price and purchase questions ("how much is PS11752778", "I want to buy a water filter")
+  // are answered from the catalog; only order questions start an order lookup
+  const partNumbers = preprocessedMessage.entities?.partNumbers || [];
+  const hasOrderDetails = Boolean(details.orderNumber || details.email || details.zipCode);
+  const asksAboutOrder = CONSTANTS.PATTERNS.ORDER_QUESTION.test(preprocessedMessage.cleaned);
+  if (!hasOrderDetails && (partNumbers.length > 0 || !asksAboutOrder)) {
+    return handleProductSearch(preprocessedMessage, intent, messageId, conversation);
+  }
 
-Once you've found the part you need, you can add it to your cart directly on PartSelect.com.
+  const lookup = {
+    orderNumber: details.orderNumber || pendingLookup?.orderNumber || null,
+    email: details.email || pendingLookup?.email || null,
+    zipCode: details.zipCode || pendingLookup?.zipCode || null,
+    failedAttempts: pendingLookup?.failedAttempts || 0,
+  };
 
-What parts are you looking for?`;
+  // Changes are computed from the stored lookup, so failed attempts made in concurrent turns all
+  // count toward the limit
+  const updateLookup = async (change) => {
+    if (!session || !sessionId) {
+      change(pendingLookup);
+      return;
+    }
+    await sessionService.updateUserContext(sessionId, (userContext) => {
+      userContext.orderLookup = change(userContext.orderLookup || null);
+    });
+  };
+  const saveLookup = (state) =>
+    updateLookup((stored) =>
+      state ? { ...state, failedAttempts: Math.max(stored?.failedAttempts || 0, state.failedAttempts) } : null
+    );
+
+  if (!lookup.orderNumber) {
+    await saveLookup(lookup);
+    return {
+      ...formatTextResponse(
+        slotFillingService.buildQuestion(CONSTANTS.INTENT.ORDER_SUPPORT, [CONSTANTS.SLOT.ORDER_NUMBER])
+      ),
+      toolsUsed: [],
+    };
+  }
+
+  if (!lookup.email && !lookup.zipCode) {
+    await saveLookup(lookup);
+    return {
+      ...formatTextResponse(
+        `Thanks. To confirm order ${lookup.orderNumber} is yours, what email address or shipping ZIP code was used for it?`
+      ),
+      toolsUsed: [],
+    };
+  }
+
+  const toolResult = await runTool(
+    'orderSupportTool',
+    {
+      orderNumber: lookup.orderNumber,
+      email: lookup.email,
+      zipCode: lookup.zipCode,
+    },
+    conversation
+  );
+
+  if (!toolResult.success) {
+    throw new Error(`orderSupportTool failed: ${toolResult.error}`);
+  }
+
+  const result = toolResult.result.data;
+
+  if (!result.found) {
+    // Keep the order number but ask for the verification details again, or give up at the limit
+    let failedAttempts = 0;
+    await updateLookup((stored) => {
+      failedAttempts = Math.max(stored?.failedAttempts || 0, lookup.failedAttempts) + 1;
+      return failedAttempts >= CONSTANTS.ORDER.MAX_VERIFICATION_ATTEMPTS
+        ? null
+        : { orderNumber: lookup.orderNumber, email: null, zipCode: null, failedAttempts };
+    });
+
+    if (failedAttempts >= CONSTANTS.ORDER.MAX_VERIFICATION_ATTEMPTS) {
+      return {
+        ...formatTextResponse(
+          `I still couldn't find a matching order. For help with this order, please contact PartSelect customer service with your order confirmation email.`
+        ),
+        toolsUsed: ['orderSupportTool'],
+      };
+    }
+
+    return {
+      ...formatTextResponse(
+        `I couldn't find order ${lookup.orderNumber} with that email address or ZIP code. Please double-check the order number and the email or shipping ZIP code on the order.`
+      ),
+      toolsUsed: ['orderSupportTool'],
+    };
+  }
+
+  await saveLookup(null);
 
   return {
-    type: CONSTANTS.RESPONSE_TYPE.TEXT,
-    content,
-    data: null,
-    toolsUsed: ['orderSupportTool (mock)'],
+    ...formatOrderStatusResponse(describeOrderStatus(result.order), result.order),
+    toolsUsed: ['orderSupportTool'],
+  };
+};
+
+/**
+ * Describe the cart's running subtotal
+ * @param {Object} summary - Cart summary from cartService.summarizeCart
+ * @returns {string}
+ */
+const describeCartTotal = (summary) => {
+  if (summary.itemCount === 0) {
+    return 'Your cart is now empty.';
+  }
+  return `Cart subtotal: $${summary.subtotal.toFixed(2)} (${summary.itemCount} item${summary.itemCount === 1 ? '' : 's'}).`;
+};
+
+/**
+ * Work out which cart item a remove / update command refers to
+ * @param {Object} cart - The cart
+ * @param {Object} command - Parsed cart command
+ * @param {string} message - Cleaned message
+ * @param {Array<string>} lastShownParts - Parts shown on the previous turn
+ * @returns {Array<Object>} - Matching cart items (more than one means the command is ambiguous)
+ */
+const resolveCartItems = (cart, command, message, lastShownParts) => {
+  if (command.partNumbers.length > 0) {
+    return cart.items.filter((item) => command.partNumbers.includes(item.partNumber));
+  }
+
+  const named = cartService.findItemsByName(cart, message);
+  if (named.length > 0) return named;
+
+  if (command.hasReference && lastShownParts.length === 1) {
+    const shown = cart.items.filter((item) => item.partNumber === lastShownParts[0]);
+    if (shown.length > 0) return shown;
+  }
+
+  return cart.items.length === 1 ? cart.items : [];
+};
+
+/**
+ * Handle a cart command (add, remove, update quantity, view, clear)
+ * The cart lives in session.userContext.cart and every reply shows the running subtotal
+ * @param {Object} command - Parsed cart command from cartService.parseCartCommand
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
+ * @returns {Promise<Object>} - Response
+ */
+const handleCart = async (command, preprocessedMessage, messageId, conversation = {}) => {
+  const { session = null, sessionId = null } = conversation;
+  const { ACTION } = CONSTANTS.CART;
+  const cart = cartService.getCart(session);
+  const lastShownParts = session?.userContext?.lastShownParts || [];
+
+  logger.debug('Handling cart command', { messageId, action: command.action, quantity: command.quantity });
+
+  const respond = (content, shownCart = cart) => ({
+    ...formatCartResponse(content, cartService.summarizeCart(shownCart), { lastAction: command.action }),
+    toolsUsed: [],
+  });
+
+  // Changes run on the stored cart, so a concurrent turn's changes are kept; describe() words the
+  // reply from the cart as saved
+  const change = async (operation, describe) => {
+    const updatedCart = sessionId ? await cartService.updateCart(sessionId, operation) : operation(cart);
+    return respond(`${describe()} ${describeCartTotal(cartService.summarizeCart(updatedCart))}`, updatedCart);
+  };
+
+  switch (command.action) {
+    case ACTION.ADD: {
+      // "I'll take 3" is about the part just added or talked about, else the parts just shown
+      const focusPart = coreferenceService.getFocus(session).partNumber;
+      const fallbackParts = focusPart ? [focusPart] : lastShownParts;
+      const partNumbers = command.partNumbers.length > 0 ? command.partNumbers : fallbackParts;
+
+      if (partNumbers.length === 0) {
+        return {
+          ...formatTextResponse(
+            'Which part would you like to add? Share the part number (e.g., PS11752778) or search for the part first.'
+          ),
+          toolsUsed: [],
+        };
+      }
+
+      // "Add that" after several results is ambiguous; an explicit part number never is
+      if (command.partNumbers.length === 0 && partNumbers.length > 1) {
+        const options = partNumbers
+          .map((partNumber) => catalogService.getPartById(partNumber))
+          .filter(Boolean)
+          .map((part) => `- ${part.id}: ${part.name} ($${part.price.toFixed(2)})`)
+          .join('\n');
+        return {
+          ...formatTextResponse(`Which of these would you like to add? Reply with the part number.\n${options}`),
+          toolsUsed: [],
+        };
+      }
+
+      let notes = [];
+      const addParts = (current) => {
+        let updatedCart = current;
+        notes = [];
+
+        partNumbers.forEach((partNumber) => {
+          const part = catalogService.getPartById(partNumber);
+          if (!part) {
+            notes.push(`I couldn't find part ${partNumber} in the catalog.`);
+          } else if (part.stockQuantity <= 0) {
+            notes.push(`${part.name} (${part.id}) is currently out of stock, so I couldn't add it.`);
+          } else {
+            // "I'll take two" for a part already in the cart means two in total
+            const result = cartService.addItem(updatedCart, part, command.quantity, {
+              setQuantity: command.setsQuantity,
+            });
+            updatedCart = result.cart;
+            notes.push(
+              command.setsQuantity && result.existed
+                ? `Updated ${part.name} (${part.id}) to a quantity of ${result.item.quantity}.`
+                : `Added ${result.added} × ${part.name} (${part.id}) to your cart.`
+            );
+            if (result.capped) {
+              notes.push(`Only ${result.item.quantity} can be ordered right now, so I set the quantity to ${result.item.quantity}.`);
+            }
+          }
+        });
+
+        return updatedCart;
+      };
+
+      return change(addParts, () => notes.join(' '));
+    }
+
+    case ACTION.REMOVE:
+    case ACTION.UPDATE_QUANTITY: {
+      if (cart.items.length === 0) {
+        return respond('Your cart is empty.');
+      }
+
+      const items = resolveCartItems(cart, command, preprocessedMessage.cleaned, lastShownParts);
+
+      if (items.length !== 1) {
+        const list = cart.items.map((item) => `- ${item.partNumber}: ${item.name} (qty ${item.quantity})`).join('\n');
+        return {
+          ...formatTextResponse(`Which item do you mean? Your cart has:\n${list}`),
+          toolsUsed: [],
+        };
+      }
+
+      const [item] = items;
+
+      if (command.action === ACTION.REMOVE) {
+        // "Remove one of the wheels" lowers the quantity; "remove the wheels" removes the line
+        let remaining = 0;
+        const removeItem = (current) => {
+          const stored = current.items.find((entry) => entry.partNumber === item.partNumber);
+          remaining = command.explicitQuantity && stored ? Math.max(stored.quantity - command.quantity, 0) : 0;
+          return cartService.updateQuantity(current, item.partNumber, remaining);
+        };
+        return change(removeItem, () =>
+          remaining > 0
+            ? `Removed ${command.quantity} × ${item.name}; ${remaining} left in your cart.`
+            : `Removed ${item.name} (${item.partNumber}) from your cart.`
+        );
+      }
+
+      const part = catalogService.getPartById(item.partNumber);
+      const limit = Math.min(part ? part.stockQuantity : command.quantity, CONSTANTS.CART.MAX_QUANTITY);
+      const quantity = Math.min(command.quantity, limit);
+      const capped = quantity < command.quantity ? ` Only ${quantity} can be ordered right now.` : '';
+      return change(
+        (current) => cartService.updateQuantity(current, item.partNumber, quantity),
+        () => `Updated ${item.name} to a quantity of ${quantity}.${capped}`
+      );
+    }
+
+    case ACTION.CLEAR:
+      return change(() => cartService.createEmptyCart(), () => 'I emptied your cart.');
+
+    case ACTION.VIEW:
+    default: {
+      const summary = cartService.summarizeCart(cart);
+      if (summary.itemCount === 0) {
+        return respond('Your cart is empty. Find a part and say "add it to my cart" to start one.');
+      }
+      const lines = summary.items
+        .map((item) => `- ${item.quantity} × ${item.name} (${item.partNumber}): $${item.lineTotal.toFixed(2)}`)
+        .join('\n');
+      return respond(`Here's your cart:\n${lines}\n${describeCartTotal(summary)}`);
+    }
+  }
+};
+
+/**
+ * Handle an appliance memory command: confirm newly remembered appliances, list them, or forget some
+ * @param {string} command - APPLIANCE_MEMORY.COMMAND value
+ * @param {Object} memory - { appliances, detected } remembered appliances (after this message) and the ones it named
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent }
+ * @returns {Promise<Object>} - Appliances response
+ */
+const handleApplianceCommand = async (command, memory, preprocessedMessage, messageId, conversation = {}) => {
+  const { sessionId = null } = conversation;
+  const { COMMAND } = CONSTANTS.APPLIANCE_MEMORY;
+  let { appliances } = memory;
+  let content;
+
+  logger.debug('Handling appliance command', { messageId, command, applianceCount: appliances.length });
+
+  const listAppliances = (list) =>
+    list.map((appliance) => `- ${applianceMemoryService.describeAppliance(appliance)}`).join('\n');
+
+  switch (command) {
+    case COMMAND.FORGET: {
+      let removed = [];
+      const forget = (stored) => {
+        const result = applianceMemoryService.forgetAppliances(stored, preprocessedMessage.cleaned);
+        removed = result.removed;
+        return result.appliances;
+      };
+      appliances = sessionId ? await applianceMemoryService.updateAppliances(sessionId, forget) : forget(appliances);
+      content = `Done, I've forgotten your ${removed.map(applianceMemoryService.describeAppliance).join(' and ')}.`;
+      break;
+    }
+
+    case COMMAND.LIST:
+      content =
+        appliances.length > 0
+          ? `Here are the appliances you've told me about:\n${listAppliances(appliances)}`
+          : `You haven't told me about any appliances yet. Share a model number (e.g., WDT780SAEM1) and I'll remember it for this conversation.`;
+      break;
+
+    case COMMAND.DECLARE:
+    default: {
+      const described = memory.detected.map(applianceMemoryService.describeAppliance).join(' and ');
+      content = `Got it, I'll remember your ${described}.`;
+
+      const unknown = memory.detected.filter((appliance) => appliance.modelNumber && !appliance.known);
+      if (unknown.length > 0) {
+        content += ` I don't have fitment data for model ${unknown.map((appliance) => appliance.modelNumber).join(', ')} yet, so I may not be able to confirm which parts fit it.`;
+      }
+      if (appliances.length > 1) {
+        content += ` Appliances on file:\n${listAppliances(appliances)}`;
+      }
+      break;
+    }
+  }
+
+  return {
+    ...formatAppliancesResponse(content, appliances, { lastAction: command }),
+    toolsUsed: [],
   };
 };
 
 /**
  * Handle general inquiry intent
+ * With an LLM configured, the model answers using the registered tools; otherwise
+ * (or if the LLM fails) the user gets a summary of what the agent can help with
  * @param {Object} preprocessedMessage - Preprocessed message data
  * @param {Object} intent - Intent classification result
  * @param {string} messageId - Message ID
+ * @param {Object} conversation - { session, sessionId, onEvent, signal } (signal cancels the LLM requests)
  * @returns {Promise<Object>} - Response
  */
-const handleGeneralInquiry = async (preprocessedMessage, intent, messageId) => {
-  logger.debug('Handling general inquiry', { messageId });
+const handleGeneralInquiry = async (preprocessedMessage, intent, messageId, conversation = {}) => {
+  const { session = null, onEvent = null, signal = null } = conversation;
+
+  logger.debug('Handling general inquiry', { messageId, llm: llmService.isConfigured() });
+
+  if (llmService.isConfigured()) {
+    try {
+      const result = await llmService.generateResponse({
+        message: preprocessedMessage.cleaned,
+        conversationHistory: session?.conversationHistory || [],
+        onEvent,
+        signal,
+      });
+
+      if (result.content) {
+        return {
+          ...formatTextResponse(result.content, { llmIterations: result.iterations }),
+          toolsUsed: result.toolsUsed,
+        };
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.info('LLM request cancelled, the client disconnected', { messageId });
+      } else {
+        logger.warn('LLM unavailable, using fallback response', { messageId, error: error.message });
+      }
+    }
+  }
 
   const content = `I'm here to help with your refrigerator and dishwasher parts!
 
@@ -368,10 +1451,12 @@ What would you like to know?`;
 
 module.exports = {
   processMessage,
+  resolvePartReferences,
   handleProductSearch,
   handleCompatibilityCheck,
   handleInstallationGuide,
   handleTroubleshooting,
   handleOrderSupport,
+  handleCart,
   handleGeneralInquiry,
 };
@@ -0,0 +1,277 @@
+const logger = require('../config/logger');
+const sessionService = require('./sessionService');
+const compatibilityService = require('./compatibilityService');
+const modelNumberService = require('./modelNumberService');
+const { detectApplianceType } = require('./intentClassificationService');
+const { getCurrentTimestamp } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Appliance Memory Service
+ * Remembers the customer's appliances for the session (session.userContext.applianceModels) so later
+ * turns can say "my dishwasher" or "my fridge" instead of repeating the model number
+ *
+ * Each remembered appliance is:
+ *   { modelNumber, brand, applianceType, known, lastMentionedAt }
+ * where known says whether the model is in the model registry (src/data/applianceModels.json).
+ * modelNumber is null for an appliance mentioned by brand and type only ("my Whirlpool fridge").
+ *
+ * Like the cart operations, the list operations are pure; updateAppliances() applies one to the list
+ * stored on the session, inside the session store's atomic update.
+ */
+
+const { COMMAND } = CONSTANTS.APPLIANCE_MEMORY;
+
+/**
+ * Get the appliances remembered on a session
+ * @param {Object|null} session - The session
+ * @returns {Array<Object>}
+ */
+const getAppliances = (session) => {
+  return session?.userContext?.applianceModels || [];
+};
+
+/**
+ * Change the appliances remembered on a session
+ * The operation gets the stored list, so appliances named in concurrent turns are all kept.
+ * It may run more than once (see sessionService.updateUserContext).
+ * @param {string} sessionId - The session ID
+ * @param {Function} operation - (appliances) => new appliances
+ * @returns {Promise<Array<Object>>} - The stored appliances after the change
+ */
+const updateAppliances = async (sessionId, operation) => {
+  const session = await sessionService.updateUserContext(sessionId, (userContext) => {
+    userContext.applianceModels = operation(getAppliances({ userContext }));
+  });
+  return getAppliances(session);
+};
+
+/**
+ * Detect an appliance brand named in a message
+ * @param {string} message - Cleaned message
+ * @returns {string|null} - Brand as listed in APPLIANCE_MEMORY.BRANDS
+ */
+const detectBrand = (message) => {
+  return modelNumberService.detectBrands(message)[0] || null;
+};
+
+/**
+ * Find appliance model numbers in a message
+ * Registry models are always found; other model numbers come from the validated entities
+ * (see modelNumberService)
+ * @param {string} message - Cleaned message
+ * @param {Object} entities - Extracted entities
+ * @returns {Array<string>} - Uppercase model numbers
+ */
+const findModelNumbers = (message, entities = {}) => {
+  return [...new Set([...compatibilityService.findKnownModels(message), ...(entities.modelNumbers || [])])];
+};
+
+/**
+ * Detect the appliances a message describes
+ * @param {string} message - Cleaned message
+ * @param {Object} entities - Extracted entities (models gives brand and type for models outside the registry)
+ * @returns {Array<Object>} - [{ modelNumber, brand, applianceType, known }]
+ */
+const detectAppliances = (message, entities = {}) => {
+  const brand = detectBrand(message);
+  const applianceType = detectApplianceType(message);
+  const modelNumbers = findModelNumbers(message, entities);
+
+  if (modelNumbers.length > 0) {
+    return modelNumbers.map((modelNumber) => {
+      const model = compatibilityService.getModel(modelNumber);
+      if (model) {
+        return { modelNumber, brand: model.brand, applianceType: model.applianceType, known: true };
+      }
+      // The brand format tells us brand and type; otherwise the message only describes the model
+      // when it is the only one named
+      const extracted = (entities.models || []).find((candidate) => candidate.modelNumber === modelNumber);
+      const describesModel = modelNumbers.length === 1;
+      return {
+        modelNumber,
+        brand: extracted?.brand || (describesModel ? brand : null),
+        applianceType: extracted?.applianceType || (describesModel ? applianceType : null),
+        known: false,
+      };
+    });
+  }
+
+  // "my Whirlpool fridge": remember the brand and type until the model number comes up
+  if (brand && applianceType) {
+    return [{ modelNumber: null, brand, applianceType, known: false }];
+  }
+
+  return [];
+};
+
+/**
+ * Check whether two appliance records can describe the same appliance
+ * @param {Object} a - Appliance
+ * @param {Object} b - Appliance
+ * @returns {boolean}
+ */
+const isSameAppliance = (a, b) => {
+  if (a.modelNumber && b.modelNumber) return a.modelNumber === b.modelNumber;
+  if (a.applianceType !== b.applianceType) return false;
+  return !a.brand || !b.brand || a.brand === b.brand;
+};
+
+/**
+ * Add or update appliances in the remembered list
+ * A model number replaces a brand-and-type-only entry for the same appliance
+ * @param {Array<Object>} appliances - Remembered appliances
+ * @param {Array<Object>} detected - Result of detectAppliances
+ * @returns {Array<Object>} - New list
+ */
+const rememberAppliances = (appliances, detected) => {
+  const now = getCurrentTimestamp();
+  let updated = [...appliances];
+
+  detected.forEach((appliance) => {
+    const existing = updated.find((candidate) => isSameAppliance(candidate, appliance));
+
+    if (!existing) {
+      updated.push({ ...appliance, lastMentionedAt: now });
+      return;
+    }
+
+    // A brand-and-type mention of a remembered model adds nothing but recency
+    const merged = {
+      modelNumber: existing.modelNumber || appliance.modelNumber,
+      brand: appliance.brand || existing.brand,
+      applianceType: appliance.applianceType || existing.applianceType,
+      known: existing.known || appliance.known,
+      lastMentionedAt: now,
+    };
+    updated = updated.map((candidate) => (candidate === existing ? merged : candidate));
+  });
+
+  // Keep the most recently mentioned appliances
+  return updated
+    .sort((a, b) => b.lastMentionedAt.localeCompare(a.lastMentionedAt))
+    .slice(0, CONSTANTS.APPLIANCE_MEMORY.MAX_APPLIANCES);
+};
+
+/**
+ * Remove appliances a message asks to forget (by model number or appliance type)
+ * @param {Array<Object>} appliances - Remembered appliances
+ * @param {string} message - Cleaned message
+ * @returns {Object} - { appliances, removed }
+ */
+const forgetAppliances = (appliances, message) => {
+  const modelNumbers = new Set(String(message || '').toUpperCase().split(/[^A-Z0-9]+/));
+  const named = appliances.filter((appliance) => appliance.modelNumber && modelNumbers.has(appliance.modelNumber));
+  const applianceType = detectApplianceType(message);
+
+  let removed = named;
+  if (removed.length === 0 && applianceType) {
+    removed = appliances.filter((appliance) => appliance.applianceType === applianceType);
+  } else if (removed.length === 0 && /\bappliances\b/i.test(message)) {
+    removed = appliances;
+  }
+
+  return { appliances: appliances.filter((appliance) => !removed.includes(appliance)), removed };
+};
+
+/**
+ * Find the remembered appliance a message refers to
+ * "my dishwasher" / "my fridge" pick the most recently mentioned appliance of that type with a model
+ * number; "my model" / "my appliance" pick the only remembered model
+ * @param {Array<Object>} appliances - Remembered appliances
+ * @param {string} message - Cleaned message
+ * @returns {Object|null}
+ */
+const resolveAppliance = (appliances, message) => {
+  const withModels = appliances.filter((appliance) => appliance.modelNumber);
+  const owned = String(message || '').match(CONSTANTS.APPLIANCE_MEMORY.OWNED_APPLIANCE_PATTERN);
+  if (withModels.length === 0 || !owned) return null;
+
+  const applianceType = detectApplianceType(owned[0]);
+  if (applianceType) {
+    return withModels.find((appliance) => appliance.applianceType === applianceType) || null;
+  }
+
+  return withModels.length === 1 ? withModels[0] : null;
+};
+
+/**
+ * Parse an appliance memory command
+ * A declaration that comes with a request ("I have a GE fridge that's leaking", "I have a WDT780SAEM1,
+ * does PS11752778 fit?") is not a command; the appliance is remembered and the request is answered
+ * @param {string} message - Cleaned message
+ * @param {Object} context - { appliances, detected, intentName, partNumbers }
+ * @returns {string|null} - APPLIANCE_MEMORY.COMMAND value, or null
+ */
+const parseApplianceCommand = (message, { appliances = [], detected = [], intentName = null, partNumbers = [] } = {}) => {
+  const { DECLARE_PATTERN, LIST_PATTERN, FORGET_PATTERN, OWNED_APPLIANCE_PATTERN } = CONSTANTS.APPLIANCE_MEMORY;
+
+  if (FORGET_PATTERN.test(message)) {
+    const namesRemembered = forgetAppliances(appliances, message).removed.length > 0;
+    if (namesRemembered && (OWNED_APPLIANCE_PATTERN.test(message) || findModelNumbers(message).length > 0)) {
+      return COMMAND.FORGET;
+    }
+  }
+
+  if (LIST_PATTERN.test(message)) {
+    return COMMAND.LIST;
+  }
+
+  const asksForSomething =
+    partNumbers.length > 0 ||
+    [CONSTANTS.INTENT.INSTALLATION_GUIDE, CONSTANTS.INTENT.TROUBLESHOOTING, CONSTANTS.INTENT.ORDER_SUPPORT].includes(
+      intentName
+    );
+  if (detected.length > 0 && DECLARE_PATTERN.test(message) && !asksForSomething) {
+    return COMMAND.DECLARE;
+  }
+
+  return null;
+};
+
+/**
+ * Describe an appliance for a reply
+ * @param {Object} appliance - Remembered appliance
+ * @returns {string} - e.g. "Whirlpool dishwasher (WDT780SAEM1)"
+ */
+const describeAppliance = (appliance) => {
+  const name = [appliance.brand, appliance.applianceType || 'appliance'].filter(Boolean).join(' ');
+  return appliance.modelNumber ? `${name} (${appliance.modelNumber})` : name;
+};
+
+/**
+ * Remember the appliances mentioned in a message
+ * @param {Object|null} session - The session
+ * @param {string|null} sessionId - The session ID
+ * @param {Array<Object>} detected - Result of detectAppliances
+ * @returns {Promise<Array<Object>>} - Remembered appliances after the update
+ */
+const recordAppliances = async (session, sessionId, detected) => {
+  const appliances = getAppliances(session);
+  if (detected.length === 0 || !session || !sessionId) {
+    return appliances;
+  }
+
+  const updated = await updateAppliances(sessionId, (stored) => rememberAppliances(stored, detected));
+
+  logger.debug('Appliances remembered', {
+    sessionId,
+    appliances: updated.map(describeAppliance),
+  });
+
+  return updated;
+};
+
+module.exports = {
+  getAppliances,
+  updateAppliances,
+  detectBrand,
+  findModelNumbers,
+  detectAppliances,
+  rememberAppliances,
+  forgetAppliances,
+  resolveAppliance,
+  parseApplianceCommand,
+  describeAppliance,
+  recordAppliances,
+};
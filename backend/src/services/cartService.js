@@ -0,0 +1,320 @@
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const sessionService = require('./sessionService');
+const { getCurrentTimestamp } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Cart Service
+ * Keeps a shopping cart on the session (session.userContext.cart), parses cart commands
+ * from chat ("add that to my cart", "I'll take two", "remove the rack wheels") and exports
+ * the cart for checkout on PartSelect
+ *
+ * Cart operations are pure: they take a cart and return a new one. updateCart() applies one to the
+ * cart stored on the session, inside the session store's atomic update.
+ */
+
+const { ACTION } = CONSTANTS.CART;
+
+// Words that say nothing about which cart item is meant
+const NAME_MATCH_IGNORED_WORDS = new Set([
+  ...CONSTANTS.SEARCH.STOP_WORDS,
+  ...CONSTANTS.CART.REFERENCE_WORDS,
+  ...Object.keys(CONSTANTS.CART.QUANTITY_WORDS),
+  'cart', 'basket', 'remove', 'delete', 'drop', 'take', 'out', 'from', 'change', 'update', 'set', 'make',
+  'quantity', 'qty', 'refrigerator', 'fridge', 'dishwasher',
+]);
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Create an empty cart
+ * @returns {Object} - { items: [], updatedAt }
+ */
+const createEmptyCart = () => ({
+  items: [],
+  updatedAt: getCurrentTimestamp(),
+});
+
+/**
+ * Get the cart stored on a session
+ * @param {Object|null} session - The session
+ * @returns {Object} - The session's cart, or an empty cart
+ */
+const getCart = (session) => {
+  return session?.userContext?.cart || createEmptyCart();
+};
+
+/**
+ * Change the cart stored on a session
+ * The operation gets the stored cart, not the one read at the start of the turn, so two turns
+ * adding parts at the same time both land. It may run more than once (see updateUserContext).
+ * @param {string} sessionId - The session ID
+ * @param {Function} operation - (cart) => new cart
+ * @returns {Promise<Object>} - The stored cart after the change
+ */
+const updateCart = async (sessionId, operation) => {
+  const session = await sessionService.updateUserContext(sessionId, (userContext) => {
+    userContext.cart = operation(getCart({ userContext }));
+  });
+  return getCart(session);
+};
+
+/**
+ * Summarize a cart with line totals and a running subtotal
+ * @param {Object} cart - The cart
+ * @returns {Object} - { items, itemCount, subtotal, currency, updatedAt }
+ */
+const summarizeCart = (cart) => {
+  const items = cart.items.map((item) => ({
+    ...item,
+    lineTotal: roundCurrency(item.price * item.quantity),
+  }));
+
+  return {
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+    currency: CONSTANTS.CART.CURRENCY,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * Add a part to the cart, or raise its quantity if it is already there
+ * Quantities are capped at the part's stock and at CART.MAX_QUANTITY
+ * @param {Object} cart - The cart
+ * @param {Object} part - Catalog part
+ * @param {number} quantity - Units to add
+ * @param {Object} options - { setQuantity } to make quantity the line's total ("I'll take two")
+ * @returns {Object} - { cart, item, added, capped, existed } where added is negative if the total went down
+ * @throws {Error} - If the part is out of stock
+ */
+const addItem = (cart, part, quantity = 1, { setQuantity = false } = {}) => {
+  if (part.stockQuantity <= 0) {
+    throw new Error(`${part.id} is out of stock`);
+  }
+
+  const existing = cart.items.find((item) => item.partNumber === part.id);
+  const currentQuantity = existing ? existing.quantity : 0;
+  const limit = Math.min(part.stockQuantity, CONSTANTS.CART.MAX_QUANTITY);
+  const requested = setQuantity ? quantity : currentQuantity + quantity;
+  const newQuantity = Math.min(requested, limit);
+
+  const item = {
+    partNumber: part.id,
+    name: part.name,
+    manufacturerPartNumber: part.manufacturerPartNumber || null,
+    price: part.price,
+    quantity: newQuantity,
+  };
+
+  const items = existing
+    ? cart.items.map((entry) => (entry.partNumber === part.id ? item : entry))
+    : [...cart.items, item];
+
+  return {
+    cart: { items, updatedAt: getCurrentTimestamp() },
+    item,
+    added: newQuantity - currentQuantity,
+    capped: newQuantity < requested,
+    existed: Boolean(existing),
+  };
+};
+
+/**
+ * Set the quantity of a cart item (0 removes it)
+ * @param {Object} cart - The cart
+ * @param {string} partNumber - Part in the cart
+ * @param {number} quantity - New quantity
+ * @returns {Object} - New cart
+ */
+const updateQuantity = (cart, partNumber, quantity) => {
+  const clamped = Math.max(0, Math.min(quantity, CONSTANTS.CART.MAX_QUANTITY));
+
+  return {
+    items: cart.items
+      .map((item) => (item.partNumber === partNumber ? { ...item, quantity: clamped } : item))
+      .filter((item) => item.quantity > 0),
+    updatedAt: getCurrentTimestamp(),
+  };
+};
+
+/**
+ * Remove a part from the cart
+ * @param {Object} cart - The cart
+ * @param {string} partNumber - Part to remove
+ * @returns {Object} - New cart
+ */
+const removeItem = (cart, partNumber) => updateQuantity(cart, partNumber, 0);
+
+/**
+ * Extract the quantity from a cart message ("two", "3", "x4")
+ * Part and model numbers are ignored so their digits are not read as quantities
+ * @param {Array<string>} tokens - Lowercase message tokens
+ * @returns {Object} - { quantity, explicit } where explicit is false for "a"/"an" or no quantity
+ */
+const extractQuantity = (tokens) => {
+  const isMultiplier = (token) => /^x\d{1,3}$|^\d{1,3}x$/.test(token);
+  const candidates = tokens.filter((token) => isMultiplier(token) || !(/[a-z]/.test(token) && /\d/.test(token)));
+
+  for (const token of candidates) {
+    const digits = token.match(/^x?(\d{1,3})x?$/);
+    if (digits) {
+      return { quantity: parseInt(digits[1], 10), explicit: true };
+    }
+    if (CONSTANTS.CART.QUANTITY_WORDS[token] && !['a', 'an'].includes(token)) {
+      return { quantity: CONSTANTS.CART.QUANTITY_WORDS[token], explicit: true };
+    }
+  }
+
+  return { quantity: 1, explicit: false };
+};
+
+/**
+ * Parse a chat message into a cart command
+ * @param {string} message - Cleaned message
+ * @param {Object} entities - Extracted entities ({ partNumbers })
+ * @returns {Object|null} - { action, quantity, explicitQuantity, setsQuantity, partNumbers, hasReference } or null if
+ *   not a cart command; setsQuantity means quantity is the total wanted ("I'll take two"), not units to add
+ */
+const parseCartCommand = (message, entities = {}) => {
+  const lower = message.toLowerCase();
+  const tokens = lower.split(/[^a-z0-9']+/).filter(Boolean);
+  const partNumbers = entities.partNumbers || [];
+  const mentionsCart = /\b(cart|basket)\b/.test(lower);
+  const hasReference = tokens.some((token) => CONSTANTS.CART.REFERENCE_WORDS.includes(token));
+  const { quantity, explicit } = extractQuantity(tokens);
+  const asksHow = /\bhow\b/.test(lower);
+
+  let action = null;
+
+  if (mentionsCart && /\b(empty|clear)\b/.test(lower)) {
+    action = ACTION.CLEAR;
+  } else if (
+    !asksHow &&
+    /\b(remove|delete|drop|take (?:\w+ )?out)\b/.test(lower) &&
+    (mentionsCart || /^(?:please )?(?:remove|delete|drop)\b/.test(lower))
+  ) {
+    action = ACTION.REMOVE;
+  } else if (
+    explicit &&
+    (/\b(change|update|set)\b.*\b(quantity|qty)\b/.test(lower) ||
+      /\b(make|change) (?:it|that|them|those)\b/.test(lower) ||
+      /^(?:please )?(?:make|change|set|update) the\b/.test(lower) ||
+      /\b(only|just) (?:want|need)\b/.test(lower))
+  ) {
+    action = ACTION.UPDATE_QUANTITY;
+  } else if (
+    (/\badd\b/.test(lower) && (mentionsCart || hasReference || partNumbers.length > 0 || explicit)) ||
+    (/\b(put|place)\b/.test(lower) && mentionsCart) ||
+    /^(?:please )?(?:buy|order|get me) (?:it|that|this|them|those)\b/.test(lower) ||
+    (/\b(i'?ll|i will|let me|i'?d like to|i want to) (take|get|buy|order|have)\b/.test(lower) &&
+      (hasReference || partNumbers.length > 0 || explicit || mentionsCart))
+  ) {
+    action = ACTION.ADD;
+  } else if (mentionsCart) {
+    action = ACTION.VIEW;
+  }
+
+  if (!action) return null;
+
+  const setsQuantity =
+    action === ACTION.ADD &&
+    explicit &&
+    /\b(i'?ll|i will|let me|i'?d like to|i want to) (take|get|buy|order|have)\b/.test(lower) &&
+    !/\b(add|more|another|extra)\b/.test(lower);
+
+  return { action, quantity, explicitQuantity: explicit, setsQuantity, partNumbers, hasReference };
+};
+
+/**
+ * Find cart items named in a message ("remove the rack wheels")
+ * @param {Object} cart - The cart
+ * @param {string} message - Cleaned message
+ * @returns {Array<Object>} - Best-matching cart items (empty if none)
+ */
+const findItemsByName = (cart, message) => {
+  const words = message
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word.length > 2 && !NAME_MATCH_IGNORED_WORDS.has(word));
+
+  const scored = cart.items
+    .map((item) => {
+      const nameWords = item.name.toLowerCase().split(/[^a-z]+/).filter((word) => word.length > 2);
+      // Loose matching so "wheels" matches "wheel" and "rack" matches "dishrack"
+      const score = words.filter((word) => {
+        const stem = word.replace(/s$/, '');
+        return nameWords.some(
+          (nameWord) => nameWord.startsWith(stem) || stem.startsWith(nameWord) || (stem.length >= 4 && nameWord.endsWith(stem))
+        );
+      }).length;
+      return { item, score };
+    })
+    .filter((entry) => entry.score > 0);
+
+  const bestScore = Math.max(0, ...scored.map((entry) => entry.score));
+  return scored.filter((entry) => entry.score === bestScore).map((entry) => entry.item);
+};
+
+/**
+ * Build a PartSelect add-to-cart payload for checkout
+ * @param {Object} cart - The cart
+ * @param {string} sessionId - Session the cart belongs to
+ * @returns {Object} - Payload ready to POST to the storefront cart
+ */
+const buildAddToCartPayload = (cart, sessionId) => {
+  const summary = summarizeCart(cart);
+
+  return {
+    source: 'partselect-chat-agent',
+    sessionId,
+    items: summary.items.map((item) => ({
+      partNumber: item.partNumber,
+      manufacturerPartNumber: item.manufacturerPartNumber,
+      quantity: item.quantity,
+      unitPrice: item.price,
+    })),
+    itemCount: summary.itemCount,
+    subtotal: summary.subtotal,
+    currency: summary.currency,
+  };
+};
+
+/**
+ * Build a deep link that adds every cart item to the PartSelect cart
+ * Format: <addToCartUrl>?items=PS11752778:2,PS3406971:4
+ * @param {Object} cart - The cart
+ * @returns {string|null} - Deep link, or null for an empty cart
+ */
+const buildDeepLink = (cart) => {
+  if (cart.items.length === 0) return null;
+
+  const items = cart.items.map((item) => `${item.partNumber}:${item.quantity}`).join(',');
+  const url = new URL(environmentConfig.partselect.addToCartUrl);
+  url.searchParams.set('items', items);
+
+  logger.debug('Cart deep link built', { itemCount: cart.items.length });
+
+  return url.toString();
+};
+
+module.exports = {
+  createEmptyCart,
+  getCart,
+  updateCart,
+  summarizeCart,
+  addItem,
+  updateQuantity,
+  removeItem,
+  parseCartCommand,
+  findItemsByName,
+  buildAddToCartPayload,
+  buildDeepLink,
+};
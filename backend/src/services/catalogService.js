@@ -0,0 +1,166 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const SearchIndex = require('../utils/searchIndex');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Catalog Service
+ * Loads the local parts catalog and provides lookups over it
+ * Note: Currently backed by a JSON file. Can be swapped for a database later.
+ */
+
+// Cached catalog and search index (loaded lazily on first access)
+let catalog = null;
+let searchIndex = null;
+
+/**
+ * Load the parts catalog from disk
+ * @param {string} catalogPath - Path to the catalog JSON file
+ * @returns {Array<Object>} - Array of catalog parts
+ */
+const loadCatalog = (catalogPath = environmentConfig.catalog.path) => {
+  try {
+    const raw = fs.readFileSync(catalogPath, 'utf8');
+    const parsed = JSON.parse(raw);
+
+    if (!parsed || !Array.isArray(parsed.parts)) {
+      throw new Error('Catalog file must contain a "parts" array');
+    }
+
+    catalog = parsed.parts.map((part) => ({
+      ...part,
+      id: part.id.toUpperCase(),
+      compatibleModels: (part.compatibleModels || []).map((model) => model.toUpperCase()),
+      keywords: part.keywords || [],
+    }));
+
+    searchIndex = buildSearchIndex(catalog);
+
+    logger.info('Parts catalog loaded', { partCount: catalog.length, catalogPath });
+
+    return catalog;
+  } catch (error) {
+    logger.error('Error loading parts catalog', { error: error.message, catalogPath });
+    throw error;
+  }
+};
+
+/**
+ * Build the full-text search index over catalog parts
+ * @param {Array<Object>} parts - Catalog parts
+ * @returns {SearchIndex}
+ */
+const buildSearchIndex = (parts) => {
+  const index = new SearchIndex({
+    fieldWeights: CONSTANTS.SEARCH.FIELD_WEIGHTS,
+    stopWords: CONSTANTS.SEARCH.STOP_WORDS,
+  });
+
+  parts.forEach((part) => {
+    index.addDocument(part.id, {
+      name: part.name,
+      keywords: part.keywords,
+      applianceTerms: CONSTANTS.SEARCH.APPLIANCE_TERMS[part.applianceType] || [],
+      description: part.description,
+    });
+  });
+
+  return index;
+};
+
+/**
+ * Get all parts in the catalog
+ * @returns {Array<Object>}
+ */
+const getAllParts = () => {
+  if (!catalog) {
+    loadCatalog();
+  }
+  return catalog;
+};
+
+/**
+ * Get a part by its PartSelect number
+ * @param {string} partNumber - PartSelect part number (e.g., PS11752778)
+ * @returns {Object|null} - The part or null if not found
+ */
+const getPartById = (partNumber) => {
+  if (!partNumber) return null;
+  const id = String(partNumber).toUpperCase();
+  return getAllParts().find((part) => part.id === id) || null;
+};
+
+/**
+ * Find parts matching structured filters
+ * @param {Object} filters - { applianceType, modelNumber, category, brand }
+ * @returns {Array<Object>} - Matching parts
+ */
+const findParts = ({ applianceType, modelNumber, category, brand } = {}) => {
+  const model = modelNumber ? modelNumber.toUpperCase() : null;
+
+  return getAllParts().filter((part) => {
+    if (applianceType && part.applianceType !== applianceType) return false;
+    if (category && part.category !== category) return false;
+    if (brand && part.brand.toLowerCase() !== brand.toLowerCase()) return false;
+    if (model && !part.compatibleModels.includes(model)) return false;
+    return true;
+  });
+};
+
+/**
+ * Full-text search over the catalog, optionally restricted by structured filters
+ * @param {string} query - Free text query
+ * @param {Object} filters - { applianceType, modelNumber, category, brand }
+ * @param {Object} options - { limit }
+ * @returns {Array<Object>} - [{ part, score, relevance, matchedTerms }] best first
+ */
+const searchParts = (query, filters = {}, { limit = CONSTANTS.SEARCH.MAX_LIMIT } = {}) => {
+  const allowedIds = new Set(findParts(filters).map((part) => part.id));
+
+  return searchIndex
+    .search(query, { limit, filter: (id) => allowedIds.has(id) })
+    .map((hit) => ({ ...hit, part: getPartById(hit.id) }));
+};
+
+/**
+ * Whether a message reads as a search for catalog parts: its best match covers every search
+ * term, allowing for typos ("door gaskit", "water vavle")
+ * @param {string} message - Free text message
+ * @returns {boolean}
+ */
+const matchesCatalogTerms = (message) => {
+  const [best] = searchParts(message, {}, { limit: 1 });
+  return Boolean(best) && best.matchedTerms.length === new Set(searchIndex.tokenize(message)).size;
+};
+
+/**
+ * Convert a catalog part into the Product shape returned to the frontend
+ * @param {Object} part - Catalog part
+ * @returns {Object} - Product
+ */
+const toProduct = (part) => {
+  return {
+    id: part.id,
+    name: part.name,
+    price: part.price,
+    description: part.description,
+    imageUrl: part.imageUrl || null,
+    compatibility: part.compatibleModels,
+    inStock: part.stockQuantity > 0,
+    stockQuantity: part.stockQuantity,
+    applianceType: part.applianceType,
+    brand: part.brand,
+    manufacturerPartNumber: part.manufacturerPartNumber,
+  };
+};
+
+module.exports = {
+  loadCatalog,
+  getAllParts,
+  getPartById,
+  findParts,
+  searchParts,
+  matchesCatalogTerms,
+  toProduct,
+};
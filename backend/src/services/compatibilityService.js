@@ -0,0 +1,185 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const catalogService = require('./catalogService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Compatibility Service
+ * Builds a model <-> part compatibility graph from the appliance model registry
+ * and the catalog fitment data, and answers "does part X fit model Y?"
+ */
+
+// Cached graph (built lazily on first access)
+let graph = null;
+
+/**
+ * Build the compatibility graph
+ * @param {string} modelsPath - Path to the appliance models JSON file
+ * @returns {Object} - { models: Map, modelToParts: Map, partToModels: Map }
+ */
+const buildGraph = (modelsPath = environmentConfig.applianceModels.path) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(modelsPath, 'utf8'));
+
+    if (!parsed || !Array.isArray(parsed.models)) {
+      throw new Error('Appliance models file must contain a "models" array');
+    }
+
+    const models = new Map(); // modelNumber -> model record
+    const modelToParts = new Map(); // modelNumber -> Set of part IDs
+    const partToModels = new Map(); // part ID -> Set of model numbers
+
+    parsed.models.forEach((model) => {
+      const modelNumber = model.modelNumber.toUpperCase();
+      models.set(modelNumber, { ...model, modelNumber });
+      modelToParts.set(modelNumber, new Set());
+    });
+
+    catalogService.getAllParts().forEach((part) => {
+      partToModels.set(part.id, new Set(part.compatibleModels));
+
+      part.compatibleModels.forEach((modelNumber) => {
+        if (!modelToParts.has(modelNumber)) {
+          modelToParts.set(modelNumber, new Set());
+        }
+        modelToParts.get(modelNumber).add(part.id);
+      });
+    });
+
+    graph = { models, modelToParts, partToModels };
+
+    logger.info('Compatibility graph built', {
+      modelCount: models.size,
+      partCount: partToModels.size,
+    });
+
+    return graph;
+  } catch (error) {
+    logger.error('Error building compatibility graph', { error: error.message, modelsPath });
+    throw error;
+  }
+};
+
+/**
+ * Get the compatibility graph, building it if needed
+ * @returns {Object}
+ */
+const getGraph = () => {
+  if (!graph) {
+    buildGraph();
+  }
+  return graph;
+};
+
+/**
+ * Get a known appliance model
+ * @param {string} modelNumber - Model number
+ * @returns {Object|null} - Model record or null
+ */
+const getModel = (modelNumber) => {
+  if (!modelNumber) return null;
+  return getGraph().models.get(String(modelNumber).toUpperCase()) || null;
+};
+
+/**
+ * Find known model numbers mentioned in free text
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} - Known model numbers in order of appearance
+ */
+const findKnownModels = (text) => {
+  const { modelToParts } = getGraph();
+  const tokens = String(text || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/);
+
+  return [...new Set(tokens.filter((token) => modelToParts.has(token)))];
+};
+
+/**
+ * Get the parts that fit a model
+ * @param {string} modelNumber - Model number
+ * @returns {Array<Object>} - Catalog parts
+ */
+const getPartsForModel = (modelNumber) => {
+  const partIds = getGraph().modelToParts.get(String(modelNumber || '').toUpperCase());
+  if (!partIds) return [];
+  return Array.from(partIds).map(catalogService.getPartById).filter(Boolean);
+};
+
+/**
+ * Check whether a part fits a model
+ * Only answers "compatible" or "incompatible" when the data supports it; otherwise "unknown"
+ * @param {string} partNumber - PartSelect part number
+ * @param {string} modelNumber - Appliance model number
+ * @returns {Object} - { status, partNumber, modelNumber, part, model, evidence, alternatives }
+ */
+const checkCompatibility = (partNumber, modelNumber) => {
+  const { modelToParts, partToModels } = getGraph();
+  const normalizedPart = String(partNumber).toUpperCase();
+  const normalizedModel = String(modelNumber).toUpperCase();
+
+  const part = catalogService.getPartById(normalizedPart);
+  const model = getModel(normalizedModel);
+  const modelHasFitmentData = modelToParts.has(normalizedModel);
+
+  const result = {
+    status: CONSTANTS.COMPATIBILITY_STATUS.UNKNOWN,
+    partNumber: normalizedPart,
+    modelNumber: normalizedModel,
+    part: part ? catalogService.toProduct(part) : null,
+    model,
+    evidence: [],
+    alternatives: [],
+  };
+
+  if (!part) {
+    result.evidence.push(`Part ${normalizedPart} is not in our parts catalog.`);
+    return result;
+  }
+
+  if (!model && !modelHasFitmentData) {
+    result.evidence.push(`Model ${normalizedModel} is not in our compatibility data.`);
+    return result;
+  }
+
+  // ===== COMPATIBLE: DIRECT FITMENT EDGE =====
+  if (partToModels.get(part.id).has(normalizedModel)) {
+    result.status = CONSTANTS.COMPATIBILITY_STATUS.COMPATIBLE;
+    result.evidence.push(`${part.id} (${part.name}) is listed in the fitment data for model ${normalizedModel}.`);
+    if (model) {
+      result.evidence.push(`${normalizedModel} is a ${model.brand} ${model.applianceType}.`);
+    }
+    return result;
+  }
+
+  // ===== INCOMPATIBLE: KNOWN MODEL WITHOUT A FITMENT EDGE =====
+  if (!model) {
+    // Fitment data mentions the model but we know nothing else about it
+    result.evidence.push(`Model ${normalizedModel} appears in our fitment data, but ${part.id} is not listed for it.`);
+    return result;
+  }
+
+  result.status = CONSTANTS.COMPATIBILITY_STATUS.INCOMPATIBLE;
+  result.evidence.push(`${part.id} (${part.name}) is not listed in the fitment data for model ${normalizedModel}.`);
+
+  if (part.applianceType !== model.applianceType) {
+    result.evidence.push(
+      `${part.id} is a ${part.applianceType} part, but ${normalizedModel} is a ${model.brand} ${model.applianceType}.`
+    );
+  }
+
+  result.alternatives = getPartsForModel(normalizedModel)
+    .filter((candidate) => candidate.category === part.category)
+    .map(catalogService.toProduct);
+
+  return result;
+};
+
+module.exports = {
+  buildGraph,
+  getModel,
+  findKnownModels,
+  getPartsForModel,
+  checkCompatibility,
+};
@@ -0,0 +1,164 @@
+const logger = require('../config/logger');
+const messageService = require('./messageService');
+const troubleshootingService = require('./troubleshootingService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Coreference Service
+ * Resolves follow-ups like "how do I install it?", "is that one in stock?" or "add the second one"
+ * to concrete part and model numbers before scope detection and intent classification, so each
+ * message no longer has to stand on its own
+ *
+ * The session tracks what the conversation is about in session.userContext.recentEntities:
+ *   { partNumber, modelNumber, resultList }
+ * partNumber and modelNumber are in focus ("it", "that model"); resultList is the last list of several
+ * parts, in display order ("the second one"). The focus part is cleared when a turn shows several parts,
+ * so "it" is never guessed among them.
+ */
+
+const { ORDINALS, REFERENCE_NOUNS, PART_PRONOUN_PATTERN, MODEL_PRONOUN_PATTERN, NEW_PART_REQUEST_PATTERN } =
+  CONSTANTS.COREFERENCE;
+
+// "the second one", "the 2nd part", "the last one", or "the second" before a question about it
+const ORDINAL_PATTERN = new RegExp(
+  `\\bthe (${Object.keys(ORDINALS).join('|')})` +
+    `(?: (?:${REFERENCE_NOUNS.join('|')})\\b|(?=\\s*(?:$|[?.!,]|\\s(?:to|in|for|is|fit|fits|work|works|please)\\b)))`,
+  'i'
+);
+// "number 2", "option 3", "#2"
+const NUMBERED_PATTERN = /\b(?:number|option|item|result)\s?(\d{1,2})\b|#(\d{1,2})\b/i;
+
+/**
+ * Get the conversation focus stored on a session
+ * @param {Object|null} session - The session
+ * @returns {Object} - { partNumber, modelNumber, resultList }
+ */
+const getFocus = (session) => {
+  return { partNumber: null, modelNumber: null, resultList: [], ...session?.userContext?.recentEntities };
+};
+
+/**
+ * Find an ordinal reference to a shown part
+ * @param {string} message - Cleaned message
+ * @param {Array<string>} shownParts - Parts in the last result list, in display order
+ * @returns {Object|null} - { phrase, position, partNumber } (partNumber is null when the list has no such
+ *   position, e.g. "the second one" after a single result), or null if there is no reference
+ */
+const findOrdinalReference = (message, shownParts) => {
+  const ordinal = message.match(ORDINAL_PATTERN);
+  const numbered = ordinal ? null : message.match(NUMBERED_PATTERN);
+  if (!ordinal && !numbered) return null;
+
+  const position = ordinal ? ORDINALS[ordinal[1].toLowerCase()] : parseInt(numbered[1] || numbered[2], 10);
+  const index = position === -1 ? shownParts.length - 1 : position - 1;
+  const partNumber = shownParts[index];
+
+  return { phrase: (ordinal || numbered)[0], position, partNumber: partNumber || null };
+};
+
+/**
+ * Resolve references in a message to concrete part and model numbers
+ * Parts named in the message are never overridden, and "it" after a request for a new part
+ * ("I need a new door gasket, how hard is it to install?") is left for that part
+ * An ordinal past the end of the last result list is reported as unresolvedOrdinal and left in the
+ * text, so the caller can ask which part was meant instead of guessing
+ * @param {string} message - Cleaned message
+ * @param {Object} focus - Result of getFocus
+ * @returns {Object} - { text, references: [{ phrase, type: 'part' | 'model', value, via: 'ordinal' | 'pronoun' }],
+ *   unresolvedOrdinal: { phrase, position } | null }
+ */
+const resolveReferences = (message, focus) => {
+  const references = [];
+  let text = message;
+  let unresolvedOrdinal = null;
+
+  const namesPart = CONSTANTS.PATTERNS.PART_NUMBER.test(message);
+
+  if (!namesPart) {
+    const ordinal = findOrdinalReference(text, focus.resultList);
+    if (ordinal && !ordinal.partNumber) {
+      unresolvedOrdinal = { phrase: ordinal.phrase, position: ordinal.position };
+    } else if (ordinal) {
+      references.push({ phrase: ordinal.phrase, type: 'part', value: ordinal.partNumber, via: 'ordinal' });
+      text = text.replace(ordinal.phrase, ordinal.partNumber);
+    } else if (focus.partNumber && troubleshootingService.matchTrees(text).length === 0) {
+      // A symptom ("it makes a grinding noise") is about the appliance, not the part
+      const pronoun = text.match(PART_PRONOUN_PATTERN);
+      if (pronoun && !NEW_PART_REQUEST_PATTERN.test(text.slice(0, pronoun.index))) {
+        references.push({ phrase: pronoun[0], type: 'part', value: focus.partNumber, via: 'pronoun' });
+        text = text.replace(pronoun[0], focus.partNumber);
+      }
+    }
+  }
+
+  const modelPronoun = text.match(MODEL_PRONOUN_PATTERN);
+  if (modelPronoun && focus.modelNumber) {
+    references.push({ phrase: modelPronoun[0], type: 'model', value: focus.modelNumber, via: 'pronoun' });
+    text = text.replace(modelPronoun[0], focus.modelNumber);
+  }
+
+  return { text, references, unresolvedOrdinal };
+};
+
+/**
+ * Resolve references in a preprocessed message
+ * The resolved text is preprocessed again so scope detection, intent classification and entity
+ * extraction all see the concrete part and model numbers
+ * @param {Object} preprocessedMessage - Result of messageService.preprocessMessage
+ * @param {Object|null} session - The session
+ * @returns {Promise<Object>} - Preprocessed message with references resolved (references: [] when none)
+ *   and unresolvedOrdinal (null unless an ordinal points past the last result list)
+ */
+const resolveMessage = async (preprocessedMessage, session) => {
+  const { text, references, unresolvedOrdinal } = resolveReferences(preprocessedMessage.cleaned, getFocus(session));
+
+  if (references.length === 0) {
+    return { ...preprocessedMessage, references, unresolvedOrdinal };
+  }
+
+  logger.debug('References resolved', {
+    sessionId: session?.sessionId,
+    references: references.map(({ phrase, value }) => `${phrase} -> ${value}`),
+  });
+
+  const resolved = await messageService.preprocessMessage(text);
+  return { ...resolved, original: preprocessedMessage.original, references, unresolvedOrdinal };
+};
+
+/**
+ * Update the conversation focus after a turn
+ * @param {Object} recentEntities - Current { partNumber, modelNumber, resultList }
+ * @param {Object} turn - { mentionedParts, shownParts, modelNumber, references } from this turn
+ * @returns {Object} - New { partNumber, modelNumber, resultList }
+ */
+const updateRecentEntities = (
+  recentEntities,
+  { mentionedParts = [], shownParts = [], modelNumber = null, references = [] }
+) => {
+  let partNumber = recentEntities?.partNumber || null;
+
+  // Several parts on screen make "it" ambiguous until one is picked
+  if (shownParts.length > 0) {
+    partNumber = shownParts.length === 1 ? shownParts[0] : null;
+  } else if (mentionedParts.length > 0) {
+    partNumber = mentionedParts.length === 1 ? mentionedParts[0] : null;
+  }
+
+  return {
+    partNumber,
+    modelNumber: modelNumber || recentEntities?.modelNumber || null,
+    // Showing the part picked from the list ("is the second one in stock?") keeps the list for "the first one"
+    resultList:
+      shownParts.length > 0 && !references.some((reference) => reference.type === 'part')
+        ? shownParts
+        : recentEntities?.resultList || [],
+  };
+};
+
+module.exports = {
+  getFocus,
+  findOrdinalReference,
+  resolveReferences,
+  resolveMessage,
+  updateRecentEntities,
+};
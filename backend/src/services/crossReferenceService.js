@@ -0,0 +1,183 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const catalogService = require('./catalogService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Cross-Reference Service
+ * Resolves manufacturer, legacy and superseded part numbers to the current PartSelect part
+ */
+
+// Cached cross-reference tables (loaded lazily on first access)
+let tables = null;
+
+/**
+ * Normalize a part number for lookups (uppercase, no whitespace)
+ * @param {string} number - Part number as typed
+ * @returns {string}
+ */
+const normalizePartNumber = (number) => {
+  return String(number || '')
+    .toUpperCase()
+    .replace(/\s+/g, '');
+};
+
+/**
+ * Load the cross-reference tables
+ * Catalog manufacturer part numbers are indexed alongside the file's references
+ * @param {string} crossReferencePath - Path to the cross-reference JSON file
+ * @returns {Object} - { supersessions: Map, references: Map }
+ */
+const loadCrossReferences = (crossReferencePath = environmentConfig.crossReference.path) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(crossReferencePath, 'utf8'));
+
+    const supersessions = new Map(); // old PS number -> { to, reason }
+    (parsed.supersessions || []).forEach((entry) => {
+      supersessions.set(normalizePartNumber(entry.from), {
+        to: normalizePartNumber(entry.to),
+        reason: entry.reason || null,
+      });
+    });
+
+    const references = new Map(); // external number -> { partId, type, brand, note }
+    catalogService.getAllParts().forEach((part) => {
+      if (part.manufacturerPartNumber) {
+        references.set(normalizePartNumber(part.manufacturerPartNumber), {
+          partId: part.id,
+          type: CONSTANTS.PART_REFERENCE_TYPE.MANUFACTURER,
+          brand: part.brand,
+          note: null,
+        });
+      }
+    });
+
+    (parsed.references || []).forEach((entry) => {
+      references.set(normalizePartNumber(entry.number), {
+        partId: normalizePartNumber(entry.partId),
+        type: entry.type,
+        brand: entry.brand || null,
+        note: entry.note || null,
+      });
+    });
+
+    tables = { supersessions, references };
+
+    logger.info('Part cross-references loaded', {
+      supersessionCount: supersessions.size,
+      referenceCount: references.size,
+    });
+
+    return tables;
+  } catch (error) {
+    logger.error('Error loading part cross-references', { error: error.message, crossReferencePath });
+    throw error;
+  }
+};
+
+/**
+ * Get the cross-reference tables, loading them if needed
+ * @returns {Object}
+ */
+const getTables = () => {
+  if (!tables) {
+    loadCrossReferences();
+  }
+  return tables;
+};
+
+/**
+ * Follow a PartSelect supersession chain to the newest part
+ * @param {string} partNumber - PartSelect part number
+ * @returns {Object} - { partNumber, chain, reasons }
+ */
+const followSupersessions = (partNumber) => {
+  const { supersessions } = getTables();
+  const chain = [partNumber];
+  const reasons = [];
+  let current = partNumber;
+
+  while (supersessions.has(current)) {
+    const { to, reason } = supersessions.get(current);
+    if (chain.includes(to)) {
+      logger.warn('Supersession cycle detected', { chain: [...chain, to] });
+      break;
+    }
+    if (reason) reasons.push(reason);
+    chain.push(to);
+    current = to;
+  }
+
+  return { partNumber: current, chain, reasons };
+};
+
+/**
+ * Resolve any part number (PartSelect, manufacturer, legacy or superseded) to the current part
+ * @param {string} number - Part number as typed by the user
+ * @returns {Object|null} - Resolution or null if the number is unknown
+ */
+const resolvePartNumber = (number) => {
+  const input = normalizePartNumber(number);
+  if (!input) return null;
+
+  const { references } = getTables();
+  let partId = input;
+  let matchType = CONSTANTS.PART_REFERENCE_TYPE.PARTSELECT;
+  let reference = null;
+
+  if (references.has(input)) {
+    reference = references.get(input);
+    partId = reference.partId;
+    matchType = reference.type;
+  }
+
+  const { partNumber, chain, reasons } = followSupersessions(partId);
+  const part = catalogService.getPartById(partNumber);
+
+  if (!part) {
+    return null;
+  }
+
+  const supersededParts = chain.slice(0, -1);
+  const superseded =
+    supersededParts.length > 0 || matchType === CONSTANTS.PART_REFERENCE_TYPE.SUPERSEDED;
+
+  return {
+    input,
+    partNumber,
+    part,
+    matchType: supersededParts.length > 0 ? CONSTANTS.PART_REFERENCE_TYPE.SUPERSEDED : matchType,
+    superseded,
+    supersessionChain: superseded ? [...(reference ? [input] : []), ...chain] : [],
+    brand: reference ? reference.brand : part.brand,
+    notes: [reference && reference.note, ...reasons].filter(Boolean),
+  };
+};
+
+/**
+ * Describe a resolution for the user
+ * @param {Object} resolution - Result of resolvePartNumber
+ * @returns {string|null} - Sentence for the user, or null when nothing needs saying
+ */
+const describeResolution = (resolution) => {
+  if (!resolution || resolution.matchType === CONSTANTS.PART_REFERENCE_TYPE.PARTSELECT) {
+    return null;
+  }
+
+  const current = `${resolution.partNumber} (${resolution.part.name}, manufacturer part ${resolution.part.manufacturerPartNumber})`;
+
+  if (resolution.superseded) {
+    return `Part ${resolution.input} has been replaced by a newer part: ${current}.`;
+  }
+
+  return `${resolution.brand || 'Manufacturer'} part ${resolution.input} is PartSelect part ${current}.`;
+};
+
+module.exports = {
+  normalizePartNumber,
+  loadCrossReferences,
+  followSupersessions,
+  resolvePartNumber,
+  describeResolution,
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const catalogService = require('./catalogService');
+const modelNumberService = require('./modelNumberService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Error Code Service
+ * Understands what the appliance display shows ("E15 on my Bosch", "OE error", "F2 E1",
+ * "dishwasher blinking 7 times") and looks the code up in a brand-by-appliance table
+ * (src/data/errorCodes.json) with its meaning, likely failed components, linked catalog parts
+ * and next steps.
+ *
+ * The same code means different things on different brands ("5E" is a Samsung drain error), so a
+ * lookup is narrowed by the brand and appliance type when they are known.
+ */
+
+const { STATUS } = CONSTANTS.APPLIANCE_ERROR_CODES;
+
+// Cached error code tables (loaded lazily on first access)
+let tables = null;
+
+/**
+ * Normalize a display code for lookups ("F2 E1", "f2-e1" -> "F2E1", "Er IF" -> "ERIF")
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const canonicalizeCode = (code) => {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/[\s-]+/g, '');
+};
+
+/**
+ * Load the error code table
+ * @param {string} errorCodesPath - Path to the error codes JSON file
+ * @returns {Object} - { entries, byCode: Map, byBlinks: Map }
+ */
+const loadErrorCodes = (errorCodesPath = environmentConfig.errorCodes.path) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(errorCodesPath, 'utf8'));
+
+    if (!parsed || !Array.isArray(parsed.codes)) {
+      throw new Error('Error codes file must contain a "codes" array');
+    }
+
+    const byCode = new Map(); // canonical code or alias -> entries
+    const byBlinks = new Map(); // blink count -> entries
+    const index = (map, key, entry) => map.set(key, [...(map.get(key) || []), entry]);
+
+    parsed.codes.forEach((entry) => {
+      [entry.code, ...(entry.aliases || [])].forEach((code) => index(byCode, canonicalizeCode(code), entry));
+      if (Number.isInteger(entry.blinks)) {
+        index(byBlinks, entry.blinks, entry);
+      }
+    });
+
+    tables = { entries: parsed.codes, byCode, byBlinks };
+
+    logger.info('Appliance error codes loaded', {
+      codeCount: parsed.codes.length,
+      brandCount: new Set(parsed.codes.map((entry) => entry.brand)).size,
+    });
+
+    return tables;
+  } catch (error) {
+    logger.error('Error loading appliance error codes', { error: error.message, errorCodesPath });
+    throw error;
+  }
+};
+
+/**
+ * Get the error code tables, loading them if needed
+ * @returns {Object}
+ */
+const getTables = () => {
+  if (!tables) {
+    loadErrorCodes();
+  }
+  return tables;
+};
+
+/**
+ * Find the table entries for a code
+ * @param {string} code - Display code ("E15") or blink pattern ("7 blinks")
+ * @returns {Array<Object>}
+ */
+const findEntries = (code) => {
+  const { byCode, byBlinks } = getTables();
+  const blinks = String(code || '').match(/^(\d{1,2}) blinks?$/i);
+  if (blinks) {
+    return byBlinks.get(Number(blinks[1])) || [];
+  }
+  return byCode.get(canonicalizeCode(code)) || [];
+};
+
+/**
+ * Read a blink count written as digits or a word ("7", "seven")
+ * @param {string} value - Count as typed
+ * @returns {number|null}
+ */
+const parseCount = (value) => {
+  const count = /^\d+$/.test(value) ? Number(value) : CONSTANTS.APPLIANCE_ERROR_CODES.NUMBER_WORDS[value.toLowerCase()];
+  return count > 0 ? count : null;
+};
+
+/**
+ * Extract error codes and blink patterns from a message
+ * Codes in the table are always taken; other code-shaped tokens only when the message calls them
+ * an error or a display reading. Letters-only codes ("OE", "Er IF") are ordinary words too, so they
+ * must be in the table and typed with a capital or called an error.
+ * @param {string} message - Cleaned or normalized message
+ * @returns {Array<string>} - Codes in message order ("E15", "F2 E1", "ER IF", "7 blinks")
+ */
+const extractErrorCodes = (message) => {
+  const { DISPLAY_PATTERN, BLINK_PATTERNS, CUE_PATTERN } = CONSTANTS.APPLIANCE_ERROR_CODES;
+  const text = String(message || '');
+  const hasCue = CUE_PATTERN.test(text);
+  const found = [];
+
+  BLINK_PATTERNS.forEach((pattern) => {
+    [...text.matchAll(pattern)].forEach((match) => {
+      const count = parseCount(match[1]);
+      if (count) found.push({ index: match.index, code: `${count} blinks` });
+    });
+  });
+
+  [...text.matchAll(DISPLAY_PATTERN)].forEach((match) => {
+    const raw = match[0];
+    const code = raw.toUpperCase().replace(/-/g, '').replace(/\s+/g, ' ');
+    const known = findEntries(code).length > 0;
+    const accepted = /^[A-Z ]+$/.test(code) ? known && (raw !== raw.toLowerCase() || hasCue) : known || hasCue;
+    if (accepted) found.push({ index: match.index, code });
+  });
+
+  return [...new Set(found.sort((a, b) => a.index - b.index).map((entry) => entry.code))];
+};
+
+/**
+ * Check whether a code is in the error code table
+ * @param {string} code - Extracted code
+ * @returns {boolean}
+ */
+const isKnownCode = (code) => {
+  return findEntries(code).length > 0;
+};
+
+/**
+ * Describe a table entry with its components' catalog parts
+ * @param {Object} entry - Error code table entry
+ * @returns {Object} - { brand, applianceType, code, meaning, severity, estimatedTime, steps, components }
+ *   components are most likely first, each with parts: [{ id, name, price, inStock }]
+ */
+const describeEntry = (entry) => {
+  const { LIKELIHOOD_ORDER } = CONSTANTS.APPLIANCE_ERROR_CODES;
+
+  const components = (entry.components || [])
+    .map((component) => ({
+      name: component.name,
+      likelihood: component.likelihood,
+      description: component.description || null,
+      parts: (component.partIds || [])
+        .map((partId) => catalogService.getPartById(partId))
+        .filter(Boolean)
+        .map((part) => ({ id: part.id, name: part.name, price: part.price, inStock: part.stockQuantity > 0 })),
+    }))
+    .sort((a, b) => LIKELIHOOD_ORDER.indexOf(a.likelihood) - LIKELIHOOD_ORDER.indexOf(b.likelihood));
+
+  return {
+    brand: entry.brand,
+    applianceType: entry.applianceType,
+    code: entry.code,
+    meaning: entry.meaning,
+    severity: entry.severity,
+    estimatedTime: entry.estimatedTime || null,
+    steps: entry.steps || [],
+    components,
+  };
+};
+
+/**
+ * Look up an error code
+ * @param {string} code - Display code ("E15") or blink pattern ("7 blinks")
+ * @param {Object} options - { brand, applianceType } to narrow the lookup, when known
+ * @returns {Object} - { status, code, match, candidates }
+ *   match is the described entry when status is 'found'; candidates are the brands and appliances
+ *   the code is listed for ({ brand, applianceType, code, meaning })
+ */
+const lookupErrorCode = (code, { brand = null, applianceType = null } = {}) => {
+  const entries = findEntries(code);
+  const matches = entries.filter(
+    (entry) =>
+      (!brand || entry.brand.toLowerCase() === brand.toLowerCase()) &&
+      (!applianceType || entry.applianceType === applianceType)
+  );
+
+  let status = STATUS.NOT_FOUND;
+  if (matches.length === 1) status = STATUS.FOUND;
+  else if (matches.length > 1) status = STATUS.AMBIGUOUS;
+
+  logger.debug('Error code looked up', { code, brand, applianceType, status, entryCount: entries.length });
+
+  return {
+    status,
+    code,
+    match: status === STATUS.FOUND ? describeEntry(matches[0]) : null,
+    candidates: (matches.length > 1 ? matches : entries).map((entry) => ({
+      brand: entry.brand,
+      applianceType: entry.applianceType,
+      code: entry.code,
+      meaning: entry.meaning,
+    })),
+  };
+};
+
+/**
+ * Infer the appliance from the error codes in a message
+ * @param {string} message - Cleaned message
+ * @returns {string|null} - Appliance type when every entry for the codes is for the same appliance
+ *   (only the named brand's entries count, unless the code is not listed for that brand)
+ */
+const inferApplianceType = (message) => {
+  const [brand] = modelNumberService.detectBrands(message);
+  const entries = extractErrorCodes(message).flatMap(findEntries);
+  const forBrand = entries.filter((entry) => entry.brand === brand);
+  const applianceTypes = new Set((forBrand.length > 0 ? forBrand : entries).map((entry) => entry.applianceType));
+  return applianceTypes.size === 1 ? [...applianceTypes][0] : null;
+};
+
+module.exports = {
+  loadErrorCodes,
+  extractErrorCodes,
+  isKnownCode,
+  lookupErrorCode,
+  inferApplianceType,
+};
@@ -0,0 +1,180 @@
+const logger = require('../config/logger');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Frustration Service
+ * Scores how the conversation is going for the customer, from the session's conversationHistory
+ * plus the message just sent. A message scores the weights of its signals:
+ *   - swearing, negative words ("useless", "waste of time")
+ *   - "I already told you", "how many times"
+ *   - shouting (mostly capitals) and "???" / "!!!"
+ *   - sending (nearly) the same message again
+ * Earlier user turns count less (DECAY per turn). The assistant sending the same reply twice in a
+ * row adds to the score too: that is the bot going in circles.
+ *
+ * A high score hands off only once signals span HANDOFF_MIN_TURNS customer turns (or the bot went in
+ * circles): "Damn, my ice maker stopped working again" as an opener is about the appliance, not us.
+ *
+ * Asking for a person ("let me talk to a person") always means handoff, whatever the score.
+ */
+
+const { LEVEL } = CONSTANTS.FRUSTRATION;
+
+/**
+ * Lowercase words of a message
+ * @param {string} message - Message text
+ * @returns {Array<string>}
+ */
+const toWords = (message) => String(message || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+/**
+ * Word overlap of two messages (Jaccard)
+ * @param {Array<string>} a - Words of one message
+ * @param {Array<string>} b - Words of the other
+ * @returns {number} - 0-1
+ */
+const similarity = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter((word) => setB.has(word)).length;
+  const total = new Set([...setA, ...setB]).size;
+  return total === 0 ? 0 : shared / total;
+};
+
+/**
+ * Whether a message is mostly written in capitals
+ * @param {string} message - Message text
+ * @returns {boolean}
+ */
+const isShouting = (message) => {
+  const words = String(message || '').match(/[A-Za-z]{2,}/g) || [];
+  if (words.length < CONSTANTS.FRUSTRATION.SHOUTING_MIN_WORDS) return false;
+  const capitalized = words.filter((word) => word === word.toUpperCase()).length;
+  return capitalized / words.length >= 0.8;
+};
+
+/**
+ * Score one customer message
+ * @param {string} message - Message text
+ * @param {Array<string>} earlierMessages - The customer's earlier messages, oldest first
+ * @returns {Object} - { score, sentiment, signals: [{ type, weight, detail }] }
+ *   sentiment runs from -1 (negative) to 1 (positive)
+ */
+const scoreMessage = (message, earlierMessages = []) => {
+  const { SIGNALS, SHOUTING_WEIGHT, REPEAT_WEIGHT, REPEAT_SIMILARITY, REPEAT_MIN_WORDS, POSITIVE_PATTERN } =
+    CONSTANTS.FRUSTRATION;
+  const text = String(message || '');
+  const signals = [];
+
+  SIGNALS.forEach((signal) => {
+    const match = text.match(signal.pattern);
+    if (match) signals.push({ type: signal.id, weight: signal.weight, detail: match[0] });
+  });
+
+  if (isShouting(text)) {
+    signals.push({ type: 'shouting', weight: SHOUTING_WEIGHT, detail: 'mostly capitals' });
+  }
+
+  const words = toWords(text);
+  if (words.length >= REPEAT_MIN_WORDS) {
+    const repeated = earlierMessages.find((earlier) => similarity(words, toWords(earlier)) >= REPEAT_SIMILARITY);
+    if (repeated) {
+      signals.push({ type: 'repeated', weight: REPEAT_WEIGHT, detail: repeated.slice(0, 60) });
+    }
+  }
+
+  const negatives = signals.filter((signal) => signal.type === 'profanity' || signal.type === 'negative').length;
+  const positives = (text.match(POSITIVE_PATTERN) || []).length;
+
+  return {
+    score: Math.min(1, signals.reduce((sum, signal) => sum + signal.weight, 0)),
+    sentiment: Math.max(-1, Math.min(1, (positives - negatives) / 2)),
+    signals,
+  };
+};
+
+/**
+ * Whether the customer asks to talk to a person
+ * @param {string} message - Message text
+ * @returns {boolean}
+ */
+const isHumanRequest = (message) => {
+  return CONSTANTS.HANDOFF.HUMAN_REQUEST_PATTERN.test(String(message || ''));
+};
+
+/**
+ * Assess the conversation with the message just sent
+ * @param {Array<Object>} conversationHistory - Session history ({ role, message }), oldest first
+ * @param {string} message - The new customer message
+ * @returns {Object} - { score, level, sentiment, signals, humanRequested, shouldHandoff }
+ *   signals are the new message's signals plus 'bot_repeated'; score and sentiment cover the
+ *   latest TURNS customer turns
+ */
+const assessConversation = (conversationHistory = [], message) => {
+  try {
+    const { TURNS, DECAY, ANNOYED_SCORE, HANDOFF_SCORE, HANDOFF_MIN_TURNS, BOT_REPEAT_WEIGHT } = CONSTANTS.FRUSTRATION;
+    const userMessages = [
+      ...conversationHistory
+        .filter((entry) => entry.role === 'user' && !entry.metadata?.guard)
+        .map((entry) => entry.message),
+      message,
+    ];
+
+    // Newest first, each scored against what the customer had said before it
+    const turns = userMessages
+      .map((text, index) => scoreMessage(text, userMessages.slice(0, index)))
+      .slice(-TURNS)
+      .reverse();
+
+    const signals = [...turns[0].signals];
+    const assistantReplies = conversationHistory.filter((entry) => entry.role === 'assistant').slice(-2);
+    const botRepeated = assistantReplies.length === 2 && assistantReplies[0].message === assistantReplies[1].message;
+    if (botRepeated) {
+      signals.push({ type: 'bot_repeated', weight: BOT_REPEAT_WEIGHT, detail: assistantReplies[1].message.slice(0, 60) });
+    }
+
+    const weights = turns.map((turn, index) => DECAY ** index);
+    const decayed = turns.reduce((sum, turn, index) => sum + turn.score * weights[index], 0);
+    const score = Math.round(Math.min(1, decayed + (botRepeated ? BOT_REPEAT_WEIGHT : 0)) * 100) / 100;
+    const weightedSentiment = turns.reduce((sum, turn, index) => sum + turn.sentiment * weights[index], 0);
+    const sentiment = Math.round((weightedSentiment / weights.reduce((sum, weight) => sum + weight, 0)) * 100) / 100;
+
+    let level = LEVEL.CALM;
+    if (score >= HANDOFF_SCORE) level = LEVEL.FRUSTRATED;
+    else if (score >= ANNOYED_SCORE) level = LEVEL.ANNOYED;
+
+    // Frustration builds over the conversation; a single message is not enough on its own
+    const turnsWithSignals = turns.filter((turn) => turn.signals.length > 0).length;
+    const sustained = turnsWithSignals >= HANDOFF_MIN_TURNS || botRepeated;
+
+    const humanRequested = isHumanRequest(message);
+    const assessment = {
+      score,
+      level,
+      sentiment,
+      signals,
+      humanRequested,
+      shouldHandoff: humanRequested || (score >= HANDOFF_SCORE && sustained),
+    };
+
+    if (signals.length > 0 || humanRequested) {
+      logger.info('Frustration signals detected', {
+        score,
+        level,
+        humanRequested,
+        signals: signals.map((signal) => signal.type),
+      });
+    }
+
+    return assessment;
+  } catch (error) {
+    logger.error('Error assessing frustration', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  scoreMessage,
+  isHumanRequest,
+  assessConversation,
+};
@@ -0,0 +1,306 @@
+const logger = require('../config/logger');
+const sessionService = require('./sessionService');
+const { generateUUID, generateMessageId, getCurrentTimestamp } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Handoff Service
+ * Hands a conversation to a human agent: the session is queued, an agent claims it, reads the
+ * history and replies into the session, then resolves it back to the assistant.
+ *
+ * A handoff is kept on its session (session.userContext.handoff), so it lives in the session store
+ * with the conversation: with Redis it survives restarts and every instance sees the same queue.
+ * The queue is the session store's handoff queue, oldest first: a session joins it when its handoff
+ * is requested and leaves it when the handoff is resolved, and the store keeps it meanwhile. While a
+ * handoff is queued or claimed the session is in human mode and the orchestrator does not answer.
+ * Agent replies are stored in the session history with role 'agent'.
+ *
+ * Lifecycle: queued -> claimed -> resolved. Each function returns { status, handoff }, with status
+ * 'ok', 'not_found' or 'conflict' (e.g. claimed by another agent), so callers decide how to answer.
+ */
+
+const { STATUS } = CONSTANTS.HANDOFF;
+
+/**
+ * Result of a queue operation
+ * @param {string} status - 'ok', 'not_found' or 'conflict'
+ * @param {Object|null} handoff - The handoff
+ * @param {string|null} reason - Why the operation was refused
+ * @returns {Object}
+ */
+const result = (status, handoff = null, reason = null) => ({ status, handoff, reason });
+
+/**
+ * Whether a handoff is waiting for or held by an agent
+ * @param {Object|null} handoff - The handoff
+ * @returns {boolean}
+ */
+const isOpen = (handoff) => handoff?.status === STATUS.QUEUED || handoff?.status === STATUS.CLAIMED;
+
+/**
+ * Open handoffs of the sessions in the handoff queue, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+const loadHandoffs = async () => {
+  const sessions = await sessionService.listHandoffQueue();
+  // A session is queued just before its handoff is written and taken off just after it is resolved
+  return sessions.map((session) => session.userContext.handoff).filter(isOpen);
+};
+
+/**
+ * Position of a queued handoff (1 = next to be claimed)
+ * @param {Object} handoff - The handoff
+ * @param {Array<Object>} handoffs - All handoffs
+ * @returns {number|null} - null once claimed or resolved
+ */
+const getQueuePosition = (handoff, handoffs) => {
+  if (handoff.status !== STATUS.QUEUED) return null;
+  return handoffs.filter((other) => other.status === STATUS.QUEUED && other.queuedAt <= handoff.queuedAt).length;
+};
+
+/**
+ * Handoff as returned to callers, with its queue position
+ * @param {Object|null} handoff - Stored handoff
+ * @param {Array<Object>|null} handoffs - All handoffs (loaded when the position is needed and not given)
+ * @returns {Promise<Object|null>}
+ */
+const describeHandoff = async (handoff, handoffs = null) => {
+  if (!handoff) return null;
+  const queue = handoff.status === STATUS.QUEUED ? handoffs || (await loadHandoffs()) : [];
+  return { ...handoff, queuePosition: getQueuePosition(handoff, queue) };
+};
+
+/**
+ * Whether a human agent, not the assistant, answers this session
+ * @param {Object|null} session - The session
+ * @returns {boolean}
+ */
+const isHumanMode = (session) => isOpen(session?.userContext?.handoff);
+
+/**
+ * Get an open handoff (a resolved one has left the queue)
+ * @param {string} handoffId - Handoff ID
+ * @returns {Promise<Object|null>}
+ */
+const getHandoff = async (handoffId) => {
+  const handoffs = await loadHandoffs();
+  return describeHandoff(
+    handoffs.find((handoff) => handoff.handoffId === handoffId),
+    handoffs
+  );
+};
+
+/**
+ * Get the handoff of a session
+ * @param {Object|null} session - The session
+ * @returns {Promise<Object|null>}
+ */
+const getSessionHandoff = (session) => describeHandoff(session?.userContext?.handoff);
+
+/**
+ * Change a handoff atomically on its session
+ * @param {string} handoffId - Handoff ID
+ * @param {Function} change - (handoff) => { status, handoff, reason }, changing the handoff in place
+ *   when allowed; it runs inside the session update, so it must not have side effects
+ * @returns {Promise<Object>} - { status, handoff, reason }
+ */
+const updateHandoff = async (handoffId, change) => {
+  const found = (await loadHandoffs()).find((handoff) => handoff.handoffId === handoffId);
+  if (!found) return result('not_found');
+
+  let outcome = result('not_found');
+  await sessionService.updateUserContext(found.sessionId, (userContext) => {
+    const handoff = userContext.handoff;
+    outcome = handoff?.handoffId === handoffId ? change(handoff) : result('not_found');
+  });
+
+  return { ...outcome, handoff: await describeHandoff(outcome.handoff) };
+};
+
+/**
+ * Put a session in the handoff queue (a session with an open handoff keeps it)
+ * @param {Object} session - The session
+ * @param {Object} details - { trigger, frustration: { score, level, sentiment, signals } }
+ * @returns {Promise<Object>} - { status, handoff }
+ */
+const requestHandoff = async (session, { trigger, frustration = null }) => {
+  try {
+    if (isHumanMode(session)) {
+      return result('ok', await getSessionHandoff(session));
+    }
+
+    const requested = {
+      handoffId: generateUUID(),
+      sessionId: session.sessionId,
+      status: STATUS.QUEUED,
+      trigger,
+      frustration: frustration
+        ? {
+            score: frustration.score,
+            level: frustration.level,
+            sentiment: frustration.sentiment,
+            signals: frustration.signals.map((signal) => signal.type),
+          }
+        : null,
+      agentId: null,
+      queuedAt: getCurrentTimestamp(),
+      claimedAt: null,
+      resolvedAt: null,
+    };
+
+    // Queued first, so the handoff is in the queue once it is on the session
+    await sessionService.addToHandoffQueue(session.sessionId, requested.queuedAt);
+
+    // A concurrent turn may have queued the session meanwhile: keep its handoff
+    let handoff = requested;
+    await sessionService.updateUserContext(session.sessionId, (userContext) => {
+      const stored = userContext.handoff;
+      handoff = isOpen(stored) ? stored : requested;
+      userContext.handoff = handoff;
+    });
+
+    if (handoff === requested) {
+      logger.info('Conversation queued for a human agent', {
+        handoffId: handoff.handoffId,
+        sessionId: handoff.sessionId,
+        trigger,
+        frustrationScore: handoff.frustration?.score,
+      });
+    }
+
+    return result('ok', await describeHandoff(handoff));
+  } catch (error) {
+    logger.error('Error requesting handoff', { error: error.message, sessionId: session?.sessionId });
+    throw error;
+  }
+};
+
+/**
+ * List open handoffs, oldest first
+ * @param {string|null} status - Only handoffs with this status (queued and claimed when null)
+ * @returns {Promise<Array<Object>>}
+ */
+const listHandoffs = async (status = null) => {
+  const handoffs = await loadHandoffs();
+  return Promise.all(
+    handoffs
+      .filter((handoff) => !status || handoff.status === status)
+      .map((handoff) => describeHandoff(handoff, handoffs))
+  );
+};
+
+/**
+ * Claim a queued handoff (claiming your own handoff again is fine)
+ * @param {string} handoffId - Handoff ID
+ * @param {string} agentId - Agent claiming it
+ * @returns {Promise<Object>} - { status, handoff, reason }
+ */
+const claimHandoff = async (handoffId, agentId) => {
+  try {
+    const outcome = await updateHandoff(handoffId, (handoff) => {
+      if (handoff.status === STATUS.RESOLVED) {
+        return result('conflict', handoff, 'Handoff is already resolved');
+      }
+      if (handoff.status === STATUS.CLAIMED && handoff.agentId !== agentId) {
+        return result('conflict', handoff, `Handoff is claimed by ${handoff.agentId}`);
+      }
+
+      if (handoff.status === STATUS.QUEUED) {
+        handoff.status = STATUS.CLAIMED;
+        handoff.agentId = agentId;
+        handoff.claimedAt = getCurrentTimestamp();
+      }
+      return result('ok', handoff);
+    });
+
+    if (outcome.status === 'ok') {
+      logger.info('Handoff claimed', { handoffId, agentId, sessionId: outcome.handoff.sessionId });
+    }
+    return outcome;
+  } catch (error) {
+    logger.error('Error claiming handoff', { error: error.message, handoffId, agentId });
+    throw error;
+  }
+};
+
+/**
+ * Check that an agent holds a handoff
+ * @param {Object|null} handoff - Stored handoff
+ * @param {string} agentId - Agent ID
+ * @returns {Object|null} - A refusal result, or null when the agent holds it
+ */
+const checkHolder = (handoff, agentId) => {
+  if (!handoff) return result('not_found');
+  if (handoff.status !== STATUS.CLAIMED || handoff.agentId !== agentId) {
+    return result('conflict', handoff, 'Claim the handoff before replying or resolving it');
+  }
+  return null;
+};
+
+/**
+ * Reply into the session as the agent holding the handoff
+ * @param {string} handoffId - Handoff ID
+ * @param {string} agentId - Agent ID
+ * @param {string} message - Reply text
+ * @returns {Promise<Object>} - { status, handoff, message } with the stored history message
+ */
+const postAgentReply = async (handoffId, agentId, message) => {
+  try {
+    const handoff = await getHandoff(handoffId);
+    const refusal = checkHolder(handoff, agentId);
+    if (refusal) return refusal;
+
+    const historyMessage = await sessionService.addMessageToHistory(handoff.sessionId, {
+      role: CONSTANTS.HANDOFF.AGENT_ROLE,
+      message,
+      messageId: generateMessageId(),
+      metadata: { handoffId, agentId },
+    });
+
+    logger.info('Agent replied', { handoffId, agentId, sessionId: handoff.sessionId });
+
+    return { ...result('ok', handoff), message: historyMessage };
+  } catch (error) {
+    logger.error('Error posting agent reply', { error: error.message, handoffId, agentId });
+    throw error;
+  }
+};
+
+/**
+ * Resolve a handoff: the assistant answers the session again
+ * @param {string} handoffId - Handoff ID
+ * @param {string} agentId - Agent holding the handoff
+ * @returns {Promise<Object>} - { status, handoff }
+ */
+const resolveHandoff = async (handoffId, agentId) => {
+  try {
+    const outcome = await updateHandoff(handoffId, (handoff) => {
+      const refusal = checkHolder(handoff, agentId);
+      if (refusal) return refusal;
+
+      handoff.status = STATUS.RESOLVED;
+      handoff.resolvedAt = getCurrentTimestamp();
+      return result('ok', handoff);
+    });
+
+    if (outcome.status === 'ok') {
+      await sessionService.removeFromHandoffQueue(outcome.handoff.sessionId);
+      logger.info('Handoff resolved', { handoffId, agentId, sessionId: outcome.handoff.sessionId });
+    }
+    return outcome;
+  } catch (error) {
+    logger.error('Error resolving handoff', { error: error.message, handoffId, agentId });
+    throw error;
+  }
+};
+
+module.exports = {
+  isHumanMode,
+  getHandoff,
+  getSessionHandoff,
+  requestHandoff,
+  listHandoffs,
+  claimHandoff,
+  postAgentReply,
+  resolveHandoff,
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+
+/**
+ * Installation Guide Service
+ * Loads installation guides from a content directory of YAML and Markdown files
+ *
+ * Layout:
+ *   parts/<PS number>.md|.yaml     - Guide for one specific part
+ *   categories/<category>.md|.yaml - Fallback guide for a part category (e.g., water_valve)
+ *
+ * Markdown files carry the guide as YAML front matter; the Markdown body becomes the summary.
+ */
+
+const GUIDE_EXTENSIONS = ['.md', '.yaml', '.yml'];
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+// Cached guides (loaded lazily on first access)
+let guides = null;
+
+/**
+ * Parse a guide file into a plain object
+ * @param {string} filePath - Path to the guide file
+ * @returns {Object} - Raw guide fields
+ */
+const parseGuideFile = (filePath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath) === '.md') {
+    const match = raw.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+      throw new Error('Markdown guide is missing YAML front matter');
+    }
+    const fields = yaml.load(match[1]) || {};
+    const body = match[2].trim();
+    return body ? { ...fields, summary: body } : fields;
+  }
+
+  return yaml.load(raw) || {};
+};
+
+/**
+ * Normalize and validate a parsed guide
+ * @param {Object} fields - Raw guide fields
+ * @returns {Object} - Guide
+ * @throws {Error} - If required fields are missing
+ */
+const normalizeGuide = (fields) => {
+  if (!fields.title) {
+    throw new Error('Guide is missing a title');
+  }
+  if (!Array.isArray(fields.steps) || fields.steps.length === 0) {
+    throw new Error('Guide must have at least one step');
+  }
+
+  return {
+    partNumber: fields.partNumber ? String(fields.partNumber).toUpperCase() : null,
+    category: fields.category || null,
+    title: fields.title,
+    summary: fields.summary || null,
+    difficulty: fields.difficulty || 'medium',
+    estimatedTime: fields.estimatedTime || null,
+    requiredTools: fields.requiredTools || [],
+    warnings: fields.warnings || [],
+    tips: fields.tips || [],
+    steps: fields.steps.map((step, index) => ({
+      step: index + 1,
+      instruction: step.instruction,
+      tips: step.tips || [],
+      warnings: step.warnings || [],
+      tools: step.tools || [],
+    })),
+  };
+};
+
+/**
+ * Load every guide file in one subdirectory, keyed by file name
+ * @param {string} directory - Directory to scan
+ * @returns {Map<string, Object>} - Key (file name without extension) -> guide
+ */
+const loadGuideDirectory = (directory) => {
+  const loaded = new Map();
+
+  if (!fs.existsSync(directory)) {
+    return loaded;
+  }
+
+  fs.readdirSync(directory)
+    .filter((fileName) => GUIDE_EXTENSIONS.includes(path.extname(fileName)))
+    .forEach((fileName) => {
+      const filePath = path.join(directory, fileName);
+      try {
+        const key = path.basename(fileName, path.extname(fileName));
+        const guide = normalizeGuide(parseGuideFile(filePath));
+        loaded.set(key, { ...guide, source: path.join(path.basename(directory), fileName) });
+      } catch (error) {
+        // A broken content file should not take the other guides down with it
+        logger.warn('Skipping invalid installation guide', { filePath, error: error.message });
+      }
+    });
+
+  return loaded;
+};
+
+/**
+ * Load all installation guides
+ * @param {string} contentPath - Installation guide content directory
+ * @returns {Object} - { byPart: Map, byCategory: Map }
+ */
+const loadGuides = (contentPath = environmentConfig.content.installationGuidesPath) => {
+  const byPart = new Map();
+  const byCategory = new Map();
+
+  loadGuideDirectory(path.join(contentPath, 'parts')).forEach((guide, key) => {
+    byPart.set(guide.partNumber || key.toUpperCase(), guide);
+  });
+
+  loadGuideDirectory(path.join(contentPath, 'categories')).forEach((guide, key) => {
+    byCategory.set(guide.category || key, guide);
+  });
+
+  guides = { byPart, byCategory };
+
+  logger.info('Installation guides loaded', {
+    partGuides: byPart.size,
+    categoryGuides: byCategory.size,
+    contentPath,
+  });
+
+  return guides;
+};
+
+/**
+ * Get the loaded guides, loading them if needed
+ * @returns {Object}
+ */
+const getGuides = () => {
+  if (!guides) {
+    loadGuides();
+  }
+  return guides;
+};
+
+/**
+ * Find the best guide for a part: its own guide first, then its category's guide
+ * @param {string} partNumber - PartSelect part number
+ * @param {string|null} category - Part category (e.g., water_valve)
+ * @returns {Object|null} - { guide, matchedBy: 'part' | 'category' } or null
+ */
+const findGuide = (partNumber, category = null) => {
+  const { byPart, byCategory } = getGuides();
+  const normalizedPart = partNumber ? String(partNumber).toUpperCase() : null;
+
+  if (normalizedPart && byPart.has(normalizedPart)) {
+    return { guide: byPart.get(normalizedPart), matchedBy: 'part' };
+  }
+
+  if (category && byCategory.has(category)) {
+    return { guide: byCategory.get(category), matchedBy: 'category' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  loadGuides,
+  findGuide,
+};
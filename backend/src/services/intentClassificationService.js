@@ -1,77 +1,337 @@
 const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
 const { extractEntities } = require('../utils/sanitizers');
 const CONSTANTS = require('../config/constants');
+const llmService = require('./llmService');
+const nluModelService = require('./nluModelService');
+const modelNumberService = require('./modelNumberService');
+const errorCodeService = require('./errorCodeService');
+const catalogService = require('./catalogService');
 
 /**
  * Intent Classification Service
  * Classifies user intent into specific categories
- * Uses rule-based keyword matching
+ * Hybrid, in order:
+ *   1. The trained model (nluModelService) when it is confident, and very confident when the keyword
+ *      rules found keywords of another intent
+ *   2. Rule-based keyword matching when it is confident
+ *   3. The configured LLM (hosted or local) with a JSON output schema
+ *   4. The rule result as a last resort
+ * Every result carries `classifier` ('model', 'rules' or 'llm') saying which one produced it.
  */
 
+const { CLASSIFIER } = CONSTANTS.INTENT_CLASSIFIER;
+
+// JSON schema the LLM must answer with (strict mode: every field required, nullable where optional)
+const LLM_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: Object.values(CONSTANTS.INTENT) },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    entities: {
+      type: 'object',
+      properties: {
+        partNumber: { type: ['string', 'null'] },
+        modelNumber: { type: ['string', 'null'] },
+        applianceType: { type: ['string', 'null'], enum: [...Object.values(CONSTANTS.APPLIANCE_TYPE), null] },
+      },
+      required: ['partNumber', 'modelNumber', 'applianceType'],
+      additionalProperties: false,
+    },
+  },
+  required: ['intent', 'confidence', 'entities'],
+  additionalProperties: false,
+};
+
 /**
  * Classify intent of a message
  * @param {string} message - The cleaned, lowercase message
  * @returns {Promise<Object>} - Intent classification result
+ *   ({ intent, intents, confidence, keywords, context, scores, classifier }); intents lists every request
+ *   the message makes, starting with intent
  */
 const classifyIntent = async (message) => {
   try {
-    const tokens = message.split(/\s+/);
-    const entities = extractEntities(message);
-
-    // Score each intent category
-    const intentScores = {
-      [CONSTANTS.INTENT.PRODUCT_SEARCH]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.product_search),
-      [CONSTANTS.INTENT.COMPATIBILITY_CHECK]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.compatibility_check),
-      [CONSTANTS.INTENT.INSTALLATION_GUIDE]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.installation_guide),
-      [CONSTANTS.INTENT.TROUBLESHOOTING]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.troubleshooting),
-      [CONSTANTS.INTENT.ORDER_SUPPORT]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.order_support),
-    };
-
-    // Find highest scoring intent
-    const topIntent = Object.entries(intentScores).reduce((prev, current) =>
-      prev[1] > current[1] ? prev : current
-    );
+    const ruleResult = classifyWithRules(message);
+    const withIntents = (result) => ({ ...result, intents: rankIntents(result.intent, ruleResult.scores) });
 
-    const intent = topIntent[0];
-    const score = topIntent[1];
-    const confidence = Math.min(score / 100, 0.99);
+    // An error code from the appliance display settles the intent, like a part number settles scope
+    const modelResult = ruleResult.context.errorCode ? null : classifyWithModel(message, ruleResult);
+    if (modelResult) {
+      return withIntents(modelResult);
+    }
 
-    // Find matching keywords
-    const matchingKeywords = findMatchingKeywords(tokens, CONSTANTS.INTENT_KEYWORDS[intent]);
+    if (isConfident(ruleResult) || !isLlmFallbackEnabled()) {
+      return withIntents(ruleResult);
+    }
 
-    const context = {
-      partNumber: entities.partNumbers?.[0] || null,
-      modelNumber: entities.modelNumbers?.[0] || null,
-      applianceType: detectApplianceType(message),
-    };
-
-    logger.debug('Intent classified', {
-      intent,
-      confidence,
-      score,
-      matchingKeywords: matchingKeywords.length,
-    });
-
-    return {
-      intent,
-      confidence,
-      keywords: matchingKeywords,
-      context,
-      scores: intentScores,
-    };
+    try {
+      return withIntents(await classifyWithLlm(message, ruleResult));
+    } catch (error) {
+      logger.warn('LLM intent fallback failed, using rule result', {
+        error: error.message,
+        intent: ruleResult.intent,
+      });
+      return withIntents(ruleResult);
+    }
   } catch (error) {
     logger.error('Error classifying intent', { error: error.message });
     // Default to general inquiry on error
     return {
       intent: CONSTANTS.INTENT.GENERAL_INQUIRY,
+      intents: [CONSTANTS.INTENT.GENERAL_INQUIRY],
       confidence: 0.3,
       keywords: [],
       context: {},
       scores: {},
+      classifier: CLASSIFIER.RULES,
     };
   }
 };
 
+/**
+ * Rank the intents a message expresses
+ * The classified intent comes first, followed by other intents with a strong rule score
+ * ("I need a door gasket, how hard is it to install?" is a product search and an installation question)
+ * @param {string} primaryIntent - The classified intent
+ * @param {Object} scores - Rule scores by intent
+ * @returns {Array<string>} - Intents, most relevant first
+ */
+const rankIntents = (primaryIntent, scores = {}) => {
+  const { SECONDARY_MIN_SCORE, MAX_INTENTS } = CONSTANTS.MULTI_INTENT;
+
+  const secondary = Object.entries(scores)
+    .filter(([intent, score]) => intent !== primaryIntent && score >= SECONDARY_MIN_SCORE)
+    .sort((a, b) => b[1] - a[1])
+    .map(([intent]) => intent);
+
+  return [primaryIntent, ...secondary].slice(0, MAX_INTENTS);
+};
+
+/**
+ * Classify intent with keyword rules
+ * Ties go to the intent listed first; a message with no keyword hits is a product search if it
+ * names a part, model or appliance or its words match catalog parts ("door gasket"), and a
+ * general inquiry otherwise (both with confidence 0)
+ * @param {string} message - The cleaned, lowercase message
+ * @returns {Object} - { intent, confidence, margin, keywords, context, scores, classifier: 'rules' }
+ */
+const classifyWithRules = (message) => {
+  // Lowercase and strip surrounding punctuation so "Compatible?" matches "compatible"
+  const tokens = message
+    .toLowerCase()
+    .split(/\s+/)
+    .map((token) => token.replace(/^[^\w']+|[^\w']+$/g, ''))
+    .filter(Boolean);
+  const entities = extractEntities(message);
+  const models = modelNumberService.extractModels(message);
+  const errorCodes = errorCodeService.extractErrorCodes(message);
+
+  // Score each intent category
+  const intentScores = {
+    [CONSTANTS.INTENT.PRODUCT_SEARCH]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.product_search),
+    [CONSTANTS.INTENT.COMPATIBILITY_CHECK]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.compatibility_check),
+    [CONSTANTS.INTENT.INSTALLATION_GUIDE]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.installation_guide),
+    [CONSTANTS.INTENT.TROUBLESHOOTING]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.troubleshooting),
+    [CONSTANTS.INTENT.ORDER_SUPPORT]: scoreIntent(tokens, CONSTANTS.INTENT_KEYWORDS.order_support),
+  };
+
+  // "E15 on my Bosch", "dishwasher blinking 7 times": the customer is reading an error off the appliance
+  if (errorCodes.length > 0) {
+    intentScores[CONSTANTS.INTENT.TROUBLESHOOTING] = Math.max(
+      intentScores[CONSTANTS.INTENT.TROUBLESHOOTING],
+      CONSTANTS.APPLIANCE_ERROR_CODES.INTENT_SCORE
+    );
+  }
+
+  // "How much is PS11752778": "how" alone would count toward installation_guide
+  if (CONSTANTS.PATTERNS.PRICE_QUESTION.test(message)) {
+    intentScores[CONSTANTS.INTENT.ORDER_SUPPORT] = Math.max(
+      intentScores[CONSTANTS.INTENT.ORDER_SUPPORT],
+      CONSTANTS.INTENT_CLASSIFIER.PRICE_QUESTION_SCORE
+    );
+  }
+
+  const context = {
+    partNumber: entities.partNumbers?.[0] || null,
+    modelNumber: models[0]?.modelNumber || null,
+    manufacturerPartNumber: entities.manufacturerPartNumbers?.[0] || null,
+    applianceType: detectApplianceType(message),
+    errorCode: errorCodes[0] || null,
+  };
+
+  // Rank intents by score (stable sort keeps declaration order for ties)
+  const ranked = Object.entries(intentScores).sort((a, b) => b[1] - a[1]);
+  const [topIntent, score] = ranked[0];
+  const runnerUpScore = ranked[1][1];
+
+  let intent = topIntent;
+  if (score === 0) {
+    const namesSomething = Object.values(context).some(Boolean) || catalogService.matchesCatalogTerms(message);
+    intent = namesSomething ? CONSTANTS.INTENT.PRODUCT_SEARCH : CONSTANTS.INTENT.GENERAL_INQUIRY;
+  }
+
+  const confidence = Math.min(score / 100, 0.99);
+  const margin = (score - runnerUpScore) / 100;
+
+  // Find matching keywords
+  const matchingKeywords = findMatchingKeywords(tokens, CONSTANTS.INTENT_KEYWORDS[intent]);
+
+  logger.debug('Intent classified by rules', {
+    intent,
+    confidence,
+    score,
+    margin,
+    matchingKeywords: matchingKeywords.length,
+  });
+
+  return {
+    intent,
+    confidence,
+    margin,
+    keywords: matchingKeywords,
+    context,
+    scores: intentScores,
+    classifier: CLASSIFIER.RULES,
+  };
+};
+
+/**
+ * Classify intent with the trained model
+ * A fairly sure model does not overrule keywords of another intent: "price of PS11752778" stays order support
+ * @param {string} message - The cleaned, lowercase message
+ * @param {Object} ruleResult - Result of classifyWithRules (entities and scores are kept)
+ * @returns {Object|null} - Classification result with classifier: 'model', or null if no model
+ *   is loaded or it is not confident enough
+ */
+const classifyWithModel = (message, ruleResult) => {
+  const prediction = nluModelService.predictIntent(message);
+  if (!prediction || prediction.confidence < CONSTANTS.NLU.INTENT_MIN_CONFIDENCE) {
+    return null;
+  }
+
+  const ruleHits = findKeywordHits(message, CONSTANTS.INTENT_KEYWORDS[ruleResult.intent]);
+  if (
+    ruleHits.length > 0 &&
+    prediction.label !== ruleResult.intent &&
+    prediction.confidence < CONSTANTS.NLU.INTENT_OVERRULE_CONFIDENCE
+  ) {
+    logger.debug('Model intent overruled by keyword rules', {
+      intent: prediction.label,
+      confidence: prediction.confidence,
+      ruleIntent: ruleResult.intent,
+      ruleHits,
+    });
+    return null;
+  }
+
+  const confidence = Math.min(prediction.confidence, 0.99);
+
+  logger.debug('Intent classified by model', {
+    intent: prediction.label,
+    confidence,
+    ruleIntent: ruleResult.intent,
+    ruleConfidence: ruleResult.confidence,
+  });
+
+  return {
+    intent: prediction.label,
+    confidence,
+    keywords: findMatchingKeywords(message.split(/\s+/), CONSTANTS.INTENT_KEYWORDS[prediction.label]),
+    context: ruleResult.context,
+    scores: ruleResult.scores,
+    probabilities: prediction.probabilities,
+    classifier: CLASSIFIER.MODEL,
+    ruleIntent: ruleResult.intent,
+  };
+};
+
+/**
+ * Whether a rule result is confident enough to skip the LLM fallback
+ * @param {Object} ruleResult - Result of classifyWithRules
+ * @returns {boolean}
+ */
+const isConfident = (ruleResult) => {
+  return (
+    ruleResult.confidence >= CONSTANTS.INTENT_CLASSIFIER.RULE_CONFIDENCE_THRESHOLD &&
+    ruleResult.margin >= CONSTANTS.INTENT_CLASSIFIER.RULE_MIN_MARGIN
+  );
+};
+
+/**
+ * Whether the LLM fallback is enabled and an LLM is available
+ * @returns {boolean}
+ */
+const isLlmFallbackEnabled = () => {
+  return environmentConfig.intentClassifier.llmFallback && llmService.isConfigured();
+};
+
+/**
+ * Keep an entity from the LLM only if it actually appears in the message
+ * @param {string|null} value - Entity value from the LLM
+ * @param {string} message - The message
+ * @param {RegExp} pattern - Shape the value must have
+ * @returns {string|null}
+ */
+const groundEntity = (value, message, pattern) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!pattern.test(trimmed) || !message.toLowerCase().includes(trimmed.toLowerCase())) return null;
+  return trimmed.toUpperCase();
+};
+
+/**
+ * Classify intent with the LLM using a constrained JSON schema
+ * Entities found by the rules win; LLM entities only fill gaps and must appear in the message
+ * @param {string} message - The cleaned, lowercase message
+ * @param {Object} ruleResult - Result of classifyWithRules (scores and entities are kept)
+ * @returns {Promise<Object>} - Classification result with classifier: 'llm'
+ * @throws {Error} - If the LLM fails or answers outside the schema
+ */
+const classifyWithLlm = async (message, ruleResult) => {
+  const output = await llmService.generateJson({
+    systemPrompt: CONSTANTS.INTENT_CLASSIFIER.SYSTEM_PROMPT,
+    message,
+    schemaName: 'intent_classification',
+    schema: LLM_OUTPUT_SCHEMA,
+  });
+
+  // JSON mode without schema enforcement can still drift, so check the fields we use
+  if (!Object.values(CONSTANTS.INTENT).includes(output.intent)) {
+    throw new Error(`LLM returned unknown intent "${output.intent}"`);
+  }
+
+  const entities = output.entities || {};
+  const confidence = Number.isFinite(output.confidence) ? Math.min(Math.max(output.confidence, 0), 0.99) : 0.5;
+  const applianceType = Object.values(CONSTANTS.APPLIANCE_TYPE).includes(entities.applianceType)
+    ? entities.applianceType
+    : null;
+
+  const context = {
+    partNumber: ruleResult.context.partNumber || groundEntity(entities.partNumber, message, /^PS\d{5,}$/i),
+    modelNumber: ruleResult.context.modelNumber || groundEntity(entities.modelNumber, message, /^[A-Z0-9-]{5,}$/i),
+    manufacturerPartNumber: ruleResult.context.manufacturerPartNumber,
+    applianceType: ruleResult.context.applianceType || applianceType,
+  };
+
+  logger.debug('Intent classified by LLM', {
+    intent: output.intent,
+    confidence,
+    ruleIntent: ruleResult.intent,
+    ruleConfidence: ruleResult.confidence,
+  });
+
+  return {
+    intent: output.intent,
+    confidence,
+    keywords: findMatchingKeywords(message.split(/\s+/), CONSTANTS.INTENT_KEYWORDS[output.intent]),
+    context,
+    scores: ruleResult.scores,
+    classifier: CLASSIFIER.LLM,
+    ruleIntent: ruleResult.intent,
+  };
+};
+
 /**
  * Score a message against intent keywords
  * @param {Array<string>} tokens - Message tokens
@@ -105,6 +365,18 @@ const scoreIntent = (tokens, intentKeywords) => {
   return Math.min(score, 100);
 };
 
+/**
+ * Find the intent keywords a message contains as whole words ("price", "won't", "do you have"),
+ * unlike scoreIntent, which also counts a token found inside a keyword ("do" in "do you have")
+ * @param {string} message - The cleaned message
+ * @param {Array<string>} intentKeywords - Keywords for an intent
+ * @returns {Array<string>} - Keywords found
+ */
+const findKeywordHits = (message, intentKeywords = []) => {
+  const text = ` ${message.toLowerCase().replace(/[^\w']+/g, ' ')} `;
+  return intentKeywords.filter((keyword) => text.includes(` ${keyword} `));
+};
+
 /**
  * Find keywords in message that match intent keywords
  * @param {Array<string>} tokens - Message tokens
@@ -152,7 +424,7 @@ const suggestTools = (intent) => {
     [CONSTANTS.INTENT.PRODUCT_SEARCH]: ['productSearchTool'],
     [CONSTANTS.INTENT.COMPATIBILITY_CHECK]: ['compatibilityTool', 'productSearchTool'],
     [CONSTANTS.INTENT.INSTALLATION_GUIDE]: ['installationTool', 'productSearchTool'],
-    [CONSTANTS.INTENT.TROUBLESHOOTING]: ['troubleshootingTool', 'productSearchTool'],
+    [CONSTANTS.INTENT.TROUBLESHOOTING]: ['troubleshootingTool', 'errorCodeTool', 'productSearchTool'],
     [CONSTANTS.INTENT.ORDER_SUPPORT]: ['orderSupportTool'],
     [CONSTANTS.INTENT.GENERAL_INQUIRY]: ['productSearchTool'],
   };
@@ -162,6 +434,9 @@ const suggestTools = (intent) => {
 
 module.exports = {
   classifyIntent,
+  rankIntents,
+  classifyWithRules,
+  classifyWithModel,
   scoreIntent,
   findMatchingKeywords,
   detectApplianceType,
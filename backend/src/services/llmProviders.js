@@ -0,0 +1,543 @@
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * LLM Providers
+ * Chat completion clients for every supported backend, all behind one interface:
+ *   name, model
+ *   createChatCompletion({ messages, tools, temperature, responseFormat, onToken, signal }) -> Promise<{ message, finishReason, usage }>
+ *
+ * signal (an AbortSignal) cancels the request, e.g. when the streaming client has disconnected.
+ *
+ * With onToken the request is streamed (Server-Sent Events for OpenAI-compatible servers,
+ * newline-delimited JSON for Ollama) and onToken(text) is called with each content delta as
+ * it arrives. The returned message is the same whole message either way.
+ *
+ * responseFormat ({ name, schema }) asks for JSON output matching a JSON schema. Backends
+ * that cannot enforce a schema (Deepseek) fall back to plain JSON mode, so callers must still
+ * validate what comes back.
+ *
+ * Messages, tool definitions and the returned message use the OpenAI chat format. Providers
+ * with another wire format (Ollama's native /api/chat) translate on the way in and out, so
+ * the tool-calling loop never sees provider differences. Every failure (network, timeout,
+ * HTTP status, malformed body) is raised as an LLM_SERVICE_UNAVAILABLE error.
+ *
+ * Providers (environment.llm.provider / LLM_PROVIDER):
+ *   deepseek - Deepseek API (OpenAI-compatible, API key required)
+ *   openai   - OpenAI or any hosted OpenAI-compatible API (API key required)
+ *   ollama   - Local Ollama server, native /api/chat endpoint (no key)
+ *   llamacpp - Local llama.cpp server (llama-server), OpenAI-compatible /v1 endpoint (no key)
+ */
+
+/**
+ * Create an LLM service error (mapped to 503 LLM_SERVICE_UNAVAILABLE by the error handler)
+ * @param {string} message - Error message
+ * @param {Object} details - Extra context for logs
+ * @returns {Error}
+ */
+const createLlmError = (message, details = {}) => {
+  const error = new Error(message);
+  error.code = CONSTANTS.ERROR_CODE.LLM_SERVICE_UNAVAILABLE;
+  error.statusCode = CONSTANTS.HTTP_STATUS.SERVICE_UNAVAILABLE;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Why a request or stream stopped, for error messages
+ * @param {Error} error - Error thrown by fetch or the body reader
+ * @param {string} timedOut - Wording for a timeout
+ * @returns {string}
+ */
+const describeFailure = (error, timedOut) => {
+  if (error.name === 'TimeoutError') return timedOut;
+  if (error.name === 'AbortError') return 'cancelled';
+  return error.message;
+};
+
+/**
+ * POST a JSON body, mapping network failures and error statuses to LLM errors
+ * @param {Object} params - { name, url, headers, body, timeoutMs, fetchImpl, signal }
+ * @returns {Promise<Response>} - The successful response, body unread
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE
+ */
+const sendRequest = async ({ name, url, headers = {}, body, timeoutMs, fetchImpl, signal = null }) => {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      // Also ends a streamed body still being read
+      signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
+    });
+  } catch (error) {
+    const reason = describeFailure(error, `timed out after ${timeoutMs}ms`);
+    throw createLlmError(`LLM request failed: ${reason}`, { client: name, url });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw createLlmError(`LLM request failed with status ${response.status}`, {
+      client: name,
+      status: response.status,
+      body: errorText.slice(0, 500),
+    });
+  }
+
+  return response;
+};
+
+/**
+ * POST a JSON body and parse the JSON response, mapping every failure to an LLM error
+ * @param {Object} params - { name, url, headers, body, timeoutMs, fetchImpl, signal }
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE
+ */
+const postJson = async (params) => {
+  const response = await sendRequest(params);
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw createLlmError('LLM response was not valid JSON', { client: params.name, url: params.url });
+  }
+};
+
+/**
+ * Read a streamed response body line by line
+ * @param {Object} params - { name, response, onLine } (onLine receives each non-empty, trimmed line)
+ * @returns {Promise<void>}
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE if the stream breaks off (including timeouts)
+ */
+const readLines = async ({ name, response, onLine }) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      throw createLlmError(`LLM stream failed: ${describeFailure(error, 'timed out')}`, { client: name });
+    }
+    if (chunk.done) break;
+
+    buffered += decoder.decode(chunk.value, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach(onLine);
+  }
+
+  const rest = (buffered + decoder.decode()).trim();
+  if (rest) onLine(rest);
+};
+
+/**
+ * Parse one JSON chunk of a streamed response
+ * @param {string} text - Chunk text
+ * @param {string} name - Client name (for errors)
+ * @returns {Object}
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE if the chunk is not JSON
+ */
+const parseStreamChunk = (text, name) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createLlmError('LLM stream chunk was not valid JSON', { client: name, chunk: text.slice(0, 200) });
+  }
+};
+
+/**
+ * Normalize tool calls to the OpenAI shape: { id, type: 'function', function: { name, arguments } }
+ * Fills in missing IDs and serializes object arguments (Ollama and some local servers send objects)
+ * @param {Array<Object>} toolCalls - Tool calls as returned by the provider
+ * @param {string} prefix - Prefix for generated call IDs
+ * @returns {Array<Object>}
+ */
+const normalizeToolCalls = (toolCalls = [], prefix = 'call') => {
+  return toolCalls
+    .filter((call) => call && call.function && call.function.name)
+    .map((call, index) => {
+      const args = call.function.arguments;
+      return {
+        id: call.id || `${prefix}_${index}`,
+        type: 'function',
+        function: {
+          name: call.function.name,
+          arguments: typeof args === 'string' ? args : JSON.stringify(args || {}),
+        },
+      };
+    });
+};
+
+/**
+ * Normalize an assistant message to { role, content, tool_calls? }
+ * Legacy single function_call responses are converted to a one-element tool_calls list
+ * @param {Object} message - Assistant message from the provider
+ * @param {string} prefix - Prefix for generated call IDs
+ * @returns {Object}
+ */
+const normalizeAssistantMessage = (message, prefix = 'call') => {
+  const rawCalls = message.tool_calls || (message.function_call ? [{ function: message.function_call }] : []);
+  const toolCalls = normalizeToolCalls(rawCalls, prefix);
+
+  return {
+    role: 'assistant',
+    content: message.content || null,
+    ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+  };
+};
+
+/**
+ * Build the OpenAI response_format field for structured output
+ * @param {Object} responseFormat - { name, schema }
+ * @param {string} jsonMode - 'json_schema' (schema enforced) or 'json_object' (any JSON)
+ * @returns {Object}
+ */
+const toOpenAIResponseFormat = (responseFormat, jsonMode) => {
+  if (jsonMode === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true },
+  };
+};
+
+/**
+ * Stream an OpenAI-compatible completion (Server-Sent Events) and rebuild the non-streaming payload
+ * Content deltas go to onToken as they arrive; tool call fragments are joined by their index
+ * @param {Object} params - { name, url, headers, body, timeoutMs, fetchImpl, signal, onToken }
+ * @returns {Promise<Object>} - { choices: [{ message, finish_reason }], usage }
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE
+ */
+const collectOpenAIStream = async ({ onToken, ...request }) => {
+  const response = await sendRequest(request);
+  const message = { role: 'assistant', content: '', tool_calls: [] };
+  let finishReason = null;
+  let usage = null;
+  let receivedChoice = false;
+
+  await readLines({
+    name: request.name,
+    response,
+    onLine: (line) => {
+      // Skip comments, event names and the closing [DONE]
+      if (!line.startsWith('data:')) return;
+      const data = line.slice('data:'.length).trim();
+      if (data === '[DONE]') return;
+
+      const chunk = parseStreamChunk(data, request.name);
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) return;
+      receivedChoice = true;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        message.content += delta.content;
+        onToken(delta.content);
+      }
+      (delta.tool_calls || []).forEach((fragment) => {
+        const index = fragment.index ?? 0;
+        if (!message.tool_calls[index]) {
+          message.tool_calls[index] = { id: null, function: { name: '', arguments: '' } };
+        }
+        const call = message.tool_calls[index];
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+      });
+    },
+  });
+
+  if (!receivedChoice) {
+    throw createLlmError('LLM stream contained no choices', { client: request.name });
+  }
+
+  message.tool_calls = message.tool_calls.filter(Boolean);
+  return { choices: [{ message, finish_reason: finishReason }], usage };
+};
+
+/**
+ * Create a client for an OpenAI-compatible chat completions endpoint
+ * Used for OpenAI, Deepseek and llama.cpp
+ * @param {Object} options - { name, apiKey, baseUrl, model, timeoutMs, jsonMode, fetchImpl }
+ * @returns {Object} - LLM client
+ */
+const createOpenAICompatibleClient = ({
+  name = 'openai-compatible',
+  apiKey = null,
+  baseUrl,
+  model,
+  timeoutMs = 30000,
+  jsonMode = 'json_schema',
+  fetchImpl = fetch,
+}) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    model,
+    createChatCompletion: async ({
+      messages,
+      tools = [],
+      temperature = CONSTANTS.LLM.TEMPERATURE,
+      responseFormat = null,
+      onToken = null,
+      signal = null,
+    }) => {
+      const body = { model, messages, temperature };
+      if (tools.length > 0) {
+        body.tools = tools;
+        body.tool_choice = 'auto';
+      }
+      if (responseFormat) {
+        body.response_format = toOpenAIResponseFormat(responseFormat, jsonMode);
+      }
+
+      const request = {
+        name,
+        url,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body,
+        timeoutMs,
+        fetchImpl,
+        signal,
+      };
+      const payload = onToken
+        ? await collectOpenAIStream({
+            ...request,
+            body: { ...body, stream: true, stream_options: { include_usage: true } },
+            onToken,
+          })
+        : await postJson(request);
+
+      const choice = payload.choices && payload.choices[0];
+      if (!choice || !choice.message) {
+        throw createLlmError('LLM response contained no choices', { client: name });
+      }
+
+      return {
+        message: normalizeAssistantMessage(choice.message, `${name}_call`),
+        finishReason: choice.finish_reason || null,
+        usage: payload.usage || null,
+      };
+    },
+  };
+};
+
+/**
+ * Convert OpenAI-format messages to Ollama's /api/chat format
+ * Tool call arguments become objects and tool results carry the tool name instead of a call ID
+ * @param {Array<Object>} messages - OpenAI-format messages
+ * @returns {Array<Object>}
+ */
+const toOllamaMessages = (messages) => {
+  const toolNamesById = {};
+
+  return messages.map((message) => {
+    if (message.role === 'assistant' && message.tool_calls) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls.map((call) => {
+          toolNamesById[call.id] = call.function.name;
+          let args;
+          try {
+            args = JSON.parse(call.function.arguments || '{}');
+          } catch (error) {
+            args = {};
+          }
+          return { function: { name: call.function.name, arguments: args } };
+        }),
+      };
+    }
+
+    if (message.role === 'tool') {
+      return { role: 'tool', content: message.content, tool_name: toolNamesById[message.tool_call_id] || undefined };
+    }
+
+    return { role: message.role, content: message.content || '' };
+  });
+};
+
+/**
+ * Stream an Ollama completion (newline-delimited JSON) and rebuild the non-streaming payload
+ * Content deltas go to onToken as they arrive; tool calls come whole and are collected
+ * @param {Object} params - { name, url, body, timeoutMs, fetchImpl, signal, onToken }
+ * @returns {Promise<Object>} - { message, done_reason, prompt_eval_count, eval_count }
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE
+ */
+const collectOllamaStream = async ({ onToken, ...request }) => {
+  const response = await sendRequest(request);
+  const message = { role: 'assistant', content: '', tool_calls: [] };
+  let last = null;
+
+  await readLines({
+    name: request.name,
+    response,
+    onLine: (line) => {
+      const chunk = parseStreamChunk(line, request.name);
+      if (chunk.error) {
+        throw createLlmError(`LLM stream failed: ${chunk.error}`, { client: request.name });
+      }
+
+      last = chunk;
+      if (!chunk.message) return;
+      if (chunk.message.content) {
+        message.content += chunk.message.content;
+        onToken(chunk.message.content);
+      }
+      message.tool_calls.push(...(chunk.message.tool_calls || []));
+    },
+  });
+
+  if (!last) {
+    throw createLlmError('LLM stream contained no message', { client: request.name });
+  }
+
+  return {
+    message,
+    done_reason: last.done_reason,
+    prompt_eval_count: last.prompt_eval_count,
+    eval_count: last.eval_count,
+  };
+};
+
+/**
+ * Create a client for a local Ollama server (native /api/chat)
+ * @param {Object} options - { name, baseUrl, model, timeoutMs, fetchImpl }
+ * @returns {Object} - LLM client
+ */
+const createOllamaClient = ({ name = 'ollama', baseUrl, model, timeoutMs = 120000, fetchImpl = fetch }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+  let callCount = 0;
+
+  return {
+    name,
+    model,
+    createChatCompletion: async ({
+      messages,
+      tools = [],
+      temperature = CONSTANTS.LLM.TEMPERATURE,
+      responseFormat = null,
+      onToken = null,
+      signal = null,
+    }) => {
+      const body = {
+        model,
+        messages: toOllamaMessages(messages),
+        stream: false,
+        options: { temperature },
+      };
+      if (tools.length > 0) {
+        body.tools = tools;
+      }
+      if (responseFormat) {
+        // Ollama constrains decoding to the schema directly
+        body.format = responseFormat.schema;
+      }
+
+      const request = { name, url, body, timeoutMs, fetchImpl, signal };
+      const payload = onToken
+        ? await collectOllamaStream({ ...request, body: { ...body, stream: true }, onToken })
+        : await postJson(request);
+      if (!payload.message) {
+        throw createLlmError('LLM response contained no message', { client: name });
+      }
+
+      // Ollama sends no call IDs; number them across the client's lifetime so they stay unique
+      callCount += 1;
+      const message = normalizeAssistantMessage(payload.message, `${name}_call_${callCount}`);
+
+      return {
+        message,
+        finishReason: message.tool_calls ? 'tool_calls' : payload.done_reason || 'stop',
+        usage: {
+          prompt_tokens: payload.prompt_eval_count || 0,
+          completion_tokens: payload.eval_count || 0,
+        },
+      };
+    },
+  };
+};
+
+// Provider name -> client factory and whether it needs an API key
+const PROVIDERS = {
+  deepseek: {
+    requiresApiKey: true,
+    // Deepseek supports JSON mode but not JSON schemas
+    create: (config) => createOpenAICompatibleClient({ name: 'deepseek', jsonMode: 'json_object', ...config }),
+  },
+  openai: { requiresApiKey: true, create: (config) => createOpenAICompatibleClient({ name: 'openai', ...config }) },
+  ollama: { requiresApiKey: false, create: (config) => createOllamaClient({ name: 'ollama', ...config }) },
+  llamacpp: { requiresApiKey: false, create: (config) => createOpenAICompatibleClient({ name: 'llamacpp', ...config }) },
+};
+
+/**
+ * List the supported provider names
+ * @returns {Array<string>}
+ */
+const listProviders = () => Object.keys(PROVIDERS);
+
+/**
+ * Get a provider's configuration from environment.js
+ * @param {string} providerName - Provider name
+ * @returns {Object} - Provider config ({ apiKey, baseUrl, model, timeoutMs })
+ * @throws {Error} - If the provider is unknown
+ */
+const getProviderConfig = (providerName) => {
+  if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown LLM provider "${providerName}". Supported: ${listProviders().join(', ')}`);
+  }
+  return environmentConfig[providerName] || {};
+};
+
+/**
+ * Whether a provider has what it needs to run (hosted providers need an API key)
+ * @param {string} providerName - Provider name
+ * @returns {boolean}
+ */
+const isProviderConfigured = (providerName) => {
+  const provider = PROVIDERS[providerName];
+  if (!provider) return false;
+  return !provider.requiresApiKey || Boolean(getProviderConfig(providerName).apiKey);
+};
+
+/**
+ * Create the client for a provider from its environment configuration
+ * @param {string} providerName - Provider name (defaults to environment.llm.provider)
+ * @param {Object} overrides - Config values to override (e.g. fetchImpl)
+ * @returns {Object} - LLM client
+ * @throws {Error} - If the provider is unknown
+ */
+const createProviderClient = (providerName = environmentConfig.llm.provider, overrides = {}) => {
+  const config = { ...getProviderConfig(providerName), ...overrides };
+  const llmClient = PROVIDERS[providerName].create(config);
+
+  logger.info('LLM provider client created', { provider: providerName, model: llmClient.model, baseUrl: config.baseUrl });
+
+  return llmClient;
+};
+
+module.exports = {
+  createLlmError,
+  normalizeToolCalls,
+  normalizeAssistantMessage,
+  createOpenAICompatibleClient,
+  createOllamaClient,
+  listProviders,
+  getProviderConfig,
+  isProviderConfigured,
+  createProviderClient,
+};
@@ -0,0 +1,275 @@
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const { toolRegistry } = require('../tools');
+const { createLlmError, createProviderClient, isProviderConfigured } = require('./llmProviders');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * LLM Service
+ * Runs the function-calling loop over the tool registry: the model asks for a tool, we run it
+ * and feed the result back, until the model gives a final answer
+ *
+ * The model is reached through a provider client (see llmProviders.js), chosen with
+ * LLM_PROVIDER: deepseek (default), openai, ollama or llamacpp. Point the provider's base URL
+ * at a local stub server (scripts/stubLlmServer.js) to replay scripted completions, or swap
+ * the client with setLlmClient().
+ */
+
+// Active client (created lazily from the configured provider on first access)
+let client = null;
+let hasCustomClient = false;
+
+/**
+ * Get the active LLM client
+ * @returns {Object}
+ */
+const getLlmClient = () => {
+  if (!client) {
+    client = createProviderClient(environmentConfig.llm.provider);
+  }
+  return client;
+};
+
+/**
+ * Replace the active LLM client
+ * @param {Object|null} llmClient - Object implementing createChatCompletion(), or null to restore the configured provider
+ * @throws {Error} - If the client does not implement the interface
+ */
+const setLlmClient = (llmClient) => {
+  if (llmClient && typeof llmClient.createChatCompletion !== 'function') {
+    throw new Error('LLM client must implement createChatCompletion()');
+  }
+  client = llmClient;
+  hasCustomClient = Boolean(llmClient);
+  logger.info('LLM client set', { client: llmClient ? llmClient.name || 'custom' : 'default' });
+};
+
+/**
+ * Whether an LLM is available (a custom client was set, or the configured provider
+ * is local or has an API key)
+ * @returns {boolean}
+ */
+const isConfigured = () => {
+  return hasCustomClient || isProviderConfigured(environmentConfig.llm.provider);
+};
+
+/**
+ * Describe every registered tool as an OpenAI function definition
+ * @param {Array<Object>} tools - Tools to expose (defaults to the whole registry)
+ * @returns {Array<Object>} - [{ type: 'function', function: { name, description, parameters } }]
+ */
+const buildToolDefinitions = (tools = toolRegistry.listAll()) => {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.getInputSchema(),
+    },
+  }));
+};
+
+/**
+ * Run one tool call requested by the model
+ * Failures are returned to the model as tool output rather than thrown, so it can recover
+ * @param {Object} toolCall - { id, function: { name, arguments } }
+ * @returns {Promise<Object>} - { name, inputs, success, output }
+ */
+const executeToolCall = async (toolCall) => {
+  const name = toolCall.function?.name;
+  let inputs;
+
+  try {
+    inputs = JSON.parse(toolCall.function?.arguments || '{}');
+  } catch (error) {
+    return { name, inputs: null, success: false, output: { error: `Invalid JSON arguments: ${error.message}` } };
+  }
+
+  const tool = toolRegistry.get(name);
+  if (!tool) {
+    return { name, inputs, success: false, output: { error: `Unknown tool: ${name}` } };
+  }
+
+  const result = await tool.run(inputs);
+  return {
+    name,
+    inputs,
+    success: result.success,
+    output: result.success ? result.result.data : { error: result.error },
+  };
+};
+
+/**
+ * Serialize tool output for the model, truncating very large results
+ * @param {Object} output - Tool output
+ * @returns {string}
+ */
+const serializeToolOutput = (output) => {
+  const serialized = JSON.stringify(output);
+  if (serialized.length <= CONSTANTS.LLM.MAX_TOOL_RESULT_CHARS) {
+    return serialized;
+  }
+  return `${serialized.slice(0, CONSTANTS.LLM.MAX_TOOL_RESULT_CHARS)}... [truncated]`;
+};
+
+/**
+ * Run the function-calling loop until the model answers without requesting tools
+ * With onEvent, completions are streamed: content deltas are sent as token events as the model
+ * writes them, alongside tool_start / tool_end for each tool call. signal cancels the LLM requests
+ * @param {Object} params - { messages, tools, maxIterations, onEvent, signal }
+ * @returns {Promise<Object>} - { content, messages, toolCalls, toolsUsed, iterations, usage }
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE if the API fails or no final answer is reached
+ */
+const runToolLoop = async ({
+  messages,
+  tools = toolRegistry.listAll(),
+  maxIterations = CONSTANTS.LLM.MAX_TOOL_ITERATIONS,
+  onEvent = null,
+  signal = null,
+}) => {
+  const llmClient = getLlmClient();
+  const definitions = buildToolDefinitions(tools);
+  const conversation = [...messages];
+  const toolCalls = [];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  const onToken = onEvent ? (text) => onEvent(CONSTANTS.STREAM_EVENT.TOKEN, { text }) : null;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const completion = await llmClient.createChatCompletion({
+      messages: conversation,
+      tools: definitions,
+      onToken,
+      signal,
+    });
+    const { message } = completion;
+
+    if (completion.usage) {
+      usage.promptTokens += completion.usage.prompt_tokens || 0;
+      usage.completionTokens += completion.usage.completion_tokens || 0;
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: message.content || null,
+      ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}),
+    });
+
+    if (!message.tool_calls || message.tool_calls.length === 0) {
+      logger.debug('LLM reached final answer', { iterations: iteration, toolCalls: toolCalls.length });
+      return {
+        content: message.content || '',
+        messages: conversation,
+        toolCalls,
+        toolsUsed: [...new Set(toolCalls.map((call) => call.name))],
+        iterations: iteration,
+        usage,
+      };
+    }
+
+    for (const toolCall of message.tool_calls) {
+      if (onEvent) {
+        onEvent(CONSTANTS.STREAM_EVENT.TOOL_START, { tool: toolCall.function?.name });
+      }
+
+      const executed = await executeToolCall(toolCall);
+      toolCalls.push(executed);
+
+      if (onEvent) {
+        onEvent(CONSTANTS.STREAM_EVENT.TOOL_END, {
+          tool: executed.name,
+          success: executed.success,
+          error: executed.success ? null : executed.output.error,
+        });
+      }
+
+      logger.debug('LLM tool call executed', { tool: executed.name, success: executed.success, iteration });
+
+      conversation.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: serializeToolOutput(executed.output),
+      });
+    }
+  }
+
+  throw createLlmError(`LLM did not reach a final answer within ${maxIterations} iterations`, {
+    toolCalls: toolCalls.map((call) => call.name),
+  });
+};
+
+/**
+ * Answer a user message with the LLM, grounded in tool results
+ * @param {Object} params - { message, conversationHistory, onEvent, signal } (passed on to runToolLoop)
+ * @returns {Promise<Object>} - Result of runToolLoop
+ */
+const generateResponse = async ({ message, conversationHistory = [], onEvent = null, signal = null }) => {
+  const history = conversationHistory.slice(-CONSTANTS.LLM.HISTORY_MESSAGES).map((entry) => ({
+    // A human agent's replies were answers too
+    role: entry.role === 'assistant' || entry.role === CONSTANTS.HANDOFF.AGENT_ROLE ? 'assistant' : 'user',
+    content: entry.message,
+  }));
+
+  const messages = [
+    { role: 'system', content: CONSTANTS.LLM.SYSTEM_PROMPT },
+    ...history,
+    { role: 'user', content: message },
+  ];
+
+  const startTime = Date.now();
+  const result = await runToolLoop({ messages, onEvent, signal });
+
+  logger.info('LLM response generated', {
+    client: getLlmClient().name,
+    model: getLlmClient().model,
+    iterations: result.iterations,
+    toolsUsed: result.toolsUsed,
+    durationMs: Date.now() - startTime,
+  });
+
+  return result;
+};
+
+/**
+ * Ask the LLM for a JSON object matching a schema (no tools)
+ * @param {Object} params - { systemPrompt, message, schemaName, schema, temperature }
+ * @returns {Promise<Object>} - Parsed JSON object (callers validate the fields they use)
+ * @throws {Error} - LLM_SERVICE_UNAVAILABLE if the API fails or the output is not a JSON object
+ */
+const generateJson = async ({ systemPrompt, message, schemaName, schema, temperature = 0 }) => {
+  const llmClient = getLlmClient();
+  const completion = await llmClient.createChatCompletion({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: message },
+    ],
+    temperature,
+    responseFormat: { name: schemaName, schema },
+  });
+
+  const content = completion.message.content || '';
+  // Some local models wrap JSON in a markdown fence despite the format constraint
+  const json = content.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw createLlmError('LLM returned invalid JSON', { client: llmClient.name, schemaName, content: content.slice(0, 200) });
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw createLlmError('LLM returned JSON that is not an object', { client: llmClient.name, schemaName });
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  getLlmClient,
+  setLlmClient,
+  isConfigured,
+  buildToolDefinitions,
+  runToolLoop,
+  generateResponse,
+  generateJson,
+};
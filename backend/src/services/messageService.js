@@ -1,6 +1,9 @@
 const logger = require('../config/logger');
 const { sanitizeMessage, extractEntities } = require('../utils/sanitizers');
 const { isMessageString, isMessageLengthValid, isMessageSafeFromControlCharacters } = require('../utils/validators');
+const TextNormalizer = require('../utils/textNormalizer');
+const modelNumberService = require('./modelNumberService');
+const errorCodeService = require('./errorCodeService');
 const CONSTANTS = require('../config/constants');
 
 /**
@@ -8,11 +11,27 @@ const CONSTANTS = require('../config/constants');
  * Handles message validation, sanitization, and preprocessing
  */
 
+// Words the scope and intent rules already match are never "corrected"
+const ruleWords = [
+  ...CONSTANTS.IN_SCOPE_KEYWORDS,
+  ...CONSTANTS.OUT_OF_SCOPE_KEYWORDS,
+  ...Object.values(CONSTANTS.INTENT_KEYWORDS).flat(),
+].flatMap((keyword) => keyword.split(/\s+/));
+
+const textNormalizer = new TextNormalizer({
+  lexicon: CONSTANTS.NORMALIZATION.LEXICON,
+  vocabulary: [...CONSTANTS.NORMALIZATION.VOCABULARY, ...CONSTANTS.APPLIANCE_MEMORY.BRANDS],
+  knownWords: [...CONSTANTS.NORMALIZATION.KNOWN_WORDS, ...ruleWords],
+  minCorrectionLength: CONSTANTS.NORMALIZATION.MIN_CORRECTION_LENGTH,
+  longWordLength: CONSTANTS.NORMALIZATION.LONG_WORD_LENGTH,
+});
+
 /**
  * Preprocess a message
- * Includes validation, sanitization, tokenization, and entity extraction
+ * Includes validation, sanitization, normalization, tokenization, and entity extraction
  * @param {string} message - The message to preprocess
- * @returns {Promise<Object>} - Preprocessed message data
+ * @returns {Promise<Object>} - Preprocessed message data; normalized is cleaned with appliance
+ *   vocabulary normalized and misspellings corrected, for scope detection and intent classification
  */
 const preprocessMessage = async (message) => {
   try {
@@ -37,17 +56,31 @@ const preprocessMessage = async (message) => {
     // ===== SANITIZATION =====
     const sanitized = sanitizeMessage(message);
 
+    // ===== NORMALIZATION =====
+    // "frig" -> "fridge", "dish washer" -> "dishwasher", "whirpool" -> "whirlpool"
+    const normalization = normalizeMessage(sanitized.cleaned);
+
     // ===== TOKENIZATION =====
     // Split into tokens for analysis
     const tokens = tokenizeMessage(sanitized.cleaned);
 
     // ===== ENTITY EXTRACTION =====
-    // Extract part numbers, model numbers, etc.
-    const entities = extractEntities(sanitized.cleaned);
+    // Extract part numbers, model numbers, etc.; model numbers are validated against the model
+    // registry and brand formats (models carries brand, appliance type and confidence for each);
+    // errorCodes are what the appliance display shows ("E15", "F2 E1", "7 blinks")
+    const models = modelNumberService.extractModels(sanitized.cleaned);
+    const entities = {
+      ...extractEntities(sanitized.cleaned),
+      modelNumbers: models.map((model) => model.modelNumber),
+      models,
+      errorCodes: errorCodeService.extractErrorCodes(sanitized.cleaned),
+    };
 
     const result = {
       original: sanitized.original,
       cleaned: sanitized.cleaned,
+      normalized: normalization.text,
+      corrections: normalization.corrections,
       sanitized: sanitized.sanitized,
       lowercase: sanitized.lowercase,
       tokens,
@@ -63,6 +96,7 @@ const preprocessMessage = async (message) => {
     logger.debug('Message preprocessed successfully', {
       originalLength: message.length,
       tokenCount: tokens.length,
+      corrections: normalization.corrections.length,
       entityCount: (entities.partNumbers || []).length + (entities.modelNumbers || []).length,
     });
 
@@ -76,6 +110,15 @@ const preprocessMessage = async (message) => {
   }
 };
 
+/**
+ * Normalize appliance vocabulary and correct misspellings
+ * @param {string} message - The cleaned message
+ * @returns {Object} - { text, corrections: [{ from, to, type }] }
+ */
+const normalizeMessage = (message) => {
+  return textNormalizer.normalize(message);
+};
+
 /**
  * Tokenize a message into words
  * @param {string} message - The message to tokenize
@@ -145,6 +188,7 @@ const validateMessageContent = (message) => {
 
 module.exports = {
   preprocessMessage,
+  normalizeMessage,
   tokenizeMessage,
   extractKeywords,
   validateMessageContent,
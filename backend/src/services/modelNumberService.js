@@ -0,0 +1,159 @@
+const logger = require('../config/logger');
+const compatibilityService = require('./compatibilityService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Model Number Service
+ * Brand-aware appliance model number extraction. Candidates are whole tokens of the message (so
+ * "WDT780SAEM1" is never cut short) that are checked, in order, against:
+ *   1. the model registry (src/data/applianceModels.json)
+ *   2. each brand's model number formats (CONSTANTS.MODEL_NUMBERS.BRAND_FORMATS)
+ *   3. the generic PATTERNS.MODEL_NUMBER, trusted only after a cue like "model" or "my", in a
+ *      message about a refrigerator or dishwasher, or in one naming a brand; a named brand also lets
+ *      through models the generic pattern misses (MODEL_NUMBERS.BRANDED_MODEL_PATTERN)
+ *
+ * Each extracted model is:
+ *   { modelNumber, brand, applianceType, confidence, source: 'registry' | 'brand_format' | 'pattern' }
+ * Candidates below MODEL_NUMBERS.MIN_CONFIDENCE are dropped, so "ABC1234" in random text is not a model.
+ */
+
+const { CONFIDENCE, SOURCE } = CONSTANTS.MODEL_NUMBERS;
+
+// Alphanumeric codes with at least one digit; dots and dashes allowed inside (Kenmore "665.13242")
+const CANDIDATE_PATTERN = /^(?=.*\d)[A-Z0-9][A-Z0-9.-]{3,14}[A-Z0-9]$/;
+const GENERIC_MODEL_PATTERN = new RegExp(`^${CONSTANTS.PATTERNS.MODEL_NUMBER.source}$`, 'i');
+
+/**
+ * Detect the appliance brands named in a message
+ * @param {string} message - Cleaned or normalized message
+ * @returns {Array<string>} - Brands as listed in APPLIANCE_MEMORY.BRANDS, in the order they appear
+ */
+const detectBrands = (message) => {
+  const text = String(message || '');
+  const mentions = [];
+
+  Object.entries(CONSTANTS.MODEL_NUMBERS.BRAND_ALIASES).forEach(([alias, brand]) => {
+    const index = text.search(new RegExp(`\\b${alias}\\b`, 'i'));
+    if (index >= 0) mentions.push({ brand, index });
+  });
+
+  CONSTANTS.APPLIANCE_MEMORY.BRANDS.forEach((brand) => {
+    const index = text.search(new RegExp(`\\b${brand}\\b`, 'i'));
+    if (index >= 0) mentions.push({ brand, index });
+  });
+
+  return [...new Set(mentions.sort((a, b) => a.index - b.index).map((mention) => mention.brand))];
+};
+
+/**
+ * Find the brand formats a model number fits
+ * @param {string} modelNumber - Uppercase model number
+ * @returns {Array<Object>} - [{ brand, applianceType }]
+ */
+const matchBrandFormats = (modelNumber) => {
+  return Object.entries(CONSTANTS.MODEL_NUMBERS.BRAND_FORMATS).flatMap(([brand, formats]) => {
+    const format = formats.find(({ pattern }) => pattern.test(modelNumber));
+    return format ? [{ brand, applianceType: format.applianceType }] : [];
+  });
+};
+
+/**
+ * Split a message into model number candidates
+ * Part numbers, manufacturer part numbers and plain numbers (order numbers, ZIP codes) are skipped
+ * @param {string} message - Cleaned message
+ * @returns {Array<string>} - Uppercase candidates
+ */
+const findCandidates = (message) => {
+  const manufacturerPartNumber = new RegExp(`^${CONSTANTS.PATTERNS.MANUFACTURER_PART_NUMBER.source}$`, 'i');
+
+  const candidates = String(message || '')
+    .toUpperCase()
+    .split(/[\s,;:!?()[\]{}"'/]+/)
+    .map((token) => token.replace(/^[.#-]+|[.-]+$/g, ''))
+    .filter((token) => CANDIDATE_PATTERN.test(token))
+    .filter((token) => !CONSTANTS.PATTERNS.PART_NUMBER.test(token) && !manufacturerPartNumber.test(token))
+    .filter((token) => /[A-Z]/.test(token) || /^\d{3}\.\d+$/.test(token));
+
+  return [...new Set(candidates)];
+};
+
+/**
+ * Validate a model number candidate
+ * @param {string} candidate - Uppercase candidate
+ * @param {Object} context - { brands: brands named in the message, hasCue: whether something says it is a model }
+ * @returns {Object|null} - Extracted model, or null when the candidate is not a model number
+ */
+const validateModelNumber = (candidate, { brands = [], hasCue = false } = {}) => {
+  const model = compatibilityService.getModel(candidate);
+  if (model) {
+    return {
+      modelNumber: candidate,
+      brand: model.brand,
+      applianceType: model.applianceType,
+      confidence: CONFIDENCE.REGISTRY,
+      source: SOURCE.REGISTRY,
+    };
+  }
+
+  const formats = matchBrandFormats(candidate);
+  if (formats.length > 0) {
+    // A named brand decides between formats that look alike
+    const mentioned = formats.find((format) => brands.includes(format.brand));
+    let confidence = CONFIDENCE.BRAND_FORMAT;
+    if (mentioned) confidence = CONFIDENCE.BRAND_FORMAT_MENTIONED;
+    else if (brands.length > 0) confidence = CONFIDENCE.BRAND_FORMAT_CONFLICT;
+
+    const { brand, applianceType } = mentioned || formats[0];
+    return { modelNumber: candidate, brand, applianceType, confidence, source: SOURCE.BRAND_FORMAT };
+  }
+
+  const branded = brands.length > 0 && CONSTANTS.MODEL_NUMBERS.BRANDED_MODEL_PATTERN.test(candidate);
+  if (!GENERIC_MODEL_PATTERN.test(candidate) && !branded) {
+    return null;
+  }
+
+  const cued = hasCue || brands.length > 0;
+  return {
+    modelNumber: candidate,
+    brand: brands.length === 1 ? brands[0] : null,
+    applianceType: null,
+    confidence: cued ? CONFIDENCE.PATTERN_WITH_CUE : CONFIDENCE.PATTERN,
+    source: SOURCE.PATTERN,
+  };
+};
+
+/**
+ * Extract appliance model numbers from a message
+ * @param {string} message - Cleaned message
+ * @returns {Array<Object>} - Extracted models, in message order
+ */
+const extractModels = (message) => {
+  const { CUE_BEFORE_PATTERN, APPLIANCE_CUE_PATTERN } = CONSTANTS.MODEL_NUMBERS;
+  const text = String(message || '');
+  const brands = detectBrands(text);
+  const aboutAppliance = APPLIANCE_CUE_PATTERN.test(text);
+
+  const candidates = findCandidates(text)
+    .map((candidate) => {
+      const before = text.slice(0, text.toUpperCase().indexOf(candidate));
+      const hasCue = aboutAppliance || CUE_BEFORE_PATTERN.test(before);
+      return validateModelNumber(candidate, { brands, hasCue });
+    })
+    .filter(Boolean);
+  const models = candidates.filter((model) => model.confidence >= CONSTANTS.MODEL_NUMBERS.MIN_CONFIDENCE);
+
+  if (models.length < candidates.length) {
+    logger.debug('Unlikely model numbers dropped', {
+      dropped: candidates.filter((model) => !models.includes(model)).map((model) => model.modelNumber),
+    });
+  }
+
+  return models;
+};
+
+module.exports = {
+  detectBrands,
+  matchBrandFormats,
+  validateModelNumber,
+  extractModels,
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const { classificationReport, setMetrics } = require('../utils/classificationMetrics');
+const { getCurrentTimestamp } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+const messageService = require('./messageService');
+const scopeDetectionService = require('./scopeDetectionService');
+const intentClassificationService = require('./intentClassificationService');
+const nluModelService = require('./nluModelService');
+
+/**
+ * NLU Evaluation Service
+ * Runs a labelled golden set through the same NLU steps as the chat pipeline
+ * (preprocessMessage with its entities -> detectScope, classifyIntent), scores the results and
+ * compares them with a saved baseline so keyword, model or rule changes can be checked offline
+ */
+
+/**
+ * Run every golden example through the NLU pipeline
+ * @param {Array<Object>} examples - Examples from nluModelService.readTrainingData
+ * @returns {Promise<Array<Object>>} - [{ text, expected, predicted }]
+ */
+const runPipeline = async (examples) => {
+  const predictions = [];
+
+  // Sequential so LLM fallback calls (if enabled) are not fired all at once
+  for (const example of examples) {
+    const preprocessed = await messageService.preprocessMessage(example.text);
+    const scope = await scopeDetectionService.detectScope(preprocessed.normalized);
+    const intent = await intentClassificationService.classifyIntent(preprocessed.normalized);
+    const entities = Object.fromEntries(
+      CONSTANTS.NLU.ENTITY_TYPES.map((type) => [type, preprocessed.entities[type] || []])
+    );
+
+    predictions.push({
+      text: example.text,
+      expected: {
+        scope: example.scope,
+        intent: example.intent,
+        entities: example.entities || {},
+      },
+      predicted: {
+        scope: scope.inScope ? CONSTANTS.NLU.SCOPE_LABEL.IN_SCOPE : CONSTANTS.NLU.SCOPE_LABEL.OUT_OF_SCOPE,
+        scopeClassifier: scope.classifier || null,
+        intent: intent.intent,
+        intentClassifier: intent.classifier || null,
+        entities,
+      },
+    });
+  }
+
+  return predictions;
+};
+
+/**
+ * Score pipeline predictions
+ * Intent is scored on examples labelled with an intent; entities on every example
+ * (unlabelled entity types are expected to be empty)
+ * @param {Array<Object>} predictions - Result of runPipeline
+ * @returns {Object} - { summary, scope, intent, entities, examples }
+ */
+const scorePredictions = (predictions) => {
+  const scope = classificationReport(
+    predictions.map((entry) => ({ expected: entry.expected.scope, predicted: entry.predicted.scope })),
+    Object.values(CONSTANTS.NLU.SCOPE_LABEL)
+  );
+
+  const intentEntries = predictions.filter((entry) => entry.expected.intent);
+  const intent = classificationReport(
+    intentEntries.map((entry) => ({ expected: entry.expected.intent, predicted: entry.predicted.intent })),
+    Object.values(CONSTANTS.INTENT)
+  );
+
+  const entityPairs = (type) =>
+    predictions.map((entry) => ({
+      expected: entry.expected.entities[type] || [],
+      predicted: entry.predicted.entities[type] || [],
+    }));
+
+  const entities = {};
+  CONSTANTS.NLU.ENTITY_TYPES.forEach((type) => {
+    entities[type] = setMetrics(entityPairs(type));
+  });
+  entities.overall = setMetrics(CONSTANTS.NLU.ENTITY_TYPES.flatMap(entityPairs));
+
+  const examples = predictions.map((entry) => {
+    const entitiesCorrect = CONSTANTS.NLU.ENTITY_TYPES.every((type) => {
+      const metrics = setMetrics([
+        { expected: entry.expected.entities[type] || [], predicted: entry.predicted.entities[type] || [] },
+      ]);
+      return metrics.falsePositives === 0 && metrics.falseNegatives === 0;
+    });
+
+    return {
+      ...entry,
+      correct: {
+        scope: entry.expected.scope === entry.predicted.scope,
+        intent: entry.expected.intent ? entry.expected.intent === entry.predicted.intent : null,
+        entities: entitiesCorrect,
+      },
+    };
+  });
+
+  return {
+    summary: {
+      exampleCount: predictions.length,
+      scopeAccuracy: scope.accuracy,
+      intentAccuracy: intent.accuracy,
+      intentMacroF1: intent.macroF1,
+      entityF1: entities.overall.f1,
+    },
+    scope,
+    intent,
+    entities,
+    examples,
+  };
+};
+
+/**
+ * Evaluate the NLU pipeline on a golden set
+ * @param {Object} options - { goldenSetPath, llmFallback } (LLM fallback is off unless asked for, so runs are repeatable)
+ * @returns {Promise<Object>} - Result of scorePredictions
+ */
+const evaluate = async ({ goldenSetPath = environmentConfig.nlu.goldenSetPath, llmFallback = false } = {}) => {
+  const examples = nluModelService.readTrainingData(goldenSetPath);
+  const previousFallback = environmentConfig.intentClassifier.llmFallback;
+  environmentConfig.intentClassifier.llmFallback = llmFallback;
+
+  try {
+    const results = scorePredictions(await runPipeline(examples));
+    logger.info('NLU evaluation completed', { goldenSetPath, ...results.summary });
+    return results;
+  } finally {
+    environmentConfig.intentClassifier.llmFallback = previousFallback;
+  }
+};
+
+/**
+ * Check evaluation results against minimum thresholds
+ * @param {Object} summary - Results summary
+ * @param {Object} thresholds - { scopeAccuracy, intentAccuracy, entityF1 }
+ * @returns {Array<Object>} - Failed checks ({ metric, value, threshold }); empty when all pass
+ */
+const checkThresholds = (summary, thresholds) => {
+  return Object.entries(thresholds)
+    .filter(([metric, threshold]) => summary[metric] < threshold)
+    .map(([metric, threshold]) => ({ metric, value: summary[metric], threshold }));
+};
+
+/**
+ * Build a baseline from evaluation results (summary, per-class F1 and per-example outcomes)
+ * @param {Object} results - Result of evaluate
+ * @returns {Object}
+ */
+const buildBaseline = (results) => {
+  const perClassF1 = (report) =>
+    Object.fromEntries(Object.entries(report.perClass).map(([label, metrics]) => [label, metrics.f1]));
+
+  return {
+    createdAt: getCurrentTimestamp(),
+    summary: results.summary,
+    scopeF1: perClassF1(results.scope),
+    intentF1: perClassF1(results.intent),
+    entityF1: Object.fromEntries(Object.entries(results.entities).map(([type, metrics]) => [type, metrics.f1])),
+    examples: results.examples.map((entry) => ({
+      text: entry.text,
+      predicted: { scope: entry.predicted.scope, intent: entry.predicted.intent },
+      correct: entry.correct,
+    })),
+  };
+};
+
+/**
+ * Read a saved baseline
+ * @param {string} baselinePath - Path to the baseline JSON
+ * @returns {Object|null} - The baseline, or null if there is none
+ */
+const readBaseline = (baselinePath = environmentConfig.nlu.baselinePath) => {
+  if (!fs.existsSync(baselinePath)) return null;
+  return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+};
+
+/**
+ * Save evaluation results as the new baseline
+ * @param {Object} results - Result of evaluate
+ * @param {string} baselinePath - Output path
+ */
+const saveBaseline = (results, baselinePath = environmentConfig.nlu.baselinePath) => {
+  fs.writeFileSync(baselinePath, `${JSON.stringify(buildBaseline(results), null, 2)}\n`);
+  logger.info('NLU baseline saved', { baselinePath });
+};
+
+/**
+ * Compare evaluation results with a baseline
+ * @param {Object} results - Result of evaluate
+ * @param {Object} baseline - Saved baseline
+ * @param {number} tolerance - Metric drops up to this size are ignored
+ * @returns {Object} - { metricDrops: [{ metric, baseline, current }], exampleRegressions: [{ text, field, expected, predicted, baselinePredicted }] }
+ */
+const compareToBaseline = (results, baseline, tolerance = CONSTANTS.NLU.EVAL_METRIC_TOLERANCE) => {
+  const current = buildBaseline(results);
+  const metricDrops = [];
+
+  const compareMetrics = (prefix, baselineValues = {}, currentValues = {}) => {
+    Object.entries(baselineValues).forEach(([name, value]) => {
+      const now = currentValues[name] ?? 0;
+      if (name !== 'exampleCount' && typeof value === 'number' && value - now > tolerance) {
+        metricDrops.push({ metric: `${prefix}${name}`, baseline: value, current: now });
+      }
+    });
+  };
+
+  compareMetrics('', baseline.summary, current.summary);
+  compareMetrics('scope F1 ', baseline.scopeF1, current.scopeF1);
+  compareMetrics('intent F1 ', baseline.intentF1, current.intentF1);
+  compareMetrics('entity F1 ', baseline.entityF1, current.entityF1);
+
+  // Examples that were right in the baseline and are wrong now
+  const baselineByText = new Map((baseline.examples || []).map((entry) => [entry.text, entry]));
+  const exampleRegressions = [];
+
+  results.examples.forEach((entry) => {
+    const before = baselineByText.get(entry.text);
+    if (!before) return;
+
+    ['scope', 'intent', 'entities'].forEach((field) => {
+      if (before.correct[field] === true && entry.correct[field] === false) {
+        exampleRegressions.push({
+          text: entry.text,
+          field,
+          expected: field === 'entities' ? entry.expected.entities : entry.expected[field],
+          predicted: field === 'entities' ? entry.predicted.entities : entry.predicted[field],
+          baselinePredicted: field === 'entities' ? null : before.predicted[field],
+        });
+      }
+    });
+  });
+
+  return { metricDrops, exampleRegressions };
+};
+
+module.exports = {
+  runPipeline,
+  scorePredictions,
+  evaluate,
+  checkThresholds,
+  buildBaseline,
+  readBaseline,
+  saveBaseline,
+  compareToBaseline,
+};
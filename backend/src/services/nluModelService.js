@@ -0,0 +1,202 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const NaiveBayesClassifier = require('../utils/naiveBayesClassifier');
+const { getCurrentTimestamp } = require('../utils/helpers');
+const { sanitizeMessage } = require('../utils/sanitizers');
+const { normalizeMessage } = require('./messageService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * NLU Model Service
+ * Trains, saves and loads the statistical intent and scope classifiers
+ *
+ * Training data is JSONL, one labelled example per line:
+ *   { "text": "my ice maker stopped working", "intent": "troubleshooting", "scope": "in_scope" }
+ *   { "text": "what's the weather tomorrow", "scope": "out_of_scope" }
+ * Lines without an intent only train the scope classifier. The same format (with optional
+ * "entities": { partNumbers, modelNumbers, manufacturerPartNumbers }) is used for the golden
+ * evaluation set (see nluEvaluationService).
+ *
+ * Examples are trained on the text the classifiers see at runtime: cleaned and normalized like
+ * preprocessMessage does ("frig" -> "fridge"), see toModelText.
+ *
+ * The trained model is a JSON artifact (environment.nlu.modelPath) loaded at startup.
+ * Without an artifact, predictions return null and the services use their keyword rules.
+ */
+
+// Loaded model ({ intent, scope } classifiers plus metadata); false once a load has failed
+let model = null;
+
+/**
+ * Read labelled examples from a JSONL file
+ * @param {string} trainingPath - Path to the JSONL file
+ * @returns {Array<Object>} - Examples ({ text, intent, scope, entities }); entities is null when not labelled
+ * @throws {Error} - With the line number if a line is invalid
+ */
+const readTrainingData = (trainingPath = environmentConfig.nlu.trainingDataPath) => {
+  const intents = Object.values(CONSTANTS.INTENT);
+  const scopes = Object.values(CONSTANTS.NLU.SCOPE_LABEL);
+
+  return fs
+    .readFileSync(trainingPath, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+    .filter(({ line }) => line.length > 0 && !line.startsWith('//'))
+    .map(({ line, lineNumber }) => {
+      let example;
+      try {
+        example = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${trainingPath}:${lineNumber}: invalid JSON (${error.message})`);
+      }
+
+      if (typeof example.text !== 'string' || example.text.trim().length === 0) {
+        throw new Error(`${trainingPath}:${lineNumber}: "text" must be a non-empty string`);
+      }
+      if (!scopes.includes(example.scope)) {
+        throw new Error(`${trainingPath}:${lineNumber}: "scope" must be one of ${scopes.join(', ')}`);
+      }
+      if (example.intent !== undefined && example.intent !== null && !intents.includes(example.intent)) {
+        throw new Error(`${trainingPath}:${lineNumber}: unknown intent "${example.intent}"`);
+      }
+
+      const entities = example.entities || null;
+      if (entities !== null) {
+        const invalidType = Object.keys(entities).find(
+          (type) => !CONSTANTS.NLU.ENTITY_TYPES.includes(type) || !Array.isArray(entities[type])
+        );
+        if (invalidType) {
+          throw new Error(
+            `${trainingPath}:${lineNumber}: entities.${invalidType} must be one of ${CONSTANTS.NLU.ENTITY_TYPES.join(', ')} and an array`
+          );
+        }
+      }
+
+      return { text: example.text, intent: example.intent || null, scope: example.scope, entities };
+    });
+};
+
+/**
+ * Turn example text into the text the classifiers get at runtime (preprocessMessage's normalized)
+ * @param {string} text - Example text
+ * @returns {string}
+ */
+const toModelText = (text) => {
+  return normalizeMessage(sanitizeMessage(text).cleaned).text;
+};
+
+/**
+ * Train intent and scope classifiers from labelled examples
+ * @param {Array<Object>} examples - Examples from readTrainingData
+ * @returns {Object} - Model artifact ({ version, createdAt, exampleCount, intent, scope })
+ */
+const trainModel = (examples) => {
+  const options = { ngramRange: CONSTANTS.NLU.NGRAM_RANGE, alpha: CONSTANTS.NLU.SMOOTHING };
+  const intentClassifier = new NaiveBayesClassifier(options);
+  const scopeClassifier = new NaiveBayesClassifier(options);
+
+  examples.forEach((example) => {
+    const text = toModelText(example.text);
+    scopeClassifier.addExample(text, example.scope);
+    if (example.intent) {
+      intentClassifier.addExample(text, example.intent);
+    }
+  });
+
+  return {
+    version: CONSTANTS.NLU.MODEL_VERSION,
+    createdAt: getCurrentTimestamp(),
+    exampleCount: examples.length,
+    intent: intentClassifier.toJSON(),
+    scope: scopeClassifier.toJSON(),
+  };
+};
+
+/**
+ * Write a model artifact to disk
+ * @param {Object} artifact - Result of trainModel
+ * @param {string} modelPath - Output path
+ */
+const saveModel = (artifact, modelPath = environmentConfig.nlu.modelPath) => {
+  fs.writeFileSync(modelPath, `${JSON.stringify(artifact)}\n`);
+  logger.info('NLU model saved', { modelPath, exampleCount: artifact.exampleCount });
+};
+
+/**
+ * Load the model artifact from disk
+ * A missing or unreadable artifact is logged and leaves the model unloaded (rules only)
+ * @param {string} modelPath - Path to the artifact
+ * @returns {boolean} - Whether a model was loaded
+ */
+const loadModel = (modelPath = environmentConfig.nlu.modelPath) => {
+  try {
+    const artifact = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+
+    if (artifact.version !== CONSTANTS.NLU.MODEL_VERSION) {
+      throw new Error(`Unsupported model version ${artifact.version} (expected ${CONSTANTS.NLU.MODEL_VERSION})`);
+    }
+
+    model = {
+      createdAt: artifact.createdAt,
+      exampleCount: artifact.exampleCount,
+      intent: NaiveBayesClassifier.fromJSON(artifact.intent),
+      scope: NaiveBayesClassifier.fromJSON(artifact.scope),
+    };
+
+    logger.info('NLU model loaded', {
+      modelPath,
+      createdAt: artifact.createdAt,
+      exampleCount: artifact.exampleCount,
+      intents: model.intent.labels.length,
+    });
+
+    return true;
+  } catch (error) {
+    model = false;
+    logger.warn('NLU model not loaded, using keyword rules only', { modelPath, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Get the loaded model, loading it on first access
+ * @returns {Object|null} - { intent, scope, createdAt, exampleCount } or null if unavailable
+ */
+const getModel = () => {
+  if (model === null) {
+    loadModel();
+  }
+  return model || null;
+};
+
+/**
+ * Predict the intent of a message
+ * @param {string} message - The cleaned message
+ * @returns {Object|null} - { label, confidence, probabilities, knownFeatures } or null
+ */
+const predictIntent = (message) => {
+  const loaded = getModel();
+  return loaded ? loaded.intent.predict(message) : null;
+};
+
+/**
+ * Predict whether a message is in scope
+ * @param {string} message - The cleaned message
+ * @returns {Object|null} - { label ('in_scope' | 'out_of_scope'), confidence, probabilities, knownFeatures } or null
+ */
+const predictScope = (message) => {
+  const loaded = getModel();
+  return loaded ? loaded.scope.predict(message) : null;
+};
+
+module.exports = {
+  readTrainingData,
+  toModelText,
+  trainModel,
+  saveModel,
+  loadModel,
+  getModel,
+  predictIntent,
+  predictScope,
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Order Service
+ * Looks up orders through a pluggable order repository and verifies the customer
+ * before anything about the order is shared
+ *
+ * A repository is any object with:
+ *   name                                   - Label used in logs
+ *   findByOrderNumber(orderNumber) -> Promise<Object|null>
+ *
+ * The default repository reads a local JSON file (see environment.orders.path).
+ * Swap it with setOrderRepository() when a real order system is connected.
+ */
+
+// Active repository (JSON file repository created lazily on first access)
+let repository = null;
+
+/**
+ * Create a repository backed by a local JSON file of orders
+ * @param {string} ordersPath - Path to the orders JSON file
+ * @returns {Object} - Order repository
+ */
+const createJsonOrderRepository = (ordersPath = environmentConfig.orders.path) => {
+  let orders = null;
+
+  const loadOrders = () => {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
+
+      if (!parsed || !Array.isArray(parsed.orders)) {
+        throw new Error('Orders file must contain an "orders" array');
+      }
+
+      orders = new Map(parsed.orders.map((order) => [normalizeOrderNumber(order.orderNumber), order]));
+      logger.info('Order store loaded', { orderCount: orders.size, ordersPath });
+      return orders;
+    } catch (error) {
+      logger.error('Error loading order store', { error: error.message, ordersPath });
+      throw error;
+    }
+  };
+
+  return {
+    name: 'json',
+    findByOrderNumber: async (orderNumber) => {
+      const loaded = orders || loadOrders();
+      return loaded.get(normalizeOrderNumber(orderNumber)) || null;
+    },
+  };
+};
+
+/**
+ * Get the active order repository
+ * @returns {Object}
+ */
+const getOrderRepository = () => {
+  if (!repository) {
+    repository = createJsonOrderRepository();
+  }
+  return repository;
+};
+
+/**
+ * Replace the active order repository
+ * @param {Object} orderRepository - Object implementing findByOrderNumber()
+ * @throws {Error} - If the repository does not implement the interface
+ */
+const setOrderRepository = (orderRepository) => {
+  if (!orderRepository || typeof orderRepository.findByOrderNumber !== 'function') {
+    throw new Error('Order repository must implement findByOrderNumber()');
+  }
+  repository = orderRepository;
+  logger.info('Order repository set', { repository: orderRepository.name || 'custom' });
+};
+
+/**
+ * Normalize an order number for lookups (digits and letters only, uppercase)
+ * @param {string} orderNumber - Order number as typed
+ * @returns {string}
+ */
+const normalizeOrderNumber = (orderNumber) => {
+  return String(orderNumber || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+};
+
+/**
+ * Check the customer's email or ZIP code against the order
+ * @param {Object} order - Order record
+ * @param {Object} verification - { email, zipCode }
+ * @returns {boolean}
+ */
+const verifyCustomer = (order, { email, zipCode }) => {
+  const orderEmail = String(order.email || '').trim().toLowerCase();
+  const orderZip = String(order.shippingAddress?.zipCode || '').slice(0, 5);
+
+  const emailMatches = Boolean(email) && email.trim().toLowerCase() === orderEmail;
+  const zipMatches = Boolean(zipCode) && String(zipCode).slice(0, 5) === orderZip;
+
+  return emailMatches || zipMatches;
+};
+
+/**
+ * Build the tracking page URL for a shipment
+ * @param {Object} shipment - Shipment record
+ * @returns {string|null}
+ */
+const buildTrackingUrl = (shipment) => {
+  const baseUrl = CONSTANTS.ORDER.TRACKING_URLS[shipment.carrier];
+  return baseUrl && shipment.trackingNumber ? `${baseUrl}${encodeURIComponent(shipment.trackingNumber)}` : null;
+};
+
+/**
+ * Shape an order for the customer, leaving out the email and street-level address
+ * @param {Object} order - Order record
+ * @returns {Object} - Order status
+ */
+const toOrderStatus = (order) => {
+  const { shippingAddress = {} } = order;
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    statusLabel: CONSTANTS.ORDER.STATUS_LABELS[order.status] || order.status,
+    placedAt: order.placedAt || null,
+    expectedDelivery: order.expectedDelivery || null,
+    deliveredAt: order.deliveredAt || null,
+    cancelledAt: order.cancelledAt || null,
+    shipTo: [shippingAddress.city, shippingAddress.state].filter(Boolean).join(', ') || null,
+    items: (order.items || []).map((item) => ({
+      partNumber: item.partNumber,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+    })),
+    totals: order.totals || null,
+    shipments: (order.shipments || []).map((shipment) => ({
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: buildTrackingUrl(shipment),
+      status: shipment.status,
+      estimatedDelivery: shipment.estimatedDelivery || null,
+      items: shipment.items || [],
+      // Newest event first
+      events: [...(shipment.events || [])].sort((a, b) => b.timestamp.localeCompare(a.timestamp)),
+    })),
+  };
+};
+
+/**
+ * Look up an order and verify the customer
+ * Unknown orders and failed verification give the same answer so order numbers cannot be probed
+ * @param {Object} params - { orderNumber, email, zipCode }
+ * @returns {Promise<Object>} - { found, orderNumber, order }
+ */
+const lookupOrder = async ({ orderNumber, email = null, zipCode = null }) => {
+  const normalized = normalizeOrderNumber(orderNumber);
+  const order = await getOrderRepository().findByOrderNumber(normalized);
+
+  if (!order || !verifyCustomer(order, { email, zipCode })) {
+    logger.info('Order lookup did not match', {
+      orderNumber: normalized,
+      orderExists: Boolean(order),
+      verifiedBy: email ? 'email' : 'zipCode',
+    });
+    return { found: false, orderNumber: normalized, order: null };
+  }
+
+  return { found: true, orderNumber: normalized, order: toOrderStatus(order) };
+};
+
+module.exports = {
+  createJsonOrderRepository,
+  getOrderRepository,
+  setOrderRepository,
+  normalizeOrderNumber,
+  verifyCustomer,
+  lookupOrder,
+};
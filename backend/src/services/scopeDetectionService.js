@@ -1,14 +1,23 @@
 const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
 const CONSTANTS = require('../config/constants');
+const nluModelService = require('./nluModelService');
+const modelNumberService = require('./modelNumberService');
+const errorCodeService = require('./errorCodeService');
 
 /**
  * Scope Detection Service
  * Determines if a message is within the PartSelect refrigerator/dishwasher parts domain
+ * Part/model number patterns and known appliance error codes always mean in scope; otherwise a
+ * confident trained model (nluModelService) decides, then keyword scores. Results carry `classifier` ('rules' or 'model').
+ * Washers, dryers, ovens and microwaves are a third category: related but unsupported. Those results
+ * are out of scope with category 'related_unsupported', the appliances named, and a reply that
+ * points to their PartSelect category pages.
  */
 
 /**
  * Detect if message is in scope
- * Uses keyword matching and pattern detection
+ * Uses pattern detection, the trained scope model and keyword matching
  * @param {string} message - The lowercase, cleaned message
  * @returns {Promise<Object>} - Scope detection result
  */
@@ -20,21 +29,68 @@ const detectScope = async (message) => {
     const patternScore = detectPatterns(message);
 
     // Calculate confidence
-    const hasPartNumber = CONSTANTS.PATTERNS.PART_NUMBER.test(message);
-    const hasModelNumber = CONSTANTS.PATTERNS.MODEL_NUMBER.test(message);
+    const hasPartNumber =
+      CONSTANTS.PATTERNS.PART_NUMBER.test(message) ||
+      CONSTANTS.PATTERNS.MANUFACTURER_PART_NUMBER.test(message) ||
+      CONSTANTS.PATTERNS.LEGACY_PART_NUMBER.test(message);
+    // Only a validated model number counts, not any code that looks like one
+    const hasModelNumber = modelNumberService.extractModels(message).length > 0;
+    // "OE error", "F21": a code from our error code table, not just any code after "error"
+    const hasErrorCode = errorCodeService.extractErrorCodes(message).some(errorCodeService.isKnownCode);
 
     // If explicit patterns are found, it's definitely in scope
-    if (hasPartNumber || hasModelNumber) {
+    if (hasPartNumber || hasModelNumber || hasErrorCode) {
       return {
         inScope: true,
         confidence: 1.0,
-        reason: 'Explicit part or model number pattern detected',
+        reason:
+          hasPartNumber || hasModelNumber
+            ? 'Explicit part or model number pattern detected'
+            : 'Known appliance error code detected',
         category: 'parts_inquiry',
         score: {
           inScope: 100,
           outOfScope: 0,
           patterns: 100,
         },
+        classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
+      };
+    }
+
+    // "my dryer won't heat": close to our domain, but not ours
+    const adjacentAppliances = detectAdjacentAppliances(message);
+    if (adjacentAppliances.length > 0) {
+      return {
+        inScope: false,
+        confidence: CONSTANTS.ADJACENT_APPLIANCES.CONFIDENCE,
+        reason: `Message is about ${adjacentAppliances.map((appliance) => appliance.name).join(' and ')} parts, which are not supported`,
+        category: CONSTANTS.SCOPE.RELATED_UNSUPPORTED,
+        appliances: adjacentAppliances,
+        reply: describeUnsupportedAppliances(adjacentAppliances),
+        score: {
+          inScope: inScopeScore,
+          outOfScope: outOfScopeScore,
+          patterns: patternScore,
+        },
+        classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
+      };
+    }
+
+    // Trained model verdict, when confident
+    const prediction = nluModelService.predictScope(message);
+    if (prediction && prediction.confidence >= CONSTANTS.NLU.SCOPE_MIN_CONFIDENCE) {
+      const inScope = prediction.label === CONSTANTS.NLU.SCOPE_LABEL.IN_SCOPE;
+      return {
+        inScope,
+        confidence: Math.min(0.99, prediction.confidence),
+        reason: `Trained scope model predicts ${prediction.label}`,
+        category: inScope ? categorizeInScopeMessage(tokens) : 'out_of_scope',
+        score: {
+          inScope: inScopeScore,
+          outOfScope: outOfScopeScore,
+          patterns: patternScore,
+        },
+        classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.MODEL,
       };
     }
 
@@ -50,6 +106,7 @@ const detectScope = async (message) => {
           outOfScope: outOfScopeScore,
           patterns: patternScore,
         },
+        classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
       };
     }
 
@@ -66,6 +123,7 @@ const detectScope = async (message) => {
           outOfScope: outOfScopeScore,
           patterns: patternScore,
         },
+        classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
       };
     }
 
@@ -81,6 +139,7 @@ const detectScope = async (message) => {
         outOfScope: outOfScopeScore,
         patterns: patternScore,
       },
+      classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
     };
   } catch (error) {
     logger.error('Error in scope detection', { error: error.message, message: message.substring(0, 50) });
@@ -90,10 +149,53 @@ const detectScope = async (message) => {
       confidence: 0.3,
       reason: 'Error during scope detection, defaulting to in-scope',
       category: 'general_inquiry',
+      classifier: CONSTANTS.INTENT_CLASSIFIER.CLASSIFIER.RULES,
     };
   }
 };
 
+/**
+ * Find the neighbouring appliances a message is about (washer, dryer, oven, microwave)
+ * A message that also names a refrigerator or dishwasher is about our appliances
+ * @param {string} message - The cleaned message
+ * @returns {Array<Object>} - In message order: [{ id, name, redirect: { label, url } }]
+ */
+const detectAdjacentAppliances = (message) => {
+  if (CONSTANTS.MODEL_NUMBERS.APPLIANCE_CUE_PATTERN.test(message)) {
+    return [];
+  }
+
+  return CONSTANTS.ADJACENT_APPLIANCES.APPLIANCES.map((appliance) => ({ appliance, match: message.match(appliance.pattern) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match.index - b.match.index)
+    .map(({ appliance }) => ({
+      id: appliance.id,
+      name: appliance.name,
+      redirect: {
+        label: appliance.label,
+        url: `${environmentConfig.partselect.baseUrl}${appliance.path}`,
+      },
+    }));
+};
+
+/**
+ * Reply for a question about appliances we do not cover
+ * @param {Array<Object>} appliances - Result of detectAdjacentAppliances
+ * @returns {Object} - { content, suggestion, redirects: [{ appliance, label, url }] }
+ */
+const describeUnsupportedAppliances = (appliances) => {
+  const names = appliances.map((appliance) => appliance.name).join(' or ');
+  const links = appliances.map((appliance) => `${appliance.redirect.label} (${appliance.redirect.url})`).join(' and ');
+
+  return {
+    content:
+      `I can't help with ${names} parts here: this assistant covers only refrigerator and dishwasher parts. ` +
+      `PartSelect has them at ${links}. Is there anything I can help with for your refrigerator or dishwasher?`,
+    suggestion: CONSTANTS.ADJACENT_APPLIANCES.SUGGESTION,
+    redirects: appliances.map((appliance) => ({ appliance: appliance.id, ...appliance.redirect })),
+  };
+};
+
 /**
  * Calculate in-scope score based on keywords
  * @param {Array<string>} tokens - Message tokens
@@ -209,4 +311,5 @@ module.exports = {
   calculateOutOfScopeScore,
   detectPatterns,
   categorizeInScopeMessage,
+  detectAdjacentAppliances,
 };
@@ -1,15 +1,93 @@
 const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
 const { getCurrentTimestamp } = require('../utils/helpers');
+const { createSessionStore } = require('../stores');
 const CONSTANTS = require('../config/constants');
 
 /**
  * Session Service
  * Manages user sessions and conversation history
- * Note: Currently uses in-memory storage. Will be replaced with database later.
+ * Sessions live in the session store selected in environment.js (memory or Redis, see src/stores).
+ * Every write is one atomic store update. That protects a change only if it is computed inside the
+ * update: a value read earlier in the turn and written back whole (a cart, a list) would still undo
+ * a concurrent turn's change to it. Such writes pass a mutator to updateUserContext(), which runs
+ * on the stored copy.
  */
 
-// In-memory session store (to be replaced with database)
-const sessionStore = new Map();
+// Session store, created on first use so scripts that never touch sessions never connect to it
+let sessionStore = null;
+
+// Session objects handed out by this process, least recently used first. The store returns
+// copies, so writes are copied into these objects too: code holding a session during a turn
+// sees its own updates.
+const liveSessions = new Map();
+
+/**
+ * Get the session store
+ * @returns {SessionStore}
+ */
+const getStore = () => {
+  if (!sessionStore) {
+    sessionStore = createSessionStore();
+  }
+  return sessionStore;
+};
+
+/**
+ * Use another session store (e.g. an in-process fake in tests)
+ * @param {SessionStore} store - The store
+ */
+const setSessionStore = (store) => {
+  sessionStore = store;
+  liveSessions.clear();
+};
+
+/**
+ * Copy a stored session into the object this process hands out for it
+ * @param {Object} session - Session as returned by the store
+ * @returns {Object} - The live session object
+ */
+const trackSession = (session) => {
+  const live = liveSessions.get(session.sessionId);
+  liveSessions.delete(session.sessionId);
+
+  if (live) {
+    Object.keys(live).forEach((key) => {
+      if (!(key in session)) delete live[key];
+    });
+    Object.assign(live, session);
+  }
+  liveSessions.set(session.sessionId, live || session);
+
+  // Forget sessions idle past the expiry time (the oldest come first)
+  const cutoff = Date.now() - environmentConfig.sessionExpiryMinutes * 60 * 1000;
+  for (const [sessionId, tracked] of liveSessions) {
+    if (new Date(tracked.lastActivity).getTime() >= cutoff) break;
+    liveSessions.delete(sessionId);
+  }
+
+  return live || session;
+};
+
+/**
+ * Change a session atomically and refresh its live object
+ * @param {string} sessionId - The session ID
+ * @param {Function} mutator - (session) => void
+ * @returns {Promise<Object>} - The live session
+ * @throws {Error} - If the session does not exist
+ */
+const applyUpdate = async (sessionId, mutator) => {
+  const updated = await getStore().update(sessionId, (session) => {
+    mutator(session);
+    session.lastActivity = getCurrentTimestamp();
+  });
+
+  if (!updated) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+
+  return trackSession(updated);
+};
 
 /**
  * Create a new session
@@ -30,10 +108,10 @@ const createSession = async (sessionId) => {
       isActive: true,
     };
 
-    sessionStore.set(sessionId, session);
+    await getStore().set(session);
     logger.info('Session created', { sessionId });
 
-    return session;
+    return trackSession(session);
   } catch (error) {
     logger.error('Error creating session', { error: error.message, sessionId });
     throw error;
@@ -47,20 +125,19 @@ const createSession = async (sessionId) => {
  */
 const getSession = async (sessionId) => {
   try {
-    const session = sessionStore.get(sessionId);
+    // Update last activity (and with it the store's expiry)
+    const session = await getStore().update(sessionId, (stored) => {
+      stored.lastActivity = getCurrentTimestamp();
+    });
 
     if (!session) {
       logger.debug('Session not found', { sessionId });
       return null;
     }
 
-    // Update last activity
-    session.lastActivity = getCurrentTimestamp();
-    sessionStore.set(sessionId, session);
-
     logger.debug('Session retrieved', { sessionId, messageCount: session.conversationHistory.length });
 
-    return session;
+    return trackSession(session);
   } catch (error) {
     logger.error('Error getting session', { error: error.message, sessionId });
     throw error;
@@ -75,24 +152,17 @@ const getSession = async (sessionId) => {
  */
 const addMessageToHistory = async (sessionId, messageData) => {
   try {
-    const session = sessionStore.get(sessionId);
-
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
-
     const historyMessage = {
       messageId: messageData.messageId,
-      role: messageData.role, // 'user' or 'assistant'
+      role: messageData.role, // 'user', 'assistant' or 'agent'
       message: messageData.message,
       timestamp: getCurrentTimestamp(),
       metadata: messageData.metadata || {},
     };
 
-    session.conversationHistory.push(historyMessage);
-    session.lastActivity = getCurrentTimestamp();
-
-    sessionStore.set(sessionId, session);
+    const session = await applyUpdate(sessionId, (stored) => {
+      stored.conversationHistory.push(historyMessage);
+    });
 
     logger.debug('Message added to history', {
       sessionId,
@@ -118,7 +188,7 @@ const addMessageToHistory = async (sessionId, messageData) => {
  */
 const getConversationHistory = async (sessionId, limit = 0) => {
   try {
-    const session = sessionStore.get(sessionId);
+    const session = await getStore().get(sessionId);
 
     if (!session) {
       throw new Error(`Session ${sessionId} not found`);
@@ -148,25 +218,26 @@ const getConversationHistory = async (sessionId, limit = 0) => {
 
 /**
  * Update user context in session
+ * An object replaces the keys it names. A mutator function changes the stored user context in
+ * place inside the store's atomic update; use it for values derived from what is stored (adding
+ * to the cart). It may run more than once if the update is retried, so it must not have side effects.
  * @param {string} sessionId - The session ID
- * @param {Object} contextData - Context data to update
+ * @param {Object|Function} update - Context keys to set, or (userContext) => void
  * @returns {Promise<Object>} - Updated session
  */
-const updateUserContext = async (sessionId, contextData) => {
+const updateUserContext = async (sessionId, update) => {
   try {
-    const session = sessionStore.get(sessionId);
-
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
-
-    session.userContext = {
-      ...session.userContext,
-      ...contextData,
-    };
-
-    session.lastActivity = getCurrentTimestamp();
-    sessionStore.set(sessionId, session);
+    const session = await applyUpdate(sessionId, (stored) => {
+      if (typeof update === 'function') {
+        stored.userContext = stored.userContext || {};
+        update(stored.userContext);
+      } else {
+        stored.userContext = {
+          ...stored.userContext,
+          ...update,
+        };
+      }
+    });
 
     logger.debug('User context updated', { sessionId });
 
@@ -187,11 +258,12 @@ const updateUserContext = async (sessionId, contextData) => {
  */
 const endSession = async (sessionId) => {
   try {
-    const session = sessionStore.get(sessionId);
+    const session = await getStore().update(sessionId, (stored) => {
+      stored.isActive = false;
+    });
 
     if (session) {
-      session.isActive = false;
-      sessionStore.set(sessionId, session);
+      trackSession(session);
       logger.info('Session ended', { sessionId });
     }
   } catch (error) {
@@ -205,6 +277,8 @@ const endSession = async (sessionId) => {
 
 /**
  * Clear expired sessions (for cleanup)
+ * The stores also expire sessions on their own after SESSION_EXPIRY_MINUTES. Sessions in the
+ * handoff queue are kept, as the stores keep them.
  * @param {number} expiryMinutes - Sessions inactive for more than this are cleared
  * @returns {Promise<number>} - Number of sessions cleared
  */
@@ -212,20 +286,25 @@ const clearExpiredSessions = async (expiryMinutes = CONSTANTS.SESSION.DEFAULT_EX
   try {
     const now = new Date();
     const expiryMs = expiryMinutes * 60 * 1000;
+    const sessions = await getStore().list();
+    const queued = new Set((await getStore().listQueue()).map((session) => session.sessionId));
     let clearedCount = 0;
 
-    sessionStore.forEach((session, sessionId) => {
+    for (const session of sessions) {
+      if (queued.has(session.sessionId)) continue;
+
       const lastActivityTime = new Date(session.lastActivity);
       const inactivityDuration = now - lastActivityTime;
 
       if (inactivityDuration > expiryMs) {
-        sessionStore.delete(sessionId);
+        await getStore().delete(session.sessionId);
+        liveSessions.delete(session.sessionId);
         clearedCount++;
-        logger.debug('Expired session cleared', { sessionId });
+        logger.debug('Expired session cleared', { sessionId: session.sessionId });
       }
-    });
+    }
 
-    logger.info('Session cleanup completed', { clearedCount, totalSessions: sessionStore.size });
+    logger.info('Session cleanup completed', { clearedCount, totalSessions: sessions.length - clearedCount });
 
     return clearedCount;
   } catch (error) {
@@ -234,13 +313,68 @@ const clearExpiredSessions = async (expiryMinutes = CONSTANTS.SESSION.DEFAULT_EX
   }
 };
 
+/**
+ * Get every stored session, active or ended
+ * @returns {Promise<Array>} - Array of sessions
+ */
+const listSessions = async () => {
+  try {
+    return await getStore().list();
+  } catch (error) {
+    logger.error('Error listing sessions', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Put a session in the handoff queue: it is kept until it leaves the queue
+ * @param {string} sessionId - The session ID
+ * @param {string} queuedAt - ISO timestamp ordering the queue (a queued session keeps its place)
+ * @returns {Promise<void>}
+ */
+const addToHandoffQueue = async (sessionId, queuedAt) => {
+  try {
+    await getStore().enqueue(sessionId, new Date(queuedAt).getTime());
+  } catch (error) {
+    logger.error('Error adding session to the handoff queue', { error: error.message, sessionId });
+    throw error;
+  }
+};
+
+/**
+ * Take a session off the handoff queue: it expires after SESSION_EXPIRY_MINUTES again
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<void>}
+ */
+const removeFromHandoffQueue = async (sessionId) => {
+  try {
+    await getStore().dequeue(sessionId);
+  } catch (error) {
+    logger.error('Error removing session from the handoff queue', { error: error.message, sessionId });
+    throw error;
+  }
+};
+
+/**
+ * Get the sessions in the handoff queue, oldest first
+ * @returns {Promise<Array>} - Array of sessions
+ */
+const listHandoffQueue = async () => {
+  try {
+    return await getStore().listQueue();
+  } catch (error) {
+    logger.error('Error listing the handoff queue', { error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Get all active sessions (for monitoring)
  * @returns {Promise<Array>} - Array of active sessions
  */
 const getAllActiveSessions = async () => {
   try {
-    const activeSessions = Array.from(sessionStore.values()).filter((s) => s.isActive);
+    const activeSessions = (await getStore().list()).filter((s) => s.isActive);
     logger.debug('Retrieved all active sessions', { count: activeSessions.length });
     return activeSessions;
   } catch (error) {
@@ -249,6 +383,16 @@ const getAllActiveSessions = async () => {
   }
 };
 
+/**
+ * Close the session store's connections (on shutdown)
+ * @returns {Promise<void>}
+ */
+const closeSessionStore = async () => {
+  if (sessionStore) {
+    await sessionStore.close();
+  }
+};
+
 module.exports = {
   createSession,
   getSession,
@@ -257,5 +401,11 @@ module.exports = {
   updateUserContext,
   endSession,
   clearExpiredSessions,
+  listSessions,
+  addToHandoffQueue,
+  removeFromHandoffQueue,
+  listHandoffQueue,
   getAllActiveSessions,
+  setSessionStore,
+  closeSessionStore,
 };
@@ -0,0 +1,181 @@
+const logger = require('../config/logger');
+const { extractOrderDetails } = require('../utils/sanitizers');
+const { detectApplianceType } = require('./intentClassificationService');
+const compatibilityService = require('./compatibilityService');
+const troubleshootingService = require('./troubleshootingService');
+const errorCodeService = require('./errorCodeService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Slot Filling Service
+ * Each intent declares the slots it needs before it can be answered (CONSTANTS.SLOT_FILLING.REQUIRED_SLOTS).
+ * When a slot is missing we ask a targeted clarifying question and keep the pending intent in the
+ * session (session.userContext.pendingIntent); the reply fills the slot and the original request
+ * is completed on that turn.
+ *
+ * Pending intent state:
+ *   { intent, required, slots, missing, message, attempts }
+ * where message is the cleaned text of the original request.
+ */
+
+const { SLOT } = CONSTANTS;
+
+/**
+ * Infer the appliance a symptom belongs to from the troubleshooting trees
+ * @param {string} message - Cleaned message
+ * @returns {string|null} - Appliance type when every matching tree is for the same appliance
+ */
+const inferApplianceFromSymptom = (message) => {
+  const applianceTypes = [...new Set(troubleshootingService.matchTrees(message).map((tree) => tree.applianceType))];
+  return applianceTypes.length === 1 ? applianceTypes[0] : null;
+};
+
+/**
+ * Extract slot values from a message
+ * @param {Object} preprocessedMessage - Preprocessed message data
+ * @param {Object} intent - Intent classification result
+ * @returns {Object} - { partNumber, modelNumber, applianceType, orderNumber } (null when absent)
+ */
+const extractSlots = (preprocessedMessage, intent) => {
+  const message = preprocessedMessage.cleaned;
+  const context = intent.context || {};
+
+  // Prefer a model we have fitment data for over the generic model number pattern
+  const modelNumber = compatibilityService.findKnownModels(message)[0] || context.modelNumber || null;
+  const model = compatibilityService.getModel(modelNumber);
+
+  return {
+    [SLOT.PART_NUMBER]: context.partNumber || preprocessedMessage.entities?.partNumbers?.[0] || null,
+    [SLOT.MODEL_NUMBER]: modelNumber,
+    [SLOT.APPLIANCE_TYPE]:
+      context.applianceType ||
+      detectApplianceType(message) ||
+      (model ? model.applianceType : null) ||
+      errorCodeService.inferApplianceType(message) ||
+      inferApplianceFromSymptom(message),
+    [SLOT.ORDER_NUMBER]: extractOrderDetails(message).orderNumber,
+  };
+};
+
+/**
+ * Get the slots an intent needs for a message
+ * Order support only needs an order number for order status questions, not for price or cart questions
+ * @param {string} intentName - Intent
+ * @param {string} message - Cleaned message
+ * @returns {Array<string>} - Required slot names
+ */
+const getRequiredSlots = (intentName, message) => {
+  if (intentName === CONSTANTS.INTENT.ORDER_SUPPORT && !CONSTANTS.PATTERNS.ORDER_QUESTION.test(message)) {
+    return [];
+  }
+  return CONSTANTS.SLOT_FILLING.REQUIRED_SLOTS[intentName] || [];
+};
+
+/**
+ * Build the clarifying question for missing slots
+ * @param {string} intentName - Intent being answered
+ * @param {Array<string>} missing - Missing slot names
+ * @returns {string}
+ */
+const buildQuestion = (intentName, missing) => {
+  const { PROMPTS, QUESTIONS } = CONSTANTS.SLOT_FILLING;
+  const details = missing.map((slot) => QUESTIONS[slot]).join(' and ');
+  return `${PROMPTS[intentName] || 'I can help with that.'} Could you tell me ${details}?`;
+};
+
+/**
+ * Keep the required slots that have values
+ * @param {Object} slots - Slot values
+ * @param {Array<string>} required - Required slot names
+ * @returns {Object}
+ */
+const pickFilledSlots = (slots, required) => {
+  return Object.fromEntries(required.filter((slot) => slots[slot]).map((slot) => [slot, slots[slot]]));
+};
+
+/**
+ * Decide which intent to answer and whether a required slot is still missing
+ *
+ * A reply that fills a missing slot of the pending intent continues it, unless it is a new request
+ * for a different intent that needs slots of its own. A reply that fills nothing and is only a
+ * general inquiry ("where do I find that?") is asked again, up to SLOT_FILLING.MAX_ATTEMPTS.
+ * Anything else drops the pending intent and is handled as a new request.
+ *
+ * @param {Object} input - { routedIntent, intent, preprocessedMessage, pendingIntent }
+ * @returns {Object} - { intentName, slots, missing, message, resumed, answered, pendingIntent }
+ *   missing is empty when the intent can be answered; message is the text to answer (the original
+ *   request plus the reply when resumed); answered says whether the reply filled a missing slot;
+ *   pendingIntent is the state to save (null clears it)
+ */
+const fillSlots = ({ routedIntent, intent, preprocessedMessage, pendingIntent = null }) => {
+  const extracted = extractSlots(preprocessedMessage, intent);
+
+  if (pendingIntent) {
+    const answersPending = pendingIntent.missing.some((slot) => extracted[slot]);
+    const startsNewRequest =
+      routedIntent !== pendingIntent.intent && getRequiredSlots(routedIntent, preprocessedMessage.cleaned).length > 0;
+
+    // ===== CONTINUE THE PENDING INTENT =====
+    if (answersPending && !startsNewRequest) {
+      const slots = { ...pendingIntent.slots, ...pickFilledSlots(extracted, pendingIntent.missing) };
+      const missing = pendingIntent.required.filter((slot) => !slots[slot]);
+
+      logger.debug('Pending intent continued', { intent: pendingIntent.intent, missing });
+
+      return {
+        intentName: pendingIntent.intent,
+        slots,
+        missing,
+        message: `${pendingIntent.message} ${preprocessedMessage.cleaned}`,
+        resumed: true,
+        answered: true,
+        pendingIntent:
+          missing.length > 0 ? { ...pendingIntent, slots, missing, attempts: pendingIntent.attempts + 1 } : null,
+      };
+    }
+
+    // ===== ASK AGAIN =====
+    if (
+      !answersPending &&
+      routedIntent === CONSTANTS.INTENT.GENERAL_INQUIRY &&
+      pendingIntent.attempts < CONSTANTS.SLOT_FILLING.MAX_ATTEMPTS
+    ) {
+      return {
+        intentName: pendingIntent.intent,
+        slots: pendingIntent.slots,
+        missing: pendingIntent.missing,
+        message: pendingIntent.message,
+        resumed: true,
+        answered: false,
+        pendingIntent: { ...pendingIntent, attempts: pendingIntent.attempts + 1 },
+      };
+    }
+
+    logger.debug('Pending intent dropped', { intent: pendingIntent.intent, routedIntent });
+  }
+
+  // ===== NEW REQUEST =====
+  const required = getRequiredSlots(routedIntent, preprocessedMessage.cleaned);
+  const slots = pickFilledSlots(extracted, required);
+  const missing = required.filter((slot) => !slots[slot]);
+
+  return {
+    intentName: routedIntent,
+    slots,
+    missing,
+    message: preprocessedMessage.cleaned,
+    resumed: false,
+    answered: false,
+    pendingIntent:
+      missing.length > 0
+        ? { intent: routedIntent, required, slots, missing, message: preprocessedMessage.cleaned, attempts: 1 }
+        : null,
+  };
+};
+
+module.exports = {
+  extractSlots,
+  getRequiredSlots,
+  buildQuestion,
+  fillSlots,
+};
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const catalogService = require('./catalogService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Troubleshooting Service
+ * Decision-tree engine keyed by appliance type and symptom
+ *
+ * Each tree (one YAML file in the troubleshooting content directory) lists weighted causes
+ * and follow-up questions. Every answer multiplies cause weights, so the ranking narrows
+ * turn by turn until one cause is clearly ahead or the questions run out.
+ */
+
+const TREE_EXTENSIONS = ['.yaml', '.yml'];
+
+// Cached trees (loaded lazily on first access)
+let trees = null;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str - Raw string
+ * @returns {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a phrase appears in text as whole words
+ * @param {string} text - Lowercase text
+ * @param {string} phrase - Phrase to find
+ * @returns {boolean}
+ */
+const containsPhrase = (text, phrase) => {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.toLowerCase())}($|[^a-z0-9])`).test(text);
+};
+
+/**
+ * Validate a parsed tree
+ * @param {Object} tree - Parsed tree
+ * @throws {Error} - If the tree is malformed
+ */
+const validateTree = (tree) => {
+  ['id', 'applianceType', 'symptom', 'title'].forEach((field) => {
+    if (!tree[field]) throw new Error(`Tree is missing "${field}"`);
+  });
+
+  if (!Array.isArray(tree.causes) || tree.causes.length === 0) {
+    throw new Error('Tree must have at least one cause');
+  }
+
+  const causeIds = tree.causes.map((cause) => cause.id);
+  (tree.questions || []).forEach((question) => {
+    (question.options || []).forEach((option) => {
+      Object.keys(option.adjust || {}).forEach((causeId) => {
+        if (!causeIds.includes(causeId)) {
+          throw new Error(`Question "${question.id}" adjusts unknown cause "${causeId}"`);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Load all troubleshooting trees
+ * @param {string} contentPath - Troubleshooting content directory
+ * @returns {Map<string, Object>} - Tree ID -> tree
+ */
+const loadTrees = (contentPath = environmentConfig.content.troubleshootingTreesPath) => {
+  const loaded = new Map();
+
+  fs.readdirSync(contentPath)
+    .filter((fileName) => TREE_EXTENSIONS.includes(path.extname(fileName)))
+    .forEach((fileName) => {
+      const filePath = path.join(contentPath, fileName);
+      try {
+        const tree = yaml.load(fs.readFileSync(filePath, 'utf8'));
+        validateTree(tree);
+        loaded.set(tree.id, {
+          ...tree,
+          keywords: tree.keywords || [],
+          questions: tree.questions || [],
+        });
+      } catch (error) {
+        logger.warn('Skipping invalid troubleshooting tree', { filePath, error: error.message });
+      }
+    });
+
+  trees = loaded;
+  logger.info('Troubleshooting trees loaded', { treeCount: trees.size, contentPath });
+
+  return trees;
+};
+
+/**
+ * Get the loaded trees, loading them if needed
+ * @returns {Map<string, Object>}
+ */
+const getTrees = () => {
+  if (!trees) {
+    loadTrees();
+  }
+  return trees;
+};
+
+/**
+ * Get a tree by ID
+ * @param {string} treeId - Tree ID
+ * @returns {Object|null}
+ */
+const getTree = (treeId) => getTrees().get(treeId) || null;
+
+/**
+ * Find trees whose symptom keywords appear in a message
+ * @param {string} message - User message
+ * @param {string|null} applianceType - Known appliance type, if any
+ * @returns {Array<Object>} - Matching trees, best match first
+ */
+const matchTrees = (message, applianceType = null) => {
+  const text = String(message || '').toLowerCase();
+
+  return Array.from(getTrees().values())
+    .filter((tree) => !applianceType || tree.applianceType === applianceType)
+    .map((tree) => ({
+      tree,
+      hits: tree.keywords.filter((keyword) => containsPhrase(text, keyword)).length,
+    }))
+    .filter((entry) => entry.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map((entry) => entry.tree);
+};
+
+/**
+ * List the symptoms we have trees for
+ * @param {string|null} applianceType - Restrict to one appliance type
+ * @returns {Array<Object>} - [{ applianceType, symptom, title }]
+ */
+const listSymptoms = (applianceType = null) => {
+  return Array.from(getTrees().values())
+    .filter((tree) => !applianceType || tree.applianceType === applianceType)
+    .map(({ applianceType: type, symptom, title }) => ({ applianceType: type, symptom, title }));
+};
+
+/**
+ * Interpret a reply to a follow-up question
+ * @param {Object} question - Tree question
+ * @param {string} message - User reply
+ * @returns {string|null} - Option value, 'unsure', or null if the reply is not an answer
+ */
+const parseAnswer = (question, message) => {
+  const text = String(message || '').toLowerCase().trim();
+  const { ANSWER_KEYWORDS } = CONSTANTS.TROUBLESHOOTING;
+
+  if (ANSWER_KEYWORDS.unsure.some((keyword) => containsPhrase(text, keyword))) {
+    return CONSTANTS.TROUBLESHOOTING.UNSURE_ANSWER;
+  }
+
+  const option = (question.options || []).find((candidate) => {
+    const keywords = candidate.keywords || ANSWER_KEYWORDS[candidate.value] || [candidate.value];
+    return keywords.some((keyword) => containsPhrase(text, keyword));
+  });
+
+  return option ? option.value : null;
+};
+
+/**
+ * Interpret a reply to "refrigerator or dishwasher?" when a symptom matched trees for both
+ * @param {Object} state - Saved state with candidateTreeIds
+ * @param {string} message - User reply
+ * @returns {Object|null} - The chosen tree, or null if the reply names neither appliance
+ */
+const parseApplianceAnswer = (state, message) => {
+  const text = String(message || '').toLowerCase();
+
+  const matches = (state.candidateTreeIds || [])
+    .map(getTree)
+    .filter(Boolean)
+    .filter((tree) =>
+      (CONSTANTS.SEARCH.APPLIANCE_TERMS[tree.applianceType] || []).some((term) => containsPhrase(text, term))
+    );
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Find catalog parts that fix a cause
+ * Prefers parts that fit the customer's model, then in-stock parts
+ * @param {Object} cause - Tree cause
+ * @param {string} applianceType - Appliance type
+ * @param {string|null} modelNumber - Customer's model, if known
+ * @returns {Array<string>} - Part numbers
+ */
+const findRecommendedParts = (cause, applianceType, modelNumber) => {
+  return (cause.recommendedCategories || []).flatMap((category) => {
+    const forModel = modelNumber ? catalogService.findParts({ applianceType, category, modelNumber }) : [];
+    const parts = forModel.length > 0 ? forModel : catalogService.findParts({ applianceType, category });
+
+    return parts
+      .slice()
+      .sort((a, b) => (b.stockQuantity > 0) - (a.stockQuantity > 0))
+      .map((part) => part.id);
+  });
+};
+
+/**
+ * Map a probability to the likelihood label used in responses
+ * @param {number} probability - 0-1
+ * @returns {'high' | 'medium' | 'low'}
+ */
+const toLikelihood = (probability) => {
+  const { HIGH_PROBABILITY, MEDIUM_PROBABILITY } = CONSTANTS.TROUBLESHOOTING;
+  if (probability >= HIGH_PROBABILITY) return 'high';
+  if (probability >= MEDIUM_PROBABILITY) return 'medium';
+  return 'low';
+};
+
+/**
+ * Rank a tree's causes given the answers so far
+ * @param {Object} tree - Troubleshooting tree
+ * @param {Object} answers - Question ID -> option value
+ * @returns {Array<Object>} - Causes with probability, best first
+ */
+const rankCauses = (tree, answers = {}) => {
+  const weights = new Map(tree.causes.map((cause) => [cause.id, cause.weight || 1]));
+
+  tree.questions.forEach((question) => {
+    const option = (question.options || []).find((candidate) => candidate.value === answers[question.id]);
+    if (!option) return;
+
+    Object.entries(option.adjust || {}).forEach(([causeId, factor]) => {
+      weights.set(causeId, weights.get(causeId) * factor);
+    });
+  });
+
+  const total = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+
+  return tree.causes
+    .map((cause) => ({ ...cause, probability: weights.get(cause.id) / total }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+/**
+ * Pick the next question worth asking
+ * Skips answered questions and questions that only affect causes already ruled out
+ * @param {Object} tree - Troubleshooting tree
+ * @param {Object} answers - Answers so far
+ * @param {Array<Object>} rankedCauses - Current ranking
+ * @returns {Object|null} - Question or null
+ */
+const selectNextQuestion = (tree, answers, rankedCauses) => {
+  const { CONFIDENT_PROBABILITY, MAX_QUESTIONS, RULED_OUT_PROBABILITY } = CONSTANTS.TROUBLESHOOTING;
+
+  if (rankedCauses[0].probability >= CONFIDENT_PROBABILITY) return null;
+  if (Object.keys(answers).length >= MAX_QUESTIONS) return null;
+
+  const liveCauses = rankedCauses
+    .filter((cause) => cause.probability >= RULED_OUT_PROBABILITY)
+    .map((cause) => cause.id);
+
+  return (
+    tree.questions.find(
+      (question) =>
+        !(question.id in answers) &&
+        question.options.some((option) => Object.keys(option.adjust || {}).some((id) => liveCauses.includes(id)))
+    ) || null
+  );
+};
+
+/**
+ * Run one diagnosis step
+ * Starts a new diagnosis from the message, or continues one when state has a pending question
+ * @param {Object} params - { message, applianceType, modelNumber, state }
+ * @returns {Object} - { status, tree, causes, nextQuestion, state, candidates }
+ */
+const diagnose = ({ message, applianceType = null, modelNumber = null, state = null }) => {
+  let tree = null;
+  let answers = {};
+  let lastAnswer = null;
+
+  // ===== CONTINUE AFTER ASKING WHICH APPLIANCE =====
+  if (state && state.candidateTreeIds) {
+    tree = parseApplianceAnswer(state, message);
+  }
+
+  // ===== CONTINUE AN EXISTING DIAGNOSIS =====
+  if (state && state.pendingQuestionId) {
+    tree = getTree(state.treeId);
+    const question = tree && tree.questions.find((candidate) => candidate.id === state.pendingQuestionId);
+    lastAnswer = question ? parseAnswer(question, message) : null;
+
+    if (lastAnswer !== null) {
+      answers = { ...state.answers, [question.id]: lastAnswer };
+      applianceType = applianceType || state.applianceType;
+      modelNumber = modelNumber || state.modelNumber;
+    } else {
+      tree = null;
+    }
+  }
+
+  // ===== START A NEW DIAGNOSIS =====
+  if (!tree) {
+    const candidates = matchTrees(message, applianceType);
+
+    if (candidates.length === 0) {
+      return {
+        status: CONSTANTS.TROUBLESHOOTING.STATUS.NO_MATCH,
+        availableSymptoms: listSymptoms(applianceType),
+        state: null,
+      };
+    }
+
+    const applianceTypes = [...new Set(candidates.map((candidate) => candidate.applianceType))];
+    if (applianceTypes.length > 1) {
+      return {
+        status: CONSTANTS.TROUBLESHOOTING.STATUS.NEEDS_APPLIANCE,
+        candidates: candidates.map(({ id, applianceType: type, title }) => ({ id, applianceType: type, title })),
+        state: { candidateTreeIds: candidates.map((candidate) => candidate.id) },
+      };
+    }
+
+    tree = candidates[0];
+  }
+
+  // ===== RANK CAUSES AND CHOOSE THE NEXT QUESTION =====
+  const rankedCauses = rankCauses(tree, answers);
+  const nextQuestion = selectNextQuestion(tree, answers, rankedCauses);
+
+  const causes = rankedCauses.map((cause) => ({
+    id: cause.id,
+    cause: cause.cause,
+    description: cause.description,
+    fix: cause.fix,
+    steps: cause.steps || [],
+    estimatedTime: cause.estimatedTime || null,
+    probability: Number(cause.probability.toFixed(3)),
+    likelihood: toLikelihood(cause.probability),
+    recommendedParts: findRecommendedParts(cause, tree.applianceType, modelNumber),
+  }));
+
+  logger.debug('Troubleshooting diagnosis step', {
+    treeId: tree.id,
+    answers,
+    topCause: causes[0].id,
+    nextQuestion: nextQuestion ? nextQuestion.id : null,
+  });
+
+  return {
+    status: nextQuestion ? CONSTANTS.TROUBLESHOOTING.STATUS.IN_PROGRESS : CONSTANTS.TROUBLESHOOTING.STATUS.COMPLETE,
+    tree: { id: tree.id, applianceType: tree.applianceType, symptom: tree.symptom, title: tree.title },
+    causes,
+    lastAnswer,
+    nextQuestion: nextQuestion
+      ? { id: nextQuestion.id, text: nextQuestion.text, options: nextQuestion.options.map((option) => option.value) }
+      : null,
+    state: nextQuestion
+      ? { treeId: tree.id, answers, pendingQuestionId: nextQuestion.id, applianceType: tree.applianceType, modelNumber }
+      : null,
+  };
+};
+
+/**
+ * Check whether a message answers the pending follow-up question in a saved diagnosis
+ * Only short replies count: "I have a question about my order" contains "i have" but asks something else
+ * @param {Object|null} state - Saved diagnosis state
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+const isAnswerToPendingQuestion = (state, message) => {
+  if (!state) return false;
+  const words = String(message || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > CONSTANTS.TROUBLESHOOTING.ANSWER_MAX_WORDS) return false;
+  if (state.candidateTreeIds) return parseApplianceAnswer(state, message) !== null;
+  if (!state.pendingQuestionId) return false;
+  const tree = getTree(state.treeId);
+  const question = tree && tree.questions.find((candidate) => candidate.id === state.pendingQuestionId);
+  return Boolean(question) && parseAnswer(question, message) !== null;
+};
+
+module.exports = {
+  loadTrees,
+  getTree,
+  matchTrees,
+  listSymptoms,
+  parseAnswer,
+  rankCauses,
+  diagnose,
+  isAnswerToPendingQuestion,
+};
@@ -0,0 +1,45 @@
+const logger = require('../config/logger');
+const environmentConfig = require('../config/environment');
+const CONSTANTS = require('../config/constants');
+const MemorySessionStore = require('./memorySessionStore');
+const RedisSessionStore = require('./redisSessionStore');
+
+/**
+ * Session Store Factory
+ * Creates the session store selected in environment.js (session.store / SESSION_STORE):
+ *   memory - In this process (default); lost on restart
+ *   redis  - Redis at REDIS_URL; survives restarts and is shared across instances
+ */
+
+/**
+ * Create a session store
+ * @param {string} storeName - 'memory' or 'redis'
+ * @param {Object} overrides - Options replacing the configured ones (ttlMs, url, keyPrefix, client)
+ * @returns {SessionStore}
+ */
+const createSessionStore = (storeName = environmentConfig.session.store, overrides = {}) => {
+  const ttlMs = environmentConfig.sessionExpiryMinutes * 60 * 1000;
+
+  switch (storeName) {
+    case CONSTANTS.SESSION.STORE.MEMORY:
+      logger.info('Session store: memory', { ttlMs });
+      return new MemorySessionStore({ ttlMs, ...overrides });
+    case CONSTANTS.SESSION.STORE.REDIS:
+      logger.info('Session store: redis', { ttlMs, keyPrefix: environmentConfig.session.keyPrefix });
+      return new RedisSessionStore({
+        url: environmentConfig.redis.url,
+        ttlMs,
+        keyPrefix: environmentConfig.session.keyPrefix,
+        maxRetries: CONSTANTS.SESSION.UPDATE_MAX_RETRIES,
+        retryDelayMs: CONSTANTS.SESSION.UPDATE_RETRY_DELAY_MS,
+        connectTimeoutMs: CONSTANTS.SESSION.REDIS_CONNECT_TIMEOUT_MS,
+        ...overrides,
+      });
+    default:
+      throw new Error(`Unknown session store "${storeName}" (${Object.values(CONSTANTS.SESSION.STORE).join(', ')})`);
+  }
+};
+
+module.exports = {
+  createSessionStore,
+};
@@ -0,0 +1,107 @@
+const SessionStore = require('./sessionStore');
+
+/**
+ * In-Memory Session Store
+ * Keeps sessions in a Map in this process: they are lost on restart and not shared across
+ * instances. Sessions are copied in and out (as JSON, like the Redis store), so behaviour is the
+ * same whichever store is configured. Queued sessions never expire (expiresAt is Infinity).
+ */
+
+/**
+ * Copy a session the way it would be serialized
+ * @param {Object} session - The session
+ * @returns {Object}
+ */
+const copy = (session) => JSON.parse(JSON.stringify(session));
+
+class MemorySessionStore extends SessionStore {
+  /**
+   * Constructor
+   * @param {Object} options - { ttlMs }
+   */
+  constructor({ ttlMs }) {
+    super('memory', ttlMs);
+    this.sessions = new Map(); // sessionId -> { session, expiresAt }
+    this.queue = new Map(); // sessionId -> queuedAt, the handoff queue
+  }
+
+  /**
+   * Expiry time of a session written now
+   * @param {string} sessionId - The session ID
+   * @returns {number} - Milliseconds since the epoch (Infinity while queued)
+   */
+  expiresAt(sessionId) {
+    return this.queue.has(sessionId) ? Infinity : Date.now() + this.ttlMs;
+  }
+
+  /**
+   * Get the stored entry of an unexpired session (expired ones are dropped)
+   * @param {string} sessionId - The session ID
+   * @returns {Object|null} - { session, expiresAt }
+   */
+  getEntry(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(sessionId) {
+    const entry = this.getEntry(sessionId);
+    return entry ? copy(entry.session) : null;
+  }
+
+  async set(session) {
+    this.sessions.set(session.sessionId, { session: copy(session), expiresAt: this.expiresAt(session.sessionId) });
+    return copy(session);
+  }
+
+  // Atomic: nothing else runs between reading and writing (single-threaded, no await in between)
+  async update(sessionId, mutator) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return null;
+
+    const session = copy(entry.session);
+    mutator(session);
+    this.sessions.set(sessionId, { session, expiresAt: this.expiresAt(sessionId) });
+    return copy(session);
+  }
+
+  async delete(sessionId) {
+    this.queue.delete(sessionId);
+    return this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.sessions.keys()]
+      .map((sessionId) => this.getEntry(sessionId))
+      .filter(Boolean)
+      .map((entry) => copy(entry.session));
+  }
+
+  async enqueue(sessionId, queuedAt) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return;
+
+    if (!this.queue.has(sessionId)) this.queue.set(sessionId, queuedAt);
+    entry.expiresAt = Infinity;
+  }
+
+  async dequeue(sessionId) {
+    this.queue.delete(sessionId);
+    const entry = this.getEntry(sessionId);
+    if (entry) entry.expiresAt = Date.now() + this.ttlMs;
+  }
+
+  async listQueue() {
+    return [...this.queue.entries()]
+      .sort(([, a], [, b]) => a - b)
+      .map(([sessionId]) => this.getEntry(sessionId))
+      .filter(Boolean)
+      .map((entry) => copy(entry.session));
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,195 @@
+const { createClient, WatchError } = require('redis');
+const logger = require('../config/logger');
+const SessionStore = require('./sessionStore');
+
+/**
+ * Redis Session Store
+ * Keeps each session as JSON under `${keyPrefix}${sessionId}`, so sessions survive restarts and
+ * are shared by every instance pointing at the same Redis.
+ *
+ * Expiry is Redis's: every write sets the key's TTL (PX), so a session disappears ttlMs after its
+ * last write. Updates are atomic with optimistic locking: WATCH the key, read it, write it in
+ * MULTI/EXEC, and start again if another write landed in between.
+ *
+ * The handoff queue is a sorted set (`${keyPrefix}handoff-queue`) of session IDs scored by queue
+ * time, so listing it reads only the queued sessions. A queued session's key has no TTL (PERSIST)
+ * and writes keep it that way (KEEPTTL); leaving the queue sets the TTL again.
+ *
+ * While Redis is unreachable, session reads and writes fail at once (no offline queue) instead
+ * of holding requests; the client keeps reconnecting in the background.
+ */
+
+class RedisSessionStore extends SessionStore {
+  /**
+   * Constructor
+   * @param {Object} options - { url, ttlMs, keyPrefix, maxRetries, retryDelayMs, connectTimeoutMs, client }
+   *   client replaces the node-redis client created from url (e.g. an in-process fake)
+   */
+  constructor({ url, ttlMs, keyPrefix, maxRetries, retryDelayMs, connectTimeoutMs, client = null }) {
+    super('redis', ttlMs);
+    this.keyPrefix = keyPrefix;
+    this.queueKey = `${keyPrefix}handoff-queue`;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.client =
+      client ||
+      createClient({
+        url,
+        disableOfflineQueue: true,
+        socket: {
+          connectTimeout: connectTimeoutMs,
+          reconnectStrategy: (retries) => Math.min(retries * 100, 3000),
+        },
+      });
+    this.connecting = null;
+
+    this.client.on('error', (error) => {
+      logger.error('Redis session store error', { error: error.message });
+    });
+  }
+
+  /**
+   * Connect on first use, waiting up to connectTimeoutMs for the connection
+   * @returns {Promise<Object>} - The connected client
+   * @throws {Error} - If Redis is not reachable
+   */
+  async connection() {
+    if (!this.client.isOpen) {
+      this.connecting = this.client.connect().catch((error) => {
+        logger.error('Redis session store could not connect', { error: error.message });
+      });
+    }
+
+    // Only the first connection is waited for; later outages fail at once while the client reconnects
+    if (this.connecting) {
+      await Promise.race([this.connecting, new Promise((resolve) => setTimeout(resolve, this.connectTimeoutMs).unref())]);
+      this.connecting = null;
+    }
+    if (!this.client.isReady) {
+      throw new Error('Redis session store is not connected');
+    }
+    return this.client;
+  }
+
+  /**
+   * Redis key of a session
+   * @param {string} sessionId - The session ID
+   * @returns {string}
+   */
+  key(sessionId) {
+    return `${this.keyPrefix}${sessionId}`;
+  }
+
+  /**
+   * SET options for writing a session: queued sessions keep their (absent) TTL
+   * @param {Object} client - Client to ask on (the isolated one inside a transaction)
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object>} - { PX } or { KEEPTTL }
+   */
+  async expiry(client, sessionId) {
+    const queued = (await client.zScore(this.queueKey, sessionId)) !== null;
+    return queued ? { KEEPTTL: true } : { PX: this.ttlMs };
+  }
+
+  async get(sessionId) {
+    const client = await this.connection();
+    const raw = await client.get(this.key(sessionId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(session) {
+    const client = await this.connection();
+    const expiry = await this.expiry(client, session.sessionId);
+    await client.set(this.key(session.sessionId), JSON.stringify(session), expiry);
+    return session;
+  }
+
+  async update(sessionId, mutator) {
+    const client = await this.connection();
+    const key = this.key(sessionId);
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        // WATCH belongs to a connection, so each update gets one of its own
+        return await client.executeIsolated(async (isolatedClient) => {
+          await isolatedClient.watch(key);
+          const raw = await isolatedClient.get(key);
+          if (!raw) {
+            await isolatedClient.unwatch();
+            return null;
+          }
+
+          // Entering or leaving the queue changes the key's TTL, which fails this transaction
+          const expiry = await this.expiry(isolatedClient, sessionId);
+          const session = JSON.parse(raw);
+          mutator(session);
+          await isolatedClient.multi().set(key, JSON.stringify(session), expiry).exec();
+          return session;
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError)) throw error;
+        logger.debug('Session changed during update, retrying', { sessionId, attempt });
+        // Random wait so the writers that collided do not collide again
+        await new Promise((resolve) => setTimeout(resolve, Math.random() * this.retryDelayMs * attempt));
+      }
+    }
+
+    throw new Error(`Session ${sessionId} kept changing during update (${this.maxRetries} attempts)`);
+  }
+
+  async delete(sessionId) {
+    const client = await this.connection();
+    const [deleted] = await client.multi().del(this.key(sessionId)).zRem(this.queueKey, sessionId).exec();
+    return deleted > 0;
+  }
+
+  async list() {
+    const client = await this.connection();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    if (keys.length === 0) return [];
+
+    // A key can expire between SCAN and MGET; the queue key is not a string, so MGET answers null for it
+    return (await client.mGet(keys)).filter(Boolean).map((raw) => JSON.parse(raw));
+  }
+
+  async enqueue(sessionId, queuedAt) {
+    const client = await this.connection();
+    await client
+      .multi()
+      .zAdd(this.queueKey, { score: queuedAt, value: sessionId }, { NX: true })
+      .persist(this.key(sessionId))
+      .exec();
+  }
+
+  async dequeue(sessionId) {
+    const client = await this.connection();
+    await client.multi().zRem(this.queueKey, sessionId).pExpire(this.key(sessionId), this.ttlMs).exec();
+  }
+
+  async listQueue() {
+    const client = await this.connection();
+    const sessionIds = await client.zRange(this.queueKey, 0, -1);
+    if (sessionIds.length === 0) return [];
+
+    const raws = await client.mGet(sessionIds.map((sessionId) => this.key(sessionId)));
+    // Queued keys do not expire, so a missing one was removed outside the store
+    const missing = sessionIds.filter((_, index) => !raws[index]);
+    if (missing.length > 0) {
+      logger.warn('Queued sessions not found, taking them off the handoff queue', { sessionIds: missing });
+      await client.zRem(this.queueKey, missing);
+    }
+    return raws.filter(Boolean).map((raw) => JSON.parse(raw));
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisSessionStore;
@@ -0,0 +1,109 @@
+/**
+ * Session Store Base Class
+ * Every session store extends this class: this is the interface sessionService relies on.
+ *
+ * Stores keep whole session objects (see sessionService.createSession) and hand out copies, so a
+ * change only counts once it goes through set() or update(). Sessions expire ttlMs after their
+ * last write, except while they are in the handoff queue (waiting for or held by a human agent):
+ * a queued session is kept until it leaves the queue, and its ttlMs starts again then.
+ */
+
+class SessionStore {
+  /**
+   * Constructor
+   * @param {string} name - Store name (e.g., 'memory')
+   * @param {number} ttlMs - Time to live after the last write, in milliseconds
+   */
+  constructor(name, ttlMs) {
+    this.name = name;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Get a session
+   * MUST be implemented by subclasses
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - A copy of the session, or null if missing or expired
+   */
+  async get(sessionId) {
+    throw new Error(`Session store '${this.name}' must implement get()`);
+  }
+
+  /**
+   * Store a session, replacing any session with the same ID
+   * MUST be implemented by subclasses
+   * @param {Object} session - The session (with sessionId)
+   * @returns {Promise<Object>} - The stored session
+   */
+  async set(session) {
+    throw new Error(`Session store '${this.name}' must implement set()`);
+  }
+
+  /**
+   * Change a session atomically: no other update can land between reading and writing it
+   * MUST be implemented by subclasses
+   * @param {string} sessionId - The session ID
+   * @param {Function} mutator - (session) => void, changes the session in place
+   * @returns {Promise<Object|null>} - A copy of the updated session, or null if missing or expired
+   */
+  async update(sessionId, mutator) {
+    throw new Error(`Session store '${this.name}' must implement update()`);
+  }
+
+  /**
+   * Delete a session
+   * MUST be implemented by subclasses
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<boolean>} - Whether a session was deleted
+   */
+  async delete(sessionId) {
+    throw new Error(`Session store '${this.name}' must implement delete()`);
+  }
+
+  /**
+   * List all unexpired sessions
+   * MUST be implemented by subclasses
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    throw new Error(`Session store '${this.name}' must implement list()`);
+  }
+
+  /**
+   * Add a session to the handoff queue (a session already in it keeps its place)
+   * MUST be implemented by subclasses
+   * @param {string} sessionId - The session ID
+   * @param {number} queuedAt - When it was queued, in milliseconds since the epoch (orders the queue)
+   * @returns {Promise<void>}
+   */
+  async enqueue(sessionId, queuedAt) {
+    throw new Error(`Session store '${this.name}' must implement enqueue()`);
+  }
+
+  /**
+   * Take a session off the handoff queue; it expires ttlMs from now
+   * MUST be implemented by subclasses
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<void>}
+   */
+  async dequeue(sessionId) {
+    throw new Error(`Session store '${this.name}' must implement dequeue()`);
+  }
+
+  /**
+   * List the sessions in the handoff queue, oldest first
+   * MUST be implemented by subclasses
+   * @returns {Promise<Array<Object>>}
+   */
+  async listQueue() {
+    throw new Error(`Session store '${this.name}' must implement listQueue()`);
+  }
+
+  /**
+   * Release connections (override when the store holds any)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = SessionStore;
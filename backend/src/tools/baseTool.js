@@ -12,11 +12,13 @@ class BaseTool {
    * @param {string} name - Tool name (e.g., 'productSearchTool')
    * @param {string} description - Tool description
    * @param {Array<string>} requiredInputs - Required input parameters
+   * @param {Object|null} inputSchema - JSON Schema for the inputs (used for LLM function calling)
    */
-  constructor(name, description, requiredInputs = []) {
+  constructor(name, description, requiredInputs = [], inputSchema = null) {
     this.name = name;
     this.description = description;
     this.requiredInputs = requiredInputs;
+    this.inputSchema = inputSchema;
     this.createdAt = new Date().toISOString();
   }
 
@@ -126,6 +128,23 @@ class BaseTool {
     }
   }
 
+  /**
+   * Get the JSON Schema describing the tool inputs
+   * Falls back to required string inputs when the tool declares no schema
+   * @returns {Object} - JSON Schema object
+   */
+  getInputSchema() {
+    if (this.inputSchema) {
+      return this.inputSchema;
+    }
+
+    return {
+      type: 'object',
+      properties: Object.fromEntries(this.requiredInputs.map((input) => [input, { type: 'string' }])),
+      required: this.requiredInputs,
+    };
+  }
+
   /**
    * Get tool metadata
    * @returns {Object}
@@ -135,6 +154,7 @@ class BaseTool {
       name: this.name,
       description: this.description,
       requiredInputs: this.requiredInputs,
+      inputSchema: this.getInputSchema(),
       createdAt: this.createdAt,
     };
   }
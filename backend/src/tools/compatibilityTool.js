@@ -0,0 +1,50 @@
+const BaseTool = require('./baseTool');
+const compatibilityService = require('../services/compatibilityService');
+
+/**
+ * Compatibility Tool
+ * Answers whether a part fits an appliance model, with the evidence for the answer
+ */
+
+class CompatibilityTool extends BaseTool {
+  constructor() {
+    super(
+      'compatibilityTool',
+      'Check whether a PartSelect part fits a specific appliance model. Returns compatible, incompatible or unknown with evidence and alternatives',
+      ['partNumber', 'modelNumber'],
+      {
+        type: 'object',
+        properties: {
+          partNumber: { type: 'string', description: 'PartSelect part number (e.g., PS11752778)' },
+          modelNumber: { type: 'string', description: 'Appliance model number (e.g., WDT780SAEM1)' },
+        },
+        required: ['partNumber', 'modelNumber'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { partNumber, modelNumber }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    ['partNumber', 'modelNumber'].forEach((field) => {
+      if (typeof inputs[field] !== 'string' || inputs[field].trim().length === 0) {
+        throw new Error(`${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  /**
+   * Execute the compatibility check
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - Compatibility result
+   */
+  async execute(inputs) {
+    return compatibilityService.checkCompatibility(inputs.partNumber.trim(), inputs.modelNumber.trim());
+  }
+}
+
+module.exports = CompatibilityTool;
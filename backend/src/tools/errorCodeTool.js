@@ -0,0 +1,58 @@
+const BaseTool = require('./baseTool');
+const errorCodeService = require('../services/errorCodeService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Error Code Tool
+ * Explains an appliance error code or blink pattern: meaning, likely failed components,
+ * linked catalog parts and next steps
+ */
+
+class ErrorCodeTool extends BaseTool {
+  constructor() {
+    super(
+      'errorCodeTool',
+      'Look up a refrigerator or dishwasher error code or blink pattern (e.g. "E15", "OE", "F2 E1", "7 blinks"). Returns what it means, the likely failed components with catalog parts, and next steps',
+      ['code'],
+      {
+        type: 'object',
+        properties: {
+          code: { type: 'string', description: 'The code as shown on the display, e.g. "E15", or a blink count, e.g. "7 blinks"' },
+          brand: { type: 'string', description: 'Appliance brand, if known, e.g. "Bosch"' },
+          applianceType: { type: 'string', enum: Object.values(CONSTANTS.APPLIANCE_TYPE) },
+        },
+        required: ['code'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { code, brand, applianceType }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    if (typeof inputs.code !== 'string' || inputs.code.trim().length === 0) {
+      throw new Error('code must be a non-empty string');
+    }
+
+    if (inputs.applianceType && !Object.values(CONSTANTS.APPLIANCE_TYPE).includes(inputs.applianceType)) {
+      throw new Error(`applianceType must be one of: ${Object.values(CONSTANTS.APPLIANCE_TYPE).join(', ')}`);
+    }
+  }
+
+  /**
+   * Execute the lookup
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - Lookup result (see errorCodeService.lookupErrorCode)
+   */
+  async execute(inputs) {
+    return errorCodeService.lookupErrorCode(inputs.code.trim(), {
+      brand: inputs.brand || null,
+      applianceType: inputs.applianceType || null,
+    });
+  }
+}
+
+module.exports = ErrorCodeTool;
@@ -0,0 +1,42 @@
+const toolRegistry = require('./toolRegistry');
+const ProductSearchTool = require('./productSearchTool');
+const CompatibilityTool = require('./compatibilityTool');
+const InstallationTool = require('./installationTool');
+const TroubleshootingTool = require('./troubleshootingTool');
+const OrderSupportTool = require('./orderSupportTool');
+const ErrorCodeTool = require('./errorCodeTool');
+
+/**
+ * Tool Bootstrap
+ * Registers the default tools with the shared registry
+ */
+
+/**
+ * Register all default tools (idempotent)
+ * @returns {Object} - The populated tool registry
+ */
+const registerDefaultTools = () => {
+  const defaultTools = [
+    new ProductSearchTool(),
+    new CompatibilityTool(),
+    new InstallationTool(),
+    new TroubleshootingTool(),
+    new ErrorCodeTool(),
+    new OrderSupportTool(),
+  ];
+
+  defaultTools.forEach((tool) => {
+    if (!toolRegistry.exists(tool.name)) {
+      toolRegistry.register(tool);
+    }
+  });
+
+  return toolRegistry;
+};
+
+registerDefaultTools();
+
+module.exports = {
+  toolRegistry,
+  registerDefaultTools,
+};
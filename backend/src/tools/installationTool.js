@@ -0,0 +1,59 @@
+const BaseTool = require('./baseTool');
+const installationGuideService = require('../services/installationGuideService');
+const catalogService = require('../services/catalogService');
+
+/**
+ * Installation Tool
+ * Looks up the installation guide for a part, falling back to its category's guide
+ * Reports found: false rather than inventing steps when no guide exists
+ */
+
+class InstallationTool extends BaseTool {
+  constructor() {
+    super(
+      'installationTool',
+      'Get step-by-step installation instructions, required tools, warnings, time and difficulty for a PartSelect part',
+      ['partNumber'],
+      {
+        type: 'object',
+        properties: {
+          partNumber: { type: 'string', description: 'PartSelect part number (e.g., PS11752778)' },
+        },
+        required: ['partNumber'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { partNumber }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    if (typeof inputs.partNumber !== 'string' || inputs.partNumber.trim().length === 0) {
+      throw new Error('partNumber must be a non-empty string');
+    }
+  }
+
+  /**
+   * Execute the guide lookup
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - { found, partNumber, part, matchedBy, guide }
+   */
+  async execute(inputs) {
+    const partNumber = inputs.partNumber.trim().toUpperCase();
+    const part = catalogService.getPartById(partNumber);
+    const match = installationGuideService.findGuide(partNumber, part ? part.category : null);
+
+    return {
+      found: Boolean(match),
+      partNumber,
+      part: part ? catalogService.toProduct(part) : null,
+      matchedBy: match ? match.matchedBy : null,
+      guide: match ? match.guide : null,
+    };
+  }
+}
+
+module.exports = InstallationTool;
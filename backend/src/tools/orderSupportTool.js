@@ -0,0 +1,58 @@
+const BaseTool = require('./baseTool');
+const orderService = require('../services/orderService');
+
+/**
+ * Order Support Tool
+ * Looks up an order's status, items and shipment tracking
+ * The customer must confirm the order's email address or shipping ZIP code
+ */
+
+class OrderSupportTool extends BaseTool {
+  constructor() {
+    super(
+      'orderSupportTool',
+      'Look up a PartSelect order by order number, verified with the order email or shipping ZIP code. Returns status, items, tracking events and expected delivery',
+      ['orderNumber'],
+      {
+        type: 'object',
+        properties: {
+          orderNumber: { type: 'string', description: '8-digit PartSelect order number' },
+          email: { type: 'string', description: 'Email address used for the order' },
+          zipCode: { type: 'string', description: 'Shipping ZIP code of the order' },
+        },
+        required: ['orderNumber'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { orderNumber, email, zipCode }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    if (typeof inputs.orderNumber !== 'string' || inputs.orderNumber.trim().length === 0) {
+      throw new Error('orderNumber must be a non-empty string');
+    }
+
+    if (!inputs.email && !inputs.zipCode) {
+      throw new Error('email or zipCode is required to verify the order');
+    }
+  }
+
+  /**
+   * Execute the order lookup
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - { found, orderNumber, order }
+   */
+  async execute(inputs) {
+    return orderService.lookupOrder({
+      orderNumber: inputs.orderNumber,
+      email: inputs.email || null,
+      zipCode: inputs.zipCode || null,
+    });
+  }
+}
+
+module.exports = OrderSupportTool;
@@ -0,0 +1,104 @@
+const BaseTool = require('./baseTool');
+const catalogService = require('../services/catalogService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Product Search Tool
+ * Searches the local parts catalog by free text, part numbers, appliance type and model
+ */
+
+class ProductSearchTool extends BaseTool {
+  constructor() {
+    super(
+      'productSearchTool',
+      'Search the refrigerator and dishwasher parts catalog by description, part number, appliance type or model number',
+      ['query'],
+      {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What the customer is looking for, e.g. "ice maker assembly"' },
+          partNumbers: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'PartSelect part numbers to look up directly (e.g., PS11752778)',
+          },
+          applianceType: { type: 'string', enum: Object.values(CONSTANTS.APPLIANCE_TYPE) },
+          modelNumber: { type: 'string', description: 'Appliance model number to restrict results to' },
+          limit: { type: 'integer', minimum: 1, maximum: CONSTANTS.SEARCH.MAX_LIMIT },
+        },
+        required: ['query'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { query, partNumbers, applianceType, modelNumber, limit }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    if (typeof inputs.query !== 'string') {
+      throw new Error('query must be a string');
+    }
+
+    if (inputs.partNumbers !== undefined && !Array.isArray(inputs.partNumbers)) {
+      throw new Error('partNumbers must be an array');
+    }
+
+    const applianceTypes = Object.values(CONSTANTS.APPLIANCE_TYPE);
+    if (inputs.applianceType && !applianceTypes.includes(inputs.applianceType)) {
+      throw new Error(`applianceType must be one of: ${applianceTypes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Execute the search
+   * Exact part number matches win outright; otherwise results are ranked by relevance
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - { products, count, filters }
+   */
+  async execute(inputs) {
+    const {
+      query,
+      partNumbers = [],
+      applianceType = null,
+      modelNumber = null,
+      limit = CONSTANTS.SEARCH.DEFAULT_LIMIT,
+    } = inputs;
+
+    const maxResults = Math.min(Math.max(parseInt(limit, 10) || 1, 1), CONSTANTS.SEARCH.MAX_LIMIT);
+    const filters = { applianceType, modelNumber };
+
+    // ===== EXACT PART NUMBER LOOKUP =====
+    const exactMatches = partNumbers
+      .map((partNumber) => catalogService.getPartById(partNumber))
+      .filter(Boolean);
+
+    if (exactMatches.length > 0) {
+      return {
+        products: exactMatches
+          .slice(0, maxResults)
+          .map((part) => ({ ...catalogService.toProduct(part), relevanceScore: 1, matchedTerms: [part.id] })),
+        count: Math.min(exactMatches.length, maxResults),
+        filters,
+      };
+    }
+
+    // ===== RANKED FULL-TEXT SEARCH WITHIN FILTERED PARTS =====
+    // BM25 ranking with prefix and typo-tolerant term matching
+    const hits = catalogService.searchParts(query, { applianceType, modelNumber }, { limit: maxResults });
+
+    return {
+      products: hits.map((hit) => ({
+        ...catalogService.toProduct(hit.part),
+        relevanceScore: hit.relevance,
+        matchedTerms: hit.matchedTerms,
+      })),
+      count: hits.length,
+      filters,
+    };
+  }
+}
+
+module.exports = ProductSearchTool;
@@ -0,0 +1,59 @@
+const BaseTool = require('./baseTool');
+const troubleshootingService = require('../services/troubleshootingService');
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Troubleshooting Tool
+ * Diagnoses appliance symptoms with decision trees, one follow-up question per turn
+ */
+
+class TroubleshootingTool extends BaseTool {
+  constructor() {
+    super(
+      'troubleshootingTool',
+      'Diagnose a refrigerator or dishwasher symptom (not draining, leaking, ice maker not working, not cooling, noisy). Returns ranked causes, recommended parts and a follow-up question',
+      ['message'],
+      {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'The symptom in the customer\'s words, e.g. "dishwasher is not draining"' },
+          applianceType: { type: 'string', enum: Object.values(CONSTANTS.APPLIANCE_TYPE) },
+          modelNumber: { type: 'string', description: 'Appliance model number, if known' },
+        },
+        required: ['message'],
+      }
+    );
+  }
+
+  /**
+   * Validate tool inputs
+   * @param {Object} inputs - { message, applianceType, modelNumber, state }
+   */
+  async validate(inputs) {
+    await super.validate(inputs);
+
+    if (typeof inputs.message !== 'string' || inputs.message.trim().length === 0) {
+      throw new Error('message must be a non-empty string');
+    }
+
+    if (inputs.state && typeof inputs.state !== 'object') {
+      throw new Error('state must be an object');
+    }
+  }
+
+  /**
+   * Execute one diagnosis step
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - Diagnosis step (see troubleshootingService.diagnose)
+   */
+  async execute(inputs) {
+    return troubleshootingService.diagnose({
+      message: inputs.message,
+      applianceType: inputs.applianceType || null,
+      modelNumber: inputs.modelNumber || null,
+      state: inputs.state || null,
+    });
+  }
+}
+
+module.exports = TroubleshootingTool;
@@ -73,7 +73,7 @@
 
 /**
  * @typedef {Object} ResponsePayload
- * @property {'text' | 'product_results' | 'installation_guide' | 'troubleshooting' | 'out_of_scope' | 'error'} type - Response type
+ * @property {'text' | 'product_results' | 'installation_guide' | 'troubleshooting' | 'compatibility_result' | 'order_status' | 'cart' | 'out_of_scope' | 'error'} type - Response type
  * @property {string} content - Main message content
  * @property {any} [data] - Type-specific data (products, steps, etc.)
  */
@@ -113,6 +113,11 @@
  * @property {string} [imageUrl] - URL to product image
  * @property {Array<string>} compatibility - Compatible model numbers
  * @property {boolean} inStock - Stock availability
+ * @property {number} [stockQuantity] - Units in stock
+ * @property {'refrigerator' | 'dishwasher'} [applianceType] - Appliance the part belongs to
+ * @property {string} [brand] - Part brand (e.g., Whirlpool)
+ * @property {string} [manufacturerPartNumber] - OEM part number (e.g., WPW10321304)
+ * @property {number} [relevanceScore] - Search relevance (0-1), 1 for exact part number matches
  */
 
 /**
@@ -132,4 +137,37 @@
  * @property {string} fix - How to fix it
  */
 
+/**
+ * @typedef {Object} CompatibilityResult
+ * @property {'compatible' | 'incompatible' | 'unknown'} status - Definitive answer, or unknown when data is missing
+ * @property {string} partNumber - Part that was checked
+ * @property {string} modelNumber - Model that was checked
+ * @property {Product|null} part - Catalog part, if known
+ * @property {Object|null} model - Appliance model record (brand, applianceType), if known
+ * @property {Array<string>} evidence - Facts supporting the answer
+ * @property {Array<Product>} alternatives - Parts of the same kind that fit the model (when incompatible)
+ */
+
+/**
+ * @typedef {Object} OrderStatus
+ * @property {string} orderNumber - Order number
+ * @property {'processing' | 'shipped' | 'in_transit' | 'out_for_delivery' | 'delivered' | 'cancelled'} status - Order status
+ * @property {string} statusLabel - Status in plain words (e.g., 'in transit')
+ * @property {string} placedAt - ISO timestamp the order was placed
+ * @property {string|null} expectedDelivery - Expected delivery date (YYYY-MM-DD)
+ * @property {string|null} deliveredAt - ISO timestamp of delivery
+ * @property {string|null} shipTo - Destination city and state
+ * @property {Array<Object>} items - Ordered parts (partNumber, name, quantity, price)
+ * @property {Object|null} totals - Subtotal, shipping, tax and total
+ * @property {Array<Object>} shipments - Carrier, tracking number/URL, status and tracking events (newest first)
+ */
+
+/**
+ * @typedef {Object} CartSummary
+ * @property {Array<Object>} items - Cart lines (partNumber, name, manufacturerPartNumber, price, quantity, lineTotal)
+ * @property {number} itemCount - Total units in the cart
+ * @property {number} subtotal - Running subtotal in dollars
+ * @property {string} currency - Currency code (USD)
+ */
+
 module.exports = {};
@@ -0,0 +1,129 @@
+/**
+ * Classification Metrics
+ * Accuracy, per-class precision / recall / F1 and confusion matrices for labelled predictions,
+ * plus set-based precision / recall / F1 for extracted entities
+ */
+
+/**
+ * Round a metric to 4 decimal places
+ * @param {number} value - Metric value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Harmonic mean of precision and recall
+ * @param {number} precision - Precision 0-1
+ * @param {number} recall - Recall 0-1
+ * @returns {number}
+ */
+const f1Score = (precision, recall) => (precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall));
+
+/**
+ * Build a confusion matrix
+ * @param {Array<Object>} pairs - [{ expected, predicted }]
+ * @param {Array<string>} labels - Labels to include (rows and columns, in order)
+ * @returns {Object} - expected label -> { predicted label -> count }
+ */
+const confusionMatrix = (pairs, labels) => {
+  const matrix = {};
+  labels.forEach((expected) => {
+    matrix[expected] = {};
+    labels.forEach((predicted) => {
+      matrix[expected][predicted] = 0;
+    });
+  });
+
+  pairs.forEach(({ expected, predicted }) => {
+    if (matrix[expected] && matrix[expected][predicted] !== undefined) {
+      matrix[expected][predicted] += 1;
+    }
+  });
+
+  return matrix;
+};
+
+/**
+ * Accuracy, per-class precision / recall / F1, macro F1 and the confusion matrix
+ * @param {Array<Object>} pairs - [{ expected, predicted }]
+ * @param {Array<string>} labels - Known labels (labels seen in pairs are added)
+ * @returns {Object} - { total, correct, accuracy, macroF1, perClass, labels, confusionMatrix }
+ */
+const classificationReport = (pairs, labels = []) => {
+  const allLabels = [...new Set([...labels, ...pairs.map((pair) => pair.expected), ...pairs.map((pair) => pair.predicted)])];
+  const correct = pairs.filter((pair) => pair.expected === pair.predicted).length;
+
+  const perClass = {};
+  allLabels.forEach((label) => {
+    const truePositives = pairs.filter((pair) => pair.expected === label && pair.predicted === label).length;
+    const predictedCount = pairs.filter((pair) => pair.predicted === label).length;
+    const support = pairs.filter((pair) => pair.expected === label).length;
+    const precision = predictedCount === 0 ? 0 : truePositives / predictedCount;
+    const recall = support === 0 ? 0 : truePositives / support;
+
+    perClass[label] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1Score(precision, recall)),
+      support,
+    };
+  });
+
+  // Macro F1 over classes that appear in the expected labels
+  const supported = allLabels.filter((label) => perClass[label].support > 0);
+  const macroF1 = supported.length === 0 ? 0 : supported.reduce((sum, label) => sum + perClass[label].f1, 0) / supported.length;
+
+  return {
+    total: pairs.length,
+    correct,
+    accuracy: pairs.length === 0 ? 0 : round(correct / pairs.length),
+    macroF1: round(macroF1),
+    perClass,
+    labels: allLabels,
+    confusionMatrix: confusionMatrix(pairs, allLabels),
+  };
+};
+
+/**
+ * Precision / recall / F1 for predicted sets against expected sets (e.g. extracted part numbers)
+ * Values are compared case-insensitively
+ * @param {Array<Object>} pairs - [{ expected: Array<string>, predicted: Array<string> }]
+ * @returns {Object} - { precision, recall, f1, truePositives, falsePositives, falseNegatives }
+ */
+const setMetrics = (pairs) => {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+
+  pairs.forEach(({ expected, predicted }) => {
+    const expectedSet = new Set(expected.map((value) => value.toUpperCase()));
+    const predictedSet = new Set(predicted.map((value) => value.toUpperCase()));
+
+    predictedSet.forEach((value) => {
+      if (expectedSet.has(value)) truePositives += 1;
+      else falsePositives += 1;
+    });
+    expectedSet.forEach((value) => {
+      if (!predictedSet.has(value)) falseNegatives += 1;
+    });
+  });
+
+  // Nothing expected and nothing predicted is a perfect score
+  const precision = truePositives + falsePositives === 0 ? 1 : truePositives / (truePositives + falsePositives);
+  const recall = truePositives + falseNegatives === 0 ? 1 : truePositives / (truePositives + falseNegatives);
+
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1Score(precision, recall)),
+    truePositives,
+    falsePositives,
+    falseNegatives,
+  };
+};
+
+module.exports = {
+  confusionMatrix,
+  classificationReport,
+  setMetrics,
+};
@@ -183,6 +183,59 @@ const delay = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
+/**
+ * Format a date or ISO timestamp for display (e.g., "October 20, 2026")
+ * Dates are shown in UTC so date-only values ("2026-10-20") never shift a day
+ * @param {string|Date} value - Date or ISO string
+ * @returns {string|null} - Formatted date or null if the value is missing or invalid
+ */
+const formatDisplayDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * Edit distance between two strings (Damerau-Levenshtein, optimal string alignment)
+ * Adjacent transpositions count as a single edit ("vavle" -> "valve" is 1)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early and return maxDistance + 1 once exceeded
+ * @returns {number} - Number of edits
+ */
+const editDistance = (a, b, maxDistance = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
 module.exports = {
   generateUUID,
   generateMessageId,
@@ -198,6 +251,8 @@ module.exports = {
   truncateString,
   isEmpty,
   capitalizeFirstLetter,
+  formatDisplayDate,
   objectToQueryString,
   delay,
+  editDistance,
 };
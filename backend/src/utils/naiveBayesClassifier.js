@@ -0,0 +1,183 @@
+/**
+ * Naive Bayes Classifier
+ * Multinomial naive Bayes over word n-grams with Laplace smoothing
+ * Part, model and order numbers are replaced by placeholder tokens so the model learns
+ * "there is a part number here" rather than memorizing specific numbers
+ *
+ * Trained classifiers serialize to plain JSON (toJSON / fromJSON) so they can be saved
+ * as a model artifact and loaded without retraining
+ */
+
+const DEFAULT_OPTIONS = {
+  ngramRange: [1, 2],
+  alpha: 1,
+};
+
+// Entity patterns replaced before tokenizing (applied in order)
+const PLACEHOLDERS = [
+  { pattern: /\b[\w.+-]+@[\w-]+\.[\w.]+\b/g, token: ' _email_ ' },
+  { pattern: /\bps\d{5,}\b/gi, token: ' _part_ ' },
+  { pattern: /\b[1-9]\d{7}\b/g, token: ' _order_ ' },
+  { pattern: /\b(?=[a-z0-9-]*\d)(?=[a-z0-9-]*[a-z])[a-z0-9-]{5,}\b/gi, token: ' _model_ ' },
+];
+
+class NaiveBayesClassifier {
+  /**
+   * Constructor
+   * @param {Object} options - { ngramRange: [min, max], alpha }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.documentCounts = {}; // label -> number of training examples
+    this.featureCounts = {}; // label -> { feature -> count }
+    this.featureTotals = {}; // label -> total feature count
+    this.vocabulary = new Set();
+  }
+
+  /**
+   * Split text into lowercase words, with entity placeholders
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    let normalized = String(text || '').toLowerCase();
+    PLACEHOLDERS.forEach(({ pattern, token }) => {
+      normalized = normalized.replace(pattern, token);
+    });
+
+    return normalized.split(/[^a-z0-9_']+/).filter(Boolean);
+  }
+
+  /**
+   * Build the n-gram features of a text
+   * @param {string} text - Text to featurize
+   * @returns {Array<string>} - Features (n-grams joined by a space)
+   */
+  features(text) {
+    const tokens = this.tokenize(text);
+    const [minN, maxN] = this.options.ngramRange;
+    const features = [];
+
+    for (let n = minN; n <= maxN; n++) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        features.push(tokens.slice(i, i + n).join(' '));
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Add a labelled training example
+   * @param {string} text - Example text
+   * @param {string} label - Class label
+   */
+  addExample(text, label) {
+    if (!this.featureCounts[label]) {
+      this.documentCounts[label] = 0;
+      this.featureCounts[label] = {};
+      this.featureTotals[label] = 0;
+    }
+
+    this.documentCounts[label] += 1;
+
+    this.features(text).forEach((feature) => {
+      this.featureCounts[label][feature] = (this.featureCounts[label][feature] || 0) + 1;
+      this.featureTotals[label] += 1;
+      this.vocabulary.add(feature);
+    });
+  }
+
+  /**
+   * Get the class labels seen in training
+   * @returns {Array<string>}
+   */
+  get labels() {
+    return Object.keys(this.documentCounts);
+  }
+
+  /**
+   * Predict the class of a text
+   * Features never seen in training are ignored; if none are known the prediction is null
+   * @param {string} text - Text to classify
+   * @returns {Object|null} - { label, confidence, probabilities, knownFeatures } or null
+   */
+  predict(text) {
+    const labels = this.labels;
+    if (labels.length === 0) return null;
+
+    const features = this.features(text).filter((feature) => this.vocabulary.has(feature));
+    if (features.length === 0) return null;
+
+    const totalDocuments = labels.reduce((sum, label) => sum + this.documentCounts[label], 0);
+    const vocabularySize = this.vocabulary.size;
+    const { alpha } = this.options;
+
+    const logScores = labels.map((label) => {
+      const denominator = this.featureTotals[label] + alpha * vocabularySize;
+      const logLikelihood = features.reduce(
+        (sum, feature) => sum + Math.log(((this.featureCounts[label][feature] || 0) + alpha) / denominator),
+        0
+      );
+      return Math.log(this.documentCounts[label] / totalDocuments) + logLikelihood;
+    });
+
+    // Softmax in log space for numerically stable probabilities
+    const maxScore = Math.max(...logScores);
+    const exponentials = logScores.map((score) => Math.exp(score - maxScore));
+    const sum = exponentials.reduce((total, value) => total + value, 0);
+
+    const probabilities = {};
+    labels.forEach((label, index) => {
+      probabilities[label] = exponentials[index] / sum;
+    });
+
+    const best = labels.reduce((top, label) => (probabilities[label] > probabilities[top] ? label : top), labels[0]);
+
+    return {
+      label: best,
+      confidence: probabilities[best],
+      probabilities,
+      knownFeatures: features.length,
+    };
+  }
+
+  /**
+   * Serialize the trained classifier
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: 'multinomial_naive_bayes',
+      options: this.options,
+      documentCounts: this.documentCounts,
+      featureCounts: this.featureCounts,
+      featureTotals: this.featureTotals,
+      vocabularySize: this.vocabulary.size,
+    };
+  }
+
+  /**
+   * Restore a classifier serialized with toJSON()
+   * @param {Object} data - Serialized classifier
+   * @returns {NaiveBayesClassifier}
+   * @throws {Error} - If the data is not a serialized naive Bayes classifier
+   */
+  static fromJSON(data) {
+    if (!data || data.type !== 'multinomial_naive_bayes' || !data.featureCounts) {
+      throw new Error('Not a serialized multinomial naive Bayes classifier');
+    }
+
+    const classifier = new NaiveBayesClassifier(data.options);
+    classifier.documentCounts = data.documentCounts;
+    classifier.featureCounts = data.featureCounts;
+    classifier.featureTotals = data.featureTotals;
+    Object.values(data.featureCounts).forEach((counts) => {
+      Object.keys(counts).forEach((feature) => classifier.vocabulary.add(feature));
+    });
+
+    return classifier;
+  }
+}
+
+module.exports = NaiveBayesClassifier;
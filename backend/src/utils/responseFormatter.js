@@ -71,6 +71,11 @@ const formatProductResultsResponse = (content, products = [], metadata = {}) =>
         imageUrl: product.imageUrl || null,
         compatibility: product.compatibility || [],
         inStock: product.inStock !== undefined ? product.inStock : true,
+        stockQuantity: product.stockQuantity !== undefined ? product.stockQuantity : null,
+        applianceType: product.applianceType || null,
+        brand: product.brand || null,
+        manufacturerPartNumber: product.manufacturerPartNumber || null,
+        relevanceScore: product.relevanceScore !== undefined ? product.relevanceScore : null,
       })),
       count: products.length,
     },
@@ -99,6 +104,13 @@ const formatInstallationGuideResponse = (content, steps = [], metadata = {}) =>
       })),
       estimatedTime: metadata.estimatedTime || null,
       difficulty: metadata.difficulty || 'medium',
+      title: metadata.title || null,
+      summary: metadata.summary || null,
+      partNumber: metadata.partNumber || null,
+      requiredTools: metadata.requiredTools || [],
+      tips: metadata.tips || [],
+      warnings: metadata.warnings || [],
+      guideSource: metadata.guideSource || null,
     },
     metadata,
   };
@@ -127,6 +139,7 @@ const formatTroubleshootingResponse = (
         probability: cause.probability || 'medium',
         description: cause.description || '',
         fix: cause.fix || '',
+        recommendedParts: cause.recommendedParts || [],
       })),
       suggestedSolutions: solutions.map((solution) => ({
         title: solution.title || '',
@@ -134,6 +147,145 @@ const formatTroubleshootingResponse = (
         estimatedTime: solution.estimatedTime || null,
         recommendedParts: solution.recommendedParts || [],
       })),
+      diagnosis: metadata.diagnosis || null,
+      followUpQuestion: metadata.followUpQuestion || null,
+    },
+    metadata,
+  };
+};
+
+/**
+ * Format compatibility check response
+ * @param {string} content - The main message
+ * @param {Object} result - Compatibility result from compatibilityTool
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object}
+ */
+const formatCompatibilityResponse = (content, result = {}, metadata = {}) => {
+  return {
+    type: CONSTANTS.RESPONSE_TYPE.COMPATIBILITY_RESULT,
+    content,
+    data: {
+      status: result.status || CONSTANTS.COMPATIBILITY_STATUS.UNKNOWN,
+      partNumber: result.partNumber || null,
+      modelNumber: result.modelNumber || null,
+      part: result.part || null,
+      model: result.model || null,
+      evidence: result.evidence || [],
+      alternatives: result.alternatives || [],
+    },
+    metadata,
+  };
+};
+
+/**
+ * Format order status response
+ * @param {string} content - The main message
+ * @param {Object} order - Verified order status from orderSupportTool
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object}
+ */
+const formatOrderStatusResponse = (content, order = {}, metadata = {}) => {
+  return {
+    type: CONSTANTS.RESPONSE_TYPE.ORDER_STATUS,
+    content,
+    data: {
+      orderNumber: order.orderNumber || null,
+      status: order.status || null,
+      statusLabel: order.statusLabel || null,
+      placedAt: order.placedAt || null,
+      expectedDelivery: order.expectedDelivery || null,
+      deliveredAt: order.deliveredAt || null,
+      cancelledAt: order.cancelledAt || null,
+      shipTo: order.shipTo || null,
+      items: order.items || [],
+      totals: order.totals || null,
+      shipments: (order.shipments || []).map((shipment) => ({
+        carrier: shipment.carrier || null,
+        trackingNumber: shipment.trackingNumber || null,
+        trackingUrl: shipment.trackingUrl || null,
+        status: shipment.status || null,
+        estimatedDelivery: shipment.estimatedDelivery || null,
+        items: shipment.items || [],
+        events: shipment.events || [],
+      })),
+    },
+    metadata,
+  };
+};
+
+/**
+ * Format cart response
+ * @param {string} content - The main message
+ * @param {Object} cart - Cart summary from cartService.summarizeCart
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object}
+ */
+const formatCartResponse = (content, cart = {}, metadata = {}) => {
+  return {
+    type: CONSTANTS.RESPONSE_TYPE.CART,
+    content,
+    data: {
+      items: (cart.items || []).map((item) => ({
+        partNumber: item.partNumber,
+        name: item.name || 'Unknown Product',
+        manufacturerPartNumber: item.manufacturerPartNumber || null,
+        price: item.price || 0,
+        quantity: item.quantity,
+        lineTotal: item.lineTotal || 0,
+      })),
+      itemCount: cart.itemCount || 0,
+      subtotal: cart.subtotal || 0,
+      currency: cart.currency || CONSTANTS.CART.CURRENCY,
+      lastAction: metadata.lastAction || null,
+    },
+    metadata,
+  };
+};
+
+/**
+ * Format remembered appliances response
+ * @param {string} content - The main message
+ * @param {Array} appliances - Remembered appliances from applianceMemoryService
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object}
+ */
+const formatAppliancesResponse = (content, appliances = [], metadata = {}) => {
+  return {
+    type: CONSTANTS.RESPONSE_TYPE.APPLIANCES,
+    content,
+    data: {
+      appliances: appliances.map((appliance) => ({
+        modelNumber: appliance.modelNumber || null,
+        brand: appliance.brand || null,
+        applianceType: appliance.applianceType || null,
+        known: Boolean(appliance.known),
+      })),
+      lastAction: metadata.lastAction || null,
+    },
+    metadata,
+  };
+};
+
+/**
+ * Format composite response (several requests answered in one turn)
+ * @param {string} content - The main message
+ * @param {Array} sections - Handler responses with their intent ({ intent, type, content, data })
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object}
+ */
+const formatCompositeResponse = (content, sections = [], metadata = {}) => {
+  return {
+    type: CONSTANTS.RESPONSE_TYPE.COMPOSITE,
+    content,
+    data: {
+      sections: sections.map((section) => ({
+        intent: section.intent,
+        title: CONSTANTS.MULTI_INTENT.SECTION_TITLES[section.intent] || null,
+        type: section.type,
+        content: section.content,
+        data: section.data || null,
+      })),
     },
     metadata,
   };
@@ -220,6 +372,11 @@ module.exports = {
   formatProductResultsResponse,
   formatInstallationGuideResponse,
   formatTroubleshootingResponse,
+  formatCompatibilityResponse,
+  formatOrderStatusResponse,
+  formatCartResponse,
+  formatAppliancesResponse,
+  formatCompositeResponse,
   formatOutOfScopeResponse,
   formatErrorResponse,
   addMetadata,
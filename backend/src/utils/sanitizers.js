@@ -1,3 +1,5 @@
+const CONSTANTS = require('../config/constants');
+
 /**
  * Input Sanitizers
  * Functions to sanitize and clean user input
@@ -143,13 +145,46 @@ const extractModelNumber = (message) => {
 };
 
 /**
- * Extract all entities from message (part numbers, model numbers)
+ * Extract manufacturer (OEM) part numbers from message (e.g., WPW10321304, W10195416, part 2198597)
+ * @param {string} message - The message to search
+ * @returns {Array<string>} - Uppercase manufacturer part numbers
+ */
+const extractManufacturerPartNumbers = (message) => {
+  const pattern = new RegExp(CONSTANTS.PATTERNS.MANUFACTURER_PART_NUMBER.source, 'gi');
+  const legacyPattern = new RegExp(CONSTANTS.PATTERNS.LEGACY_PART_NUMBER.source, 'gi');
+  const matches = [
+    ...(message.match(pattern) || []),
+    ...[...message.matchAll(legacyPattern)].map((match) => match[1]),
+  ];
+  return [...new Set(matches.map((m) => m.toUpperCase()))];
+};
+
+/**
+ * Extract order lookup details from message (order number plus email or ZIP for verification)
+ * @param {string} message - The message to search
+ * @returns {Object} - { orderNumber, email, zipCode } (null when absent)
+ */
+const extractOrderDetails = (message) => {
+  const orderNumber = message.match(CONSTANTS.PATTERNS.ORDER_NUMBER);
+  const email = message.match(CONSTANTS.PATTERNS.EMAIL);
+  const zipCode = message.match(CONSTANTS.PATTERNS.ZIP_CODE);
+
+  return {
+    orderNumber: orderNumber ? orderNumber[0] : null,
+    email: email ? email[0].toLowerCase() : null,
+    zipCode: zipCode ? zipCode[0] : null,
+  };
+};
+
+/**
+ * Extract all entities from message (part numbers, model numbers, manufacturer part numbers)
  * @param {string} message - The message to search
- * @returns {Object} - { partNumbers: [], modelNumbers: [] }
+ * @returns {Object} - { partNumbers: [], modelNumbers: [], manufacturerPartNumbers: [] }
  */
 const extractEntities = (message) => {
   const partNumbers = [];
   const modelNumbers = [];
+  const manufacturerPartNumbers = extractManufacturerPartNumbers(message);
 
   // Extract part numbers
   const partMatches = message.match(/PS\d{6,}/gi);
@@ -157,15 +192,20 @@ const extractEntities = (message) => {
     partNumbers.push(...partMatches.map((p) => p.toUpperCase()));
   }
 
-  // Extract model numbers
+  // Extract model numbers (manufacturer part numbers look alike, so exclude them)
   const modelMatches = message.match(/([A-Z]{1,3}\d{3,4}[A-Z]{0,2}\d+[A-Z]?\d*)/g);
   if (modelMatches) {
-    modelNumbers.push(...modelMatches.filter((m) => !m.startsWith('PS')));
+    modelNumbers.push(
+      ...modelMatches.filter(
+        (m) => !m.startsWith('PS') && !manufacturerPartNumbers.some((mpn) => mpn.includes(m.toUpperCase()))
+      )
+    );
   }
 
   return {
     partNumbers: [...new Set(partNumbers)], // Remove duplicates
     modelNumbers: [...new Set(modelNumbers)],
+    manufacturerPartNumbers,
   };
 };
 
@@ -180,5 +220,7 @@ module.exports = {
   sanitizeSessionId,
   extractPartNumber,
   extractModelNumber,
+  extractManufacturerPartNumbers,
+  extractOrderDetails,
   extractEntities,
 };
@@ -0,0 +1,188 @@
+const { editDistance } = require('./helpers');
+
+/**
+ * Search Index
+ * In-process full-text index with BM25 ranking over weighted fields
+ * Query terms are expanded to prefix and fuzzy (edit-distance) matches
+ * so typos like "assmbly" or "vavle" still find the right documents
+ */
+
+const DEFAULT_OPTIONS = {
+  fieldWeights: {},
+  stopWords: [],
+  k1: 1.2,
+  b: 0.75,
+  prefixMinLength: 3,
+  fuzzyMinLength: 4,
+  prefixWeight: 0.8,
+  fuzzyWeight: 0.7,
+};
+
+class SearchIndex {
+  /**
+   * Constructor
+   * @param {Object} options - { fieldWeights, stopWords, k1, b, prefixMinLength, fuzzyMinLength, prefixWeight, fuzzyWeight }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.stopWords = new Set(this.options.stopWords);
+    this.documents = new Map(); // id -> { termFrequencies: Map, length }
+    this.postings = new Map(); // term -> Set of document ids
+    this.totalLength = 0;
+  }
+
+  /**
+   * Split text into lowercase terms, dropping stop words
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((term) => term.length > 1 && !this.stopWords.has(term));
+  }
+
+  /**
+   * Add a document to the index
+   * @param {string} id - Document ID
+   * @param {Object} fields - Field name -> text (arrays are joined)
+   */
+  addDocument(id, fields) {
+    const termFrequencies = new Map();
+    let length = 0;
+
+    Object.entries(fields).forEach(([field, value]) => {
+      const weight = this.options.fieldWeights[field] || 1;
+      const text = Array.isArray(value) ? value.join(' ') : value;
+
+      this.tokenize(text).forEach((term) => {
+        termFrequencies.set(term, (termFrequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    this.documents.set(id, { termFrequencies, length });
+    this.totalLength += length;
+
+    termFrequencies.forEach((_, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    });
+  }
+
+  /**
+   * Expand a query term to indexed terms it should match
+   * @param {string} term - Query term
+   * @returns {Map<string, number>} - Indexed term -> match weight (1 for exact)
+   */
+  expandTerm(term) {
+    const expansions = new Map();
+
+    if (this.postings.has(term)) {
+      expansions.set(term, 1);
+    }
+
+    const { prefixMinLength, fuzzyMinLength, prefixWeight, fuzzyWeight } = this.options;
+    const maxDistance = term.length >= 8 ? 2 : 1;
+
+    this.postings.forEach((_, indexedTerm) => {
+      if (indexedTerm === term) return;
+
+      let weight = 0;
+
+      if (term.length >= prefixMinLength && indexedTerm.startsWith(term)) {
+        weight = prefixWeight;
+      }
+
+      if (term.length >= fuzzyMinLength) {
+        const distance = editDistance(term, indexedTerm, maxDistance);
+        if (distance <= maxDistance) {
+          weight = Math.max(weight, fuzzyWeight / distance);
+        }
+      }
+
+      if (weight > 0) {
+        expansions.set(indexedTerm, weight);
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Inverse document frequency of an indexed term
+   * @param {string} term - Indexed term
+   * @returns {number}
+   */
+  idf(term) {
+    const documentCount = this.documents.size;
+    const documentFrequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Free text query
+   * @param {Object} options - { limit, filter } where filter(id) => boolean
+   * @returns {Array<Object>} - [{ id, score, relevance, matchedTerms }] sorted by score
+   */
+  search(query, { limit = 10, filter = null } = {}) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return [];
+    }
+
+    const { k1, b } = this.options;
+    const averageLength = this.totalLength / this.documents.size;
+    const results = new Map(); // id -> { score, coverage, matchedTerms }
+
+    queryTerms.forEach((queryTerm) => {
+      const bestPerDocument = new Map(); // id -> { score, weight, indexedTerm }
+
+      this.expandTerm(queryTerm).forEach((weight, indexedTerm) => {
+        const idf = this.idf(indexedTerm);
+
+        this.postings.get(indexedTerm).forEach((id) => {
+          if (filter && !filter(id)) return;
+
+          const { termFrequencies, length } = this.documents.get(id);
+          const tf = termFrequencies.get(indexedTerm);
+          const termScore =
+            weight * idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * length) / averageLength)));
+
+          const best = bestPerDocument.get(id);
+          if (!best || termScore > best.score) {
+            bestPerDocument.set(id, { score: termScore, weight, indexedTerm });
+          }
+        });
+      });
+
+      bestPerDocument.forEach((match, id) => {
+        const entry = results.get(id) || { score: 0, coverage: 0, matchedTerms: [] };
+        entry.score += match.score;
+        entry.coverage += match.weight;
+        entry.matchedTerms.push(match.indexedTerm);
+        results.set(id, entry);
+      });
+    });
+
+    const ranked = Array.from(results.entries())
+      .map(([id, entry]) => ({ id, ...entry }))
+      .sort((x, y) => y.score - x.score);
+
+    const topScore = ranked.length > 0 ? ranked[0].score : 0;
+
+    return ranked.slice(0, limit).map((entry) => ({
+      id: entry.id,
+      score: Number(entry.score.toFixed(4)),
+      // Relevance blends query coverage with score relative to the best hit (0-1)
+      relevance: Number(((entry.coverage / queryTerms.length) * (entry.score / topScore)).toFixed(3)),
+      matchedTerms: entry.matchedTerms,
+    }));
+  }
+}
+
+module.exports = SearchIndex;
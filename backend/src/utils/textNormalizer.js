@@ -0,0 +1,171 @@
+const { editDistance } = require('./helpers');
+
+/**
+ * Text Normalizer
+ * Rewrites informal and misspelled appliance vocabulary to the words the scope, intent and
+ * entity rules match, in three passes:
+ *   1. Lexicon: known variants and synonyms ("frig" -> "fridge", "icemaker" -> "ice maker")
+ *   2. Compounds: two words that form a vocabulary word ("dish washer" -> "dishwasher")
+ *   3. Spelling: the closest vocabulary word within a small edit distance ("whirpool" -> "whirlpool")
+ * Only letters-only words are touched, so part, model and order numbers pass through unchanged
+ */
+
+const DEFAULT_OPTIONS = {
+  lexicon: {},
+  vocabulary: [],
+  knownWords: [],
+  minCorrectionLength: 5,
+  longWordLength: 8,
+};
+
+const INFLECTIONS = ['s', 'es', 'ed', 'd', 'ing'];
+const WORD_PATTERN = /\b[A-Za-z]+(?:'[A-Za-z]+)?\b/g;
+
+class TextNormalizer {
+  /**
+   * Constructor
+   * @param {Object} options - { lexicon, vocabulary, knownWords, minCorrectionLength, longWordLength }
+   *   lexicon maps lowercase variants (words or phrases) to replacements; vocabulary lists the words
+   *   misspellings are corrected to; knownWords are never corrected (real words close to vocabulary words)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.vocabulary = new Set(this.options.vocabulary.map((word) => word.toLowerCase()));
+    this.knownWords = new Set([...this.vocabulary, ...this.options.knownWords.map((word) => word.toLowerCase())]);
+
+    // Longest variants first so "dish-washer" wins over any shorter entry inside it
+    const variants = Object.keys(this.options.lexicon).sort((a, b) => b.length - a.length);
+    this.lexiconPattern =
+      variants.length > 0
+        ? new RegExp(`\\b(?:${variants.map((variant) => variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'gi')
+        : null;
+  }
+
+  /**
+   * Normalize a message
+   * @param {string} text - Cleaned message
+   * @returns {Object} - { text, corrections: [{ from, to, type: 'lexicon' | 'compound' | 'spelling' }] }
+   */
+  normalize(text) {
+    const corrections = [];
+    const record = (type) => (from, to) => {
+      corrections.push({ from, to, type });
+    };
+
+    let normalized = this.applyLexicon(String(text || ''), record('lexicon'));
+    normalized = this.mergeCompounds(normalized, record('compound'));
+    normalized = this.correctSpelling(normalized, record('spelling'));
+
+    return { text: normalized, corrections };
+  }
+
+  /**
+   * Replace lexicon variants
+   * @param {string} text - Text to rewrite
+   * @param {Function} onReplace - Called with (from, to) for each replacement
+   * @returns {string}
+   */
+  applyLexicon(text, onReplace) {
+    if (!this.lexiconPattern) return text;
+
+    return text.replace(this.lexiconPattern, (match) => {
+      const replacement = matchCase(match, this.options.lexicon[match.toLowerCase()]);
+      onReplace(match, replacement);
+      return replacement;
+    });
+  }
+
+  /**
+   * Join two adjacent words that are one vocabulary word
+   * @param {string} text - Text to rewrite
+   * @param {Function} onReplace - Called with (from, to) for each replacement
+   * @returns {string}
+   */
+  mergeCompounds(text, onReplace) {
+    // Letter runs sit at the odd indexes, everything between them at the even ones
+    const parts = text.split(/([A-Za-z]+)/);
+    const isWord = (index) => !/\w$/.test(parts[index - 1]) && !/^\w/.test(parts[index + 1] || '');
+
+    for (let i = 1; i + 2 < parts.length; i += 2) {
+      const joined = `${parts[i]}${parts[i + 2]}`.toLowerCase();
+      if (!/^[\s-]+$/.test(parts[i + 1]) || !isWord(i) || !isWord(i + 2) || !this.vocabulary.has(joined)) continue;
+
+      const replacement = matchCase(parts[i], joined);
+      onReplace(`${parts[i]}${parts[i + 1]}${parts[i + 2]}`, replacement);
+      parts[i] = replacement;
+      parts[i + 1] = '';
+      parts[i + 2] = '';
+      i += 2;
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Correct words that are not known to the closest vocabulary word
+   * @param {string} text - Text to rewrite
+   * @param {Function} onReplace - Called with (from, to) for each replacement
+   * @returns {string}
+   */
+  correctSpelling(text, onReplace) {
+    return text.replace(WORD_PATTERN, (word) => {
+      const correction = this.findCorrection(word.toLowerCase());
+      if (!correction) return word;
+
+      const replacement = matchCase(word, correction);
+      onReplace(word, replacement);
+      return replacement;
+    });
+  }
+
+  /**
+   * Find the vocabulary word a misspelling stands for
+   * Typos rarely change the first letter, so candidates must share it ("bridge" is never "fridge");
+   * ties are left alone rather than guessed
+   * @param {string} word - Lowercase word
+   * @returns {string|null}
+   */
+  findCorrection(word) {
+    const { minCorrectionLength, longWordLength } = this.options;
+    if (word.length < minCorrectionLength || this.knownWords.has(word)) return null;
+    // Plurals and simple inflections of known words are not typos ("appliances", "leaked")
+    const isInflection = INFLECTIONS.some(
+      (suffix) => word.endsWith(suffix) && this.knownWords.has(word.slice(0, -suffix.length))
+    );
+    if (isInflection) return null;
+
+    const maxDistance = word.length >= longWordLength ? 2 : 1;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    let tied = false;
+
+    this.vocabulary.forEach((candidate) => {
+      if (candidate[0] !== word[0]) return;
+
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+        tied = false;
+      } else if (distance === bestDistance) {
+        tied = true;
+      }
+    });
+
+    return best && !tied ? best : null;
+  }
+}
+
+/**
+ * Give a replacement the capitalization of the text it replaces
+ * @param {string} source - Original text
+ * @param {string} replacement - Lowercase replacement
+ * @returns {string}
+ */
+const matchCase = (source, replacement) => {
+  if (source.length > 1 && source === source.toUpperCase()) return replacement.toUpperCase();
+  if (source[0] === source[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+module.exports = TextNormalizer;
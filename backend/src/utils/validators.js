@@ -41,6 +41,27 @@ const sessionIdSchema = Joi.object({
     }),
 });
 
+/**
+ * Agent request validation schema (claim, reply, resolve)
+ */
+const agentRequestSchema = Joi.object({
+  agentId: Joi.string()
+    .required()
+    .pattern(CONSTANTS.HANDOFF.AGENT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'agentId may only contain letters, digits and . _ @ - (at most 64)',
+      'any.required': 'agentId field is required',
+    }),
+  message: Joi.string()
+    .min(CONSTANTS.MESSAGE.MIN_LENGTH)
+    .max(CONSTANTS.MESSAGE.MAX_LENGTH)
+    .trim()
+    .messages({
+      'string.empty': 'Message cannot be empty',
+      'string.max': `Message must be at most ${CONSTANTS.MESSAGE.MAX_LENGTH} characters long`,
+    }),
+});
+
 /**
  * Validate chat message
  * @param {Object} data - The data to validate
@@ -90,6 +111,36 @@ const validateSessionId = (sessionId) => {
   return { valid: true, error: null };
 };
 
+/**
+ * Validate an agent request body
+ * @param {Object} data - The data to validate
+ * @param {Object} options - { requireMessage } for replies
+ * @returns {Object} - { valid: boolean, error: string | null, value: Object }
+ */
+const validateAgentRequest = (data, { requireMessage = false } = {}) => {
+  const schema = requireMessage
+    ? agentRequestSchema.fork(['message'], (field) => field.required().messages({ 'any.required': 'Message field is required' }))
+    : agentRequestSchema;
+  const { error, value } = schema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      valid: false,
+      error: error.details.map((detail) => detail.message).join('; '),
+      value: null,
+    };
+  }
+
+  return {
+    valid: true,
+    error: null,
+    value,
+  };
+};
+
 /**
  * Check if message contains only valid characters
  * Prevents control characters and null bytes
@@ -126,6 +177,8 @@ module.exports = {
   sessionIdSchema,
   validateChatMessage,
   validateSessionId,
+  agentRequestSchema,
+  validateAgentRequest,
   isMessageSafeFromControlCharacters,
   isMessageLengthValid,
   isMessageString,
@@ -0,0 +1,51 @@
+const express = require('express');
+const request = require('supertest');
+const { errorHandler, notFoundHandler } = require('../../src/middleware/errorHandler');
+const chatRoutes = require('../../src/routes/chat.routes');
+const cartRoutes = require('../../src/routes/cart.routes');
+const handoffRoutes = require('../../src/routes/handoff.routes');
+
+/**
+ * Chat App for tests
+ * The API routes of src/index.js without the server, security and logging middleware
+ */
+
+/**
+ * Create the app
+ * @returns {Express.Application}
+ */
+const createChatApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', chatRoutes);
+  app.use('/api', cartRoutes);
+  app.use('/api', handoffRoutes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Start a conversation: each say() posts one message to /api/chat in the same session
+ * @param {Express.Application} app - App from createChatApp
+ * @returns {Object} - { say(message) => Promise<Object> chat response body, sessionId() }
+ */
+const startConversation = (app = createChatApp()) => {
+  let sessionId = null;
+
+  return {
+    say: async (message) => {
+      const response = await request(app)
+        .post('/api/chat')
+        .send(sessionId ? { message, sessionId } : { message });
+      sessionId = response.body.sessionId || sessionId;
+      return response.body;
+    },
+    sessionId: () => sessionId,
+  };
+};
+
+module.exports = {
+  createChatApp,
+  startConversation,
+};
@@ -0,0 +1,247 @@
+const { EventEmitter } = require('events');
+const { WatchError } = require('redis');
+
+/**
+ * Fake Redis client for tests
+ * The part of the node-redis v4 client the Redis session store uses, kept in this process:
+ * get/set with PX or KEEPTTL, del, mGet, scanIterator, persist/pExpire, the sorted set commands
+ * zAdd/zRem/zRange/zScore, MULTI/EXEC, and executeIsolated with WATCH. EXEC fails with WatchError
+ * when the watched key was written (or its TTL changed) after WATCH, as in Redis. Every command
+ * yields to the event loop, so concurrent updates interleave.
+ */
+
+/**
+ * Wait for the next turn of the event loop
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+class FakeRedis extends EventEmitter {
+  constructor() {
+    super();
+    this.entries = new Map();
+    this.sortedSets = new Map(); // key -> Map of member -> score
+    this.versions = new Map();
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  async connect() {
+    await tick();
+    this.isOpen = true;
+    this.isReady = true;
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  /**
+   * Entry under a key, dropping it once expired
+   * @param {string} key - The key
+   * @returns {Object|null} - { value, expiresAt }
+   */
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    await tick();
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Count a change of a key for WATCH
+   * @param {string} key - The key
+   */
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  /**
+   * Write a key at once
+   * @param {string} key - The key
+   * @param {string} value - The value
+   * @param {Object} options - { PX } expiry in milliseconds, or { KEEPTTL: true }
+   * @returns {string}
+   */
+  write(key, value, { PX, KEEPTTL = false }) {
+    const expiresAt = KEEPTTL ? (this.entry(key)?.expiresAt ?? Infinity) : Date.now() + PX;
+    this.entries.set(key, { value, expiresAt });
+    this.touch(key);
+    return 'OK';
+  }
+
+  /**
+   * Delete a key at once
+   * @param {string} key - The key
+   * @returns {number} - Keys deleted
+   */
+  remove(key) {
+    if (!this.entries.delete(key)) return 0;
+    this.touch(key);
+    return 1;
+  }
+
+  /**
+   * Set a key's expiry at once
+   * @param {string} key - The key
+   * @param {number} expiresAt - Milliseconds since the epoch (Infinity for no TTL)
+   * @returns {boolean} - Whether the key exists
+   */
+  expire(key, expiresAt) {
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = expiresAt;
+    this.touch(key);
+    return true;
+  }
+
+  /**
+   * Add a member to a sorted set at once
+   * @param {string} key - The key
+   * @param {Object} member - { score, value }
+   * @param {Object} options - { NX: true } to leave existing members alone
+   * @returns {number} - Members added
+   */
+  addMember(key, { score, value }, { NX = false } = {}) {
+    const members = this.sortedSets.get(key) || new Map();
+    this.sortedSets.set(key, members);
+    const added = members.has(value) ? 0 : 1;
+    if (!added && NX) return 0;
+    members.set(value, score);
+    this.touch(key);
+    return added;
+  }
+
+  /**
+   * Remove members from a sorted set at once
+   * @param {string} key - The key
+   * @param {string|Array<string>} values - Members
+   * @returns {number} - Members removed
+   */
+  removeMembers(key, values) {
+    const members = this.sortedSets.get(key);
+    if (!members) return 0;
+    const removed = [].concat(values).filter((value) => members.delete(value)).length;
+    if (removed > 0) this.touch(key);
+    return removed;
+  }
+
+  async set(key, value, options) {
+    await tick();
+    return this.write(key, value, options);
+  }
+
+  async del(key) {
+    await tick();
+    return this.remove(key);
+  }
+
+  async persist(key) {
+    await tick();
+    return this.expire(key, Infinity);
+  }
+
+  async pExpire(key, milliseconds) {
+    await tick();
+    return this.expire(key, Date.now() + milliseconds);
+  }
+
+  async zAdd(key, member, options) {
+    await tick();
+    return this.addMember(key, member, options);
+  }
+
+  async zRem(key, values) {
+    await tick();
+    return this.removeMembers(key, values);
+  }
+
+  async zScore(key, value) {
+    await tick();
+    return this.sortedSets.get(key)?.get(value) ?? null;
+  }
+
+  // Only the whole set (0, -1) is supported
+  async zRange(key) {
+    await tick();
+    return [...(this.sortedSets.get(key) || new Map()).entries()]
+      .sort(([valueA, scoreA], [valueB, scoreB]) => scoreA - scoreB || valueA.localeCompare(valueB))
+      .map(([value]) => value);
+  }
+
+  async mGet(keys) {
+    await tick();
+    return keys.map((key) => this.entry(key)?.value ?? null);
+  }
+
+  async *scanIterator({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix) && this.entry(key)) yield key;
+    }
+  }
+
+  /**
+   * Start a MULTI transaction
+   * @param {Function} check - Run at EXEC before any command (throws to abort)
+   * @returns {Object} - Chainable set/del/persist/pExpire/zAdd/zRem, then exec()
+   */
+  transaction(check = () => {}) {
+    const commands = [];
+    const queue = (command) => {
+      commands.push(command);
+      return transaction;
+    };
+    const transaction = {
+      set: (key, value, options) => queue(() => this.write(key, value, options)),
+      del: (key) => queue(() => this.remove(key)),
+      persist: (key) => queue(() => this.expire(key, Infinity)),
+      pExpire: (key, milliseconds) => queue(() => this.expire(key, Date.now() + milliseconds)),
+      zAdd: (key, member, options) => queue(() => this.addMember(key, member, options)),
+      zRem: (key, values) => queue(() => this.removeMembers(key, values)),
+      exec: async () => {
+        await tick();
+        check();
+        // Checked and run in one go, as EXEC is atomic
+        return commands.map((command) => command());
+      },
+    };
+    return transaction;
+  }
+
+  multi() {
+    return this.transaction();
+  }
+
+  async executeIsolated(callback) {
+    let watched = null;
+    const isolated = {
+      watch: async (key) => {
+        watched = { key, version: this.versions.get(key) || 0 };
+      },
+      unwatch: async () => {
+        watched = null;
+      },
+      get: (key) => this.get(key),
+      zScore: (key, value) => this.zScore(key, value),
+      multi: () =>
+        this.transaction(() => {
+          if (watched && (this.versions.get(watched.key) || 0) !== watched.version) {
+            throw new WatchError();
+          }
+        }),
+    };
+    return callback(isolated);
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,55 @@
+const { rankIntents } = require('../../src/services/intentClassificationService');
+const { startConversation } = require('../helpers/chatApp');
+
+/**
+ * Summarize the sections of a composite response
+ * @param {Object} body - Chat response body
+ * @returns {Array<Array<string>>} - [intent, type] per section
+ */
+const sectionsOf = (body) => body.response.data.sections.map((section) => [section.intent, section.type]);
+
+describe('multi-intent messages', () => {
+  it('ranks secondary intents that reach SECONDARY_MIN_SCORE after the classified one', () => {
+    const scores = { product_search: 40, installation_guide: 30, compatibility_check: 45, order_support: 15 };
+
+    expect(rankIntents('product_search', scores)).toEqual([
+      'product_search',
+      'compatibility_check',
+      'installation_guide',
+    ]);
+  });
+
+  it('answers a search, its compatibility and its installation in one composite response', async () => {
+    const conversation = startConversation();
+
+    // "it" below is the gasket the search finds, not the part discussed before
+    await conversation.say('tell me about PS11752778');
+    const body = await conversation.say('I need a new door gasket for WDT780SAEM1, how hard is it to install?');
+
+    expect(body.response.type).toBe('composite');
+    expect(sectionsOf(body)).toEqual([
+      ['product_search', 'product_results'],
+      ['compatibility_check', 'compatibility_result'],
+      ['installation_guide', 'installation_guide'],
+    ]);
+    expect(body.response.data.sections[1].data).toMatchObject({ partNumber: 'PS11750057', status: 'compatible' });
+    expect(body.response.data.sections[2].data.partNumber).toBe('PS11750057');
+  });
+
+  it('runs the sections in SECTION_ORDER whatever the order of the message', async () => {
+    const body = await startConversation().say('How do I install PS11752778 and is it compatible with WRS325SDHZ?');
+
+    expect(body.metadata.intents).toEqual(['installation_guide', 'compatibility_check']);
+    expect(sectionsOf(body)).toEqual([
+      ['compatibility_check', 'compatibility_result'],
+      ['installation_guide', 'installation_guide'],
+    ]);
+  });
+
+  it('leaves out an intent whose slots the message cannot fill', async () => {
+    const body = await startConversation().say('where is my order and how do I install PS11752778?');
+
+    expect(body.metadata.intents).toEqual(['installation_guide', 'order_support']);
+    expect(body.response.type).toBe('installation_guide');
+  });
+});
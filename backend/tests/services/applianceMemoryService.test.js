@@ -0,0 +1,79 @@
+const applianceMemoryService = require('../../src/services/applianceMemoryService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('applianceMemoryService', () => {
+  it('fills in brand and type for registry models', () => {
+    expect(applianceMemoryService.detectAppliances('I have a WDT780SAEM1')).toEqual([
+      { modelNumber: 'WDT780SAEM1', brand: 'Whirlpool', applianceType: 'dishwasher', known: true },
+    ]);
+  });
+
+  it('replaces a brand-and-type entry when the model number comes up', () => {
+    const declared = applianceMemoryService.rememberAppliances(
+      [],
+      applianceMemoryService.detectAppliances('I have a Whirlpool fridge')
+    );
+    const updated = applianceMemoryService.rememberAppliances(
+      declared,
+      applianceMemoryService.detectAppliances('the model is WRS325SDHZ')
+    );
+
+    expect(updated).toHaveLength(1);
+    expect(updated[0]).toMatchObject({ modelNumber: 'WRS325SDHZ', brand: 'Whirlpool', applianceType: 'refrigerator' });
+  });
+
+  it('resolves "my dishwasher" to the remembered dishwasher', () => {
+    const appliances = applianceMemoryService.rememberAppliances(
+      [],
+      applianceMemoryService.detectAppliances('WRS325SDHZ and WDT780SAEM1')
+    );
+
+    expect(applianceMemoryService.resolveAppliance(appliances, 'does it fit my dishwasher?').modelNumber).toBe(
+      'WDT780SAEM1'
+    );
+    // Two remembered models: "my model" is ambiguous
+    expect(applianceMemoryService.resolveAppliance(appliances, 'does it fit my model?')).toBeNull();
+  });
+
+  it('forgets appliances by type', () => {
+    const appliances = applianceMemoryService.rememberAppliances(
+      [],
+      applianceMemoryService.detectAppliances('WRS325SDHZ and WDT780SAEM1')
+    );
+
+    const { appliances: remaining, removed } = applianceMemoryService.forgetAppliances(appliances, 'forget my fridge');
+
+    expect(removed.map((appliance) => appliance.modelNumber)).toEqual(['WRS325SDHZ']);
+    expect(remaining.map((appliance) => appliance.modelNumber)).toEqual(['WDT780SAEM1']);
+  });
+});
+
+describe('appliance memory in a conversation', () => {
+  it('uses the remembered fridge for a later compatibility question', async () => {
+    const conversation = startConversation();
+
+    const declared = await conversation.say('I have a Whirlpool fridge');
+    expect(declared.response.content).toBe("Got it, I'll remember your Whirlpool refrigerator.");
+
+    await conversation.say('the model is WRS325SDHZ');
+    const listed = await conversation.say('what appliances do I have');
+    expect(listed.response.data.appliances).toEqual([
+      { modelNumber: 'WRS325SDHZ', brand: 'Whirlpool', applianceType: 'refrigerator', known: true },
+    ]);
+
+    const answer = await conversation.say('will PS11752778 fit my fridge?');
+    expect(answer.response.type).toBe('compatibility_result');
+    expect(answer.response.data).toMatchObject({ status: 'compatible', modelNumber: 'WRS325SDHZ' });
+  });
+
+  it('forgets an appliance on request', async () => {
+    const conversation = startConversation();
+
+    await conversation.say('does PS11752778 fit my WDT780SAEM1?');
+    const forgotten = await conversation.say('forget my dishwasher');
+    expect(forgotten.response.content).toBe("Done, I've forgotten your Whirlpool dishwasher (WDT780SAEM1).");
+
+    const listed = await conversation.say('what appliances do I have');
+    expect(listed.response.data.appliances).toEqual([]);
+  });
+});
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const redis = require('redis');
+const cartService = require('../../src/services/cartService');
+const catalogService = require('../../src/services/catalogService');
+const sessionService = require('../../src/services/sessionService');
+const { createSessionStore } = require('../../src/stores');
+const { startConversation } = require('../helpers/chatApp');
+const FakeRedis = require('../helpers/fakeRedis');
+
+const DOOR_BIN = catalogService.getPartById('PS11752778');
+const ICE_MAKER = catalogService.getPartById('PS11739091');
+
+describe('cartService operations', () => {
+  it('adds a part and raises the quantity when it is added again', () => {
+    const first = cartService.addItem(cartService.createEmptyCart(), DOOR_BIN, 1);
+    const second = cartService.addItem(first.cart, DOOR_BIN, 2);
+
+    expect(second.cart.items).toHaveLength(1);
+    expect(second.item.quantity).toBe(3);
+    expect(second).toMatchObject({ added: 2, capped: false, existed: true });
+  });
+
+  it('sets the total quantity with setQuantity', () => {
+    const first = cartService.addItem(cartService.createEmptyCart(), DOOR_BIN, 1);
+    const second = cartService.addItem(first.cart, DOOR_BIN, 2, { setQuantity: true });
+
+    expect(second.item.quantity).toBe(2);
+    expect(second.added).toBe(1);
+  });
+
+  it('caps the quantity at the stock on hand', () => {
+    const part = { ...DOOR_BIN, stockQuantity: 2 };
+    const result = cartService.addItem(cartService.createEmptyCart(), part, 5);
+
+    expect(result.item.quantity).toBe(2);
+    expect(result.capped).toBe(true);
+  });
+
+  it('refuses a part that is out of stock', () => {
+    expect(() => cartService.addItem(cartService.createEmptyCart(), { ...DOOR_BIN, stockQuantity: 0 }, 1)).toThrow(
+      'PS11752778 is out of stock'
+    );
+  });
+
+  it('updates and removes items', () => {
+    let { cart } = cartService.addItem(cartService.createEmptyCart(), DOOR_BIN, 1);
+    ({ cart } = cartService.addItem(cart, ICE_MAKER, 1));
+
+    cart = cartService.updateQuantity(cart, ICE_MAKER.id, 4);
+    expect(cart.items.find((item) => item.partNumber === ICE_MAKER.id).quantity).toBe(4);
+
+    cart = cartService.removeItem(cart, DOOR_BIN.id);
+    expect(cart.items.map((item) => item.partNumber)).toEqual([ICE_MAKER.id]);
+  });
+
+  it('summarizes line totals and the subtotal', () => {
+    let { cart } = cartService.addItem(cartService.createEmptyCart(), DOOR_BIN, 2);
+    ({ cart } = cartService.addItem(cart, ICE_MAKER, 1));
+
+    const summary = cartService.summarizeCart(cart);
+
+    expect(summary.itemCount).toBe(3);
+    expect(summary.items[0].lineTotal).toBe(89.9);
+    expect(summary.subtotal).toBe(219.85);
+  });
+});
+
+describe('cartService.parseCartCommand', () => {
+  it.each([
+    ['add PS11752778 to my cart', { action: 'add', quantity: 1, setsQuantity: false }],
+    ["I'll take two", { action: 'add', quantity: 2, setsQuantity: true }],
+    ["I'll take two more", { action: 'add', quantity: 2, setsQuantity: false }],
+    ['add 3 of those', { action: 'add', quantity: 3, setsQuantity: false }],
+    ['change the quantity to 4', { action: 'update_quantity', quantity: 4 }],
+    ['remove the rack wheels from my cart', { action: 'remove' }],
+    ['empty my cart', { action: 'clear' }],
+    ["what's in my cart", { action: 'view' }],
+  ])('parses "%s"', (message, expected) => {
+    const entities = { partNumbers: (message.match(/PS\d+/g) || []).map((partNumber) => partNumber.toUpperCase()) };
+
+    expect(cartService.parseCartCommand(message, entities)).toMatchObject(expected);
+  });
+
+  it('ignores messages that are not cart commands', () => {
+    expect(cartService.parseCartCommand('how do I install a door bin', {})).toBeNull();
+  });
+});
+
+describe('cart in the chat', () => {
+  /**
+   * Show a part and add it to the cart
+   * @returns {Promise<Object>} - The conversation
+   */
+  const addIceMaker = async () => {
+    const conversation = startConversation();
+    await conversation.say('PS11739091');
+    const added = await conversation.say('add it to my cart');
+    expect(added.response.data.itemCount).toBe(1);
+    return conversation;
+  };
+
+  it('treats "I\'ll take two" for a part in the cart as the quantity wanted', async () => {
+    const conversation = await addIceMaker();
+    const reply = await conversation.say("I'll take two");
+
+    expect(reply.response.type).toBe('cart');
+    expect(reply.response.content).toMatch(/to a quantity of 2/);
+    expect(reply.response.data.items[0].quantity).toBe(2);
+  });
+
+  it('adds to the quantity with "two more"', async () => {
+    const conversation = await addIceMaker();
+    const reply = await conversation.say("I'll take two more");
+
+    expect(reply.response.data.items[0].quantity).toBe(3);
+  });
+
+  it('takes the quantity for a part added by its number', async () => {
+    const conversation = startConversation();
+    await conversation.say('add PS11752778 to my cart');
+    const reply = await conversation.say("I'll take 3");
+
+    expect(reply.response.type).toBe('cart');
+    expect(reply.response.data.items).toEqual([expect.objectContaining({ partNumber: DOOR_BIN.id, quantity: 3 })]);
+  });
+
+  it('takes the quantity for the result picked from a list', async () => {
+    const conversation = startConversation();
+    const results = await conversation.say('refrigerator water filter');
+    const [, second] = results.response.data.products.map((product) => product.id);
+    await conversation.say('add the second one to my cart');
+    const reply = await conversation.say("I'll take two");
+
+    expect(reply.response.type).toBe('cart');
+    expect(reply.response.data.items).toEqual([expect.objectContaining({ partNumber: second, quantity: 2 })]);
+  });
+});
+
+describe('cart on a shared Redis session store', () => {
+  let client;
+
+  /**
+   * Load the chat app afresh, as another server instance on the same Redis
+   * @returns {Object} - { app, orchestrator } the instance's app and agent orchestrator
+   */
+  const startInstance = () => {
+    const instance = {};
+    jest.isolateModules(() => {
+      // The fake throws this copy's WatchError, so the instance has to share it
+      jest.doMock('redis', () => redis);
+      require('../../src/services/sessionService').setSessionStore(
+        require('../../src/stores').createSessionStore('redis', { client, retryDelayMs: 1 })
+      );
+      instance.app = require('../helpers/chatApp').createChatApp();
+      instance.orchestrator = require('../../src/services/agentOrchestrator');
+    });
+    return instance;
+  };
+
+  /**
+   * Post a message to a session
+   * @param {Express.Application} app - App of one instance
+   * @param {string} sessionId - The session ID
+   * @param {string} message - The message
+   * @returns {Promise<Object>} - The chat response body
+   */
+  const say = async (app, sessionId, message) =>
+    (await request(app).post('/api/chat').send({ message, sessionId })).body;
+
+  beforeEach(() => {
+    client = new FakeRedis();
+    sessionService.setSessionStore(createSessionStore('redis', { client, retryDelayMs: 1 }));
+  });
+
+  afterEach(() => {
+    sessionService.setSessionStore(null);
+  });
+
+  it('keeps a part added on another instance while a turn was running', async () => {
+    const first = startInstance();
+    const second = startInstance();
+    const { sessionId } = await say(first.app, undefined, 'hello');
+
+    // Hold the first turn after it read the session until the second turn has added its part
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const processMessage = first.orchestrator.processMessage;
+    jest.spyOn(first.orchestrator, 'processMessage').mockImplementation(async (input) => {
+      await held;
+      return processMessage(input);
+    });
+
+    const firstTurn = say(first.app, sessionId, 'add PS11752778 to my cart');
+    await say(second.app, sessionId, 'add PS11739091 to my cart');
+    release();
+    await firstTurn;
+
+    const cart = await say(second.app, sessionId, "what's in my cart");
+    expect(cart.response.data.items.map((item) => item.partNumber).sort()).toEqual([ICE_MAKER.id, DOOR_BIN.id]);
+  });
+
+  it('applies each cart operation to the stored cart', async () => {
+    const { sessionId } = await sessionService.createSession('cart-test');
+
+    await Promise.all(
+      [DOOR_BIN, ICE_MAKER].map((part) =>
+        cartService.updateCart(sessionId, (cart) => cartService.addItem(cart, part, 1).cart)
+      )
+    );
+
+    expect(cartService.getCart(await sessionService.getSession(sessionId)).items).toHaveLength(2);
+  });
+});
@@ -0,0 +1,72 @@
+const coreferenceService = require('../../src/services/coreferenceService');
+const { startConversation } = require('../helpers/chatApp');
+
+const FOCUS = { partNumber: null, modelNumber: null, resultList: ['PS11752778', 'PS11739091', 'PS12070506'] };
+
+describe('coreferenceService.resolveReferences', () => {
+  it('replaces an ordinal with the part at that position', () => {
+    const { text, references, unresolvedOrdinal } = coreferenceService.resolveReferences(
+      'is the second one in stock?',
+      FOCUS
+    );
+
+    expect(text).toBe('is PS11739091 in stock?');
+    expect(references).toEqual([{ phrase: 'the second one', type: 'part', value: 'PS11739091', via: 'ordinal' }]);
+    expect(unresolvedOrdinal).toBeNull();
+  });
+
+  it('resolves "the last one" and "number 1"', () => {
+    expect(coreferenceService.resolveReferences('add the last one', FOCUS).text).toBe('add PS12070506');
+    expect(coreferenceService.resolveReferences('number 1 please', FOCUS).text).toBe('PS11752778 please');
+  });
+
+  it('reports an ordinal past the end of the list instead of resolving it', () => {
+    const focus = { ...FOCUS, resultList: ['PS11752778'] };
+    const { text, references, unresolvedOrdinal } = coreferenceService.resolveReferences(
+      'add the second one to my cart',
+      focus
+    );
+
+    expect(text).toBe('add the second one to my cart');
+    expect(references).toEqual([]);
+    expect(unresolvedOrdinal).toEqual({ phrase: 'the second one', position: 2 });
+  });
+
+  it('leaves a message that names a part alone', () => {
+    const { text, unresolvedOrdinal } = coreferenceService.resolveReferences('add the second one, PS11752778', {
+      ...FOCUS,
+      resultList: [],
+    });
+
+    expect(text).toBe('add the second one, PS11752778');
+    expect(unresolvedOrdinal).toBeNull();
+  });
+});
+
+describe('ordinal references in the chat', () => {
+  it('asks which part was meant for "the second one" after a single result', async () => {
+    const conversation = startConversation();
+    const shown = await conversation.say('PS11752778');
+    expect(shown.response.data.products).toHaveLength(1);
+
+    const reply = await conversation.say('add the second one to my cart');
+
+    expect(reply.response.type).toBe('text');
+    expect(reply.response.content).toMatch(/I only showed 1 part/);
+    expect(reply.response.content).toMatch(/PS11752778/);
+
+    const cart = await conversation.say("what's in my cart");
+    expect(cart.response.data.itemCount).toBe(0);
+  });
+
+  it('adds the part at that position from a longer list', async () => {
+    const conversation = startConversation();
+    const shown = await conversation.say('door gasket');
+    const second = shown.response.data.products[1].id;
+
+    const reply = await conversation.say('add the second one to my cart');
+
+    expect(reply.response.type).toBe('cart');
+    expect(reply.response.data.items.map((item) => item.partNumber)).toEqual([second]);
+  });
+});
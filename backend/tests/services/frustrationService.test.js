@@ -0,0 +1,60 @@
+const frustrationService = require('../../src/services/frustrationService');
+const { startConversation } = require('../helpers/chatApp');
+
+/**
+ * Build a conversation history from customer messages, each answered by the assistant
+ * @param {Array<string>} messages - Customer messages, oldest first
+ * @returns {Array<Object>} - History entries ({ role, message })
+ */
+const historyOf = (messages) =>
+  messages.flatMap((message, index) => [
+    { role: 'user', message },
+    { role: 'assistant', message: `reply ${index}` },
+  ]);
+
+describe('frustrationService.assessConversation', () => {
+  it.each([
+    'Damn, my ice maker stopped working again',
+    'what the hell, the dishwasher is leaking again',
+    'this damn useless dishwasher is leaking',
+  ])('does not hand off an opening message that swears about the appliance: "%s"', (message) => {
+    const assessment = frustrationService.assessConversation([], message);
+
+    expect(assessment.shouldHandoff).toBe(false);
+  });
+
+  it('does not count a trailing "again" as repeating yourself', () => {
+    const assessment = frustrationService.assessConversation([], 'my ice maker stopped working again');
+
+    expect(assessment.signals).toEqual([]);
+    expect(assessment.level).toBe('calm');
+  });
+
+  it('hands off when the frustration carries over from an earlier turn', () => {
+    const history = historyOf(['this is useless, where is my order???']);
+    const assessment = frustrationService.assessConversation(history, 'damn it, I already told you my order number');
+
+    expect(assessment.score).toBeGreaterThanOrEqual(0.7);
+    expect(assessment.shouldHandoff).toBe(true);
+  });
+
+  it('hands off when the same question is sent four times', () => {
+    const history = historyOf(['Where is my order?', 'Where is my order?', 'Where is my order?']);
+
+    expect(frustrationService.assessConversation(history, 'Where is my order?').shouldHandoff).toBe(true);
+  });
+
+  it('hands off on the first message that asks for a person', () => {
+    const assessment = frustrationService.assessConversation([], 'can I speak with a real human?');
+
+    expect(assessment).toMatchObject({ humanRequested: true, shouldHandoff: true });
+  });
+});
+
+describe('frustration in a conversation', () => {
+  it('answers an opener that swears about the appliance instead of queueing it', async () => {
+    const reply = await startConversation().say('Damn, my ice maker stopped working again');
+
+    expect(reply.response.type).not.toBe('handoff');
+  });
+});
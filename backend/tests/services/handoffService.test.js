@@ -0,0 +1,132 @@
+const request = require('supertest');
+const environmentConfig = require('../../src/config/environment');
+const sessionService = require('../../src/services/sessionService');
+const handoffService = require('../../src/services/handoffService');
+const { createSessionStore } = require('../../src/stores');
+const { createChatApp, startConversation } = require('../helpers/chatApp');
+const FakeRedis = require('../helpers/fakeRedis');
+
+describe('human handoff on a Redis session store', () => {
+  const agentKey = 'test-agent-key';
+  let client;
+  let app;
+
+  /**
+   * Send an agent request
+   * @param {string} method - 'get' or 'post'
+   * @param {string} path - Path under /api/agent/handoffs
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - The supertest response
+   */
+  const agent = (method, path, body = {}) =>
+    request(app)[method](`/api/agent/handoffs${path}`).set('X-Agent-Key', agentKey).send(body);
+
+  /**
+   * Start a conversation that asks for a person
+   * @returns {Promise<Object>} - { conversation, handoffId }
+   */
+  const queueConversation = async () => {
+    const conversation = startConversation(app);
+    const reply = await conversation.say('let me talk to a person');
+    expect(reply.response.type).toBe('handoff');
+    return { conversation, handoffId: reply.response.data.handoff.handoffId };
+  };
+
+  /**
+   * Point the session service at a new store on the same Redis, as after a restart
+   * @param {Object} overrides - Store options (e.g. ttlMs)
+   * @returns {SessionStore} - The new store
+   */
+  const restart = (overrides = {}) => {
+    const store = createSessionStore('redis', { client, retryDelayMs: 1, ...overrides });
+    sessionService.setSessionStore(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    environmentConfig.agent.apiKey = agentKey;
+    client = new FakeRedis();
+    restart();
+    app = createChatApp();
+  });
+
+  afterEach(() => {
+    environmentConfig.agent.apiKey = '';
+    sessionService.setSessionStore(null);
+  });
+
+  it('queues, claims, answers and resolves a handoff', async () => {
+    const { conversation, handoffId } = await queueConversation();
+    const second = await queueConversation();
+
+    const queue = await agent('get', '?status=queued');
+    expect(queue.body.handoffs.map((handoff) => [handoff.handoffId, handoff.queuePosition])).toEqual([
+      [handoffId, 1],
+      [second.handoffId, 2],
+    ]);
+
+    expect((await agent('post', `/${handoffId}/claim`, { agentId: 'ann' })).body.handoff.status).toBe('claimed');
+    await agent('post', `/${handoffId}/reply`, { agentId: 'ann', message: 'Hi, I can help with that.' });
+
+    const status = await request(app).get(`/api/chat/${conversation.sessionId()}/handoff`);
+    expect(status.body.humanMode).toBe(true);
+    expect(status.body.messages.map((entry) => entry.message)).toEqual(['Hi, I can help with that.']);
+
+    expect((await agent('post', `/${handoffId}/resolve`, { agentId: 'ann' })).body.handoff.status).toBe('resolved');
+    expect((await conversation.say('PS11752778')).response.type).not.toBe('handoff');
+  });
+
+  it('keeps the queue across a restart', async () => {
+    const { handoffId } = await queueConversation();
+
+    restart();
+
+    const queue = await agent('get', '');
+    expect(queue.body.handoffs.map((handoff) => handoff.handoffId)).toEqual([handoffId]);
+    expect((await agent('post', `/${handoffId}/claim`, { agentId: 'ann' })).status).toBe(200);
+  });
+
+  it('reads the queue without scanning every session', async () => {
+    await startConversation(app).say('hello');
+    const { handoffId } = await queueConversation();
+    const scan = jest.spyOn(client, 'scanIterator');
+
+    const queue = await agent('get', '');
+    await agent('post', `/${handoffId}/claim`, { agentId: 'ann' });
+
+    expect(queue.body.handoffs.map((handoff) => handoff.handoffId)).toEqual([handoffId]);
+    expect(scan).not.toHaveBeenCalled();
+  });
+
+  it('keeps a queued session past its expiry until the handoff is resolved', async () => {
+    const store = restart({ ttlMs: 50 });
+    const { conversation, handoffId } = await queueConversation();
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect((await agent('get', '?status=queued')).body.handoffs.map((handoff) => handoff.handoffId)).toEqual([
+      handoffId,
+    ]);
+    await agent('post', `/${handoffId}/claim`, { agentId: 'ann' });
+    await agent('post', `/${handoffId}/resolve`, { agentId: 'ann' });
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect(await store.get(conversation.sessionId())).toBeNull();
+  });
+
+  it('lets only one of two agents claim a handoff', async () => {
+    const { handoffId } = await queueConversation();
+
+    const claims = await Promise.all(['ann', 'bob'].map((agentId) => handoffService.claimHandoff(handoffId, agentId)));
+
+    expect(claims.map((claim) => claim.status).sort()).toEqual(['conflict', 'ok']);
+  });
+
+  it('answers 404 for an unknown handoff', async () => {
+    const response = await agent('post', '/missing/claim', { agentId: 'ann' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('HANDOFF_NOT_FOUND');
+  });
+});
@@ -0,0 +1,82 @@
+const intentClassificationService = require('../../src/services/intentClassificationService');
+const nluModelService = require('../../src/services/nluModelService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('intentClassificationService.classifyWithRules', () => {
+  it.each(['door gasket', 'water valve', 'door gaskit', 'water vavle'])(
+    'takes "%s", which matches catalog parts, as a product search',
+    (message) => {
+      expect(intentClassificationService.classifyWithRules(message).intent).toBe('product_search');
+    }
+  );
+
+  it.each(['hello', 'thanks', 'bye'])('keeps "%s" a general inquiry', (message) => {
+    expect(intentClassificationService.classifyWithRules(message).intent).toBe('general_inquiry');
+  });
+
+  it('still prefers keyword hits', () => {
+    expect(intentClassificationService.classifyWithRules('how do I install a water valve').intent).toBe(
+      'installation_guide'
+    );
+  });
+
+  it.each(['how much is PS11752778', 'how much does PS11752778 cost'])(
+    'takes the price question "%s" as order support, not an installation question',
+    (message) => {
+      expect(intentClassificationService.classifyWithRules(message).intent).toBe('order_support');
+    }
+  );
+});
+
+describe('price questions in the chat', () => {
+  it('answers "how much is PS11752778" with the part and its price', async () => {
+    const reply = await startConversation().say('how much is PS11752778');
+
+    expect(reply.metadata.intent).toBe('order_support');
+    expect(reply.response.type).toBe('product_results');
+    expect(reply.response.data.products[0]).toMatchObject({ id: 'PS11752778', price: expect.any(Number) });
+  });
+});
+
+describe('part names in the chat', () => {
+  it.each(['door gaskit', 'water vavle', 'door gasket', 'water valve'])(
+    'answers "%s" with matching parts, not the help menu',
+    async (message) => {
+      const reply = await startConversation().say(message);
+
+      expect(reply.metadata.intent).toBe('product_search');
+      expect(reply.response.type).toBe('product_results');
+      expect(reply.response.data.products.length).toBeGreaterThan(0);
+    }
+  );
+});
+
+describe('intentClassificationService.classifyIntent', () => {
+  it.each([
+    ['price of PS11752778', 'order_support'],
+    ["my WDT780SAEM1 won't start", 'troubleshooting'],
+  ])('keeps the keyword rules for "%s" over a fairly sure model', async (message, intent) => {
+    const result = await intentClassificationService.classifyIntent(message);
+
+    expect(result).toMatchObject({ intent, classifier: 'rules' });
+  });
+
+  it('lets a very confident model overrule a stray keyword', async () => {
+    // "need" is a product search keyword
+    const result = await intentClassificationService.classifyIntent('what tools do I need to put in a new drain pump');
+
+    expect(result).toMatchObject({ intent: 'installation_guide', classifier: 'model' });
+  });
+
+  it('uses the model when no keyword matches as a whole word', async () => {
+    const result = await intentClassificationService.classifyIntent('what appliances do I have');
+
+    expect(result).toMatchObject({ intent: 'general_inquiry', classifier: 'model' });
+  });
+});
+
+describe('nluModelService.toModelText', () => {
+  it('trains on the normalized text the classifier gets in the chat', () => {
+    expect(nluModelService.toModelText('  my frig is  leeking ')).toBe('my fridge is leaking');
+  });
+});
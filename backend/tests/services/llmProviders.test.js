@@ -0,0 +1,170 @@
+const {
+  normalizeToolCalls,
+  createOpenAICompatibleClient,
+  createOllamaClient,
+  isProviderConfigured,
+  createProviderClient,
+} = require('../../src/services/llmProviders');
+
+/**
+ * Fake fetch answering every request with one JSON body, recording the requests
+ * @param {Object} payload - Response body
+ * @param {number} status - HTTP status
+ * @returns {Function} - fetch with a `requests` list of { url, body, headers }
+ */
+const fakeFetch = (payload, status = 200) => {
+  const fetchImpl = async (url, options) => {
+    fetchImpl.requests.push({ url, body: JSON.parse(options.body), headers: options.headers });
+    return new Response(JSON.stringify(payload), { status });
+  };
+  fetchImpl.requests = [];
+  return fetchImpl;
+};
+
+const MESSAGES = [{ role: 'user', content: 'do you have a door shelf bin?' }];
+const TOOLS = [{ type: 'function', function: { name: 'productSearchTool', parameters: { type: 'object' } } }];
+
+describe('OpenAI-compatible client', () => {
+  it('posts to /chat/completions with the key and returns the normalized message', async () => {
+    const fetchImpl = fakeFetch({
+      choices: [
+        {
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'c1', type: 'function', function: { name: 'productSearchTool', arguments: '{}' } }],
+          },
+          finish_reason: 'tool_calls',
+        },
+      ],
+      usage: { prompt_tokens: 10, completion_tokens: 5 },
+    });
+    const client = createOpenAICompatibleClient({ apiKey: 'key', baseUrl: 'http://llm/v1/', model: 'm', fetchImpl });
+
+    const result = await client.createChatCompletion({ messages: MESSAGES, tools: TOOLS });
+
+    expect(fetchImpl.requests[0].url).toBe('http://llm/v1/chat/completions');
+    expect(fetchImpl.requests[0].headers.Authorization).toBe('Bearer key');
+    expect(fetchImpl.requests[0].body).toMatchObject({ model: 'm', tools: TOOLS, tool_choice: 'auto' });
+    expect(result.message.tool_calls[0]).toEqual({
+      id: 'c1',
+      type: 'function',
+      function: { name: 'productSearchTool', arguments: '{}' },
+    });
+    expect(result.finishReason).toBe('tool_calls');
+  });
+
+  it('maps an HTTP error to LLM_SERVICE_UNAVAILABLE', async () => {
+    const client = createOpenAICompatibleClient({
+      baseUrl: 'http://llm',
+      model: 'm',
+      fetchImpl: fakeFetch({ error: 'overloaded' }, 429),
+    });
+
+    await expect(client.createChatCompletion({ messages: MESSAGES })).rejects.toMatchObject({
+      code: 'LLM_SERVICE_UNAVAILABLE',
+      message: 'LLM request failed with status 429',
+    });
+  });
+
+  it('cancels the request when the caller aborts its signal', async () => {
+    const fetchImpl = (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    const client = createOpenAICompatibleClient({ baseUrl: 'http://llm', model: 'm', fetchImpl });
+    const controller = new AbortController();
+
+    const completion = client.createChatCompletion({ messages: MESSAGES, signal: controller.signal });
+    controller.abort();
+
+    await expect(completion).rejects.toMatchObject({
+      code: 'LLM_SERVICE_UNAVAILABLE',
+      message: 'LLM request failed: cancelled',
+    });
+  });
+
+  it('maps a network failure to LLM_SERVICE_UNAVAILABLE', async () => {
+    const client = createOpenAICompatibleClient({
+      baseUrl: 'http://llm',
+      model: 'm',
+      fetchImpl: async () => {
+        throw new Error('connect ECONNREFUSED');
+      },
+    });
+
+    await expect(client.createChatCompletion({ messages: MESSAGES })).rejects.toMatchObject({
+      code: 'LLM_SERVICE_UNAVAILABLE',
+      message: 'LLM request failed: connect ECONNREFUSED',
+    });
+  });
+});
+
+describe('Ollama client', () => {
+  it('sends native /api/chat messages and returns OpenAI-format tool calls', async () => {
+    const fetchImpl = fakeFetch({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ function: { name: 'productSearchTool', arguments: { query: 'bin' } } }],
+      },
+      done_reason: 'stop',
+      prompt_eval_count: 12,
+      eval_count: 3,
+    });
+    const client = createOllamaClient({ baseUrl: 'http://localhost:11434', model: 'llama3.1', fetchImpl });
+
+    const result = await client.createChatCompletion({
+      messages: [
+        ...MESSAGES,
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'c1', type: 'function', function: { name: 'productSearchTool', arguments: '{"query":"bin"}' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'c1', content: '{"products":[]}' },
+      ],
+      tools: TOOLS,
+    });
+
+    const { url, body } = fetchImpl.requests[0];
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.stream).toBe(false);
+    expect(body.messages[1].tool_calls[0].function.arguments).toEqual({ query: 'bin' });
+    expect(body.messages[2]).toEqual({ role: 'tool', content: '{"products":[]}', tool_name: 'productSearchTool' });
+
+    expect(result.finishReason).toBe('tool_calls');
+    expect(result.message.tool_calls[0]).toMatchObject({
+      id: 'ollama_call_1_0',
+      function: { name: 'productSearchTool', arguments: '{"query":"bin"}' },
+    });
+    expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3 });
+  });
+});
+
+describe('provider selection', () => {
+  it('fills in missing call IDs and serializes object arguments', () => {
+    expect(normalizeToolCalls([{ function: { name: 'a', arguments: { x: 1 } } }, { function: {} }], 'p')).toEqual([
+      { id: 'p_0', type: 'function', function: { name: 'a', arguments: '{"x":1}' } },
+    ]);
+  });
+
+  it('needs an API key for hosted providers only', () => {
+    expect(isProviderConfigured('deepseek')).toBe(false);
+    expect(isProviderConfigured('ollama')).toBe(true);
+    expect(isProviderConfigured('llamacpp')).toBe(true);
+    expect(isProviderConfigured('unknown')).toBe(false);
+  });
+
+  it('creates a client from the environment configuration', () => {
+    const client = createProviderClient('llamacpp');
+
+    expect(client).toMatchObject({ name: 'llamacpp', model: 'local' });
+  });
+
+  it('rejects an unknown provider', () => {
+    expect(() => createProviderClient('unknown')).toThrow('Unknown LLM provider "unknown"');
+  });
+});
@@ -0,0 +1,240 @@
+const http = require('http');
+const request = require('supertest');
+const { createStubLlmServer } = require('../../scripts/stubLlmServer');
+const exampleScript = require('../../scripts/llmStubScript.example.json');
+const environmentConfig = require('../../src/config/environment');
+const llmService = require('../../src/services/llmService');
+const { createOpenAICompatibleClient, createOllamaClient } = require('../../src/services/llmProviders');
+const { toolRegistry } = require('../../src/tools');
+const { createChatApp, startConversation } = require('../helpers/chatApp');
+
+describe('llmService tool loop against the stub LLM server', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Start the stub server with a script and point llmService at it
+   * @param {Object} script - { completions, jsonCompletions }
+   * @param {Function} createClient - Client factory (OpenAI-compatible by default)
+   * @returns {Promise<void>}
+   */
+  const useScript = async (script, createClient = createOpenAICompatibleClient) => {
+    server = await new Promise((resolve) => {
+      const listening = createStubLlmServer(script).listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    llmService.setLlmClient(createClient({ name: 'stub', baseUrl, model: 'stub', timeoutMs: 5000 }));
+  };
+
+  /**
+   * Run the example script through the loop, collecting the events it sends
+   * @returns {Promise<Object>} - { result, events: [{ event, data }] }
+   */
+  const runStreamed = async () => {
+    const events = [];
+    const result = await llmService.runToolLoop({
+      messages: [{ role: 'user', content: 'do you have a door shelf bin?' }],
+      onEvent: (event, data) => events.push({ event, data }),
+    });
+    return { result, events };
+  };
+
+  /**
+   * Joined text of the token events
+   * @param {Array<Object>} events - [{ event, data }]
+   * @returns {string}
+   */
+  const streamedText = (events) =>
+    events
+      .filter(({ event }) => event === 'token')
+      .map(({ data }) => data.text)
+      .join('');
+
+  /**
+   * Requests the stub received
+   * @returns {Promise<Array<Object>>}
+   */
+  const receivedRequests = async () => (await fetch(`${baseUrl}/requests`)).json();
+
+  afterEach(async () => {
+    llmService.setLlmClient(null);
+    environmentConfig.intentClassifier.llmFallback = false;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('runs the requested tool and feeds its result back until the final answer', async () => {
+    await useScript(exampleScript);
+
+    const result = await llmService.runToolLoop({
+      messages: [{ role: 'user', content: 'do you have a door shelf bin?' }],
+    });
+
+    expect(result.content).toBe(exampleScript.completions[1].content);
+    expect(result.toolsUsed).toEqual(['productSearchTool']);
+    expect(result.iterations).toBe(2);
+    expect(result.toolCalls[0].success).toBe(true);
+
+    const [first, second] = await receivedRequests();
+    expect(first.tools.map((tool) => tool.function.name).sort()).toEqual(toolRegistry.getToolNames().sort());
+    const toolMessage = second.messages.find((message) => message.role === 'tool');
+    expect(toolMessage.tool_call_id).toBe('call_0_0');
+    expect(JSON.parse(toolMessage.content).products[0].id).toBe('PS11752778');
+  });
+
+  it('reports tool failures to the model instead of throwing', async () => {
+    await useScript({
+      completions: [{ toolCalls: [{ name: 'missingTool', arguments: {} }] }, { content: 'Sorry, I could not look that up.' }],
+    });
+
+    const result = await llmService.runToolLoop({ messages: [{ role: 'user', content: 'hi' }] });
+
+    expect(result.content).toBe('Sorry, I could not look that up.');
+    expect(result.toolCalls[0]).toMatchObject({ name: 'missingTool', success: false });
+    const [, second] = await receivedRequests();
+    expect(JSON.parse(second.messages[second.messages.length - 1].content)).toEqual({ error: 'Unknown tool: missingTool' });
+  });
+
+  it('gives up after maxIterations', async () => {
+    const toolCall = { toolCalls: [{ name: 'productSearchTool', arguments: { query: 'bin' } }] };
+    await useScript({ completions: [toolCall, toolCall] });
+
+    await expect(
+      llmService.runToolLoop({ messages: [{ role: 'user', content: 'hi' }], maxIterations: 2 })
+    ).rejects.toMatchObject({ code: 'LLM_SERVICE_UNAVAILABLE' });
+  });
+
+  it('answers a general chat message through the loop with the documented stub settings', async () => {
+    environmentConfig.intentClassifier.llmFallback = true;
+    await useScript(exampleScript);
+
+    const reply = await startConversation().say('hello');
+
+    expect(reply.response.content).toBe(exampleScript.completions[1].content);
+    expect(reply.metadata.toolsUsed).toEqual(['productSearchTool']);
+
+    // The intent fallback asked for JSON, found none scripted, and kept the rule result
+    const requests = await receivedRequests();
+    expect(requests[0].response_format).toBeDefined();
+    expect(requests.slice(1).every((request) => !request.response_format)).toBe(true);
+  });
+
+  it('answers the intent fallback from jsonCompletions', async () => {
+    environmentConfig.intentClassifier.llmFallback = true;
+    await useScript({
+      ...exampleScript,
+      jsonCompletions: [
+        {
+          content: JSON.stringify({
+            intent: 'general_inquiry',
+            confidence: 0.9,
+            entities: { partNumber: null, modelNumber: null, applianceType: null },
+          }),
+        },
+      ],
+    });
+
+    const reply = await startConversation().say('hello');
+
+    expect(reply.metadata.toolsUsed).toEqual(['productSearchTool']);
+    expect(await receivedRequests()).toHaveLength(3);
+  });
+
+  describe('streaming', () => {
+    it('forwards content deltas as token events while the model writes them', async () => {
+      await useScript(exampleScript);
+
+      const { result, events } = await runStreamed();
+
+      expect(result.toolsUsed).toEqual(['productSearchTool']);
+      expect(result.toolCalls[0].inputs).toEqual(exampleScript.completions[0].toolCalls[0].arguments);
+      expect(events.map(({ event }) => event).slice(0, 3)).toEqual(['tool_start', 'tool_end', 'token']);
+      expect(events.filter(({ event }) => event === 'token').length).toBeGreaterThan(5);
+      expect(streamedText(events)).toBe(result.content);
+      expect((await receivedRequests()).every((body) => body.stream === true)).toBe(true);
+    });
+
+    it('streams from Ollama as well', async () => {
+      await useScript(exampleScript, createOllamaClient);
+
+      const { result, events } = await runStreamed();
+
+      expect(result.toolsUsed).toEqual(['productSearchTool']);
+      expect(streamedText(events)).toBe(exampleScript.completions[1].content);
+    });
+
+    it('does not stream without an event listener', async () => {
+      await useScript(exampleScript);
+
+      await llmService.runToolLoop({ messages: [{ role: 'user', content: 'hi' }] });
+
+      expect((await receivedRequests()).some((body) => body.stream)).toBe(false);
+    });
+
+    it('sends each LLM token once over /api/chat/stream', async () => {
+      await useScript(exampleScript);
+
+      const response = await request(createChatApp()).post('/api/chat/stream').send({ message: 'hello' });
+      const events = response.text
+        .trim()
+        .split('\n\n')
+        .map((block) => {
+          const [, event, data] = block.match(/^event: (\S+)\ndata: (.*)$/s);
+          return { event, data: JSON.parse(data) };
+        });
+      const final = events[events.length - 1];
+
+      expect(final.event).toBe('final');
+      expect(streamedText(events)).toBe(final.data.response.content);
+      expect(final.data.metadata.toolsUsed).toEqual(['productSearchTool']);
+    });
+  });
+});
+
+describe('llmService when the streaming client disconnects', () => {
+  let server;
+
+  afterEach(async () => {
+    llmService.setLlmClient(null);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('cancels the LLM request', async () => {
+    let started;
+    let cancelled;
+    const requestStarted = new Promise((resolve) => {
+      started = resolve;
+    });
+    const requestCancelled = new Promise((resolve) => {
+      cancelled = resolve;
+    });
+    // Answers only by failing once the request is aborted
+    const fetchImpl = (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        started();
+        signal.addEventListener('abort', () => {
+          cancelled(signal.reason);
+          reject(signal.reason);
+        });
+      });
+    llmService.setLlmClient(
+      createOpenAICompatibleClient({ name: 'hanging', baseUrl: 'http://llm', model: 'm', fetchImpl })
+    );
+    server = await new Promise((resolve) => {
+      const listening = createChatApp().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const client = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: 'POST',
+      path: '/api/chat/stream',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    client.on('error', () => {});
+    client.end(JSON.stringify({ message: 'hello' }));
+    await requestStarted;
+    client.destroy();
+
+    expect((await requestCancelled).name).toBe('AbortError');
+  });
+});
@@ -0,0 +1,51 @@
+const { preprocessMessage } = require('../../src/services/messageService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('messageService.preprocessMessage normalization', () => {
+  it.each([
+    ['my frig is leaking', 'my fridge is leaking', 'lexicon'],
+    ['dish washer not draining', 'dishwasher not draining', 'compound'],
+    ['whirpool ice maker', 'whirlpool ice maker', 'spelling'],
+  ])('normalizes "%s"', async (message, normalized, type) => {
+    const result = await preprocessMessage(message);
+
+    expect(result.normalized).toBe(normalized);
+    expect(result.corrections.map((correction) => correction.type)).toEqual([type]);
+    // The cleaned text is kept as the customer wrote it
+    expect(result.cleaned).toBe(message);
+  });
+
+  it('corrects several misspellings in one message', async () => {
+    const result = await preprocessMessage('my dishwsher is leeking');
+
+    expect(result.normalized).toBe('my dishwasher is leaking');
+    expect(result.corrections).toEqual([
+      { from: 'dishwsher', to: 'dishwasher', type: 'spelling' },
+      { from: 'leeking', to: 'leaking', type: 'spelling' },
+    ]);
+  });
+
+  it('leaves plurals, inflections and part numbers alone', async () => {
+    for (const message of ['the bins are cracked', 'PS11752778 gaskets', 'the ice maker stopped freezing']) {
+      const result = await preprocessMessage(message);
+
+      expect(result.normalized).toBe(message);
+      expect(result.corrections).toEqual([]);
+    }
+  });
+});
+
+describe('misspelled messages in a conversation', () => {
+  it('diagnoses a symptom on a misspelled appliance', async () => {
+    const body = await startConversation().say('my frig is leaking');
+
+    expect(body.metadata.intent).toBe('troubleshooting');
+    expect(body.response.content).toMatch(/^Here are the most likely causes for your refrigerator leaking/);
+  });
+
+  it('classifies a message with several misspellings', async () => {
+    const body = await startConversation().say('my dishwsher is leeking');
+
+    expect(body.metadata).toMatchObject({ intent: 'troubleshooting', inScope: true });
+  });
+});
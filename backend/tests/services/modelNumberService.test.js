@@ -0,0 +1,54 @@
+const modelNumberService = require('../../src/services/modelNumberService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('modelNumberService.matchBrandFormats', () => {
+  it.each([
+    ['RF28R7351SR', 'Samsung', 'refrigerator'],
+    ['RF28HMEDBSR', 'Samsung', 'refrigerator'],
+    ['GTS18GTHBRWW', 'GE', 'refrigerator'],
+    ['SHXM78W55N', 'Bosch', 'dishwasher'],
+    ['SHE3AR75UC', 'Bosch', 'dishwasher'],
+    ['FFSS2615TS0', 'Frigidaire', 'refrigerator'],
+    ['665.13223K900', 'Kenmore', 'dishwasher'],
+    ['WDT780SAEM1', 'Whirlpool', 'dishwasher'],
+  ])('recognizes %s as a %s %s', (modelNumber, brand, applianceType) => {
+    expect(modelNumberService.matchBrandFormats(modelNumber)).toContainEqual({ brand, applianceType });
+  });
+});
+
+describe('modelNumberService.extractModels', () => {
+  it('extracts a brand-format model with the brand named', () => {
+    expect(modelNumberService.extractModels('my Samsung RF28R7351SR')).toEqual([
+      {
+        modelNumber: 'RF28R7351SR',
+        brand: 'Samsung',
+        applianceType: 'refrigerator',
+        confidence: 0.9,
+        source: 'brand_format',
+      },
+    ]);
+  });
+
+  it('takes a named brand as the cue for a model no format or generic pattern covers', () => {
+    const [model] = modelNumberService.extractModels('is it compatible with my Whirlpool XQ99ZZ12?');
+
+    expect(model).toMatchObject({ modelNumber: 'XQ99ZZ12', brand: 'Whirlpool', source: 'pattern', confidence: 0.5 });
+  });
+
+  it('does not take codes in unrelated text for models', () => {
+    expect(modelNumberService.extractModels('my coupon code is XQ99ZZ12')).toEqual([]);
+  });
+
+  it('never takes part numbers or manufacturer part numbers for models', () => {
+    expect(modelNumberService.extractModels('Samsung DA97-07365G and PS11752778')).toEqual([]);
+  });
+});
+
+describe('brand models in the chat', () => {
+  it('checks compatibility instead of asking for the model again', async () => {
+    const reply = await startConversation().say('is PS11752778 compatible with my Samsung RF28R7351SR?');
+
+    expect(reply.response.type).toBe('compatibility_result');
+    expect(reply.response.data).toMatchObject({ partNumber: 'PS11752778', modelNumber: 'RF28R7351SR' });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const nluEvaluationService = require('../../src/services/nluEvaluationService');
+
+const GOLDEN = [
+  {
+    text: 'looking for PS11739091',
+    scope: 'in_scope',
+    intent: 'product_search',
+    entities: { partNumbers: ['PS11739091'] },
+  },
+  {
+    text: 'is PS11752778 compatible with my refrigerator',
+    scope: 'in_scope',
+    intent: 'compatibility_check',
+    entities: { partNumbers: ['PS11752778'] },
+  },
+  { text: "what's the weather like today", scope: 'out_of_scope' },
+];
+
+describe('nluEvaluationService', () => {
+  let directory;
+
+  /**
+   * Write a golden set file
+   * @param {Array<Object>} examples - Labelled examples
+   * @returns {string} - Path of the file
+   */
+  const writeGolden = (examples) => {
+    const goldenSetPath = path.join(directory, 'golden.jsonl');
+    fs.writeFileSync(goldenSetPath, examples.map((example) => JSON.stringify(example)).join('\n'));
+    return goldenSetPath;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlu-eval-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('scores scope, intent and entities on a golden set', async () => {
+    const results = await nluEvaluationService.evaluate({ goldenSetPath: writeGolden(GOLDEN) });
+
+    expect(results.summary).toMatchObject({ exampleCount: 3, scopeAccuracy: 1, intentAccuracy: 1, entityF1: 1 });
+    expect(results.intent.confusionMatrix.product_search.product_search).toBe(1);
+    // Intent is only scored on examples labelled with one
+    expect(results.intent.total).toBe(2);
+  });
+
+  it('reports the examples that were right in the baseline and are wrong now', async () => {
+    const baseline = nluEvaluationService.buildBaseline(
+      await nluEvaluationService.evaluate({ goldenSetPath: writeGolden(GOLDEN) })
+    );
+    const mislabelled = [{ ...GOLDEN[0], intent: 'troubleshooting' }, ...GOLDEN.slice(1)];
+
+    const results = await nluEvaluationService.evaluate({ goldenSetPath: writeGolden(mislabelled) });
+    const { metricDrops, exampleRegressions } = nluEvaluationService.compareToBaseline(results, baseline);
+
+    expect(exampleRegressions).toEqual([
+      {
+        text: 'looking for PS11739091',
+        field: 'intent',
+        expected: 'troubleshooting',
+        predicted: 'product_search',
+        baselinePredicted: 'product_search',
+      },
+    ]);
+    expect(metricDrops.map((drop) => drop.metric)).toContain('intentAccuracy');
+  });
+
+  it('lists the metrics below their thresholds', () => {
+    const failed = nluEvaluationService.checkThresholds(
+      { scopeAccuracy: 0.9, intentAccuracy: 0.7, entityF1: 1 },
+      { scopeAccuracy: 0.85, intentAccuracy: 0.8, entityF1: 0.6 }
+    );
+
+    expect(failed).toEqual([{ metric: 'intentAccuracy', value: 0.7, threshold: 0.8 }]);
+  });
+
+  it('exits non-zero from the CLI when accuracy is below a threshold', async () => {
+    const goldenSetPath = writeGolden([{ ...GOLDEN[0], intent: 'troubleshooting' }]);
+    const script = path.join(__dirname, '../../scripts/evaluateNlu.js');
+    const args = [script, '--golden', goldenSetPath, '--baseline', path.join(directory, 'baseline.json')];
+
+    const exitCode = await new Promise((resolve) => {
+      execFile(process.execPath, [...args, '--min-intent-accuracy', '1'], (error) => resolve(error ? error.code : 0));
+    });
+
+    expect(exitCode).toBe(1);
+  });
+});
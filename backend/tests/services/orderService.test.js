@@ -0,0 +1,64 @@
+const orderService = require('../../src/services/orderService');
+const OrderSupportTool = require('../../src/tools/orderSupportTool');
+
+describe('orderService.lookupOrder', () => {
+  it('returns the order when the email matches', async () => {
+    const result = await orderService.lookupOrder({ orderNumber: '81234567', email: 'Jane.Doe@example.com' });
+
+    expect(result.found).toBe(true);
+    expect(result.order).toMatchObject({ orderNumber: '81234567', status: 'in_transit', shipTo: 'Boston, MA' });
+  });
+
+  it('returns the order when the ZIP code matches', async () => {
+    const result = await orderService.lookupOrder({ orderNumber: '8123-4567', zipCode: '02118' });
+
+    expect(result.found).toBe(true);
+    expect(result.orderNumber).toBe('81234567');
+  });
+
+  it('leaves the email and street address out of the order', async () => {
+    const { order } = await orderService.lookupOrder({ orderNumber: '81234567', zipCode: '02118' });
+
+    expect(JSON.stringify(order)).not.toMatch(/jane\.doe@example\.com/i);
+    expect(order.shippingAddress).toBeUndefined();
+  });
+
+  it('gives the same answer for a wrong email and an unknown order', async () => {
+    const wrongEmail = await orderService.lookupOrder({ orderNumber: '81234567', email: 'someone@example.com' });
+    const unknownOrder = await orderService.lookupOrder({ orderNumber: '99999999', email: 'jane.doe@example.com' });
+
+    expect(wrongEmail).toEqual({ found: false, orderNumber: '81234567', order: null });
+    expect(unknownOrder).toEqual({ found: false, orderNumber: '99999999', order: null });
+  });
+
+  it('uses the repository set with setOrderRepository', async () => {
+    const defaultRepository = orderService.getOrderRepository();
+    const order = { orderNumber: 'A1', email: 'a@example.com', status: 'processing', shippingAddress: { zipCode: '10001' } };
+
+    try {
+      orderService.setOrderRepository({
+        name: 'test',
+        findByOrderNumber: async (orderNumber) => (orderNumber === 'A1' ? order : null),
+      });
+      const result = await orderService.lookupOrder({ orderNumber: 'a1', zipCode: '10001' });
+
+      expect(result.found).toBe(true);
+      expect(result.order.statusLabel).toBe('being prepared for shipment');
+    } finally {
+      orderService.setOrderRepository(defaultRepository);
+    }
+  });
+
+  it('rejects a repository without findByOrderNumber', () => {
+    expect(() => orderService.setOrderRepository({ name: 'broken' })).toThrow();
+  });
+});
+
+describe('orderSupportTool', () => {
+  it('requires an email or ZIP code', async () => {
+    const outcome = await new OrderSupportTool().run({ orderNumber: '81234567' });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error).toBe('email or zipCode is required to verify the order');
+  });
+});
@@ -0,0 +1,74 @@
+const { detectAdjacentAppliances, detectScope } = require('../../src/services/scopeDetectionService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('scopeDetectionService.detectAdjacentAppliances', () => {
+  it('finds the appliances in message order with their category links', () => {
+    expect(detectAdjacentAppliances('my dryer and oven are broken')).toEqual([
+      {
+        id: 'dryer',
+        name: 'dryer',
+        redirect: { label: 'Dryer Parts', url: 'https://www.partselect.com/Dryer-Parts.htm' },
+      },
+      {
+        id: 'oven',
+        name: 'oven and range',
+        redirect: { label: 'Oven & Range Parts', url: 'https://www.partselect.com/Range-Parts.htm' },
+      },
+    ]);
+  });
+
+  it.each(['I need a rubber washer for the hose', 'price range for fridge bins'])(
+    'does not take the hardware or the common word in "%s" for an appliance',
+    (message) => {
+      expect(detectAdjacentAppliances(message)).toEqual([]);
+    }
+  );
+
+  it('leaves a message that also names a refrigerator or dishwasher in scope', () => {
+    expect(detectAdjacentAppliances('my dishwasher and my dryer are both leaking')).toEqual([]);
+  });
+});
+
+describe('scopeDetectionService.detectScope', () => {
+  it.each(['part 2198597', 'whirlpool part #2198597', 'kenmore 2198597'])(
+    'takes the 7-digit legacy number in "%s" for a part number',
+    async (message) => {
+      expect(await detectScope(message)).toMatchObject({ inScope: true, confidence: 1 });
+    }
+  );
+
+  it.each(['call me at 5551234', 'my reference is 1234567'])(
+    'does not take the bare 7-digit number in "%s" for a part number',
+    async (message) => {
+      expect((await detectScope(message)).reason).not.toBe('Explicit part or model number pattern detected');
+    }
+  );
+});
+
+describe('legacy part numbers in a conversation', () => {
+  it('finds the current part for a legacy number after "part #"', async () => {
+    const body = await startConversation().say('do you have part #2198597');
+
+    expect(body.response.content).toMatch(/^Whirlpool part 2198597 is PartSelect part PS11752778/);
+    expect(body.response.data.products.map((product) => product.id)).toEqual(['PS11752778']);
+  });
+});
+
+describe('neighbouring appliances in a conversation', () => {
+  it('redirects a washer question to the Washer Parts category', async () => {
+    const body = await startConversation().say('my washing machine will not spin');
+
+    expect(body.response.type).toBe('unsupported_appliance');
+    expect(body.response.content).toMatch(/^I can't help with washer parts here/);
+    expect(body.response.data.redirects).toEqual([
+      { appliance: 'washer', label: 'Washer Parts', url: 'https://www.partselect.com/Washer-Parts.htm' },
+    ]);
+  });
+
+  it('answers the dishwasher part of a message that also mentions a dryer', async () => {
+    const body = await startConversation().say('my dishwasher and my dryer are both leaking');
+
+    expect(body.response.type).toBe('troubleshooting');
+    expect(body.response.content).toMatch(/dishwasher leaking/);
+  });
+});
@@ -0,0 +1,113 @@
+const slotFillingService = require('../../src/services/slotFillingService');
+const { startConversation } = require('../helpers/chatApp');
+
+/**
+ * Build the preprocessed message fillSlots expects
+ * @param {string} cleaned - Cleaned message
+ * @param {Array<string>} partNumbers - Extracted part numbers
+ * @returns {Object}
+ */
+const preprocessed = (cleaned, partNumbers = []) => ({ cleaned, entities: { partNumbers } });
+
+describe('slotFillingService.fillSlots', () => {
+  const pendingCompatibility = {
+    intent: 'compatibility_check',
+    required: ['partNumber', 'modelNumber'],
+    slots: { partNumber: 'PS11752778' },
+    missing: ['modelNumber'],
+    message: 'is PS11752778 compatible?',
+    attempts: 1,
+  };
+
+  it('keeps a request whose required slot is missing as the pending intent', () => {
+    const result = slotFillingService.fillSlots({
+      routedIntent: 'compatibility_check',
+      intent: { context: {} },
+      preprocessedMessage: preprocessed('is PS11752778 compatible?', ['PS11752778']),
+    });
+
+    expect(result).toMatchObject({ intentName: 'compatibility_check', missing: ['modelNumber'], resumed: false });
+    expect(result.pendingIntent).toEqual(pendingCompatibility);
+  });
+
+  it('completes the pending intent when the reply fills the missing slot', () => {
+    const result = slotFillingService.fillSlots({
+      routedIntent: 'general_inquiry',
+      intent: { context: {} },
+      preprocessedMessage: preprocessed('WRS325SDHZ'),
+      pendingIntent: pendingCompatibility,
+    });
+
+    expect(result).toMatchObject({
+      intentName: 'compatibility_check',
+      slots: { partNumber: 'PS11752778', modelNumber: 'WRS325SDHZ' },
+      missing: [],
+      message: 'is PS11752778 compatible? WRS325SDHZ',
+      resumed: true,
+      answered: true,
+      pendingIntent: null,
+    });
+  });
+
+  it('asks again when the reply does not answer, up to MAX_ATTEMPTS', () => {
+    const input = {
+      routedIntent: 'general_inquiry',
+      intent: { context: {} },
+      preprocessedMessage: preprocessed('where do I find that?'),
+    };
+
+    const again = slotFillingService.fillSlots({ ...input, pendingIntent: pendingCompatibility });
+    expect(again).toMatchObject({
+      intentName: 'compatibility_check',
+      missing: ['modelNumber'],
+      resumed: true,
+      answered: false,
+    });
+    expect(again.pendingIntent.attempts).toBe(2);
+
+    const dropped = slotFillingService.fillSlots({ ...input, pendingIntent: again.pendingIntent });
+    expect(dropped).toMatchObject({ intentName: 'general_inquiry', resumed: false, pendingIntent: null });
+  });
+
+  it('drops the pending intent for a new request', () => {
+    const result = slotFillingService.fillSlots({
+      routedIntent: 'product_search',
+      intent: { context: {} },
+      preprocessedMessage: preprocessed('show me door bins'),
+      pendingIntent: pendingCompatibility,
+    });
+
+    expect(result).toMatchObject({ intentName: 'product_search', missing: [], pendingIntent: null });
+  });
+
+  it('only needs an order number for order status questions', () => {
+    expect(slotFillingService.getRequiredSlots('order_support', 'where is my order?')).toEqual(['orderNumber']);
+    expect(slotFillingService.getRequiredSlots('order_support', 'how do I add this to my cart')).toEqual([]);
+  });
+});
+
+describe('clarifying questions in a conversation', () => {
+  it('asks for the model number and then answers the compatibility question', async () => {
+    const conversation = startConversation();
+
+    const question = await conversation.say('is PS11752778 compatible?');
+    expect(question.response.content).toBe(
+      'I can check that for you. Could you tell me your appliance model number (on the rating plate, e.g., WDT780SAEM1)?'
+    );
+
+    const answer = await conversation.say('WRS325SDHZ');
+    expect(answer.response.type).toBe('compatibility_result');
+    expect(answer.response.content).toMatch(/^Yes, part PS11752778 .* fits your WRS325SDHZ/);
+  });
+
+  it('asks for the part number and then shows the installation guide', async () => {
+    const conversation = startConversation();
+
+    const question = await conversation.say('how do I install it?');
+    expect(question.response.content).toMatch(/Could you tell me the part number/);
+
+    const answer = await conversation.say('PS11752778');
+    expect(answer.response.type).toBe('installation_guide');
+    expect(answer.response.data.partNumber).toBe('PS11752778');
+  });
+});
@@ -0,0 +1,74 @@
+const troubleshootingService = require('../../src/services/troubleshootingService');
+const { startConversation } = require('../helpers/chatApp');
+
+const ICE_MAKER_STATE = {
+  treeId: 'refrigerator_ice_maker_not_working',
+  answers: {},
+  pendingQuestionId: 'dispenser_works',
+  applianceType: 'refrigerator',
+  modelNumber: null,
+};
+
+describe('troubleshootingService.isAnswerToPendingQuestion', () => {
+  it.each(['yes', 'no', 'nope it does not', 'yes, it works fine', 'not sure'])('takes "%s" as an answer', (message) => {
+    expect(troubleshootingService.isAnswerToPendingQuestion(ICE_MAKER_STATE, message)).toBe(true);
+  });
+
+  it('does not take a long message containing an answer keyword as an answer', () => {
+    expect(
+      troubleshootingService.isAnswerToPendingQuestion(ICE_MAKER_STATE, 'no, I just want to add PS11752778 to my cart')
+    ).toBe(false);
+  });
+
+  it('does not take a message without an answer keyword as an answer', () => {
+    expect(troubleshootingService.isAnswerToPendingQuestion(ICE_MAKER_STATE, 'the freezer is cold')).toBe(false);
+  });
+
+  it('has nothing to answer without a pending question', () => {
+    expect(troubleshootingService.isAnswerToPendingQuestion(null, 'yes')).toBe(false);
+  });
+});
+
+describe('diagnosis follow-up questions', () => {
+  /**
+   * Start a conversation with an ice maker diagnosis waiting for an answer
+   * @returns {Promise<Object>} - The conversation
+   */
+  const startDiagnosis = async () => {
+    const conversation = startConversation();
+    const first = await conversation.say('my ice maker is not working');
+    expect(first.response.type).toBe('troubleshooting');
+    return conversation;
+  };
+
+  it('continues the diagnosis with a short answer', async () => {
+    const conversation = await startDiagnosis();
+    const reply = await conversation.say('no');
+
+    expect(reply.response.type).toBe('troubleshooting');
+    expect(reply.response.content).toMatch(/^Thanks, that helps/);
+  });
+
+  it('lets an order question take over', async () => {
+    const conversation = await startDiagnosis();
+    const reply = await conversation.say('I have a question about my order');
+
+    expect(reply.metadata.intent).toBe('order_support');
+    expect(reply.response.type).not.toBe('troubleshooting');
+  });
+
+  it('lets a cart command take over', async () => {
+    const conversation = await startDiagnosis();
+    const reply = await conversation.say('no, I just want to add PS11752778 to my cart');
+
+    expect(reply.response.type).toBe('cart');
+    expect(reply.response.content).toMatch(/Added 1 × Refrigerator Door Shelf Bin/);
+  });
+
+  it('lets an appliance declaration take over', async () => {
+    const conversation = await startDiagnosis();
+    const reply = await conversation.say('I have a Whirlpool fridge WRS325SDHZ');
+
+    expect(reply.response.type).toBe('appliances');
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Jest setup
+ * Runs before each test file: no LLM calls, memory sessions and quiet logs, whatever .env says
+ * (dotenv does not override variables that are already set).
+ */
+
+process.env.NODE_ENV = 'testing';
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_STORE = 'memory';
+process.env.LLM_PROVIDER = 'deepseek';
+process.env.DEEPSEEK_API_KEY = '';
+process.env.INTENT_LLM_FALLBACK = 'false';
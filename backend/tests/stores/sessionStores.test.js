@@ -0,0 +1,155 @@
+const { createSessionStore } = require('../../src/stores');
+const FakeRedis = require('../helpers/fakeRedis');
+
+/**
+ * A session as sessionService creates it
+ * @param {string} sessionId - The session ID
+ * @returns {Object}
+ */
+const createSession = (sessionId) => ({
+  sessionId,
+  lastActivity: new Date().toISOString(),
+  conversationHistory: [],
+  userContext: {},
+  isActive: true,
+});
+
+describe.each([
+  ['memory', (overrides) => createSessionStore('memory', overrides)],
+  ['redis', (overrides) => createSessionStore('redis', { client: new FakeRedis(), retryDelayMs: 1, ...overrides })],
+])('%s session store', (storeName, create) => {
+  let store;
+
+  beforeEach(() => {
+    store = create();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('hands out copies of the stored session', async () => {
+    await store.set(createSession('s1'));
+
+    const session = await store.get('s1');
+    session.userContext.cart = { items: [] };
+
+    expect((await store.get('s1')).userContext).toEqual({});
+  });
+
+  it('answers null for a missing session', async () => {
+    expect(await store.get('missing')).toBeNull();
+    expect(await store.update('missing', () => {})).toBeNull();
+    expect(await store.delete('missing')).toBe(false);
+  });
+
+  it('expires a session ttlMs after its last write', async () => {
+    const shortLived = create({ ttlMs: 20 });
+    await shortLived.set(createSession('s1'));
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    expect(await shortLived.get('s1')).toBeNull();
+    expect(await shortLived.list()).toEqual([]);
+    await shortLived.close();
+  });
+
+  it('keeps every change of concurrent updates', async () => {
+    await store.set(createSession('s1'));
+
+    await Promise.all(
+      Array.from({ length: 5 }, (_, index) =>
+        store.update('s1', (session) => {
+          session.conversationHistory.push(index);
+        })
+      )
+    );
+
+    expect((await store.get('s1')).conversationHistory.sort()).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('lists and deletes sessions', async () => {
+    await store.set(createSession('s1'));
+    await store.set(createSession('s2'));
+
+    expect(await store.delete('s1')).toBe(true);
+    expect((await store.list()).map((session) => session.sessionId)).toEqual(['s2']);
+  });
+
+  it('keeps queued sessions, oldest first, until they leave the handoff queue', async () => {
+    const shortLived = create({ ttlMs: 20 });
+    await shortLived.set(createSession('s1'));
+    await shortLived.set(createSession('s2'));
+    await shortLived.enqueue('s2', 1000);
+    await shortLived.enqueue('s1', 2000);
+    await shortLived.enqueue('s2', 3000);
+    await shortLived.update('s1', (session) => {
+      session.userContext.handoff = { status: 'queued' };
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    expect((await shortLived.listQueue()).map((session) => session.sessionId)).toEqual(['s2', 's1']);
+    expect((await shortLived.get('s1')).userContext.handoff).toEqual({ status: 'queued' });
+
+    await shortLived.dequeue('s1');
+    await shortLived.delete('s2');
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    expect(await shortLived.get('s1')).toBeNull();
+    expect(await shortLived.listQueue()).toEqual([]);
+    await shortLived.close();
+  });
+});
+
+describe('redis session store', () => {
+  it('runs the mutator again on the new value when another write lands during the update', async () => {
+    const client = new FakeRedis();
+    const store = createSessionStore('redis', { client, retryDelayMs: 1 });
+    await store.set(createSession('s1'));
+    const seen = [];
+
+    const updated = await store.update('s1', (session) => {
+      seen.push(session.userContext.count || 0);
+      if (seen.length === 1) {
+        // Written after WATCH, so this attempt's EXEC fails
+        client.set(store.key('s1'), JSON.stringify({ ...session, userContext: { count: 5 } }), { PX: 60000 });
+      }
+      session.userContext.count = (session.userContext.count || 0) + 1;
+    });
+
+    expect(seen).toEqual([0, 5]);
+    expect(updated.userContext.count).toBe(6);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const client = new FakeRedis();
+    const store = createSessionStore('redis', { client, maxRetries: 2, retryDelayMs: 1 });
+    await store.set(createSession('s1'));
+
+    await expect(
+      store.update('s1', (session) => {
+        client.set(store.key('s1'), JSON.stringify(session), { PX: 60000 });
+      })
+    ).rejects.toThrow('Session s1 kept changing during update (2 attempts)');
+  });
+
+  it('takes a queued session whose key is gone off the handoff queue', async () => {
+    const client = new FakeRedis();
+    const store = createSessionStore('redis', { client });
+    await store.set(createSession('s1'));
+    await store.enqueue('s1', 1000);
+
+    await client.del(store.key('s1'));
+
+    expect(await store.listQueue()).toEqual([]);
+    expect(await client.zRange(store.queueKey, 0, -1)).toEqual([]);
+  });
+
+  it('keeps sessions for a new store on the same Redis', async () => {
+    const client = new FakeRedis();
+    await createSessionStore('redis', { client }).set(createSession('s1'));
+
+    expect((await createSessionStore('redis', { client }).get('s1')).sessionId).toBe('s1');
+  });
+});
@@ -0,0 +1,64 @@
+const CompatibilityTool = require('../../src/tools/compatibilityTool');
+
+describe('compatibilityTool', () => {
+  const tool = new CompatibilityTool();
+
+  /**
+   * Run a compatibility check and return its result data
+   * @param {string} partNumber - Part number
+   * @param {string} modelNumber - Model number
+   * @returns {Promise<Object>} - Compatibility result
+   */
+  const check = async (partNumber, modelNumber) => {
+    const outcome = await tool.run({ partNumber, modelNumber });
+    expect(outcome.success).toBe(true);
+    return outcome.result.data;
+  };
+
+  it('answers compatible for a part listed for the model', async () => {
+    const result = await check('PS11752778', 'WRS325SDHZ');
+
+    expect(result.status).toBe('compatible');
+    expect(result.model.applianceType).toBe('refrigerator');
+  });
+
+  it('ignores the case of part and model numbers', async () => {
+    expect((await check('ps11752778', 'wrs325sdhz')).status).toBe('compatible');
+  });
+
+  it('answers incompatible with the reason and alternatives that fit', async () => {
+    const result = await check('PS11739091', 'RF28HMEDBSR');
+
+    expect(result.status).toBe('incompatible');
+    expect(result.evidence[0]).toMatch(/not listed in the fitment data/);
+    expect(result.alternatives.map((part) => part.id)).toEqual(['PS12070506']);
+  });
+
+  it('explains an appliance type mismatch', async () => {
+    const result = await check('PS11752778', 'WDT780SAEM1');
+
+    expect(result.status).toBe('incompatible');
+    expect(result.evidence).toContain('PS11752778 is a refrigerator part, but WDT780SAEM1 is a Whirlpool dishwasher.');
+  });
+
+  it('answers unknown for a model it has no data for', async () => {
+    const result = await check('PS11752778', 'ZZZ12345');
+
+    expect(result.status).toBe('unknown');
+    expect(result.evidence).toEqual(['Model ZZZ12345 is not in our compatibility data.']);
+  });
+
+  it('answers unknown for a part that is not in the catalog', async () => {
+    const result = await check('PS99999999', 'WRS325SDHZ');
+
+    expect(result.status).toBe('unknown');
+    expect(result.part).toBeNull();
+  });
+
+  it('requires both numbers', async () => {
+    const outcome = await tool.run({ partNumber: 'PS11752778', modelNumber: ' ' });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error).toMatch(/modelNumber/);
+  });
+});
@@ -0,0 +1,69 @@
+const ErrorCodeTool = require('../../src/tools/errorCodeTool');
+const errorCodeService = require('../../src/services/errorCodeService');
+const { startConversation } = require('../helpers/chatApp');
+
+describe('errorCodeService.extractErrorCodes', () => {
+  it.each([
+    ['my Whirlpool dishwasher shows F9 E1', ['F9 E1']],
+    ['error code 5E on my Samsung dishwasher', ['5E']],
+    ['my fridge says ER IF', ['ER IF']],
+    ['the light is blinking seven times', ['7 blinks']],
+  ])('finds the code in "%s"', (message, codes) => {
+    expect(errorCodeService.extractErrorCodes(message)).toEqual(codes);
+  });
+
+  it('ignores codes that are not in the table', () => {
+    expect(errorCodeService.extractErrorCodes('I have 2 E1 units')).toEqual([]);
+  });
+});
+
+describe('errorCodeTool', () => {
+  const tool = new ErrorCodeTool();
+
+  it('explains a code with its components and steps', async () => {
+    const outcome = await tool.run({ code: 'F9 E1', brand: 'Whirlpool' });
+
+    expect(outcome.success).toBe(true);
+    expect(outcome.result.data).toMatchObject({
+      status: 'found',
+      code: 'F9 E1',
+      match: { brand: 'Whirlpool', applianceType: 'dishwasher', code: 'F9E1' },
+    });
+    expect(outcome.result.data.match.steps.length).toBeGreaterThan(0);
+  });
+
+  it('maps a blink count to the display code', async () => {
+    const outcome = await tool.run({ code: '7 blinks' });
+
+    expect(outcome.result.data.match.code).toBe('F7E1');
+  });
+
+  it('reports an unknown code as not found', async () => {
+    const outcome = await tool.run({ code: 'ZZ' });
+
+    expect(outcome.result.data).toMatchObject({ status: 'not_found', match: null, candidates: [] });
+  });
+
+  it('rejects an unsupported appliance type', async () => {
+    const outcome = await tool.run({ code: 'E15', applianceType: 'oven' });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error).toMatch(/^applianceType must be one of/);
+  });
+});
+
+describe('error codes in a conversation', () => {
+  it('answers an error code with its meaning and the part to replace', async () => {
+    const body = await startConversation().say('my Whirlpool dishwasher shows F9 E1');
+
+    expect(body.metadata.intent).toBe('troubleshooting');
+    expect(body.response.content).toMatch(/^On Whirlpool dishwashers, F9 E1 \(code F9E1\) means:/);
+    expect(body.response.data.possibleCauses[0].recommendedParts).toEqual(['PS11756069']);
+  });
+
+  it('finds the brand from the code when the message names none', async () => {
+    const body = await startConversation().say('my dishwasher shows error E24');
+
+    expect(body.response.content).toMatch(/^On Bosch dishwashers, E24 means:/);
+  });
+});
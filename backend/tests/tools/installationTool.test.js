@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InstallationTool = require('../../src/tools/installationTool');
+const installationGuideService = require('../../src/services/installationGuideService');
+const { handleInstallationGuide } = require('../../src/services/agentOrchestrator');
+
+describe('installationTool', () => {
+  const tool = new InstallationTool();
+
+  /**
+   * Look up the guide for a part and return the tool's result data
+   * @param {string} partNumber - Part number
+   * @returns {Promise<Object>} - { found, partNumber, part, matchedBy, guide }
+   */
+  const lookUp = async (partNumber) => {
+    const outcome = await tool.run({ partNumber });
+    expect(outcome.success).toBe(true);
+    return outcome.result.data;
+  };
+
+  it("returns the part's own guide with its steps, tools, time and difficulty", async () => {
+    const result = await lookUp('ps11752778');
+
+    expect(result).toMatchObject({ found: true, partNumber: 'PS11752778', matchedBy: 'part' });
+    expect(result.guide).toMatchObject({ title: 'Replacing the Refrigerator Door Shelf Bin', difficulty: 'easy' });
+    expect(result.guide.estimatedTime).toBe(5);
+    expect(result.guide.steps).toHaveLength(5);
+    expect(result.guide.steps[1].tips).toHaveLength(1);
+    // The Markdown body becomes the summary
+    expect(result.guide.summary).toMatch(/^The door shelf bin hangs on molded supports/);
+  });
+
+  it("falls back to the guide for the part's category", async () => {
+    const result = await lookUp('PS12364199');
+
+    expect(result.matchedBy).toBe('category');
+    expect(result.guide.category).toBe('door_gasket');
+  });
+
+  it('reports a part without a guide as not found', async () => {
+    const result = await lookUp('PS11701542');
+
+    expect(result).toMatchObject({ found: false, matchedBy: null, guide: null });
+    expect(result.part.id).toBe('PS11701542');
+  });
+
+  it('requires a part number', async () => {
+    const outcome = await tool.run({ partNumber: ' ' });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error).toBe('partNumber must be a non-empty string');
+  });
+});
+
+describe('installationGuideService.loadGuides', () => {
+  let contentPath;
+
+  beforeEach(() => {
+    contentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'guides-'));
+    fs.mkdirSync(path.join(contentPath, 'parts'));
+    fs.mkdirSync(path.join(contentPath, 'categories'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(contentPath, { recursive: true, force: true });
+    installationGuideService.loadGuides();
+  });
+
+  it('loads YAML guides and skips files that are not valid guides', () => {
+    fs.writeFileSync(
+      path.join(contentPath, 'categories', 'drawer.yaml'),
+      'title: Replacing a Drawer\nsteps:\n  - instruction: Pull the drawer out.\n'
+    );
+    fs.writeFileSync(path.join(contentPath, 'parts', 'PS1.md'), 'No front matter here');
+    fs.writeFileSync(path.join(contentPath, 'parts', 'PS2.yaml'), 'title: No steps\n');
+
+    const { byPart, byCategory } = installationGuideService.loadGuides(contentPath);
+
+    expect(byPart.size).toBe(0);
+    expect(byCategory.get('drawer')).toMatchObject({ title: 'Replacing a Drawer', difficulty: 'medium' });
+    expect(installationGuideService.findGuide('PS11756150', 'drawer').matchedBy).toBe('category');
+  });
+});
+
+describe('installation guide answers', () => {
+  /**
+   * Answer an installation question about a part
+   * @param {string} partNumber - Part number
+   * @returns {Promise<Object>} - Response
+   */
+  const answer = (partNumber) => handleInstallationGuide({}, { context: { partNumber } }, 'msg_test');
+
+  it('passes the guide through formatInstallationGuideResponse', async () => {
+    const response = await answer('PS11752778');
+
+    expect(response.type).toBe('installation_guide');
+    expect(response.data).toMatchObject({ partNumber: 'PS11752778', difficulty: 'easy', guideSource: 'part' });
+    expect(response.toolsUsed).toEqual(['installationTool']);
+  });
+
+  it('says plainly when there is no guide instead of inventing steps', async () => {
+    const response = await answer('PS11701542');
+
+    expect(response.type).toBe('text');
+    expect(response.content).toMatch(/^I don't have an installation guide for part PS11701542/);
+  });
+});
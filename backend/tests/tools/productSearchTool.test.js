@@ -0,0 +1,61 @@
+const ProductSearchTool = require('../../src/tools/productSearchTool');
+const { toolRegistry } = require('../../src/tools');
+
+describe('productSearchTool', () => {
+  const tool = new ProductSearchTool();
+
+  /**
+   * Run the tool and return its result data
+   * @param {Object} inputs - Tool inputs
+   * @returns {Promise<Object>} - { products, count, filters }
+   */
+  const search = async (inputs) => {
+    const outcome = await tool.run(inputs);
+    expect(outcome.success).toBe(true);
+    return outcome.result.data;
+  };
+
+  it('is registered in the tool registry', () => {
+    expect(toolRegistry.exists('productSearchTool')).toBe(true);
+  });
+
+  it('returns parts matching the query text', async () => {
+    const { products } = await search({ query: 'ice maker' });
+
+    expect(products.length).toBeGreaterThan(0);
+    expect(products[0].name).toMatch(/ice maker/i);
+  });
+
+  it('looks part numbers up directly', async () => {
+    const { products, count } = await search({ query: 'anything', partNumbers: ['ps11752778'] });
+
+    expect(count).toBe(1);
+    expect(products[0]).toMatchObject({ id: 'PS11752778', name: 'Refrigerator Door Shelf Bin', relevanceScore: 1 });
+  });
+
+  it('restricts results to the appliance type', async () => {
+    const { products } = await search({ query: 'door gasket', applianceType: 'dishwasher' });
+
+    expect(products.length).toBeGreaterThan(0);
+    products.forEach((product) => expect(product.applianceType).toBe('dishwasher'));
+  });
+
+  it('restricts results to parts that fit the model', async () => {
+    const { products } = await search({ query: 'door gasket', modelNumber: 'FFSS2615TS' });
+
+    expect(products.map((product) => product.id)).toEqual(['PS3634206']);
+  });
+
+  it('caps the number of results at limit', async () => {
+    const { products } = await search({ query: 'dishwasher', limit: 2 });
+
+    expect(products).toHaveLength(2);
+  });
+
+  it('rejects an unknown appliance type', async () => {
+    const outcome = await tool.run({ query: 'filter', applianceType: 'toaster' });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error).toMatch(/applianceType must be one of/);
+  });
+});
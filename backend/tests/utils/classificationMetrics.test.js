@@ -0,0 +1,48 @@
+const { classificationReport, setMetrics } = require('../../src/utils/classificationMetrics');
+
+describe('classificationReport', () => {
+  const pairs = [
+    { expected: 'a', predicted: 'a' },
+    { expected: 'a', predicted: 'b' },
+    { expected: 'b', predicted: 'b' },
+    { expected: 'c', predicted: 'b' },
+  ];
+
+  it('reports accuracy and per-class precision, recall and F1', () => {
+    const report = classificationReport(pairs, ['a', 'b', 'c']);
+
+    expect(report).toMatchObject({ total: 4, correct: 2, accuracy: 0.5 });
+    expect(report.perClass.a).toEqual({ precision: 1, recall: 0.5, f1: 0.6667, support: 2 });
+    expect(report.perClass.b).toEqual({ precision: 0.3333, recall: 1, f1: 0.5, support: 1 });
+    expect(report.perClass.c).toEqual({ precision: 0, recall: 0, f1: 0, support: 1 });
+    expect(report.macroF1).toBe(0.3889);
+  });
+
+  it('counts expected against predicted labels in the confusion matrix', () => {
+    const { confusionMatrix } = classificationReport(pairs, ['a', 'b', 'c']);
+
+    expect(confusionMatrix.a).toEqual({ a: 1, b: 1, c: 0 });
+    expect(confusionMatrix.c).toEqual({ a: 0, b: 1, c: 0 });
+  });
+});
+
+describe('setMetrics', () => {
+  it('compares sets case-insensitively', () => {
+    const metrics = setMetrics([
+      { expected: ['PS11752778'], predicted: ['ps11752778', 'PS3406971'] },
+      { expected: ['WRS325SDHZ'], predicted: [] },
+    ]);
+
+    expect(metrics).toMatchObject({
+      truePositives: 1,
+      falsePositives: 1,
+      falseNegatives: 1,
+      precision: 0.5,
+      recall: 0.5,
+    });
+  });
+
+  it('scores nothing expected and nothing predicted as perfect', () => {
+    expect(setMetrics([{ expected: [], predicted: [] }]).f1).toBe(1);
+  });
+});
@@ -0,0 +1,65 @@
+const SearchIndex = require('../../src/utils/searchIndex');
+const catalogService = require('../../src/services/catalogService');
+
+describe('SearchIndex', () => {
+  /**
+   * Build a small index
+   * @returns {SearchIndex}
+   */
+  const buildIndex = () => {
+    const index = new SearchIndex({ fieldWeights: { name: 3 }, stopWords: ['the'] });
+    index.addDocument('valve', { name: 'Water Inlet Valve', description: 'Lets water into the appliance' });
+    index.addDocument('filter', { name: 'Water Filter', description: 'Filters the water' });
+    index.addDocument('gasket', { name: 'Door Gasket', description: 'Seals the door' });
+    return index;
+  };
+
+  it('ranks the document matching more query terms first', () => {
+    const results = buildIndex().search('water valve');
+
+    expect(results.map((result) => result.id)).toEqual(['valve', 'filter']);
+    expect(results[0].relevance).toBeGreaterThan(results[1].relevance);
+  });
+
+  it('weights terms found in heavier fields higher', () => {
+    const index = new SearchIndex({ fieldWeights: { name: 3 } });
+    index.addDocument('in-name', { name: 'seal', description: 'rubber' });
+    index.addDocument('in-description', { name: 'rubber', description: 'seal' });
+
+    expect(index.search('seal')[0].id).toBe('in-name');
+  });
+
+  it('matches misspelled and partial terms', () => {
+    const index = buildIndex();
+
+    expect(index.search('gaskit')[0]).toMatchObject({ id: 'gasket', matchedTerms: ['gasket'] });
+    expect(index.search('filt')[0]).toMatchObject({ id: 'filter', matchedTerms: ['filter'] });
+  });
+
+  it('ignores stop words and applies the filter', () => {
+    const index = buildIndex();
+
+    expect(index.search('the')).toEqual([]);
+    expect(index.search('water', { filter: (id) => id !== 'valve' }).map((result) => result.id)).toEqual(['filter']);
+  });
+});
+
+describe('catalogService.searchParts', () => {
+  it.each([
+    ['ice maker assmbly', /ice maker assembly/i],
+    ['water vavle', /water inlet valve/i],
+    ['door gaskit', /door gasket/i],
+  ])('finds "%s" despite the typo', (query, expectedName) => {
+    const [best] = catalogService.searchParts(query, {}, { limit: 3 });
+
+    expect(best.part.name).toMatch(expectedName);
+    expect(best.relevance).toBeGreaterThan(0.8);
+  });
+
+  it('keeps only parts matching the filters', () => {
+    const hits = catalogService.searchParts('water valve', { applianceType: 'refrigerator' });
+
+    expect(hits[0].part.id).toBe('PS11722130');
+    hits.forEach((hit) => expect(hit.part.applianceType).toBe('refrigerator'));
+  });
+});